@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+// A command line tool for the image gallery. Uploads made with it use the same names and metadata.json format as the
+// web app, so they show up in the gallery, and images uploaded in the browser can be listed and downloaded here.
+//
+//   gallery upload <files...> [--caption <text>] [--alt <text>] [--tags <a,b>] [--collection <name>] [--keep-location] [--prefix <name>]
+//   gallery list [--json] [--prefix <name>]
+//   gallery get <cid> [--out <dir>]
+//
+// Like the deploy script, it reads the API token from an env variable named WEB3STORAGE_TOKEN.
+// --prefix picks the gallery to work with, for accounts with several galleries set up as profiles in the browser.
+
+import fs from 'fs'
+import path from 'path'
+import { parseArgs } from 'util'
+import { File } from 'buffer'
+import {
+  uploadGalleryFiles, imageMetadataFile, listGalleryUploads, fetchImageMetadata, metadataPath, namePrefix, normalizePrefix,
+} from '../src/js/gallery-store.js'
+import { fetchFromGateways, gatewayURL, defaultGateways } from '../src/js/gateways.js'
+import { readExif, publicExifFields, stripExif } from '../src/js/exif.js'
+import { computeFileCID } from '../src/js/car-upload.js'
+import { mediaTypeOf } from '../src/js/media.js'
+
+// Node only has a global File from version 20, and the shared modules make Files for metadata.json
+if (typeof globalThis.File === 'undefined') {
+  globalThis.File = File
+}
+
+const usage = `usage:
+  gallery upload <files...> [--caption <text>] [--alt <text>] [--tags <a,b>] [--collection <name>] [--keep-location] [--prefix <name>]
+  gallery list [--json] [--prefix <name>]
+  gallery get <cid> [--out <dir>]`
+
+const options = {
+  caption: { type: 'string' },
+  alt: { type: 'string' },
+  tags: { type: 'string' },
+  collection: { type: 'string' },
+  'keep-location': { type: 'boolean' },
+  json: { type: 'boolean' },
+  out: { type: 'string' },
+  prefix: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+}
+
+// the browser fills in the type of a File from the filename, so we do the same for the formats the gallery shows.
+// HEIC and RAW files are uploaded too, but there's no way to make their previews here (see media.js).
+const mediaTypes = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.avif': 'image/avif',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.flac': 'audio/flac',
+}
+
+function die(message) {
+  console.error(message)
+  process.exit(1)
+}
+
+function getToken() {
+  const { WEB3STORAGE_TOKEN } = process.env
+  if (!WEB3STORAGE_TOKEN) {
+    die('this command needs an env variable named WEB3STORAGE_TOKEN containing API token for web3.storage')
+  }
+  return WEB3STORAGE_TOKEN
+}
+
+/**
+ * @param {object} values the parsed options
+ * @returns {string} the upload name prefix given with --prefix, or the default one
+ */
+function getPrefix(values) {
+  if (values.prefix === undefined) {
+    return namePrefix
+  }
+  try {
+    return normalizePrefix(values.prefix)
+  } catch (e) {
+    die(`invalid --prefix: ${e.message}`)
+  }
+}
+
+// #region upload
+
+/**
+ * Uploads each file as a separate image. Location data is removed first, as it is in the browser, unless
+ * --keep-location is given. Resized copies and previews aren't generated, so the gallery shows the original file.
+ * @param {string[]} paths
+ * @param {object} values the parsed options
+ */
+async function upload(paths, values) {
+  if (paths.length === 0) {
+    die(usage)
+  }
+  const token = getToken()
+  const prefix = getPrefix(values)
+  const tags = (values.tags || '').split(',')
+  for (const filePath of paths) {
+    const name = path.basename(filePath)
+    const type = mediaTypes[path.extname(name).toLowerCase()] || ''
+    let file = new File([await fs.promises.readFile(filePath)], name, { type })
+    if (!values['keep-location']) {
+      file = await stripExif(file, { location: true })
+    }
+    const exif = publicExifFields(await readExif(file))
+    const caption = values.caption || ''
+    // perceptual hashes need a <canvas>, so only the file CID is stored for spotting duplicates
+    const fileCID = await computeFileCID(file)
+    const metadataFile = imageMetadataFile(name, caption, {
+      alt: values.alt,
+      exif,
+      tags,
+      collection: values.collection,
+      fileCID,
+      mediaType: mediaTypeOf(file),
+    })
+
+    console.log(`Uploading ${name}...`)
+    const cid = await uploadGalleryFiles([file, metadataFile], caption, {
+      token,
+      prefix,
+      onProgress: ({ bytesSent, totalBytes }) => console.log(`  sent ${bytesSent.toLocaleString()} of ${totalBytes.toLocaleString()} bytes`),
+    })
+    console.log(`  cid: ${cid}`)
+    console.log(`  ${gatewayURL(defaultGateways[0], cid, name)}`)
+  }
+}
+
+// #endregion upload
+
+// #region list
+
+/**
+ * Prints every image in the gallery, newest first, leaving out older revisions of images whose caption has changed.
+ * Images hidden or deleted in the browser are still listed, since that's only recorded in the browser.
+ * @param {object} values the parsed options
+ */
+async function list(values) {
+  const token = getToken()
+  const images = []
+  const superseded = new Set()
+  for await (const upload of listGalleryUploads(token, getPrefix(values))) {
+    let metadata
+    try {
+      metadata = { ...await fetchImageMetadata(upload.cid), created: upload.created }
+    } catch (e) {
+      console.error(`error getting metadata for ${upload.cid}: ${e.message}`)
+      continue
+    }
+    if (metadata.previous) {
+      superseded.add(metadata.previous)
+    }
+    if (superseded.has(metadata.cid)) {
+      continue
+    }
+    images.push(metadata)
+    if (!values.json) {
+      console.log([metadata.cid, metadata.created, describe(metadata)].join('\t'))
+    }
+  }
+  if (values.json) {
+    console.log(JSON.stringify(images, null, 2))
+  }
+}
+
+/**
+ * @param {object} metadata
+ * @returns {string} a one-line description of an image for the list command
+ */
+function describe(metadata) {
+  if (metadata.encrypted) {
+    return '(private image)'
+  }
+  const title = metadata.album ? metadata.album.title : metadata.caption
+  const parts = [title || metadata.path]
+  if (metadata.album) {
+    parts.push(`(album of ${metadata.album.images.length})`)
+  }
+  if (metadata.tags.length > 0) {
+    parts.push(metadata.tags.map(tag => `#${tag}`).join(' '))
+  }
+  return parts.join(' ')
+}
+
+// #endregion list
+
+// #region get
+
+/**
+ * Downloads an image (or every image in an album) and its metadata.json into a directory.
+ * Private images are saved encrypted, since they can only be decrypted in the gallery.
+ * @param {string} cid
+ * @param {object} values the parsed options
+ */
+async function get(cid, values) {
+  if (!cid) {
+    die(usage)
+  }
+  const metadata = await fetchImageMetadata(cid)
+  const outDir = values.out || '.'
+  await fs.promises.mkdir(outDir, { recursive: true })
+
+  // revisions link to the directory with the image files
+  const contentCID = metadata.contentCID || cid
+  const paths = metadata.album ? metadata.album.images.map(image => image.path) : [metadata.path]
+  for (const filePath of paths) {
+    const res = await fetchFromGateways(contentCID, filePath)
+    const dest = path.join(outDir, path.basename(filePath))
+    await fs.promises.writeFile(dest, new Uint8Array(await res.arrayBuffer()))
+    console.log(`Saved ${dest}`)
+  }
+  const { verification, ...stored } = metadata
+  const metadataDest = path.join(outDir, metadataPath)
+  await fs.promises.writeFile(metadataDest, JSON.stringify(stored, null, 2))
+  console.log(`Saved ${metadataDest}`)
+  if (metadata.encrypted) {
+    console.log('This is a private image, so it was saved encrypted. Open it in the gallery to decrypt it.')
+  }
+}
+
+// #endregion get
+
+async function main() {
+  let parsed
+  try {
+    parsed = parseArgs({ options, allowPositionals: true })
+  } catch (e) {
+    die(`${e.message}\n${usage}`)
+  }
+  const { values, positionals: [command, ...args] } = parsed
+  if (values.help) {
+    console.log(usage)
+    return
+  }
+  switch (command) {
+    case 'upload':
+      return upload(args, values)
+    case 'list':
+      return list(values)
+    case 'get':
+      return get(args[0], values)
+    default:
+      die(usage)
+  }
+}
+
+main()
+  .catch(e => die(e.message))
@@ -0,0 +1,228 @@
+////////////////////////////////
+////// Gallery export & import
+////////////////////////////////
+
+// A gallery export is a single CAR file holding every block of every gallery upload, so the uploads keep their CIDs
+// when they're imported into another account. The CAR's first root is a raw block containing a JSON index, which lists
+// each upload's root CID, name and creation date. The rest of the roots are the uploads themselves.
+//
+// Galleries can be bigger than we'd want to hold in memory, so neither side keeps every block at once. Exports write
+// each upload's blocks out as soon as they're fetched, and imports index the file first and read blocks from it as
+// they're needed.
+
+import { CID } from 'multiformats'
+import * as raw from 'multiformats/codecs/raw'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { CarIndexer } from '@ipld/car/indexer'
+import { listGalleryUploads } from './storage'
+import { listUploadedCIDs, makeUploadName } from './gallery-store'
+import { getActiveProfile } from './profiles'
+import { getStorageProvider } from './providers'
+import { fetchVerifiedBlockstore, checkBlock } from './verify'
+import { collectDAG, writeCAR, writeCARBlocks, fromArray, readBlob } from './car-files'
+
+// #region export
+
+// identifies our index block, in case someone tries to import some other CAR file
+const indexType = 'web3-storage-image-gallery-export'
+const indexVersion = 1
+
+/**
+ * @typedef {object} ArchiveIndex
+ * @property {string} type always 'web3-storage-image-gallery-export'
+ * @property {number} version the version of the export format
+ * @property {string} exported when the archive was made, as an ISO 8601 string
+ * @property {ArchivedUpload[]} uploads every upload in the archive, oldest first
+ *
+ * @typedef {object} ArchivedUpload
+ * @property {string} cid the root CID of the upload
+ * @property {string} name the upload's name, which starts with the prefix the gallery uses to find its uploads
+ * @property {string} created when the upload was first made, as an ISO 8601 string. Imports go in this order.
+ *
+ * @typedef {object} ArchiveProgress
+ * @property {number} done how many uploads have been dealt with so far, including any that failed or were skipped
+ * @property {number} total how many uploads there are altogether
+ *
+ * @typedef {object} ExportResult
+ * @property {Blob} blob the CAR file
+ * @property {number} exported how many uploads are in the archive
+ * @property {number} failed how many uploads couldn't be fetched, and were left out
+ */
+
+/**
+ * Builds a CAR file containing every gallery upload, including older revisions of images that have been edited.
+ * Hidden and deleted images are left out. Every block is checked against its CID as it's fetched.
+ * @param {object} options
+ * @param {string} options.token the API token for the account to export
+ * @param {function(ArchiveProgress): void} [options.onProgress] called after each upload is fetched
+ * @returns {Promise<ExportResult>}
+ */
+export async function exportGallery({ token, onProgress }) {
+  const uploads = []
+  for await (const upload of listGalleryUploads(token)) {
+    uploads.push({ cid: upload.cid, name: upload.name, created: upload.created })
+  }
+  // the list is newest first, but we import the oldest first, so each revision is still newer than the one it replaces
+  uploads.reverse()
+
+  // each upload's blocks go into a blob of their own, which the browser can keep out of memory, and we only remember
+  // their CIDs, so blocks shared between uploads (e.g. an edited image's original file) are written once
+  const written = new Set()
+  const blockParts = []
+  const exported = []
+  for (const [i, upload] of uploads.entries()) {
+    try {
+      const blockstore = await fetchVerifiedBlockstore(upload.cid, '')
+      const blocks = (await collectDAG(upload.cid, '', blockstore)).filter(block => !written.has(block.cid.toString()))
+      blockParts.push(new Blob(await writeCARBlocks(blocks)))
+      blocks.forEach(block => written.add(block.cid.toString()))
+      exported.push(upload)
+    } catch (e) {
+      console.error('error exporting upload', upload.cid, e)
+    }
+    if (onProgress) {
+      onProgress({ done: i + 1, total: uploads.length })
+    }
+  }
+
+  /** @type {ArchiveIndex} */
+  const index = {
+    type: indexType,
+    version: indexVersion,
+    exported: new Date().toISOString(),
+    uploads: exported,
+  }
+  const indexBytes = new TextEncoder().encode(JSON.stringify(index))
+  const indexCID = CID.create(1, raw.code, await sha256.digest(indexBytes))
+
+  // the header lists the roots, which we only know now, so it goes in front of the blocks that were written already
+  const roots = [indexCID, ...exported.map(upload => CID.parse(upload.cid))]
+  const headerParts = await writeCAR(roots, [{ cid: indexCID, bytes: indexBytes }])
+  const blob = new Blob([...headerParts, ...blockParts], { type: 'application/vnd.ipld.car' })
+  return { blob, exported: exported.length, failed: uploads.length - exported.length }
+}
+
+// #endregion export
+
+// #region import
+
+/**
+ * @typedef {object} ImportResult
+ * @property {number} imported how many uploads were stored
+ * @property {number} skipped how many uploads were already in the account
+ * @property {number} failed how many uploads couldn't be stored
+ */
+
+/**
+ * Stores everything in a gallery export on Web3.Storage, with the same names the uploads had before, apart from the
+ * prefix, which is switched for the active profile's prefix so the uploads show up in its gallery. Uploads whose root
+ * CID is already in the account are skipped. Uploads are stored oldest first, so edited images stay newer than the
+ * revisions they replace. Each block is checked against its CID as it's read from the file.
+ * @param {Blob} file a CAR file from exportGallery
+ * @param {object} options
+ * @param {string} options.token the API token for the account to import into
+ * @param {AbortSignal} [options.signal] stops the import when aborted, in which case the promise rejects with an AbortError
+ * @param {function(ArchiveProgress): void} [options.onProgress] called after each upload is stored or skipped
+ * @returns {Promise<ImportResult>} rejects if the file isn't a gallery export. An upload with a missing or corrupt
+ *   block counts as failed.
+ */
+export async function importGallery(file, { token, signal, onProgress }) {
+  const blockstore = await indexArchive(file)
+  const index = await readIndex(blockstore)
+  const uploads = sortByCreated(index.uploads)
+
+  const existing = await listUploadedCIDs(token)
+  const { prefix } = getActiveProfile()
+  const result = { imported: 0, skipped: 0, failed: 0 }
+  for (const [i, upload] of uploads.entries()) {
+    if (existing.has(upload.cid)) {
+      result.skipped += 1
+    } else {
+      try {
+        const parts = await writeCAR([CID.parse(upload.cid)], await collectDAG(upload.cid, '', blockstore))
+        // everything after the first '|' is the caption or album title
+        const name = makeUploadName(upload.name.slice(upload.name.indexOf('|') + 1), prefix)
+        await getStorageProvider().putCAR(fromArray(parts), upload.cid, { token, name, signal })
+        result.imported += 1
+      } catch (e) {
+        if (e.name === 'AbortError') {
+          throw e
+        }
+        console.error('error importing upload', upload.cid, e)
+        result.failed += 1
+      }
+    }
+    if (onProgress) {
+      onProgress({ done: i + 1, total: uploads.length })
+    }
+  }
+  return result
+}
+
+/**
+ * Finds where each block is in a CAR file, reading through it once, and returns a blockstore that reads the blocks from
+ * the file when they're asked for, after checking them against their CIDs.
+ * @param {Blob} file
+ * @returns {Promise<{roots: CID[], get: function(CID): Promise<Uint8Array>}>}
+ */
+async function indexArchive(file) {
+  const offsets = new Map()
+  let roots
+  try {
+    const indexer = await CarIndexer.fromIterable(readBlob(file))
+    for await (const { cid, blockOffset, blockLength } of indexer) {
+      offsets.set(cid.toString(), { blockOffset, blockLength })
+    }
+    roots = await indexer.getRoots()
+  } catch (e) {
+    console.error('error reading archive:', e)
+    throw new Error('this file isn\'t an image gallery export')
+  }
+  return {
+    roots,
+    get: async blockCID => {
+      const offset = offsets.get(blockCID.toString())
+      if (!offset) {
+        throw new Error(`the archive is missing block ${blockCID}`)
+      }
+      const { blockOffset, blockLength } = offset
+      const bytes = new Uint8Array(await file.slice(blockOffset, blockOffset + blockLength).arrayBuffer())
+      await checkBlock(blockCID, bytes)
+      return bytes
+    },
+  }
+}
+
+/**
+ * @param {ArchivedUpload[]} uploads
+ * @returns {ArchivedUpload[]} the uploads, oldest first. Ones without a creation date go first, in the order they were in.
+ */
+function sortByCreated(uploads) {
+  const time = upload => Date.parse(upload.created) || 0
+  return [...uploads].sort((a, b) => time(a) - time(b))
+}
+
+/**
+ * Reads the JSON index from the first root of a gallery export.
+ * @param {{roots: CID[], get: function(CID): Promise<Uint8Array>}} archive from indexArchive
+ * @returns {Promise<ArchiveIndex>} rejects if the CAR file isn't a gallery export
+ */
+async function readIndex(archive) {
+  const [indexCID] = archive.roots
+  let index = null
+  try {
+    const bytes = indexCID && indexCID.code === raw.code ? await archive.get(indexCID) : undefined
+    index = bytes && JSON.parse(new TextDecoder().decode(bytes))
+  } catch (e) {
+    console.error('error parsing archive index:', e)
+  }
+  if (!index || index.type !== indexType || !Array.isArray(index.uploads)) {
+    throw new Error('this file isn\'t an image gallery export')
+  }
+  if (index.version > indexVersion) {
+    throw new Error('this export was made by a newer version of the gallery')
+  }
+  return index
+}
+
+// #endregion import
@@ -0,0 +1,187 @@
+////////////////////////////////
+////// Local metadata cache
+////////////////////////////////
+
+// Gallery metadata is cached in IndexedDB, keyed by CID. Since IPFS content never changes,
+// a cached entry never goes stale - we only need to ask Web3.Storage about uploads we haven't seen yet.
+//
+// If IndexedDB isn't available (e.g. in some private browsing modes), every function here
+// behaves as if the cache is empty, and the gallery falls back to fetching everything.
+
+import { getStorageProviderId, storageProviders } from './providers'
+import { getActiveProfile, defaultProfileId } from './profiles'
+
+// #region db
+
+const dbVersion = 1
+const metadataStore = 'metadata'
+const syncStore = 'sync'
+
+let dbPromise = null
+
+/**
+ * Each storage provider gets its own cache, so uploads stored locally don't show up when using Web3.Storage, and so
+ * does each profile, since profiles are separate galleries. The default profile on Web3.Storage keeps the original name.
+ * @param {string} providerId
+ * @param {string} profileId
+ * @returns {string} the name of the cache database
+ */
+function cacheName(providerId, profileId) {
+  return ['image-gallery', providerId !== 'web3.storage' && providerId, profileId !== defaultProfileId && profileId]
+    .filter(Boolean)
+    .join('-')
+}
+
+/**
+ * Opens the cache database for the current storage provider and the active profile, creating the object stores on
+ * first use.
+ * @returns {Promise<IDBDatabase|null>} null if IndexedDB isn't available
+ */
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null)
+        return
+      }
+      const req = indexedDB.open(cacheName(getStorageProviderId(), getActiveProfile().id), dbVersion)
+      req.onupgradeneeded = () => {
+        const db = req.result
+        db.createObjectStore(metadataStore, { keyPath: 'cid' })
+        db.createObjectStore(syncStore)
+      }
+      req.onsuccess = () => {
+        const db = req.result
+        // the database is being deleted along with its profile (see deleteMetadataCaches), so we stop using it
+        db.onversionchange = () => {
+          db.close()
+          dbPromise = Promise.resolve(null)
+        }
+        resolve(db)
+      }
+      req.onerror = () => {
+        console.error('unable to open metadata cache:', req.error)
+        resolve(null)
+      }
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Runs a single request against an object store and resolves with its result.
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest
+ * @param {*} fallback value to resolve with if the cache isn't available
+ * @returns {Promise<*>}
+ */
+async function withStore(storeName, mode, makeRequest, fallback) {
+  const db = await openDB()
+  if (!db) {
+    return fallback
+  }
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const req = makeRequest(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(req.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+// #endregion db
+
+// #region metadata
+
+/**
+ * @param {string} cid
+ * @returns {Promise<ImageMetadata|undefined>} the cached metadata for the CID, if we have it
+ */
+export function getCachedMetadata(cid) {
+  return withStore(metadataStore, 'readonly', store => store.get(cid), undefined)
+}
+
+/**
+ * Adds an image's metadata to the cache. Metadata that was fetched with verification turned on, but couldn't be
+ * checked against its CID, is left out, so it's fetched and checked again next time.
+ * @param {ImageMetadata} metadata
+ * @returns {Promise<void>}
+ */
+export async function putCachedMetadata(metadata) {
+  if (metadata.verification && !metadata.verification.verified) {
+    return
+  }
+  await withStore(metadataStore, 'readwrite', store => store.put(metadata), undefined)
+}
+
+/**
+ * @returns {Promise<ImageMetadata[]>} every cached metadata object, newest upload first
+ */
+export async function listCachedMetadata() {
+  const all = await withStore(metadataStore, 'readonly', store => store.getAll(), [])
+  return all.sort((a, b) => Date.parse(b.created || 0) - Date.parse(a.created || 0))
+}
+
+/**
+ * @returns {Promise<number>} the number of cached metadata objects
+ */
+export function countCachedMetadata() {
+  return withStore(metadataStore, 'readonly', store => store.count(), 0)
+}
+
+// #endregion metadata
+
+// #region sync-state
+
+/**
+ * @typedef {object} SyncState
+ * @property {string} [syncedUntil] creation date of the newest upload we'd seen at the end of the last complete sync
+ */
+
+/**
+ * @returns {Promise<SyncState>}
+ */
+export async function getSyncState() {
+  const state = await withStore(syncStore, 'readonly', store => store.get('state'), undefined)
+  return state || {}
+}
+
+/**
+ * @param {SyncState} state
+ * @returns {Promise<void>}
+ */
+export async function setSyncState(state) {
+  await withStore(syncStore, 'readwrite', store => store.put(state, 'state'), undefined)
+}
+
+// #endregion sync-state
+
+/**
+ * Removes everything from the cache. The next gallery visit will fetch all metadata again.
+ * @returns {Promise<void>}
+ */
+export async function clearMetadataCache() {
+  await withStore(metadataStore, 'readwrite', store => store.clear(), undefined)
+  await withStore(syncStore, 'readwrite', store => store.clear(), undefined)
+}
+
+/**
+ * Deletes a profile's caches, for every storage provider, along with the point they were synced up to.
+ * @param {string} profileId
+ * @returns {Promise<void>}
+ */
+export async function deleteMetadataCaches(profileId) {
+  if (typeof indexedDB === 'undefined') {
+    return
+  }
+  await Promise.all(storageProviders.map(provider => new Promise(resolve => {
+    const name = cacheName(provider.id, profileId)
+    const req = indexedDB.deleteDatabase(name)
+    req.onsuccess = () => resolve()
+    req.onerror = () => {
+      console.error(`unable to delete metadata cache ${name}:`, req.error)
+      resolve()
+    }
+  })))
+}
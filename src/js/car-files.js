@@ -0,0 +1,111 @@
+////////////////////////////////
+////// CAR file helpers
+////////////////////////////////
+
+// Helpers for reading the blocks of an upload out of a blockstore, and writing them to a CAR (content archive) file.
+// Used by gallery export & import, and by the local storage provider to answer requests for CAR files.
+// Like gallery-store.js, this module is also loaded by Node.
+
+import { CID } from 'multiformats'
+import { CarWriter } from '@ipld/car/writer'
+import { recursive } from 'ipfs-unixfs-exporter'
+
+// #region car-files
+
+/**
+ * Walks a path within an upload, and every file and directory under it, and returns the blocks that were read along
+ * the way. Those are the blocks a gateway would send in a CAR file for the same path.
+ * @param {string} cid the root CID of the upload
+ * @param {string} path path to a file or directory within the upload, or '' for the whole upload
+ * @param {{get: function(CID): Promise<Uint8Array>}} blockstore
+ * @returns {Promise<Array<{cid: CID, bytes: Uint8Array}>>}
+ */
+export async function collectDAG(cid, path, blockstore) {
+  const blocks = new Map()
+  const recordingBlockstore = {
+    get: async blockCID => {
+      const bytes = await blockstore.get(blockCID)
+      blocks.set(blockCID.toString(), { cid: blockCID, bytes })
+      return bytes
+    },
+  }
+  const root = path ? `${CID.parse(cid)}/${path}` : CID.parse(cid)
+  for await (const entry of recursive(root, recordingBlockstore)) {
+    if (entry.type !== 'file' && entry.type !== 'raw') {
+      continue
+    }
+    // a file's blocks are only read as its content is read, so we read it all and throw it away
+    const content = entry.content()
+    let next = await content.next()
+    while (!next.done) {
+      next = await content.next()
+    }
+  }
+  return [...blocks.values()]
+}
+
+/**
+ * @param {CID[]} roots
+ * @param {Array<{cid: CID, bytes: Uint8Array}>} blocks
+ * @returns {Promise<Uint8Array[]>} the bytes of a CAR file containing the blocks, in parts
+ */
+export async function writeCAR(roots, blocks) {
+  return writeParts(CarWriter.create(roots), blocks)
+}
+
+/**
+ * Like writeCAR, but without the header, for adding more blocks to the end of a CAR file that's already been started.
+ * @param {Array<{cid: CID, bytes: Uint8Array}>} blocks
+ * @returns {Promise<Uint8Array[]>}
+ */
+export async function writeCARBlocks(blocks) {
+  return writeParts(CarWriter.createAppender(), blocks)
+}
+
+/**
+ * @param {{writer: CarWriter, out: AsyncIterable<Uint8Array>}} channel from CarWriter.create or createAppender
+ * @param {Array<{cid: CID, bytes: Uint8Array}>} blocks
+ * @returns {Promise<Uint8Array[]>} everything the writer wrote out
+ */
+async function writeParts({ writer, out }, blocks) {
+  const parts = []
+  const reading = (async () => {
+    for await (const part of out) {
+      parts.push(part)
+    }
+  })()
+  for (const block of blocks) {
+    await writer.put(block)
+  }
+  await writer.close()
+  await reading
+  return parts
+}
+
+/**
+ * @param {Uint8Array[]} parts
+ * @returns {AsyncIterable<Uint8Array>} the parts as an async iterable, which is what StorageProvider.putCAR reads from
+ */
+export async function* fromArray(parts) {
+  yield* parts
+}
+
+/**
+ * Reads a blob a chunk at a time, without loading the whole thing into memory.
+ * @param {Blob} blob
+ * @returns {AsyncIterable<Uint8Array>}
+ */
+export async function* readBlob(blob) {
+  const reader = blob.stream().getReader()
+  try {
+    let next = await reader.read()
+    while (!next.done) {
+      yield next.value
+      next = await reader.read()
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+// #endregion car-files
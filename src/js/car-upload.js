@@ -0,0 +1,254 @@
+////////////////////////////////
+////// Chunked CAR uploads
+////////////////////////////////
+
+// The Web3.Storage client's `put` method can't be cancelled, and if it fails we have to start again from scratch.
+// So we do the same thing it does ourselves: pack the files into a CAR (content archive), split the CAR into
+// chunks of about 10MB, and POST each chunk to the /car endpoint. That lets us stop between chunks when the
+// user cancels, retry each chunk with a growing delay, and skip the chunks we've already sent if the whole
+// upload is retried.
+
+import { pack } from 'ipfs-car/pack'
+import { MemoryBlockStore } from 'ipfs-car/blockstore/memory'
+import { TreewalkCarSplitter } from 'carbites/treewalk'
+
+// #region uploadCAR
+
+const endpoint = 'https://api.web3.storage'
+
+// these match the Web3.Storage client, so we calculate the same CIDs it would
+const maxChunkSize = 1024 * 1024 * 10
+const maxConcurrentChunks = 3
+const packOptions = {
+  maxChunkSize: 1048576,
+  maxChildrenPerNode: 1024,
+}
+
+// each chunk is tried up to maxRetries more times, waiting retryDelay * 2^attempt (plus some jitter) in between
+const maxRetries = 5
+const retryDelay = 1000
+
+// chunks we've stored, keyed by root CID, so a retried upload can pick up where it left off
+const storedChunks = new Map()
+
+/**
+ * @typedef {object} UploadProgress
+ * @property {number} bytesSent how many bytes of the CAR have been stored so far
+ * @property {number} totalBytes the size of the whole CAR
+ * @property {number} chunksSent how many chunks have been stored so far
+ * @property {number} totalChunks how many chunks the CAR was split into
+ *
+ * @typedef {object} UploadCAROptions
+ * @property {string} token a Web3.Storage API token
+ * @property {string} name a name for the upload, shown in the list API response
+ * @property {AbortSignal} [signal] cancels the upload when aborted
+ * @property {function(string): void} [onRootCidReady] called with the root CID once it's been calculated
+ * @property {function(number): void} [onStoredChunk] called with the size of each chunk after it's stored
+ * @property {function(UploadProgress): void} [onProgress] called once before any chunks are sent, and again after each one
+ * @property {function(AsyncIterable<Uint8Array>, string, UploadCAROptions): Promise<string>} [store] used by uploadCAR
+ *   to store the packed CAR. Defaults to storeCAR, but can be a storage provider's putCAR (see providers.js).
+ */
+
+/**
+ * Packs some files into an IPFS directory and uploads it to Web3.Storage, or wherever options.store puts it.
+ * @param {File[]} files
+ * @param {UploadCAROptions} options
+ * @returns {Promise<string>} the root CID of the directory. Rejects with an AbortError if the signal is aborted.
+ */
+export async function uploadCAR(files, options) {
+  const { signal } = options
+  throwIfAborted(signal)
+
+  const blockstore = new MemoryBlockStore()
+  try {
+    const { out, root } = await pack({
+      input: files.map(f => ({ path: f.name, content: f.stream() })),
+      blockstore,
+      wrapWithDirectory: true,
+      ...packOptions,
+    })
+    const rootCID = root.toString()
+    if (options.onRootCidReady) {
+      options.onRootCidReady(rootCID)
+    }
+
+    const store = options.store || storeCAR
+    return await store(out, rootCID, options)
+  } finally {
+    await blockstore.close()
+  }
+}
+
+/**
+ * Calculates the CID a file will have inside an upload made with uploadCAR, without uploading anything.
+ * @param {Blob} file
+ * @returns {Promise<string>}
+ */
+export async function computeFileCID(file) {
+  const blockstore = new MemoryBlockStore()
+  try {
+    const { root } = await pack({
+      input: [{ path: 'file', content: file.stream() }],
+      blockstore,
+      wrapWithDirectory: false,
+      ...packOptions,
+    })
+    return root.toString()
+  } finally {
+    await blockstore.close()
+  }
+}
+
+/**
+ * Uploads a CAR file that's already been packed, e.g. one from a gallery export, in the same way as uploadCAR.
+ * The CAR must contain a single complete DAG under the given root CID.
+ * @param {AsyncIterable<Uint8Array>} car the bytes of the CAR file
+ * @param {string} rootCID
+ * @param {UploadCAROptions} options onRootCidReady isn't called, since the caller already knows the root CID
+ * @returns {Promise<string>} the root CID. Rejects with an AbortError if the signal is aborted.
+ */
+export async function storeCAR(car, rootCID, options) {
+  const { signal } = options
+  throwIfAborted(signal)
+
+  const splitter = await TreewalkCarSplitter.fromIterable(car, maxChunkSize)
+  const chunks = []
+  for await (const chunkCAR of splitter.cars()) {
+    const parts = []
+    for await (const part of chunkCAR) {
+      parts.push(part)
+    }
+    chunks.push(new Blob(parts, { type: 'application/car' }))
+  }
+  throwIfAborted(signal)
+
+  if (!storedChunks.has(rootCID)) {
+    storedChunks.set(rootCID, new Set())
+  }
+  const stored = storedChunks.get(rootCID)
+  const progress = {
+    bytesSent: chunks.filter((_, i) => stored.has(i)).reduce((total, chunk) => total + chunk.size, 0),
+    totalBytes: chunks.reduce((total, chunk) => total + chunk.size, 0),
+    chunksSent: stored.size,
+    totalChunks: chunks.length,
+  }
+  if (options.onProgress) {
+    options.onProgress({ ...progress })
+  }
+
+  const pending = chunks.map((chunk, index) => ({ chunk, index })).filter(({ index }) => !stored.has(index))
+  const worker = async () => {
+    while (pending.length > 0) {
+      const { chunk, index } = pending.shift()
+      await sendChunk(chunk, rootCID, options)
+      stored.add(index)
+      progress.bytesSent += chunk.size
+      progress.chunksSent += 1
+      if (options.onStoredChunk) {
+        options.onStoredChunk(chunk.size)
+      }
+      if (options.onProgress) {
+        options.onProgress({ ...progress })
+      }
+    }
+  }
+  const workers = []
+  for (let i = 0; i < Math.min(maxConcurrentChunks, pending.length); i++) {
+    workers.push(worker())
+  }
+  await Promise.all(workers)
+
+  storedChunks.delete(rootCID)
+  return rootCID
+}
+
+/**
+ * Sends one chunk of a CAR to Web3.Storage, retrying with a growing delay if it fails.
+ * Errors caused by the request itself (e.g. an invalid token) aren't retried.
+ * @param {Blob} chunk
+ * @param {string} rootCID
+ * @param {UploadCAROptions} options
+ * @returns {Promise<void>}
+ */
+async function sendChunk(chunk, rootCID, { token, name, signal }) {
+  const headers = {
+    Authorization: `Bearer ${token}`,
+    'X-Client': 'web3.storage',
+    'X-Name': name,
+  }
+  for (let attempt = 0; ; attempt++) {
+    throwIfAborted(signal)
+    try {
+      const res = await fetch(`${endpoint}/car`, { method: 'POST', headers, body: chunk, signal })
+      if (!res.ok) {
+        const err = new Error(await errorMessage(res))
+        // client errors (apart from timeouts and rate limits) will fail the same way next time
+        err.permanent = res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429
+        throw err
+      }
+      const body = await res.json()
+      if (body.cid !== rootCID) {
+        throw new Error(`root CID mismatch, expected: ${rootCID}, received: ${body.cid}`)
+      }
+      return
+    } catch (e) {
+      if (e.name === 'AbortError' || e.permanent || attempt >= maxRetries) {
+        throw e
+      }
+      const delay = retryDelay * 2 ** attempt * (1 + Math.random() / 2)
+      console.warn(`chunk upload failed, retrying in ${Math.round(delay / 1000)}s:`, e.message)
+      await sleep(delay, signal)
+    }
+  }
+}
+
+/**
+ * @param {Response} res a failed response
+ * @returns {Promise<string>} the message from the API's JSON error body, or the status if the body is something else,
+ *   like an HTML error page from a proxy
+ */
+async function errorMessage(res) {
+  const status = `[${res.status}] ${res.statusText}`
+  try {
+    const body = JSON.parse(await res.text())
+    return (body && body.message) || status
+  } catch (e) {
+    return status
+  }
+}
+
+/**
+ * Waits for the given time, or rejects early if the signal is aborted.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms)
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer)
+        reject(abortError())
+      }, { once: true })
+    }
+  })
+}
+
+/**
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw abortError()
+  }
+}
+
+/**
+ * @returns {DOMException} the same kind of error fetch rejects with when it's aborted
+ */
+function abortError() {
+  return new DOMException('upload cancelled', 'AbortError')
+}
+
+// #endregion uploadCAR
@@ -0,0 +1,148 @@
+////////////////////////////////
+////// Encryption for private uploads
+////////////////////////////////
+
+// Private uploads are encrypted in the browser with AES-GCM before they're sent to Web3.Storage.
+// The key either comes from a passphrase (stretched with PBKDF2), or is a random "share key"
+// that the uploader can hand out, e.g. in the fragment of a gallery link.
+
+// #region keys
+
+// PBKDF2 settings for passphrase-derived keys. These are stored with each upload,
+// so they can be changed later without breaking older uploads.
+const pbkdf2Iterations = 250000
+const pbkdf2Hash = 'SHA-256'
+
+// AES-GCM uses a 96-bit IV, which we prepend to each ciphertext.
+const ivLength = 12
+
+/**
+ * Generates a random 256-bit key, encoded as a URL-safe string.
+ * @returns {string}
+ */
+export function generateShareKey() {
+  return toBase64URL(crypto.getRandomValues(new Uint8Array(32)))
+}
+
+/**
+ * Imports a share key created by generateShareKey.
+ * @param {string} shareKey
+ * @returns {Promise<CryptoKey>}
+ */
+export function importShareKey(shareKey) {
+  return crypto.subtle.importKey('raw', fromBase64URL(shareKey), 'AES-GCM', false, ['encrypt', 'decrypt'])
+}
+
+/**
+ * Settings for deriving a key from a passphrase. Stored in metadata.json so the key can be derived again later.
+ * @typedef {object} KeyDerivation
+ * @property {string} name always 'PBKDF2'
+ * @property {string} hash the hash function used by PBKDF2
+ * @property {number} iterations the PBKDF2 iteration count
+ * @property {string} salt a random salt, encoded as a URL-safe string
+ */
+
+/**
+ * Creates new key derivation settings with a random salt.
+ * @returns {KeyDerivation}
+ */
+export function newKeyDerivation() {
+  const salt = toBase64URL(crypto.getRandomValues(new Uint8Array(16)))
+  return { name: 'PBKDF2', hash: pbkdf2Hash, iterations: pbkdf2Iterations, salt }
+}
+
+/**
+ * Derives an AES-GCM key from a passphrase.
+ * @param {string} passphrase
+ * @param {KeyDerivation} kdf
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveKey(passphrase, kdf) {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+  const params = { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: fromBase64URL(kdf.salt) }
+  return crypto.subtle.deriveKey(params, baseKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+}
+
+// #endregion keys
+
+// #region encrypt-decrypt
+
+/**
+ * Encrypts some bytes with AES-GCM.
+ * @param {CryptoKey} key
+ * @param {BufferSource} data
+ * @returns {Promise<Uint8Array>} the random IV followed by the ciphertext
+ */
+export async function encryptBytes(key, data) {
+  const iv = crypto.getRandomValues(new Uint8Array(ivLength))
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data))
+  const out = new Uint8Array(ivLength + ciphertext.length)
+  out.set(iv)
+  out.set(ciphertext, ivLength)
+  return out
+}
+
+/**
+ * Decrypts bytes produced by encryptBytes. Rejects if the key is wrong or the data has been tampered with.
+ * @param {CryptoKey} key
+ * @param {Uint8Array} data the IV followed by the ciphertext
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function decryptBytes(key, data) {
+  const iv = data.subarray(0, ivLength)
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data.subarray(ivLength))
+}
+
+/**
+ * Encrypts a JSON-serializable object.
+ * @param {CryptoKey} key
+ * @param {object} obj
+ * @returns {Promise<string>} the encrypted object, encoded as a URL-safe string
+ */
+export async function encryptJSON(key, obj) {
+  const data = new TextEncoder().encode(JSON.stringify(obj))
+  return toBase64URL(await encryptBytes(key, data))
+}
+
+/**
+ * Decrypts an object encrypted with encryptJSON.
+ * @param {CryptoKey} key
+ * @param {string} encoded
+ * @returns {Promise<object>}
+ */
+export async function decryptJSON(key, encoded) {
+  const data = await decryptBytes(key, fromBase64URL(encoded))
+  return JSON.parse(new TextDecoder().decode(data))
+}
+
+// #endregion encrypt-decrypt
+
+// #region encoding
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} base64url encoding of bytes, without padding
+ */
+function toBase64URL(bytes) {
+  let binary = ''
+  for (const b of bytes) {
+    binary += String.fromCharCode(b)
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * @param {string} str base64url encoded string, with or without padding
+ * @returns {Uint8Array}
+ */
+function fromBase64URL(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+// #endregion encoding
@@ -0,0 +1,173 @@
+////////////////////////////////
+////// Duplicate detection
+////////////////////////////////
+
+// Finds images in the gallery that match an image the user is about to upload, by its file CID or perceptual hash
+// (see fingerprints.js). Both are stored in metadata.json for new uploads. For images uploaded before then, the file
+// CID is read from the upload's directory block, and the hash is calculated from the smallest resized copy, and both
+// are saved in the metadata cache so that only happens once. Lookups that fail (e.g. because a gateway is down) are
+// left out of the cache, so they're tried again next time.
+//
+// Private images are left out, since their metadata.json doesn't say anything about the image.
+
+import { CID } from 'multiformats'
+import { exporter } from 'ipfs-unixfs-exporter'
+import { listImageMetadata, fetchStoredFile } from './storage'
+import { putCachedMetadata } from './cache'
+import { fetchRawBlock } from './verify'
+import { imageFingerprint, perceptualHash, isSimilarHash } from './fingerprints'
+import { displayFile } from './media'
+
+// #region duplicates
+
+// fingerprints for older images are looked up a few at a time
+const maxConcurrentLookups = 4
+
+/**
+ * @typedef {object} GalleryFingerprint
+ * @property {ImageMetadata} metadata the gallery image (or album) the fingerprinted image is in
+ * @property {string} path the image's path within the upload
+ * @property {string} caption the image's caption, or the album title for album images without one
+ * @property {string|null} fileCID
+ * @property {string|null} phash
+ *
+ * @typedef {object} DuplicateMatches
+ * @property {GalleryFingerprint[]} exact images with exactly the same file
+ * @property {GalleryFingerprint[]} similar images that look the same, but aren't the same file
+ */
+
+let galleryFingerprints = null
+
+/**
+ * Finds images in the gallery that are the same as, or look like, the given image.
+ * @param {File} imageFile the file as it will be uploaded, i.e. after any EXIF data has been removed
+ * @returns {Promise<DuplicateMatches>}
+ */
+export async function findDuplicates(imageFile) {
+  const [fingerprint, gallery] = await Promise.all([imageFingerprint(imageFile), loadGalleryFingerprints()])
+  const exact = gallery.filter(image => image.fileCID === fingerprint.fileCID)
+  const similar = gallery.filter(image => !exact.includes(image) && isSimilarHash(image.phash, fingerprint.phash))
+  return { exact, similar }
+}
+
+/**
+ * Lists the fingerprints of every image in the gallery. The list is only built once per page load, since every file
+ * the user selects is compared against the same gallery.
+ * @returns {Promise<GalleryFingerprint[]>}
+ */
+export function loadGalleryFingerprints() {
+  if (!galleryFingerprints) {
+    galleryFingerprints = listGalleryFingerprints().catch(e => {
+      galleryFingerprints = null
+      throw e
+    })
+  }
+  return galleryFingerprints
+}
+
+/**
+ * Forgets the gallery's fingerprints after new images have been uploaded, so they're listed again next time.
+ */
+export function forgetGalleryFingerprints() {
+  galleryFingerprints = null
+}
+
+/**
+ * @returns {Promise<GalleryFingerprint[]>}
+ */
+async function listGalleryFingerprints() {
+  const pending = []
+  for await (const metadata of listImageMetadata()) {
+    if (!metadata.encrypted) {
+      pending.push(metadata)
+    }
+  }
+
+  const fingerprints = []
+  const worker = async () => {
+    while (pending.length > 0) {
+      fingerprints.push(...await fingerprintUpload(pending.shift()))
+    }
+  }
+  const workers = []
+  for (let i = 0; i < Math.min(maxConcurrentLookups, pending.length); i++) {
+    workers.push(worker())
+  }
+  await Promise.all(workers)
+  return fingerprints
+}
+
+/**
+ * Returns the fingerprints of the images in an upload, looking up any that weren't stored with it.
+ * @param {ImageMetadata} metadata
+ * @returns {Promise<GalleryFingerprint[]>} one fingerprint for a single image, or one for each image in an album
+ */
+async function fingerprintUpload(metadata) {
+  const images = metadata.album ? metadata.album.images : [metadata]
+  const fingerprints = []
+  let changed = false
+  for (const image of images) {
+    if (image.fileCID === undefined || image.phash === undefined) {
+      const [fileCID, phash] = await Promise.all([
+        image.fileCID === undefined ? lookUpFileCID(metadata.contentCID, image.path) : image.fileCID,
+        image.phash === undefined ? hashStoredImage(metadata.contentCID, image) : image.phash,
+      ])
+      Object.assign(image, { fileCID, phash })
+      changed = true
+    }
+    const caption = image.caption || (metadata.album ? metadata.album.title : '')
+    fingerprints.push({ metadata, path: image.path, caption, fileCID: image.fileCID, phash: image.phash })
+  }
+
+  if (changed) {
+    try {
+      await putCachedMetadata(metadata)
+    } catch (e) {
+      console.error('error caching image fingerprints:', e)
+    }
+  }
+  return fingerprints
+}
+
+/**
+ * Reads the CID of a file from the directory block of an upload, without fetching the file itself.
+ * @param {string} cid the CID of the directory containing the file
+ * @param {string} path
+ * @returns {Promise<string|undefined>} undefined if the CID couldn't be read
+ */
+async function lookUpFileCID(cid, path) {
+  try {
+    const entry = await exporter(`${CID.parse(cid)}/${path}`, { get: fetchRawBlock })
+    return entry.cid.toString()
+  } catch (e) {
+    console.warn(`unable to look up the CID of ${cid}/${path}:`, e.message)
+    return undefined
+  }
+}
+
+/**
+ * Calculates the perceptual hash of a stored image from its smallest resized copy, or the image the gallery shows if
+ * it has none (see displayFile).
+ * @param {string} cid the CID of the directory containing the image
+ * @param {ImageMetadata|AlbumImage} image
+ * @returns {Promise<string|null|undefined>} null if the image can't be decoded or there's no image to hash, e.g. for
+ *   a video without a preview, or undefined if it couldn't be fetched
+ */
+async function hashStoredImage(cid, image) {
+  const [smallest] = [...image.variants || []].sort((a, b) => a.width - b.width)
+  const shown = displayFile(image)
+  if (!smallest && !shown) {
+    return null
+  }
+  const path = smallest ? smallest.path : shown.path
+  let blob
+  try {
+    ({ blob } = await fetchStoredFile(cid, path, 'image'))
+  } catch (e) {
+    console.warn(`unable to fetch ${cid}/${path} for its perceptual hash:`, e.message)
+    return undefined
+  }
+  return perceptualHash(blob)
+}
+
+// #endregion duplicates
@@ -0,0 +1,556 @@
+////////////////////////////////
+////// Image editor
+////////////////////////////////
+
+// A canvas-based editor for queued images on the upload page: crop to an aspect ratio, rotate and flip, shrink to a
+// maximum size, and re-encode in another format or quality. The edited image is what gets uploaded, and the
+// edits are described in metadata.json (see describeEdits).
+//
+// Browsers apply the EXIF orientation tag when they decode an image, so the editor works with the image the right
+// way up. The edited file is drawn on a canvas, which leaves all of the EXIF data behind, orientation tag included,
+// so it stays the right way up wherever it's shown.
+
+import { showElement, hideElement, formatBytes } from './helpers'
+
+// #region edits
+
+// formats that survive a trip through a canvas, like the resizable types in variants.js
+export const editableTypes = ['image/jpeg', 'image/png', 'image/webp']
+
+const extensions = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' }
+
+/**
+ * @typedef {object} CropRect
+ * @property {number} x the left edge, as a fraction of the image's width
+ * @property {number} y the top edge, as a fraction of the image's height
+ * @property {number} width as a fraction of the image's width
+ * @property {number} height as a fraction of the image's height
+ *
+ * @typedef {object} ImageEdits
+ * @property {0|90|180|270} rotate clockwise rotation, in degrees
+ * @property {boolean} flipHorizontal mirrors the image left to right, after rotating
+ * @property {boolean} flipVertical mirrors the image top to bottom, after rotating
+ * @property {string} aspect the crop's aspect ratio, e.g. '4:3', or 'original' to keep the whole image
+ * @property {CropRect|null} crop the part of the rotated image to keep, or null for all of it
+ * @property {number} cropScale the crop's size, as a fraction of the largest crop with its aspect ratio
+ * @property {number|null} maxDimension the most pixels the output's width or height can have, or null for no limit
+ * @property {string} format the output's MIME type, or 'original' to keep the file's format
+ * @property {number} quality encoder quality for JPEG and WebP output, between 0 and 1
+ *
+ * @typedef {object} EditDescription the `edited` field of metadata.json
+ * @property {string} originalName the filename the image had before it was edited
+ * @property {string} originalType the MIME type of the original file
+ * @property {number} originalWidth the width of the original image the right way up, in pixels
+ * @property {number} originalHeight the height of the original image the right way up, in pixels
+ * @property {number} orientation the EXIF orientation tag that was applied to turn the image the right way up, or 1
+ * @property {0|90|180|270} rotate
+ * @property {boolean} flipHorizontal
+ * @property {boolean} flipVertical
+ * @property {{aspect: string, x: number, y: number, width: number, height: number}|null} crop the part of the rotated
+ *   image that was kept, in pixels
+ * @property {number|null} maxDimension
+ * @property {string} type the MIME type the edited image was saved as
+ * @property {number|null} quality the encoder quality, or null for PNG
+ */
+
+/**
+ * @returns {ImageEdits} edits that leave the image as it is
+ */
+export function defaultEdits() {
+  return {
+    rotate: 0,
+    flipHorizontal: false,
+    flipVertical: false,
+    aspect: 'original',
+    crop: null,
+    cropScale: 1,
+    maxDimension: null,
+    format: 'original',
+    quality: 0.85,
+  }
+}
+
+/**
+ * @param {ImageEdits|null} edits
+ * @returns {boolean} true if the edits change the image at all
+ */
+export function hasEdits(edits) {
+  return !!edits && (edits.rotate !== 0 || edits.flipHorizontal || edits.flipVertical || !!edits.crop ||
+    !!edits.maxDimension || edits.format !== 'original')
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {number} rotate degrees
+ * @returns {{width: number, height: number}} the size of the image after rotating it
+ */
+export function rotatedSize(width, height, rotate) {
+  return rotate % 180 === 0 ? { width, height } : { width: height, height: width }
+}
+
+/**
+ * Returns the largest crop with the given aspect ratio that fits in the image, scaled down and centred on a point.
+ * @param {number} width the width of the rotated image, in pixels
+ * @param {number} height the height of the rotated image, in pixels
+ * @param {string} aspect e.g. '4:3', or 'original' for no crop
+ * @param {number} [scale] the crop's size, as a fraction of the largest crop that fits
+ * @param {{x: number, y: number}} [center] the point to centre the crop on, as fractions of the image's size
+ * @returns {CropRect|null} null if the aspect is 'original'
+ */
+export function aspectCrop(width, height, aspect, scale = 1, center = { x: 0.5, y: 0.5 }) {
+  if (aspect === 'original') {
+    return null
+  }
+  const [w, h] = aspect.split(':').map(Number)
+  // the crop's size in pixels, as big as the image allows at this aspect ratio
+  let cropWidth = width
+  let cropHeight = width * h / w
+  if (cropHeight > height) {
+    cropHeight = height
+    cropWidth = height * w / h
+  }
+  const fractionWidth = cropWidth * scale / width
+  const fractionHeight = cropHeight * scale / height
+  return moveCrop({ width: fractionWidth, height: fractionHeight }, center.x - fractionWidth / 2, center.y - fractionHeight / 2)
+}
+
+/**
+ * @param {CropRect} crop
+ * @param {number} x the new left edge
+ * @param {number} y the new top edge
+ * @returns {CropRect} the crop at the new position, moved back inside the image if it would stick out
+ */
+export function moveCrop(crop, x, y) {
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max)
+  return { ...crop, x: clamp(x, 1 - crop.width), y: clamp(y, 1 - crop.height) }
+}
+
+/**
+ * Works out the size of the edited image. Images are only ever shrunk to fit maxDimension, never enlarged.
+ * @param {number} width the width of the rotated image, in pixels
+ * @param {number} height the height of the rotated image, in pixels
+ * @param {CropRect|null} crop
+ * @param {number|null} maxDimension
+ * @returns {{width: number, height: number}}
+ */
+export function outputSize(width, height, crop, maxDimension) {
+  let outWidth = crop ? width * crop.width : width
+  let outHeight = crop ? height * crop.height : height
+  const largest = Math.max(outWidth, outHeight)
+  if (maxDimension && largest > maxDimension) {
+    outWidth = outWidth * maxDimension / largest
+    outHeight = outHeight * maxDimension / largest
+  }
+  return { width: Math.max(1, Math.round(outWidth)), height: Math.max(1, Math.round(outHeight)) }
+}
+
+/**
+ * @param {string} fileType the original file's MIME type
+ * @param {string} format the format from the edits
+ * @returns {string} the MIME type to encode the edited image as
+ */
+export function outputType(fileType, format) {
+  if (format !== 'original') {
+    return format
+  }
+  return editableTypes.includes(fileType) ? fileType : 'image/png'
+}
+
+/**
+ * @param {string} name the original filename
+ * @param {string} type the edited image's MIME type
+ * @returns {string} the filename with its extension changed to match the type, if it needs changing
+ */
+export function editedFileName(name, type) {
+  const stem = name.replace(/\.[^.]+$/, '')
+  const extension = name.slice(stem.length + 1).toLowerCase()
+  const matches = extension === extensions[type] || (type === 'image/jpeg' && extension === 'jpeg')
+  return matches ? name : `${stem}.${extensions[type]}`
+}
+
+/**
+ * Decodes an image the right way up, applying its EXIF orientation tag.
+ * @param {Blob} file
+ * @returns {Promise<ImageBitmap>}
+ */
+export async function decodeImage(file) {
+  try {
+    return await createImageBitmap(file, { imageOrientation: 'from-image' })
+  } catch (e) {
+    // browsers from before 'from-image' was added reject it, and apply the orientation tag by default
+    if (e.name !== 'TypeError') {
+      throw e
+    }
+    return createImageBitmap(file)
+  }
+}
+
+/**
+ * Draws an image rotated and flipped onto a new canvas.
+ * @param {ImageBitmap|HTMLCanvasElement} source
+ * @param {ImageEdits} edits
+ * @returns {HTMLCanvasElement}
+ */
+function drawRotated(source, edits) {
+  const { width, height } = rotatedSize(source.width, source.height, edits.rotate)
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const context = canvas.getContext('2d')
+  context.translate(width / 2, height / 2)
+  // flipping before rotating the context means the flips happen along the rotated image's axes
+  context.scale(edits.flipHorizontal ? -1 : 1, edits.flipVertical ? -1 : 1)
+  context.rotate(edits.rotate * Math.PI / 180)
+  context.drawImage(source, -source.width / 2, -source.height / 2)
+  return canvas
+}
+
+/**
+ * Applies edits to an image and encodes the result.
+ * @param {File} file the original image
+ * @param {ImageEdits} edits
+ * @param {ImageBitmap} [source] the image, already decoded with decodeImage
+ * @returns {Promise<File>} the edited image, named after the original
+ */
+export async function applyEdits(file, edits, source) {
+  const bitmap = source || await decodeImage(file)
+  try {
+    const rotated = drawRotated(bitmap, edits)
+    const crop = edits.crop || { x: 0, y: 0, width: 1, height: 1 }
+    const { width, height } = outputSize(rotated.width, rotated.height, edits.crop, edits.maxDimension)
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const context = canvas.getContext('2d')
+    context.imageSmoothingQuality = 'high'
+    context.drawImage(rotated,
+      crop.x * rotated.width, crop.y * rotated.height, crop.width * rotated.width, crop.height * rotated.height,
+      0, 0, width, height)
+
+    const type = outputType(file.type, edits.format)
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, edits.quality))
+    // browsers that can't encode a format fall back to PNG, and we'd rather say so than upload the wrong format
+    if (!blob || blob.type !== type) {
+      throw new Error(`this browser can't save images as ${type}`)
+    }
+    return new File([blob], editedFileName(file.name, type), { type })
+  } finally {
+    if (!source) {
+      bitmap.close()
+    }
+  }
+}
+
+/**
+ * Describes the edits made to an image, for the `edited` field of metadata.json.
+ * @param {File} file the original image
+ * @param {ImageEdits} edits
+ * @param {object} source
+ * @param {number} source.width the width of the original image the right way up, in pixels
+ * @param {number} source.height the height of the original image the right way up, in pixels
+ * @param {number} [source.orientation] the EXIF orientation tag that was applied, if the image had one
+ * @returns {EditDescription}
+ */
+export function describeEdits(file, edits, source) {
+  const rotated = rotatedSize(source.width, source.height, edits.rotate)
+  const type = outputType(file.type, edits.format)
+  const crop = edits.crop && {
+    aspect: edits.aspect,
+    x: Math.round(edits.crop.x * rotated.width),
+    y: Math.round(edits.crop.y * rotated.height),
+    width: Math.round(edits.crop.width * rotated.width),
+    height: Math.round(edits.crop.height * rotated.height),
+  }
+  return {
+    originalName: file.name,
+    originalType: file.type,
+    originalWidth: source.width,
+    originalHeight: source.height,
+    orientation: source.orientation || 1,
+    rotate: edits.rotate,
+    flipHorizontal: edits.flipHorizontal,
+    flipVertical: edits.flipVertical,
+    crop: crop || null,
+    maxDimension: edits.maxDimension || null,
+    type,
+    quality: type === 'image/png' ? null : edits.quality,
+  }
+}
+
+/**
+ * @param {EditDescription} description
+ * @returns {string} a short summary of the edits, e.g. 'cropped to 4:3, rotated 90°, saved as WebP'
+ */
+export function summarizeEdits(description) {
+  const parts = []
+  if (description.crop) {
+    parts.push(`cropped to ${description.crop.aspect}`)
+  }
+  if (description.rotate) {
+    parts.push(`rotated ${description.rotate}°`)
+  }
+  if (description.flipHorizontal || description.flipVertical) {
+    parts.push('flipped')
+  }
+  if (description.maxDimension) {
+    parts.push(`resized to fit ${description.maxDimension} px`)
+  }
+  if (description.type !== description.originalType) {
+    parts.push(`saved as ${extensions[description.type].toUpperCase()}`)
+  }
+  if (parts.length === 0) {
+    parts.push('re-encoded')
+  }
+  return parts.join(', ')
+}
+
+// #endregion edits
+
+// #region editor-ui
+
+// the preview fits in a box this size, in CSS pixels
+const previewWidth = 480
+const previewHeight = 360
+
+// how long to wait after the last change before encoding the image to show its size
+const estimateDelay = 300
+
+/**
+ * @typedef {object} EditorResult
+ * @property {File|null} file the edited image, or null if the image was left as it was
+ * @property {ImageEdits|null} edits the edits, so the editor can start from them next time, or null if there weren't any
+ * @property {EditDescription|null} description the edits, for metadata.json
+ */
+
+/**
+ * Opens the editor for an image, over the upload page.
+ * @param {File} file the original image
+ * @param {object} [options]
+ * @param {ImageEdits|null} [options.edits] edits to start from, if the image has been edited before
+ * @param {number} [options.orientation] the image's EXIF orientation tag, if it has one
+ * @returns {Promise<EditorResult|null>} null if the user cancelled
+ */
+export async function openEditor(file, options = {}) {
+  const editor = document.getElementById('image-editor')
+  let bitmap
+  try {
+    bitmap = await decodeImage(file)
+  } catch (e) {
+    throw new Error(`unable to open ${file.name} in the editor: ${e.message}`)
+  }
+
+  const source = { width: bitmap.width, height: bitmap.height, orientation: options.orientation }
+  let edits = { ...(options.edits || defaultEdits()) }
+  // rotating and flipping are slow for big images, so the rotated image is kept until they change
+  let rotated = null
+  let estimateTimer = null
+  let estimateRun = 0
+
+  const controls = {
+    canvas: document.getElementById('editor-canvas'),
+    aspect: document.getElementById('editor-aspect-select'),
+    cropSize: document.getElementById('editor-crop-size-input'),
+    maxDimension: document.getElementById('editor-max-dimension-input'),
+    format: document.getElementById('editor-format-select'),
+    quality: document.getElementById('editor-quality-input'),
+    qualityLabel: document.getElementById('editor-quality-label'),
+    estimate: document.getElementById('editor-size-estimate'),
+  }
+  const orientationNote = document.getElementById('editor-orientation-note')
+  if (options.orientation && options.orientation !== 1) {
+    showElement(orientationNote)
+  } else {
+    hideElement(orientationNote)
+  }
+
+  const getRotated = () => {
+    if (!rotated) {
+      rotated = drawRotated(bitmap, edits)
+    }
+    return rotated
+  }
+
+  const syncControls = () => {
+    controls.aspect.value = edits.aspect
+    controls.cropSize.disabled = !edits.crop
+    controls.cropSize.value = Math.round(edits.cropScale * 100)
+    controls.maxDimension.value = edits.maxDimension || ''
+    controls.format.value = edits.format
+    controls.quality.value = Math.round(edits.quality * 100)
+    controls.qualityLabel.textContent = `${controls.quality.value}%`
+    controls.quality.disabled = outputType(file.type, edits.format) === 'image/png'
+  }
+
+  const update = changes => {
+    if ('rotate' in changes || 'flipHorizontal' in changes || 'flipVertical' in changes) {
+      rotated = null
+    }
+    edits = { ...edits, ...changes }
+    syncControls()
+    renderPreview(controls.canvas, getRotated(), edits.crop)
+    scheduleEstimate()
+  }
+
+  // the crop keeps its aspect ratio when the image is rotated, so it's worked out again from the rotated size
+  const recrop = changes => {
+    const next = { ...edits, ...changes }
+    const { width, height } = rotatedSize(bitmap.width, bitmap.height, next.rotate)
+    update({ ...changes, crop: aspectCrop(width, height, next.aspect, next.cropScale) })
+  }
+
+  const scheduleEstimate = () => {
+    clearTimeout(estimateTimer)
+    const run = ++estimateRun
+    const { width, height } = rotatedSize(bitmap.width, bitmap.height, edits.rotate)
+    const size = outputSize(width, height, edits.crop, edits.maxDimension)
+    if (!hasEdits(edits)) {
+      controls.estimate.textContent = `${size.width} × ${size.height}, ${formatBytes(file.size)} (unchanged)`
+      return
+    }
+    controls.estimate.textContent = `${size.width} × ${size.height}, working out the size…`
+    estimateTimer = setTimeout(async () => {
+      let text
+      try {
+        const edited = await applyEdits(file, edits, bitmap)
+        text = `${size.width} × ${size.height}, about ${formatBytes(edited.size)} (originally ${formatBytes(file.size)})`
+      } catch (e) {
+        text = `${size.width} × ${size.height}. ${e.message}`
+      }
+      // a later change may have started another estimate while this one was encoding
+      if (run === estimateRun) {
+        controls.estimate.textContent = text
+      }
+    }, estimateDelay)
+  }
+
+  controls.aspect.onchange = () => recrop({ aspect: controls.aspect.value, cropScale: 1 })
+  controls.cropSize.oninput = () => {
+    const { width, height } = rotatedSize(bitmap.width, bitmap.height, edits.rotate)
+    const cropScale = controls.cropSize.value / 100
+    const center = { x: edits.crop.x + edits.crop.width / 2, y: edits.crop.y + edits.crop.height / 2 }
+    update({ cropScale, crop: aspectCrop(width, height, edits.aspect, cropScale, center) })
+  }
+  document.getElementById('editor-rotate-left-button').onclick = () => recrop({ rotate: (edits.rotate + 270) % 360 })
+  document.getElementById('editor-rotate-right-button').onclick = () => recrop({ rotate: (edits.rotate + 90) % 360 })
+  document.getElementById('editor-flip-horizontal-button').onclick = () => {
+    update({ flipHorizontal: !edits.flipHorizontal })
+  }
+  document.getElementById('editor-flip-vertical-button').onclick = () => {
+    update({ flipVertical: !edits.flipVertical })
+  }
+  controls.maxDimension.onchange = () => {
+    const value = parseInt(controls.maxDimension.value, 10)
+    update({ maxDimension: value > 0 ? value : null })
+  }
+  controls.format.onchange = () => update({ format: controls.format.value })
+  controls.quality.oninput = () => update({ quality: controls.quality.value / 100 })
+  setupCropDragging(controls.canvas, () => edits.crop, crop => update({ crop }))
+
+  syncControls()
+  renderPreview(controls.canvas, getRotated(), edits.crop)
+  scheduleEstimate()
+  showElement(editor)
+  document.getElementById('editor-apply-button').focus()
+
+  return new Promise(resolve => {
+    const close = result => {
+      clearTimeout(estimateTimer)
+      estimateRun++
+      hideElement(editor)
+      document.removeEventListener('keydown', onKeyDown)
+      bitmap.close()
+      resolve(result)
+    }
+    const onKeyDown = e => {
+      if (e.key === 'Escape') {
+        close(null)
+      }
+    }
+    document.addEventListener('keydown', onKeyDown)
+
+    document.getElementById('editor-cancel-button').onclick = () => close(null)
+    document.getElementById('editor-reset-button').onclick = () => update(defaultEdits())
+    const applyButton = document.getElementById('editor-apply-button')
+    applyButton.onclick = async () => {
+      if (!hasEdits(edits)) {
+        close({ file: null, edits: null, description: null })
+        return
+      }
+      applyButton.disabled = true
+      try {
+        const edited = await applyEdits(file, edits, bitmap)
+        close({ file: edited, edits, description: describeEdits(file, edits, source) })
+      } catch (e) {
+        controls.estimate.textContent = `Unable to save the edited image: ${e.message}`
+      } finally {
+        applyButton.disabled = false
+      }
+    }
+  })
+}
+
+/**
+ * Draws the rotated image scaled down to fit the preview, with everything outside the crop darkened.
+ * @param {HTMLCanvasElement} canvas
+ * @param {HTMLCanvasElement} rotated
+ * @param {CropRect|null} crop
+ */
+function renderPreview(canvas, rotated, crop) {
+  const scale = Math.min(previewWidth / rotated.width, previewHeight / rotated.height, 1)
+  canvas.width = Math.round(rotated.width * scale)
+  canvas.height = Math.round(rotated.height * scale)
+  const context = canvas.getContext('2d')
+  context.drawImage(rotated, 0, 0, canvas.width, canvas.height)
+  if (!crop) {
+    return
+  }
+  const x = crop.x * canvas.width
+  const y = crop.y * canvas.height
+  const width = crop.width * canvas.width
+  const height = crop.height * canvas.height
+  context.fillStyle = 'rgba(0, 0, 0, 0.5)'
+  context.fillRect(0, 0, canvas.width, y)
+  context.fillRect(0, y + height, canvas.width, canvas.height - y - height)
+  context.fillRect(0, y, x, height)
+  context.fillRect(x + width, y, canvas.width - x - width, height)
+  context.strokeStyle = 'white'
+  context.lineWidth = 2
+  context.strokeRect(x, y, width, height)
+}
+
+/**
+ * Lets the crop be dragged around the preview with a mouse, pen or finger.
+ * @param {HTMLCanvasElement} canvas
+ * @param {function(): CropRect|null} getCrop
+ * @param {function(CropRect): void} setCrop
+ */
+function setupCropDragging(canvas, getCrop, setCrop) {
+  let drag = null
+  const position = e => {
+    const rect = canvas.getBoundingClientRect()
+    return { x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height }
+  }
+  canvas.onpointerdown = e => {
+    const crop = getCrop()
+    const start = position(e)
+    if (!crop || start.x < crop.x || start.x > crop.x + crop.width || start.y < crop.y || start.y > crop.y + crop.height) {
+      return
+    }
+    drag = { start, crop }
+    canvas.setPointerCapture(e.pointerId)
+  }
+  canvas.onpointermove = e => {
+    if (!drag) {
+      return
+    }
+    const now = position(e)
+    setCrop(moveCrop(drag.crop, drag.crop.x + now.x - drag.start.x, drag.crop.y + now.y - drag.start.y))
+  }
+  canvas.onpointerup = () => {
+    drag = null
+  }
+  canvas.onpointercancel = canvas.onpointerup
+}
+
+// #endregion editor-ui
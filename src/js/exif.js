@@ -0,0 +1,934 @@
+////////////////////////////////
+////// EXIF metadata
+////////////////////////////////
+
+// This module reads the EXIF metadata embedded in JPEG, PNG, WebP and HEIC files, and can remove
+// location data and identifying tags (like camera serial numbers) before a file is uploaded.
+//
+// EXIF data is stored in the TIFF format, which is a tree of "image file directories" (IFDs)
+// full of numeric tags. Each image format wraps the TIFF data differently, so we first find the
+// TIFF block in the file, then walk the IFDs we care about. Most camera RAW formats (DNG, CR2, NEF,
+// ARW and others) are TIFF files themselves, so their EXIF data is read the same way. HEIC photos and
+// Canon's CR3 files are ISO base media files (like MP4s), made of nested "boxes", and Fujifilm's RAF
+// files keep their EXIF data in an embedded JPEG.
+//
+// Stripping works by zeroing out the bytes of the tags we want to remove, rather than rewriting
+// the TIFF structure, so all the offsets in the file stay valid. XMP packets are removed from
+// formats that don't refer to things by their offset, and blanked out in the others.
+
+// #region readExif
+
+// Sizes in bytes of the TIFF field types, indexed by type id.
+const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 }
+
+const tags = {
+  make: 0x010F,
+  model: 0x0110,
+  orientation: 0x0112,
+  artist: 0x013B,
+  hostComputer: 0x013C,
+  exifIFD: 0x8769,
+  gpsIFD: 0x8825,
+  dateTimeOriginal: 0x9003,
+  makerNote: 0x927C,
+  pixelXDimension: 0xA002,
+  pixelYDimension: 0xA003,
+  imageUniqueID: 0xA420,
+  cameraOwnerName: 0xA430,
+  bodySerialNumber: 0xA431,
+  lensMake: 0xA433,
+  lensModel: 0xA434,
+  lensSerialNumber: 0xA435,
+}
+
+const gpsTags = {
+  latitudeRef: 0x01,
+  latitude: 0x02,
+  longitudeRef: 0x03,
+  longitude: 0x04,
+  altitudeRef: 0x05,
+  altitude: 0x06,
+}
+
+// Formats whose maker notes are needed to develop the image (see isSensitive)
+const rawFormats = ['tiff', 'cr3', 'raf']
+
+// Tags that can identify the photographer or their equipment. These are removed
+// when the user asks us to strip sensitive tags, along with all the GPS data.
+const sensitiveTags = {
+  [tags.artist]: 'artist',
+  [tags.hostComputer]: 'host computer',
+  [tags.makerNote]: 'maker notes',
+  [tags.imageUniqueID]: 'image ID',
+  [tags.cameraOwnerName]: 'camera owner',
+  [tags.bodySerialNumber]: 'camera serial number',
+  [tags.lensSerialNumber]: 'lens serial number',
+}
+
+/**
+ * Reads EXIF metadata from a JPEG, PNG, WebP, HEIC or RAW file.
+ * @param {File} file
+ *
+ * @typedef {object} ExifData
+ * @property {string|null} camera the camera make and model
+ * @property {string|null} lens the lens make and model
+ * @property {string|null} dateTaken when the photo was taken, as an ISO 8601 string without a timezone
+ * @property {number|null} orientation the EXIF orientation value (1-8)
+ * @property {number|null} width width of the image in pixels
+ * @property {number|null} height height of the image in pixels
+ * @property {{latitude: number, longitude: number, altitude: number|null}|null} gps where the photo was taken
+ * @property {string[]} sensitiveTags descriptions of any identifying tags present in the file, e.g. 'camera serial number'
+ * @property {boolean} hasXMP true if the file has an XMP packet, which can also contain location data
+ *
+ * @returns {Promise<ExifData|null>} the metadata, or null if the file isn't a supported format or has no EXIF data
+ */
+export async function readExif(file) {
+  if (!mightHaveExif(file)) {
+    return null
+  }
+  const bytes = new Uint8Array(await file.arrayBuffer())
+  const container = parseContainer(bytes)
+  if (!container || !container.tiff) {
+    return null
+  }
+
+  const tiff = parseContainerTiff(bytes, container)
+  if (!tiff) {
+    return null
+  }
+
+  const value = (ifd, tag) => ifd.entries.has(tag) ? readValue(tiff, ifd.entries.get(tag)) : null
+  const { ifd0, exif, gps } = tiff
+
+  const make = value(ifd0, tags.make)
+  const model = value(ifd0, tags.model)
+  const lensMake = exif && value(exif, tags.lensMake)
+  const lensModel = exif && value(exif, tags.lensModel)
+  const dateTaken = exif && value(exif, tags.dateTimeOriginal)
+
+  const found = []
+  for (const ifd of [ifd0, exif]) {
+    if (!ifd) {
+      continue
+    }
+    for (const entry of ifd.entries.values()) {
+      // stripped tags are left in place with their values zeroed out
+      const data = bytes.subarray(entry.valueOffset, entry.valueOffset + entry.size)
+      if (isSensitive(container, entry.tag) && data.some(b => b !== 0)) {
+        found.push(sensitiveTags[entry.tag])
+      }
+    }
+  }
+
+  return {
+    camera: joinNames(make, model),
+    lens: joinNames(lensMake, lensModel),
+    dateTaken: dateTaken ? exifDateToISO(dateTaken) : null,
+    orientation: value(ifd0, tags.orientation),
+    width: container.width || (exif && value(exif, tags.pixelXDimension)) || null,
+    height: container.height || (exif && value(exif, tags.pixelYDimension)) || null,
+    gps: gps ? readGPS(tiff, gps) : null,
+    sensitiveTags: found,
+    hasXMP: container.xmp.length > 0,
+  }
+}
+
+/**
+ * Returns the fields from an ExifData object that are safe to publish alongside an image.
+ * Location and identifying tags are never included.
+ * @param {ExifData|null} exif
+ * @returns {object|undefined} an object for the `exif` field of metadata.json, or undefined if there's no EXIF data
+ */
+export function publicExifFields(exif) {
+  if (!exif) {
+    return undefined
+  }
+  const { camera, lens, dateTaken, orientation, width, height } = exif
+  return { camera, lens, dateTaken, orientation, width, height }
+}
+
+// #endregion readExif
+
+// #region stripExif
+
+/**
+ * Returns a copy of the given file with location data and/or identifying tags removed.
+ * The image data itself is untouched.
+ * @param {File} file a JPEG, PNG, WebP, HEIC or RAW file that readExif can read. Other files are returned as they are.
+ * @param {object} options
+ * @param {boolean} [options.location] remove the GPS data, and any XMP packet (which can also contain a location)
+ * @param {boolean} [options.sensitive] remove serial numbers, owner names, maker notes and other identifying tags
+ * @returns {Promise<File>} a new File with the same name and type, or the original file if nothing needed removing
+ */
+export async function stripExif(file, { location = false, sensitive = false }) {
+  if ((!location && !sensitive) || !mightHaveExif(file)) {
+    return file
+  }
+
+  let bytes = new Uint8Array(await file.arrayBuffer())
+  const container = parseContainer(bytes)
+  if (!container) {
+    return file
+  }
+
+  if (container.tiff) {
+    const tiff = parseContainerTiff(bytes, container)
+    if (tiff) {
+      if (location && tiff.gps) {
+        clearIFD(tiff, tiff.gps)
+      }
+      if (sensitive) {
+        for (const ifd of [tiff.ifd0, tiff.exif]) {
+          if (!ifd) {
+            continue
+          }
+          for (const entry of ifd.entries.values()) {
+            if (isSensitive(container, entry.tag)) {
+              bytes.fill(0, entry.valueOffset, entry.valueOffset + entry.size)
+            }
+          }
+        }
+      }
+      if (container.format === 'png') {
+        updatePNGChunkCRC(bytes, container.tiff.chunk)
+      }
+    }
+  }
+
+  if (location && container.xmp.length > 0) {
+    if (container.fixedLayout) {
+      // XMP packets can be padded with whitespace, so a blank one is still valid
+      for (const { start, end } of container.xmp) {
+        bytes.fill(0x20, start, end)
+      }
+    } else {
+      bytes = removeRanges(bytes, container.xmp)
+      if (container.format === 'webp') {
+        fixWebPHeader(bytes)
+      }
+    }
+  }
+
+  return new File([bytes], file.name, { type: file.type, lastModified: file.lastModified })
+}
+
+/**
+ * @param {File} file
+ * @returns {Promise<boolean>} false if the file might have EXIF data that stripExif can't find, like a Sigma X3F
+ *   file, or a HEIC file whose EXIF data is split up
+ */
+export async function canStripExif(file) {
+  if (!mightHaveExif(file)) {
+    return true
+  }
+  return !!parseContainer(new Uint8Array(await file.arrayBuffer()))
+}
+
+/**
+ * @param {object} container from parseContainer
+ * @param {number} tag
+ * @returns {boolean} true if the tag is one we remove when stripping identifying tags. RAW converters need the maker
+ *   notes to develop the image, so they're left in RAW files.
+ */
+function isSensitive(container, tag) {
+  return !!sensitiveTags[tag] && !(rawFormats.includes(container.format) && tag === tags.makerNote)
+}
+
+/**
+ * Zeroes out every entry in an IFD, along with their values, and sets the IFD's entry count to zero.
+ * @param {object} tiff
+ * @param {object} ifd
+ */
+function clearIFD(tiff, ifd) {
+  const { bytes, view, little } = tiff
+  for (const entry of ifd.entries.values()) {
+    bytes.fill(0, entry.valueOffset, entry.valueOffset + entry.size)
+    bytes.fill(0, entry.entryOffset, entry.entryOffset + 12)
+  }
+  view.setUint16(ifd.offset, 0, little)
+}
+
+// #endregion stripExif
+
+// #region containers
+
+/**
+ * @param {File} file
+ * @returns {boolean} false for video and audio files, which are often too big to read just to find out they have no
+ *   EXIF data, and SVGs, which are text
+ */
+function mightHaveExif(file) {
+  const type = file.type || ''
+  return !type.startsWith('video/') && !type.startsWith('audio/') && type !== 'image/svg+xml'
+}
+
+/**
+ * Finds the EXIF and XMP data inside a JPEG, PNG, WebP, HEIC or RAW file.
+ * @param {Uint8Array} bytes
+ * @returns {object|null} an object with the file format, image dimensions, the location of the TIFF block
+ * (if any) and a list of byte ranges holding XMP packets, or null if the format isn't supported. The fixedLayout
+ * field is set for formats where the XMP packets can't be removed without breaking offsets elsewhere in the file, and
+ * subIFDs for CR3 files, which keep the EXIF and GPS IFDs in their own TIFF blocks.
+ */
+function parseContainer(bytes) {
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+    return parseJPEG(bytes)
+  }
+  if (matchASCII(bytes, 1, 'PNG')) {
+    return parsePNG(bytes)
+  }
+  if (matchASCII(bytes, 0, 'RIFF') && matchASCII(bytes, 8, 'WEBP')) {
+    return parseWebP(bytes)
+  }
+  // the whole file is the TIFF block. The image dimensions are read from the EXIF data, since the first IFD of a RAW
+  // file usually describes a thumbnail.
+  if (matchASCII(bytes, 0, 'II*\0') || matchASCII(bytes, 0, 'MM\0*')) {
+    return { format: 'tiff', tiff: { start: 0, end: bytes.length }, xmp: [], width: null, height: null }
+  }
+  if (matchASCII(bytes, 4, 'ftyp')) {
+    return matchASCII(bytes, 8, 'crx ') ? parseCR3(bytes) : parseHEIF(bytes)
+  }
+  if (matchASCII(bytes, 0, 'FUJIFILMCCD-RAW ')) {
+    return parseRAF(bytes)
+  }
+  return null
+}
+
+/**
+ * Walks the segments of a JPEG file, looking for the APP1 segments that hold EXIF and XMP data,
+ * and the start-of-frame segment with the image dimensions.
+ * @param {Uint8Array} bytes
+ * @returns {object}
+ */
+function parseJPEG(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const result = { format: 'jpeg', tiff: null, xmp: [], width: null, height: null }
+  let pos = 2
+  while (pos + 4 <= bytes.length) {
+    if (bytes[pos] !== 0xFF) {
+      break
+    }
+    const marker = bytes[pos + 1]
+    // markers without a length field
+    if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01 || marker === 0xFF) {
+      pos += marker === 0xFF ? 1 : 2
+      continue
+    }
+    // start of scan: everything after this is image data
+    if (marker === 0xDA || marker === 0xD9) {
+      break
+    }
+    const length = view.getUint16(pos + 2)
+    const dataStart = pos + 4
+    const end = pos + 2 + length
+
+    if (marker === 0xE1 && matchASCII(bytes, dataStart, 'Exif\0\0') && !result.tiff) {
+      result.tiff = { start: dataStart + 6, end }
+    } else if (marker === 0xE1 && matchASCII(bytes, dataStart, 'http://ns.adobe.com/xap/1.0/')) {
+      result.xmp.push({ start: pos, end })
+    }
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC), which share the range
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      result.height = view.getUint16(dataStart + 1)
+      result.width = view.getUint16(dataStart + 3)
+    }
+    pos = end
+  }
+  return result
+}
+
+/**
+ * Walks the chunks of a PNG file, looking for the eXIf chunk, any XMP iTXt chunks,
+ * and the IHDR chunk with the image dimensions.
+ * @param {Uint8Array} bytes
+ * @returns {object}
+ */
+function parsePNG(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const result = { format: 'png', tiff: null, xmp: [], width: null, height: null }
+  let pos = 8
+  while (pos + 12 <= bytes.length) {
+    const length = view.getUint32(pos)
+    const dataStart = pos + 8
+    const end = dataStart + length + 4
+    if (matchASCII(bytes, pos + 4, 'IHDR')) {
+      result.width = view.getUint32(dataStart)
+      result.height = view.getUint32(dataStart + 4)
+    } else if (matchASCII(bytes, pos + 4, 'eXIf')) {
+      result.tiff = { start: dataStart, end: dataStart + length, chunk: { start: pos, length } }
+    } else if (matchASCII(bytes, pos + 4, 'iTXt') && matchASCII(bytes, dataStart, 'XML:com.adobe.xmp\0')) {
+      result.xmp.push({ start: pos, end })
+    } else if (matchASCII(bytes, pos + 4, 'IEND')) {
+      break
+    }
+    pos = end
+  }
+  return result
+}
+
+/**
+ * Walks the chunks of a WebP file, looking for the EXIF and XMP chunks, and the image dimensions.
+ * @param {Uint8Array} bytes
+ * @returns {object}
+ */
+function parseWebP(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const result = { format: 'webp', tiff: null, xmp: [], width: null, height: null }
+  let pos = 12
+  while (pos + 8 <= bytes.length) {
+    const length = view.getUint32(pos + 4, true)
+    const dataStart = pos + 8
+    // chunks are padded to an even length
+    const end = dataStart + length + (length % 2)
+    if (matchASCII(bytes, pos, 'VP8X')) {
+      result.width = 1 + readUint24LE(bytes, dataStart + 4)
+      result.height = 1 + readUint24LE(bytes, dataStart + 7)
+    } else if (matchASCII(bytes, pos, 'VP8 ') && !result.width) {
+      result.width = view.getUint16(dataStart + 6, true) & 0x3FFF
+      result.height = view.getUint16(dataStart + 8, true) & 0x3FFF
+    } else if (matchASCII(bytes, pos, 'VP8L') && !result.width) {
+      const bits = view.getUint32(dataStart + 1, true)
+      result.width = 1 + (bits & 0x3FFF)
+      result.height = 1 + ((bits >> 14) & 0x3FFF)
+    } else if (matchASCII(bytes, pos, 'EXIF')) {
+      // some encoders include the JPEG-style "Exif\0\0" header, although the spec says not to
+      const start = matchASCII(bytes, dataStart, 'Exif\0\0') ? dataStart + 6 : dataStart
+      result.tiff = { start, end: dataStart + length }
+    } else if (matchASCII(bytes, pos, 'XMP ')) {
+      result.xmp.push({ start: pos, end })
+    }
+    pos = end
+  }
+  return result
+}
+
+/**
+ * Finds the EXIF and XMP items in a HEIC, HEIF or AVIF file. The items are listed in the `iinf` box inside the
+ * top-level `meta` box, and the `iloc` box says where in the file each one is. An EXIF item starts with the offset of
+ * its TIFF header. The image dimensions come from the largest `ispe` property, since the others belong to tiles and
+ * thumbnails.
+ * @param {Uint8Array} bytes
+ * @returns {object|null} null if the file has an EXIF item that we can't find the data for
+ */
+function parseHEIF(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const result = { format: 'heif', tiff: null, xmp: [], width: null, height: null, fixedLayout: true }
+  const meta = readBoxes(bytes, 0, bytes.length).find(box => box.type === 'meta')
+  if (!meta) {
+    return result
+  }
+  // meta is a "full box", with a version and flags before its children
+  const children = readBoxes(bytes, meta.dataStart + 4, meta.end)
+  const child = type => children.find(box => box.type === type)
+
+  const items = readItemTypes(bytes, child('iinf'))
+  const locations = readItemLocations(bytes, child('iloc'), child('idat'))
+  for (const [id, type] of items) {
+    if (type !== 'Exif' && type !== 'application/rdf+xml') {
+      continue
+    }
+    const location = locations.get(id)
+    if (!location) {
+      // the data is split up, or somewhere we don't look, so we can't say what's in it or remove it
+      return null
+    }
+    if (type === 'Exif') {
+      const start = location.start + 4 + view.getUint32(location.start)
+      result.tiff = { start, end: location.end }
+    } else {
+      result.xmp.push(location)
+    }
+  }
+
+  const properties = child('iprp') && readBoxes(bytes, child('iprp').dataStart, child('iprp').end)
+  const ipco = properties && properties.find(box => box.type === 'ipco')
+  for (const box of ipco ? readBoxes(bytes, ipco.dataStart, ipco.end) : []) {
+    if (box.type === 'ispe' && box.dataStart + 12 <= box.end) {
+      const width = view.getUint32(box.dataStart + 4)
+      if (width > (result.width || 0)) {
+        result.width = width
+        result.height = view.getUint32(box.dataStart + 8)
+      }
+    }
+  }
+  return result
+}
+
+/**
+ * Reads the type of each item from an `iinf` box. Only version 2 and 3 item entries have a type, and XMP items are
+ * `mime` items with their content type after the name.
+ * @param {Uint8Array} bytes
+ * @param {object} [iinf] the box
+ * @returns {Map<number, string>} item types, e.g. 'Exif' or 'application/rdf+xml', keyed by item ID
+ */
+function readItemTypes(bytes, iinf) {
+  const items = new Map()
+  if (!iinf) {
+    return items
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const countSize = bytes[iinf.dataStart] === 0 ? 2 : 4
+  for (const infe of readBoxes(bytes, iinf.dataStart + 4 + countSize, iinf.end)) {
+    const version = bytes[infe.dataStart]
+    if (infe.type !== 'infe' || version < 2) {
+      continue
+    }
+    let pos = infe.dataStart + 4
+    const id = version === 2 ? view.getUint16(pos) : view.getUint32(pos)
+    pos += version === 2 ? 2 : 4
+    // after the protection index
+    pos += 2
+    let type = readASCII(bytes, pos, 4)
+    if (type === 'mime') {
+      // the item name, then the content type, both null-terminated
+      const nameEnd = bytes.indexOf(0, pos + 4)
+      const typeEnd = nameEnd === -1 ? -1 : bytes.indexOf(0, nameEnd + 1)
+      type = typeEnd === -1 || typeEnd > infe.end ? '' : readASCII(bytes, nameEnd + 1, typeEnd - nameEnd - 1)
+    }
+    items.set(id, type)
+  }
+  return items
+}
+
+/**
+ * Reads where each item's data is from an `iloc` box. Items stored in one piece, either at an offset in the file or
+ * in the `idat` box, are included.
+ * @param {Uint8Array} bytes
+ * @param {object} [iloc] the box
+ * @param {object} [idat] the box holding data for items stored with construction method 1
+ * @returns {Map<number, {start: number, end: number}>} byte ranges, keyed by item ID
+ */
+function readItemLocations(bytes, iloc, idat) {
+  const locations = new Map()
+  if (!iloc) {
+    return locations
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const version = bytes[iloc.dataStart]
+  let pos = iloc.dataStart + 4
+  const offsetSize = bytes[pos] >> 4
+  const lengthSize = bytes[pos] & 0xF
+  const baseOffsetSize = bytes[pos + 1] >> 4
+  const indexSize = version > 0 ? bytes[pos + 1] & 0xF : 0
+  pos += 2
+  const readNumber = size => {
+    const value = size === 8 ? view.getUint32(pos) * 2 ** 32 + view.getUint32(pos + 4) : size === 4 ? view.getUint32(pos) : size === 2 ? view.getUint16(pos) : 0
+    pos += size
+    return value
+  }
+  const itemCount = readNumber(version < 2 ? 2 : 4)
+  for (let i = 0; i < itemCount && pos < iloc.end; i++) {
+    const id = readNumber(version < 2 ? 2 : 4)
+    const method = version > 0 ? readNumber(2) & 0xF : 0
+    // the data reference index, which is always 0 (this file) in practice
+    pos += 2
+    const baseOffset = readNumber(baseOffsetSize)
+    const extentCount = readNumber(2)
+    const extents = []
+    for (let j = 0; j < extentCount; j++) {
+      readNumber(indexSize)
+      extents.push({ offset: readNumber(offsetSize), length: readNumber(lengthSize) })
+    }
+    if (pos > iloc.end || extents.length !== 1 || (method !== 0 && !(method === 1 && idat))) {
+      continue
+    }
+    const start = (method === 1 ? idat.dataStart : 0) + baseOffset + extents[0].offset
+    // a length of 0 means the rest of the file
+    const end = extents[0].length ? start + extents[0].length : bytes.length
+    if (end <= bytes.length && end - start >= 4) {
+      locations.set(id, { start, end })
+    }
+  }
+  return locations
+}
+
+// The uuid of the box in a CR3 file's moov box that holds its TIFF blocks, and of the top-level box with its XMP packet
+const canonMetadataUUID = '85c0b687820f11e08111f4ce462b6a48'
+const xmpUUID = 'be7acfcb97a942e89c71999491e3afac'
+
+/**
+ * Finds the EXIF data in a Canon CR3 file. There are separate TIFF blocks, in boxes named CMT1 for IFD0, CMT2 for the
+ * EXIF IFD, CMT3 for the maker notes and CMT4 for the GPS IFD, each of which has the IFD as its first one.
+ * @param {Uint8Array} bytes
+ * @returns {object}
+ */
+function parseCR3(bytes) {
+  const result = { format: 'cr3', tiff: null, xmp: [], width: null, height: null, fixedLayout: true, subIFDs: {} }
+  const boxes = readBoxes(bytes, 0, bytes.length)
+  const moov = boxes.find(box => box.type === 'moov')
+  const canon = moov && readBoxes(bytes, moov.dataStart, moov.end).find(box => box.uuid === canonMetadataUUID)
+  for (const box of canon ? readBoxes(bytes, canon.dataStart, canon.end) : []) {
+    const range = { start: box.dataStart, end: box.end }
+    if (box.type === 'CMT1') {
+      result.tiff = range
+    } else if (box.type === 'CMT2') {
+      result.subIFDs.exif = range
+    } else if (box.type === 'CMT4') {
+      result.subIFDs.gps = range
+    }
+  }
+  for (const box of boxes) {
+    if (box.uuid === xmpUUID) {
+      result.xmp.push({ start: box.dataStart, end: box.end })
+    }
+  }
+  return result
+}
+
+/**
+ * Finds the EXIF data in a Fujifilm RAF file, which is in the JPEG preview that the header points to.
+ * @param {Uint8Array} bytes
+ * @returns {object|null} null if the preview isn't where the header says it is
+ */
+function parseRAF(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  if (bytes.length < 92) {
+    return null
+  }
+  const start = view.getUint32(84)
+  const end = start + view.getUint32(88)
+  if (end > bytes.length || bytes[start] !== 0xFF || bytes[start + 1] !== 0xD8) {
+    return null
+  }
+  const jpeg = parseJPEG(bytes.subarray(start, end))
+  const shift = range => ({ ...range, start: range.start + start, end: range.end + start })
+  // the preview's dimensions aren't the photo's, so they're read from the EXIF data instead
+  return {
+    format: 'raf',
+    tiff: jpeg.tiff && shift(jpeg.tiff),
+    xmp: jpeg.xmp.map(shift),
+    width: null,
+    height: null,
+    fixedLayout: true,
+  }
+}
+
+/**
+ * Reads the boxes of an ISO base media file (like HEIC, CR3 or MP4) between two offsets, without going into them.
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} end
+ * @returns {{type: string, uuid?: string, start: number, dataStart: number, end: number}[]}
+ */
+function readBoxes(bytes, start, end) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const boxes = []
+  let pos = start
+  while (pos + 8 <= end) {
+    let size = view.getUint32(pos)
+    const type = readASCII(bytes, pos + 4, 4)
+    let dataStart = pos + 8
+    if (size === 1) {
+      // a 64-bit size follows the type
+      if (pos + 16 > end) {
+        break
+      }
+      size = view.getUint32(pos + 8) * 2 ** 32 + view.getUint32(pos + 12)
+      dataStart += 8
+    } else if (size === 0) {
+      // the box goes to the end of its parent
+      size = end - pos
+    }
+    if (size < dataStart - pos || pos + size > end) {
+      break
+    }
+    const box = { type, start: pos, dataStart, end: pos + size }
+    if (type === 'uuid' && dataStart + 16 <= box.end) {
+      box.uuid = [...bytes.subarray(dataStart, dataStart + 16)].map(b => b.toString(16).padStart(2, '0')).join('')
+      box.dataStart += 16
+    }
+    boxes.push(box)
+    pos += size
+  }
+  return boxes
+}
+
+/**
+ * Updates the RIFF size and VP8X flags of a WebP file after its XMP chunk has been removed.
+ * @param {Uint8Array} bytes
+ */
+function fixWebPHeader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  view.setUint32(4, bytes.length - 8, true)
+  if (matchASCII(bytes, 12, 'VP8X')) {
+    // bit 2 of the VP8X flags says whether the file has XMP metadata
+    bytes[20] &= ~0x04
+  }
+}
+
+/**
+ * Recalculates the CRC for a PNG chunk after its data has been changed.
+ * @param {Uint8Array} bytes
+ * @param {{start: number, length: number}} chunk
+ */
+function updatePNGChunkCRC(bytes, chunk) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  // the CRC covers the chunk type and data, but not the length
+  const crc = crc32(bytes.subarray(chunk.start + 4, chunk.start + 8 + chunk.length))
+  view.setUint32(chunk.start + 8 + chunk.length, crc)
+}
+
+// #endregion containers
+
+// #region tiff
+
+/**
+ * Parses the TIFF block that parseContainer found. CR3 files keep the EXIF and GPS IFDs in TIFF blocks of their own,
+ * which are read here as if they were part of the first one.
+ * @param {Uint8Array} bytes the whole file
+ * @param {object} container from parseContainer
+ * @returns {object|null} null if the TIFF header is invalid
+ */
+function parseContainerTiff(bytes, container) {
+  const tiff = parseTiff(bytes, container.tiff.start, container.tiff.end)
+  if (!tiff || !container.subIFDs) {
+    return tiff
+  }
+  for (const [name, range] of Object.entries(container.subIFDs)) {
+    const sub = parseTiff(bytes, range.start, range.end)
+    // values are read with the first block's byte order, which the others share in practice
+    if (sub && sub.little === tiff.little) {
+      tiff[name] = sub.ifd0
+    }
+  }
+  return tiff
+}
+
+/**
+ * Parses the TIFF header and the IFDs we're interested in: IFD0, the EXIF IFD and the GPS IFD.
+ * @param {Uint8Array} bytes the whole file
+ * @param {number} start offset of the TIFF header within the file
+ * @param {number} end offset of the end of the TIFF block
+ * @returns {object|null} null if the TIFF header is invalid
+ */
+function parseTiff(bytes, start, end) {
+  if (end - start < 8) {
+    return null
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  let little
+  if (matchASCII(bytes, start, 'II')) {
+    little = true
+  } else if (matchASCII(bytes, start, 'MM')) {
+    little = false
+  } else {
+    return null
+  }
+  if (view.getUint16(start + 2, little) !== 42) {
+    return null
+  }
+
+  const tiff = { bytes, view, little, start, end }
+  tiff.ifd0 = readIFD(tiff, view.getUint32(start + 4, little))
+  if (!tiff.ifd0) {
+    return null
+  }
+  const subIFD = tag => {
+    const entry = tiff.ifd0.entries.get(tag)
+    return entry ? readIFD(tiff, view.getUint32(entry.valueOffset, little)) : null
+  }
+  tiff.exif = subIFD(tags.exifIFD)
+  tiff.gps = subIFD(tags.gpsIFD)
+  return tiff
+}
+
+/**
+ * Reads the entries of an IFD. Entries that point outside the TIFF block are skipped.
+ * @param {object} tiff
+ * @param {number} ifdOffset offset of the IFD, relative to the start of the TIFF header
+ * @returns {object|null} an object with the IFD's absolute offset and a Map of its entries by tag, or null if out of bounds
+ */
+function readIFD(tiff, ifdOffset) {
+  const { view, little, start, end } = tiff
+  const offset = start + ifdOffset
+  if (offset + 2 > end) {
+    return null
+  }
+  const count = view.getUint16(offset, little)
+  const entries = new Map()
+  for (let i = 0; i < count; i++) {
+    const entryOffset = offset + 2 + i * 12
+    if (entryOffset + 12 > end) {
+      break
+    }
+    const tag = view.getUint16(entryOffset, little)
+    const type = view.getUint16(entryOffset + 2, little)
+    const n = view.getUint32(entryOffset + 4, little)
+    const size = (typeSizes[type] || 1) * n
+    // values that fit in four bytes are stored inline in the entry
+    const valueOffset = size <= 4 ? entryOffset + 8 : start + view.getUint32(entryOffset + 8, little)
+    if (valueOffset + size > end) {
+      continue
+    }
+    entries.set(tag, { tag, type, count: n, size, valueOffset, entryOffset })
+  }
+  return { offset, entries }
+}
+
+/**
+ * Reads the value of an IFD entry. Strings are trimmed, single values are returned as numbers,
+ * and rationals are converted to floating point.
+ * @param {object} tiff
+ * @param {object} entry
+ * @returns {string|number|number[]|null}
+ */
+function readValue(tiff, entry) {
+  const { bytes, view, little } = tiff
+  const { type, count, valueOffset } = entry
+
+  // ASCII, and UNDEFINED which some cameras use for strings
+  if (type === 2 || type === 7) {
+    const raw = bytes.subarray(valueOffset, valueOffset + count)
+    const nul = raw.indexOf(0)
+    const text = String.fromCharCode(...(nul === -1 ? raw : raw.subarray(0, nul))).trim()
+    return text || null
+  }
+
+  const values = []
+  for (let i = 0; i < count; i++) {
+    const p = valueOffset + i * typeSizes[type]
+    switch (type) {
+      case 1: values.push(view.getUint8(p)); break
+      case 3: values.push(view.getUint16(p, little)); break
+      case 4: values.push(view.getUint32(p, little)); break
+      case 9: values.push(view.getInt32(p, little)); break
+      case 5: values.push(view.getUint32(p, little) / view.getUint32(p + 4, little)); break
+      case 10: values.push(view.getInt32(p, little) / view.getInt32(p + 4, little)); break
+      default: return null
+    }
+  }
+  return count === 1 ? values[0] : values
+}
+
+/**
+ * Converts the GPS IFD into decimal degrees.
+ * @param {object} tiff
+ * @param {object} gps the GPS IFD
+ * @returns {{latitude: number, longitude: number, altitude: number|null}|null}
+ */
+function readGPS(tiff, gps) {
+  const value = tag => gps.entries.has(tag) ? readValue(tiff, gps.entries.get(tag)) : null
+  const lat = value(gpsTags.latitude)
+  const lon = value(gpsTags.longitude)
+  if (!Array.isArray(lat) || !Array.isArray(lon)) {
+    return null
+  }
+  const toDegrees = ([d, m, s]) => d + m / 60 + s / 3600
+  const latitude = toDegrees(lat) * (value(gpsTags.latitudeRef) === 'S' ? -1 : 1)
+  const longitude = toDegrees(lon) * (value(gpsTags.longitudeRef) === 'W' ? -1 : 1)
+  const alt = value(gpsTags.altitude)
+  // an altitude ref of 1 means below sea level
+  const altitude = typeof alt === 'number' ? alt * (value(gpsTags.altitudeRef) === 1 ? -1 : 1) : null
+  return { latitude, longitude, altitude }
+}
+
+// #endregion tiff
+
+// #region utils
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {string} str
+ * @returns {boolean} true if the bytes at offset match the given ASCII string
+ */
+function matchASCII(bytes, offset, str) {
+  if (offset + str.length > bytes.length) {
+    return false
+  }
+  for (let i = 0; i < str.length; i++) {
+    if (bytes[offset + i] !== str.charCodeAt(i)) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} length
+ * @returns {string}
+ */
+function readASCII(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length))
+}
+
+function readUint24LE(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16)
+}
+
+/**
+ * Returns a copy of bytes with the given (non-overlapping) ranges removed.
+ * @param {Uint8Array} bytes
+ * @param {{start: number, end: number}[]} ranges
+ * @returns {Uint8Array}
+ */
+function removeRanges(bytes, ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start)
+  const removed = sorted.reduce((total, r) => total + r.end - r.start, 0)
+  const out = new Uint8Array(bytes.length - removed)
+  let src = 0
+  let dest = 0
+  for (const { start, end } of sorted) {
+    out.set(bytes.subarray(src, start), dest)
+    dest += start - src
+    src = end
+  }
+  out.set(bytes.subarray(src), dest)
+  return out
+}
+
+/**
+ * "2021:07:04 18:30:00" -> "2021-07-04T18:30:00"
+ * @param {string} value an EXIF date string
+ * @returns {string|null}
+ */
+function exifDateToISO(value) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value)
+  if (!match) {
+    return null
+  }
+  const [, year, month, day, hour, minute, second] = match
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}`
+}
+
+/**
+ * Joins a make and model, avoiding repetition like "Canon Canon EOS R5".
+ * @param {string|null} make
+ * @param {string|null} model
+ * @returns {string|null}
+ */
+function joinNames(make, model) {
+  if (make && model) {
+    return model.startsWith(make) ? model : `${make} ${model}`
+  }
+  return make || model || null
+}
+
+let crcTable = null
+
+/**
+ * Standard CRC-32, as used by PNG.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable[n] = c
+    }
+  }
+  let crc = 0xFFFFFFFF
+  for (const b of bytes) {
+    crc = crcTable[(crc ^ b) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+// #endregion utils
@@ -0,0 +1,246 @@
+////////////////////////////////
+////// Gallery search, filters & sorting
+////////////////////////////////
+
+// The gallery's view, search text, filters and sort order are kept in the location hash parameters,
+// e.g. '#bafy...?view=grid&q=beach&sort=oldest', so any view of the gallery can be bookmarked or shared.
+// These functions convert between those parameters and a ViewState, and apply a ViewState to a list of images.
+
+// #region view-state
+
+/**
+ * @typedef {object} ViewState
+ * @property {'carousel'|'grid'} view whether to show one image at a time, or a grid of thumbnails
+ * @property {string} query free text to search for in captions and filenames
+ * @property {string} type only show images of this type (see getImageType), or '' for every type
+ * @property {string} from only show images uploaded on or after this date (YYYY-MM-DD), or '' for no limit
+ * @property {string} to only show images uploaded on or before this date (YYYY-MM-DD), or '' for no limit
+ * @property {string} tag only show images with this tag, or '' for every image
+ * @property {string} collection only show images in the collection with this name, or '' for every image
+ * @property {'newest'|'oldest'|'name'|'name-desc'} sort the order to show images in
+ */
+
+/** @type {ViewState} */
+export const defaultViewState = {
+  view: 'carousel',
+  query: '',
+  type: '',
+  from: '',
+  to: '',
+  tag: '',
+  collection: '',
+  sort: 'newest',
+}
+
+// the name of the location hash parameter for each ViewState field
+const paramNames = {
+  view: 'view',
+  query: 'q',
+  type: 'type',
+  from: 'from',
+  to: 'to',
+  tag: 'tag',
+  collection: 'collection',
+  sort: 'sort',
+}
+
+const sortOrders = ['newest', 'oldest', 'name', 'name-desc']
+
+/**
+ * @param {URLSearchParams} params parameters from the location hash
+ * @returns {ViewState}
+ */
+export function parseViewState(params) {
+  const state = { ...defaultViewState }
+  for (const [field, name] of Object.entries(paramNames)) {
+    const value = params.get(name)
+    if (value) {
+      state[field] = value
+    }
+  }
+  if (state.view !== 'grid') {
+    state.view = 'carousel'
+  }
+  if (!sortOrders.includes(state.sort)) {
+    state.sort = defaultViewState.sort
+  }
+  return state
+}
+
+/**
+ * @param {ViewState} state
+ * @returns {URLSearchParams} parameters for the location hash, leaving out any fields that have their default value
+ */
+export function viewStateToParams(state) {
+  const params = new URLSearchParams()
+  for (const [field, name] of Object.entries(paramNames)) {
+    if (state[field] && state[field] !== defaultViewState[field]) {
+      params.set(name, state[field])
+    }
+  }
+  return params
+}
+
+/**
+ * @param {ViewState} a
+ * @param {ViewState} b
+ * @returns {boolean} true if both states would show the same images in the same way
+ */
+export function isSameViewState(a, b) {
+  return Object.keys(paramNames).every(field => a[field] === b[field])
+}
+
+/**
+ * Returns a location hash for the gallery, showing the images that match the given filters in the grid.
+ * Used by tag chips and the tag index page.
+ * @param {Partial<ViewState>} filters e.g. { tag: 'beach' }
+ * @returns {string} e.g. '#?view=grid&tag=beach'
+ */
+export function filterViewHash(filters) {
+  return `#?${viewStateToParams({ ...defaultViewState, view: 'grid', ...filters })}`
+}
+
+// #endregion view-state
+
+// #region filtering
+
+/**
+ * Returns a short name for the kind of upload, used by the type filter.
+ * @param {ImageMetadata} metadata
+ * @returns {string} 'private', 'album', or the image format, e.g. 'jpeg' or 'png'
+ */
+export function getImageType(metadata) {
+  if (metadata.encrypted) {
+    return 'private'
+  }
+  if (metadata.album) {
+    return 'album'
+  }
+  const extension = (metadata.path || '').split('.').pop().toLowerCase()
+  if (extension === 'jpg' || extension === 'jpeg') {
+    return 'jpeg'
+  }
+  return extension || 'other'
+}
+
+/**
+ * Returns the images that match the search text and filters in a ViewState, in its sort order.
+ * @param {ImageMetadata[]} images
+ * @param {ViewState} state
+ * @returns {ImageMetadata[]}
+ */
+export function applyViewState(images, state) {
+  const query = state.query.trim().toLowerCase()
+  const from = state.from ? new Date(`${state.from}T00:00:00`).getTime() : -Infinity
+  const to = state.to ? new Date(`${state.to}T23:59:59.999`).getTime() : Infinity
+
+  const matching = images.filter(metadata => {
+    if (query && !getSearchText(metadata).includes(query)) {
+      return false
+    }
+    if (state.type && getImageType(metadata) !== state.type) {
+      return false
+    }
+    if (state.tag && !(metadata.tags || []).includes(state.tag)) {
+      return false
+    }
+    if (state.collection && metadata.collection !== state.collection) {
+      return false
+    }
+    if (state.from || state.to) {
+      const created = Date.parse(metadata.created)
+      if (isNaN(created) || created < from || created > to) {
+        return false
+      }
+    }
+    return true
+  })
+  return sortImages(matching, state.sort)
+}
+
+/**
+ * @param {ImageMetadata} metadata
+ * @returns {string} the text the search box looks in, in lower case
+ */
+function getSearchText(metadata) {
+  const parts = [metadata.caption, metadata.path, metadata.collection, ...(metadata.tags || [])]
+  if (metadata.album) {
+    parts.push(metadata.album.title)
+    for (const image of metadata.album.images) {
+      parts.push(image.caption, image.path)
+    }
+  }
+  return parts.filter(Boolean).join('\n').toLowerCase()
+}
+
+/**
+ * @param {ImageMetadata[]} images
+ * @param {ViewState['sort']} sort
+ * @returns {ImageMetadata[]} a sorted copy of the images
+ */
+function sortImages(images, sort) {
+  const byDate = (a, b) => (Date.parse(b.created) || 0) - (Date.parse(a.created) || 0)
+  const byName = (a, b) => getSortName(a).localeCompare(getSortName(b))
+  const sorted = [...images]
+  switch (sort) {
+    case 'oldest':
+      return sorted.sort((a, b) => byDate(b, a))
+    case 'name':
+      return sorted.sort(byName)
+    case 'name-desc':
+      return sorted.sort((a, b) => byName(b, a))
+    default:
+      return sorted.sort(byDate)
+  }
+}
+
+/**
+ * @param {ImageMetadata} metadata
+ * @returns {string} the caption (or album title) if there is one, otherwise the filename
+ */
+function getSortName(metadata) {
+  const name = metadata.album ? metadata.album.title : metadata.caption
+  return (name || metadata.path || '').toLowerCase()
+}
+
+// #endregion filtering
+
+// #region tag-index
+
+/**
+ * @typedef {object} GroupCount
+ * @property {string} name a tag or collection name
+ * @property {number} count how many images have the tag, or are in the collection
+ */
+
+/**
+ * @param {ImageMetadata[]} images
+ * @returns {GroupCount[]} every tag used by the images, most used first
+ */
+export function countTags(images) {
+  return countNames(images.flatMap(metadata => metadata.tags || []))
+}
+
+/**
+ * @param {ImageMetadata[]} images
+ * @returns {GroupCount[]} every collection the images are in, largest first
+ */
+export function countCollections(images) {
+  return countNames(images.map(metadata => metadata.collection).filter(Boolean))
+}
+
+/**
+ * @param {string[]} names
+ * @returns {GroupCount[]} the number of times each name appears, most common first, then in alphabetical order
+ */
+function countNames(names) {
+  const counts = new Map()
+  for (const name of names) {
+    counts.set(name, (counts.get(name) || 0) + 1)
+  }
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+}
+
+// #endregion tag-index
@@ -0,0 +1,108 @@
+////////////////////////////////
+////// Image fingerprints
+////////////////////////////////
+
+// Two ways of recognizing an image that's already in the gallery:
+//
+// - the file CID, which is calculated with the same settings as the upload (see car-upload.js), so it matches the
+//   CID of the image file inside the gallery upload. It only matches byte-for-byte copies.
+// - a perceptual hash, which stays (nearly) the same when an image is resized, re-encoded or has its EXIF data
+//   removed. We use a difference hash: the image is shrunk to 9×8 pixels in greyscale, and each bit says whether a
+//   pixel is brighter than the one to its right. Similar images have hashes that differ in only a few bits.
+
+import { computeFileCID } from './car-upload'
+
+// #region fingerprints
+
+const hashWidth = 9
+const hashHeight = 8
+
+// hashes that differ in this many of their 64 bits or fewer are counted as the same picture
+const similarityThreshold = 10
+
+/**
+ * @typedef {object} ImageFingerprint
+ * @property {string} fileCID the CID of the image file
+ * @property {string|null} phash the perceptual hash, as 16 hex digits, or null if the image couldn't be decoded
+ */
+
+/**
+ * @param {Blob} imageFile
+ * @returns {Promise<ImageFingerprint>}
+ */
+export async function imageFingerprint(imageFile) {
+  const [fileCID, phash] = await Promise.all([computeFileCID(imageFile), perceptualHash(imageFile)])
+  return { fileCID, phash }
+}
+
+/**
+ * Calculates the difference hash of an image.
+ * @param {Blob} imageFile
+ * @returns {Promise<string|null>} 16 hex digits, or null if the browser can't decode the image
+ */
+export async function perceptualHash(imageFile) {
+  let bitmap
+  try {
+    bitmap = await createImageBitmap(imageFile)
+  } catch (e) {
+    console.warn('unable to decode image for its perceptual hash:', e.message)
+    return null
+  }
+
+  let pixels
+  try {
+    const canvas = document.createElement('canvas')
+    canvas.width = hashWidth
+    canvas.height = hashHeight
+    const context = canvas.getContext('2d')
+    context.drawImage(bitmap, 0, 0, hashWidth, hashHeight)
+    pixels = context.getImageData(0, 0, hashWidth, hashHeight).data
+  } catch (e) {
+    console.warn('unable to read image pixels for its perceptual hash:', e.message)
+    return null
+  } finally {
+    bitmap.close()
+  }
+
+  const brightness = (x, y) => {
+    const i = (y * hashWidth + x) * 4
+    return 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]
+  }
+  let hash = ''
+  for (let y = 0; y < hashHeight; y++) {
+    let byte = 0
+    for (let x = 0; x < hashWidth - 1; x++) {
+      byte = (byte << 1) | (brightness(x, y) > brightness(x + 1, y) ? 1 : 0)
+    }
+    hash += byte.toString(16).padStart(2, '0')
+  }
+  return hash
+}
+
+/**
+ * @param {string} a a perceptual hash
+ * @param {string} b a perceptual hash of the same length
+ * @returns {number} the number of bits that differ
+ */
+export function hammingDistance(a, b) {
+  let distance = 0
+  for (let i = 0; i < a.length; i += 2) {
+    let diff = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16)
+    while (diff) {
+      distance += diff & 1
+      diff >>= 1
+    }
+  }
+  return distance
+}
+
+/**
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {boolean} true if both hashes are known and close enough to be the same picture
+ */
+export function isSimilarHash(a, b) {
+  return !!a && !!b && a.length === b.length && hammingDistance(a, b) <= similarityThreshold
+}
+
+// #endregion fingerprints
@@ -0,0 +1,246 @@
+////////////////////////////////
+////// Gallery upload format
+////////////////////////////////
+
+// The parts of the storage logic that don't need a browser: how gallery uploads are named, what goes in their
+// metadata.json, and how to list them and read their metadata back. storage.js builds on this for the web app, and
+// scripts/gallery.mjs for the command line tool, so uploads made by either one show up in both.
+//
+// This module is loaded directly by Node as well as by Vite, so its relative imports (and the imports of the modules
+// it uses) need their file extensions, and it mustn't depend on `document`, `window` or `localStorage`.
+
+import { uploadCAR } from './car-upload.js'
+import { getStorageProvider } from './providers.js'
+
+// #region naming
+
+// We use this to identify our uploads in the client.list response. Each gallery profile can use its own prefix
+// instead (see profiles.js), so several galleries can share an account.
+export const namePrefix = 'ImageGallery'
+
+// Every upload has a metadata.json at the root of its directory, describing the image or album.
+export const metadataPath = 'metadata.json'
+
+// Album uploads include a manifest with this name, listing the images in the album.
+export const albumManifestPath = 'album.json'
+
+// Encrypted uploads store the image under this name, so the original filename isn't public.
+export const encryptedImagePath = 'image.enc'
+
+/**
+ * The name for an upload includes a prefix we can use to identify our files later.
+ * @param {string} description the caption or album title, which is viewable at https://web3.storage/files
+ * @param {string} [prefix] the gallery's name prefix
+ * @returns {string} e.g. 'ImageGallery|a day at the beach'
+ */
+export function makeUploadName(description, prefix = namePrefix) {
+  return [prefix, description].join('|')
+}
+
+/**
+ * @param {import('./providers.js').Upload} upload an upload from the storage provider's list
+ * @param {string} [prefix] the gallery's name prefix
+ * @returns {boolean} true if the upload was made by the gallery (or the command line tool) with the given prefix
+ */
+export function isGalleryUpload(upload, prefix = namePrefix) {
+  // we check for the separator too, so a gallery named 'Team' doesn't pick up uploads from one named 'TeamPhotos'
+  return !!upload.name && upload.name.startsWith(`${prefix}|`)
+}
+
+/**
+ * Checks a gallery name prefix chosen by the user.
+ * @param {string} prefix
+ * @returns {string} the prefix without surrounding whitespace
+ * @throws if the prefix is empty or contains the '|' separator
+ */
+export function normalizePrefix(prefix) {
+  const trimmed = (prefix || '').trim()
+  if (!trimmed) {
+    throw new Error('the gallery prefix can\'t be empty')
+  }
+  if (trimmed.includes('|')) {
+    throw new Error('the gallery prefix can\'t contain "|"')
+  }
+  return trimmed
+}
+
+// #endregion naming
+
+// #region metadata
+
+/**
+ * Make a File object with the given filename, containing the given object (serialized to JSON).
+ * Node 18 has no global File, so the command line tool adds Node's own.
+ * @param {string} filename filename for the returned File object
+ * @param {object} obj a JSON-serializable object
+ * @returns {File}
+ */
+export function jsonFile(filename, obj) {
+  return new File([JSON.stringify(obj)], filename)
+}
+
+/**
+ * Makes the metadata.json for a single, unencrypted image.
+ * @param {string} path the image's filename within the upload
+ * @param {string} caption a string that describes the image
+ * @param {object} info
+ * @param {string|null} [info.alt] a description of the image for people who can't see it, if it's different from
+ *   the caption
+ * @param {number|null} [info.width] width of the image in pixels, if known
+ * @param {number|null} [info.height] height of the image in pixels, if known
+ * @param {object} [info.exif] the public EXIF fields, from publicExifFields
+ * @param {object[]} [info.variants] resized copies of the image, from describeVariants
+ * @param {string[]} [info.tags] tags for the image, which are normalized with normalizeTags
+ * @param {string} [info.collection] the name of a collection to put the image in
+ * @param {string} [info.fileCID] the CID of the image file, for spotting duplicates (see fingerprints.js)
+ * @param {string|null} [info.phash] the image's perceptual hash, for spotting near-duplicates
+ * @param {import('./editor').EditDescription|null} [info.edited] the edits made to the image before uploading
+ * @param {import('./media').MediaType} [info.mediaType] how the gallery should show the file, 'image' if not given
+ * @param {number|null} [info.duration] the length of a video or audio file in seconds, if known
+ * @param {import('./media').StoredPreview|null} [info.preview] an image to show in place of the file, from
+ *   describePreview
+ * @returns {File}
+ */
+export function imageMetadataFile(path, caption, info) {
+  const { alt, width, height, exif, variants, fileCID, phash, edited, mediaType, duration, preview } = info
+  return jsonFile(metadataPath, {
+    path,
+    caption,
+    alt: alt || null,
+    width: width || (exif && exif.width) || null,
+    height: height || (exif && exif.height) || null,
+    exif,
+    variants: variants || [],
+    fileCID: fileCID || null,
+    phash: phash || null,
+    edited: edited || null,
+    mediaType: mediaType || 'image',
+    duration: duration || null,
+    preview: preview || null,
+    ...describeGrouping(info),
+  })
+}
+
+/**
+ * @param {{tags?: string[], collection?: string}} options
+ * @returns {{tags: string[], collection: string|null}} the tags and collection fields for metadata.json
+ */
+export function describeGrouping(options) {
+  const collection = (options.collection || '').trim()
+  return { tags: normalizeTags(options.tags), collection: collection || null }
+}
+
+/**
+ * Tags are stored in lower case, without a leading '#' or extra whitespace, and without repeats,
+ * so 'Beach' and ' #beach' are the same tag.
+ * @param {string[]} [tags]
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  const normalized = (tags || [])
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase())
+    .filter(Boolean)
+  return [...new Set(normalized)]
+}
+
+// #endregion metadata
+
+// #region upload
+
+/**
+ * Uploads files to the storage provider in a single directory, named so the gallery will find them.
+ * @param {File[]} files the files to upload, including a metadata.json
+ * @param {string} description the caption or album title, used in the upload name
+ * @param {import('./car-upload.js').UploadCAROptions & {prefix?: string}} options the name and store options are
+ *   filled in, using the gallery name prefix from the prefix option (namePrefix by default)
+ * @returns {Promise<string>} the root CID of the upload
+ */
+export function uploadGalleryFiles(files, description, options) {
+  const { prefix, ...uploadOptions } = options
+  return uploadCAR(files, {
+    ...uploadOptions,
+    // the name is viewable at https://web3.storage/files and is included in the status and list API responses
+    name: makeUploadName(description, prefix),
+    store: getStorageProvider().putCAR,
+  })
+}
+
+// #endregion upload
+
+// #region listing
+
+/**
+ * Lists the uploads made by the gallery, including older revisions of images.
+ * @param {string} token a Web3.Storage API token
+ * @param {string} [prefix] the gallery's name prefix
+ * @returns {AsyncIterator<import('./providers.js').Upload>} uploads from the storage provider's list, newest first
+ */
+export async function* listGalleryUploads(token, prefix = namePrefix) {
+  for await (const upload of getStorageProvider().list(token)) {
+    if (isGalleryUpload(upload, prefix)) {
+      yield upload
+    }
+  }
+}
+
+/**
+ * @param {string} token a Web3.Storage API token
+ * @returns {Promise<Set<string>>} the root CID of every upload in the account, whether or not it was made by the gallery
+ */
+export async function listUploadedCIDs(token) {
+  const cids = new Set()
+  for await (const upload of getStorageProvider().list(token)) {
+    cids.add(upload.cid)
+  }
+  return cids
+}
+
+/**
+ * Fetches the metadata.json from an upload, and the album.json manifest as well if the upload is an album.
+ * Gateway URLs aren't filled in, since they depend on where the metadata is going to be used.
+ * @param {string} cid the CID for the IPFS directory containing the metadata
+ * @param {FetchJSON} [fetchJSON] fetches a JSON file from the upload. Defaults to fetchStoredJSON.
+ *
+ * @callback FetchJSON
+ * @param {string} cid
+ * @param {string} path
+ * @param {string} description what we're fetching, for error messages
+ * @returns {Promise<{json: object, verification?: object}>}
+ *
+ * @returns {Promise<object>} the metadata, with the cid, tags and collection fields filled in, plus the album field
+ *   (with its images in order) for albums, and the verification field if fetchJSON returned one
+ */
+export async function fetchImageMetadata(cid, fetchJSON = fetchStoredJSON) {
+  const { json: stored, verification } = await fetchJSON(cid, metadataPath, 'image metadata')
+  const metadata = { ...stored, cid, tags: normalizeTags(stored.tags), collection: stored.collection || null }
+  if (verification) {
+    metadata.verification = verification
+  }
+  if (!metadata.album || metadata.encrypted) {
+    return metadata
+  }
+
+  const { json: manifest, verification: manifestVerification } = await fetchJSON(cid, metadata.album, 'album manifest')
+  if (manifestVerification && !manifestVerification.verified) {
+    metadata.verification = manifestVerification
+  }
+  const images = [...manifest.images].sort((a, b) => a.order - b.order)
+  return { ...metadata, album: { title: manifest.title, images } }
+}
+
+/**
+ * Fetches and parses a JSON file from an IPFS directory through the storage provider, without verifying it.
+ * @type {FetchJSON}
+ */
+export async function fetchStoredJSON(cid, path, description) {
+  let res
+  try {
+    res = await getStorageProvider().fetchContent(cid, path)
+  } catch (e) {
+    throw new Error(`error fetching ${description}: ${e.message}`)
+  }
+  return { json: await res.json() }
+}
+
+// #endregion listing
@@ -4,8 +4,15 @@ import '../css/style.css'
 
 import Glide from '@glidejs/glide'
 
-import { listImageMetadata } from './storage'
-import { showElement, hideElement, setLocationHash, getLocationHash, makeClipboardButton, makeShareLink, getSavedToken } from './helpers'
+import { listCachedImageMetadata, syncImageMetadata, mergeImageMetadata, getImageMetadata, decryptImage, fetchStoredFile, shouldFetchImages, updateCaption, hideImage, deleteImage } from './storage'
+import { getGatewayOrder, gatewayURL, recordGatewayResult } from './gateways'
+import { parseViewState, viewStateToParams, applyViewState, isSameViewState, filterViewHash } from './filters'
+import { setupOfflineSupport } from './offline'
+import { makeStatusBadge } from './status-badge'
+import { setupProfileSwitcher } from './profiles'
+import { getMediaType, displayFile, altText, makePlayer, makeSVGFrame, showSVG, makeNoPreview } from './media'
+import { openLightbox, isLightboxOpen, shortcutFor } from './lightbox'
+import { showElement, hideElement, setLocationHash, getLocationHash, getLocationHashParams, makeClipboardButton, makeShareLink, makeViewURL, getSavedToken, navToSettings, showPopupMessage, copyStringToClipboard, formatDuration } from './helpers'
 
 ////////////////////////////////////
 ///////// Gallery view
@@ -13,79 +20,722 @@ import { showElement, hideElement, setLocationHash, getLocationHash, makeClipboa
 
 // #region gallery-view
 
+// every image in the main gallery that we've loaded so far. applyViewState puts them in order
+let galleryImages = []
+
+// yields pages of metadata for uploads we haven't cached yet, or null once every page has been loaded
+let pages = null
+
+// the page that's being loaded, if any
+let pageLoading = null
+
+// start loading the next page when the carousel gets this close to the last slide
+const loadAheadSlides = 3
+
+// the card and grid item for each image, keyed by CID, so they (and the images they've loaded) survive re-rendering
+const cards = new Map()
+const gridItems = new Map()
+
+// the CIDs of the images that match the current search and filters, in the order they're shown
+let slideCIDs = []
+
+// the view state the gallery was last rendered with, or null if it hasn't been rendered yet
+let renderedViewState = null
+
+// the mounted carousel component, if the carousel is showing. In the album view, it's the album's carousel.
+let glide = null
+
 /**
  * DOM initialization for gallery view.
  */
 async function setupGalleryUI() {
-  const carousel = document.getElementById('carousel')
-  const spinner = document.getElementById('carousel-spinner')
   const slideContainer = document.getElementById('slide-container')
   if (!slideContainer) {
     return
   }
+  setupCarouselShortcuts()
 
-  const slideCIDs = []
-  let selectedSlide = 0
-  let i = 0
-  for await (const image of listImageMetadata()) {
-    slideCIDs[i] = image.cid
-    const img = makeImageCard(image)
-    const li = document.createElement('li')
-    li.className = 'glide__slide'
-    li.appendChild(img)
-    slideContainer.appendChild(li)
+  // render whatever we have cached straight away, then check for new uploads in the background
+  galleryImages = await listCachedImageMetadata()
+  console.log(`loaded metadata for ${galleryImages.length} images from the cache`)
+
+  // if the location hash points at an album, show the album's images in their own carousel
+  const linked = await getLocationHashMetadata()
+  if (linked && linked.album) {
+    setupAlbumUI(linked)
+    return
+  }
+
+  setupToolbar()
+  setupLoadMore()
+
+  // the view, search and filters are all in the location hash, so we update the gallery whenever it changes,
+  // e.g. if the user presses the back button
+  window.onhashchange = applyLocationHash
+
+  // if the location hash points at an image we haven't cached (e.g. one that was just uploaded, or an older one
+  // the sync hasn't reached yet), we add the metadata we fetched for it, so it can be shown straight away
+  if (linked && !galleryImages.some(image => image.cid === linked.cid)) {
+    galleryImages = mergeImageMetadata(galleryImages, [linked])
+  }
+  const hash = getLocationHash()
+  if (galleryImages.length > 0) {
+    renderGallery(hash)
+  }
+
+  // new uploads are listed first, so the first page brings the gallery up to date with anything uploaded since
+  // the last visit. Older uploads that aren't cached are loaded as the user gets near the end of the gallery.
+  pages = syncImageMetadata()
+  if (await loadNextPage() || !renderedViewState) {
+    // stay on the image we were showing
+    renderGallery(renderedViewState ? getCurrentCID() : hash)
+  }
+  loadMoreIfNeeded()
+}
+
+/**
+ * Fetches the next page of metadata and adds it to the gallery, without re-rendering.
+ * If a page is already loading, waits for that one instead.
+ * @returns {Promise<boolean>} true if any images were added to the gallery
+ */
+function loadNextPage() {
+  if (!pages) {
+    return Promise.resolve(false)
+  }
+  if (!pageLoading) {
+    pageLoading = pages.next()
+      .then(({ value, done }) => {
+        if (done) {
+          pages = null
+          return false
+        }
+        console.log(`loaded metadata for ${value.length} more images`)
+        galleryImages = mergeImageMetadata(galleryImages, value)
+        return true
+      })
+      .catch(e => {
+        console.error('error loading gallery metadata:', e)
+        pages = null
+        return false
+      })
+      .finally(() => {
+        pageLoading = null
+        updateLoadMoreButton()
+      })
+    updateLoadMoreButton()
+  }
+  return pageLoading
+}
 
-    // if we have a location hash that matches this image's CID, start the carousel here
-    if (image.cid === getLocationHash()) {
-      selectedSlide = i
+/**
+ * Keeps loading pages while the user is near the end of the gallery, re-rendering after each one.
+ */
+async function loadMoreIfNeeded() {
+  // whoever started the page that's loading will check again once it's done
+  if (pageLoading) {
+    return
+  }
+  while (pages && isNearEnd()) {
+    if (await loadNextPage()) {
+      renderGallery(getCurrentCID())
     }
+  }
+}
+
+/**
+ * @returns {boolean} true if the carousel is close to its last slide, or the "load more" button is on screen
+ */
+function isNearEnd() {
+  if (glide) {
+    return glide.index >= slideCIDs.length - loadAheadSlides
+  }
+  const button = document.getElementById('gallery-load-more')
+  if (button.classList.contains('hidden')) {
+    return false
+  }
+  return button.getBoundingClientRect().top < window.innerHeight
+}
+
+/**
+ * DOM initialization for the "load more" button under the grid, which also loads the next page
+ * as soon as it scrolls into view.
+ */
+function setupLoadMore() {
+  const button = document.getElementById('gallery-load-more')
+  button.onclick = () => {
+    loadNextPage().then(added => added && renderGallery(getCurrentCID()))
+  }
+  if ('IntersectionObserver' in window) {
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        loadMoreIfNeeded()
+      }
+    })
+    observer.observe(button)
+  }
+}
+
+/**
+ * Shows the "load more" button if there are more pages to load, unless the carousel is showing,
+ * since it loads more pages by itself.
+ */
+function updateLoadMoreButton() {
+  const button = document.getElementById('gallery-load-more')
+  if (pages && !glide) {
+    showElement(button)
+  } else {
+    hideElement(button)
+  }
+  button.disabled = !!pageLoading
+  button.textContent = pageLoading ? 'Loading…' : 'Load more'
+}
+
+/**
+ * Shows the images that match the search and filters in the location hash, in either the carousel or the grid.
+ * Shows a message instead if there aren't any images, or none of them match.
+ * @param {string} [focusCID] the image to start the carousel at, or to highlight in the grid
+ */
+function renderGallery(focusCID) {
+  const state = parseViewState(getLocationHashParams())
+  renderedViewState = state
+  updateToolbar(state)
+
+  const visible = applyViewState(galleryImages, state)
+  slideCIDs = visible.map(image => image.cid)
 
-    i += 1
+  hideElement(document.getElementById('carousel-spinner'))
+  for (const id of ['carousel', 'gallery-grid', 'no-content-message', 'no-results-message']) {
+    hideElement(document.getElementById(id))
   }
+  destroyCarousel()
+  hideElement(document.getElementById('gallery-load-more'))
 
-  console.log(`loaded metadata for ${i} images`)
   // If we don't have any images, show a message telling the user to upload something
-  if (i == 0) {
-    hideElement(spinner)
-    const noContentMessage = document.getElementById('no-content-message')
-    showElement(noContentMessage)
+  if (galleryImages.length === 0) {
+    hideElement(document.getElementById('gallery-toolbar'))
+    showElement(document.getElementById('no-content-message'))
+    return
+  }
+  showElement(document.getElementById('gallery-toolbar'))
+  updateResultCount(visible.length, galleryImages.length)
+  if (visible.length === 0) {
+    showElement(document.getElementById('no-results-message'))
+    updateLoadMoreButton()
+    return
+  }
+
+  if (state.view === 'grid') {
+    renderGrid(visible, focusCID)
   } else {
-    showElement(carousel)
-    hideElement(spinner)
+    renderCarousel(visible, Math.max(0, slideCIDs.indexOf(focusCID)))
+  }
+  updateLoadMoreButton()
+}
+
+/**
+ * Called when the location hash changes. Re-renders the gallery if the view, search or filters have changed,
+ * or moves to the image in the hash if they haven't.
+ */
+function applyLocationHash() {
+  const state = parseViewState(getLocationHashParams())
+  const cid = getLocationHash()
+  if (!renderedViewState || !isSameViewState(state, renderedViewState)) {
+    renderGallery(cid)
+    return
+  }
+  if (state.view === 'grid') {
+    highlightGridItem(cid)
+    return
+  }
+  // only move if we're not already on the right slide
+  const idx = slideCIDs.indexOf(cid)
+  if (glide && idx !== -1 && glide.index !== idx) {
+    glide.go(`=${idx}`)
+  }
+}
+
+/**
+ * @returns {string} the CID of the image showing in the carousel, or the one highlighted in the grid
+ */
+function getCurrentCID() {
+  if (glide) {
+    return slideCIDs[glide.index]
+  }
+  return getLocationHash()
+}
+
+/**
+ * Builds the carousel for the given images, starting at the given slide.
+ * @param {ImageMetadata[]} images
+ * @param {number} startAt
+ */
+function renderCarousel(images, startAt) {
+  const slideContainer = document.getElementById('slide-container')
+  slideContainer.replaceChildren()
+  for (const image of images) {
+    appendSlide(slideContainer, getCard(image))
+  }
+  showElement(document.getElementById('carousel'))
+
+  // after moving to a new slide, update the location hash with the matching CID
+  // and update the "image x of y" text
+  glide = mountCarousel(startAt, index => {
+    setLocationHash(slideCIDs[index], viewStateToParams(renderedViewState))
+    updateImageCount(index + 1, slideCIDs.length)
+    loadMoreIfNeeded()
+  })
+}
+
+/**
+ * Unmounts the carousel, if it's showing. Glide doesn't notice slides added after it's mounted,
+ * so we start again with a new instance whenever the slides change.
+ */
+function destroyCarousel() {
+  if (glide) {
+    glide.destroy()
+    glide = null
+  }
+}
+
+/**
+ * @param {ImageMetadata} metadata
+ * @returns {HTMLDivElement} the card for an image, which is only created the first time it's needed
+ */
+function getCard(metadata) {
+  if (!cards.has(metadata.cid)) {
+    cards.set(metadata.cid, makeCard(metadata))
+  }
+  return cards.get(metadata.cid)
+}
+
+/**
+ * Removes an image from the gallery, after it's been hidden or deleted, and shows the next one.
+ * @param {string} cid
+ */
+function removeFromGallery(cid) {
+  const index = slideCIDs.indexOf(cid)
+  const next = slideCIDs[index + 1] || slideCIDs[index - 1]
+  galleryImages = galleryImages.filter(image => image.cid !== cid)
+  cards.delete(cid)
+  gridItems.delete(cid)
+  renderGallery(next)
+}
+
+/**
+ * Replaces an image in the gallery with a new revision of it, and shows the new revision.
+ * @param {string} cid the CID of the old revision
+ * @param {ImageMetadata} revised
+ */
+function replaceInGallery(cid, revised) {
+  galleryImages = galleryImages.map(image => image.cid === cid ? revised : image)
+  cards.delete(cid)
+  gridItems.delete(cid)
+  renderGallery(revised.cid)
+}
+
+/**
+ * DOM initialization for the album view, which shows each image in an album in its own carousel.
+ * @param {ImageMetadata} metadata metadata for an album upload
+ */
+function setupAlbumUI(metadata) {
+  const carousel = document.getElementById('carousel')
+  const spinner = document.getElementById('carousel-spinner')
+  const slideContainer = document.getElementById('slide-container')
+
+  const header = document.getElementById('album-header')
+  const title = document.getElementById('album-title')
+  title.textContent = metadata.album.title
+  showElement(header)
+
+  const images = metadata.album.images
+  for (const image of images) {
+    appendSlide(slideContainer, makeImageCard({ ...image, cid: metadata.cid, contentCID: metadata.contentCID }))
+  }
+  console.log(`loaded album ${metadata.cid} with ${images.length} images`)
+
+  showElement(carousel)
+  hideElement(spinner)
+
+  glide = mountCarousel(0, index => updateImageCount(index + 1, images.length))
+
+  // the album view is keyed on the album's CID, so if the hash changes we need to set up the page again
+  window.onhashchange = () => location.reload()
+}
+
+/**
+ * Looks up metadata for the CID in the location hash, if there is one. Most links are to images we've already
+ * cached, so metadata.json is only fetched for CIDs that aren't in the gallery's cached images.
+ * @returns {Promise<ImageMetadata|null>} metadata for the image or album, or null if there's no CID in the hash or
+ *   its metadata couldn't be fetched
+ */
+async function getLocationHashMetadata() {
+  const cid = getLocationHash()
+  if (!cid) {
+    return null
   }
+  const cached = galleryImages.find(image => image.cid === cid)
+  if (cached) {
+    return cached
+  }
+  try {
+    return await getImageMetadata(cid)
+  } catch (e) {
+    console.error('error getting metadata for location hash:', e)
+    return null
+  }
+}
 
-  // make the carousel component
+/**
+ * Creates and mounts the carousel component, starting at the given slide index.
+ * @param {number} startAt
+ * @param {function(number): void} onMove called with the new slide index after moving to a new slide
+ * @returns {Glide}
+ */
+function mountCarousel(startAt, onMove) {
   const glide = new Glide('.glide', {
     type: 'carousel',
     gap: 800,
-    startAt: selectedSlide,
+    startAt,
+    // the arrow keys are handled by setupCarouselShortcuts, since Glide's handler doesn't ignore key presses in inputs
+    keyboard: false,
   })
-
-  // after moving to a new slide, update the location hash with the matching CID
-  // and update the "image x of y" text
+  glide.on('mount.after', () => updateSlideVisibility(glide.index))
   glide.on('move.after', () => {
-    setLocationHash(slideCIDs[glide.index])
-    updateImageCount(glide.index + 1, slideCIDs.length)
+    updateSlideVisibility(glide.index)
+    onMove(glide.index)
+  })
+  // videos and audio keep playing in slides that are off screen, so they're paused when the carousel moves
+  glide.on('move', () => {
+    for (const player of document.querySelectorAll('#slide-container .media-player')) {
+      player.pause()
+    }
   })
-
   glide.mount()
+  return glide
+}
 
-  // update the slide if the location hash changes
-  // e.g. if the user preses the back button
-  window.onhashchange = () => {
-    const hash = getLocationHash()
-    console.log('hash change', hash)
-    // find the slide index for the CID
-    for (let idx = 0; idx < slideCIDs.length; idx++) {
-      if (slideCIDs[idx] === hash) {
-        // only move if we're not already on the right slide
-        if (glide.index !== idx) {
-          glide.go(`=${idx}`)
-        }
-        break
+/**
+ * Wraps a card element in a carousel slide and adds it to the end of the slide container.
+ * @param {HTMLElement} slideContainer
+ * @param {HTMLElement} card
+ */
+function appendSlide(slideContainer, card) {
+  const li = document.createElement('li')
+  li.className = 'glide__slide'
+  li.setAttribute('role', 'group')
+  li.setAttribute('aria-roledescription', 'slide')
+  li.appendChild(card)
+  slideContainer.appendChild(li)
+}
+
+/**
+ * @returns {HTMLLIElement[]} the carousel's slides, leaving out the copies Glide adds at each end so it can loop around
+ */
+function getSlides() {
+  return [...document.querySelectorAll('#slide-container > .glide__slide:not(.glide__slide--clone)')]
+}
+
+/**
+ * Every slide is on the page, but only one can be seen at a time, so the others are made inert. That stops them
+ * being focused with the tab key or read out by screen readers.
+ * @param {number} index the slide that's showing
+ */
+function updateSlideVisibility(index) {
+  const slides = getSlides()
+  for (const clone of document.querySelectorAll('#slide-container > .glide__slide--clone')) {
+    clone.inert = true
+  }
+  slides.forEach((slide, i) => {
+    slide.inert = i !== index
+    slide.setAttribute('aria-label', `${i + 1} of ${slides.length}`)
+  })
+}
+
+/**
+ * Keyboard shortcuts for the carousel: the arrow keys, Home and End move it, f opens the current image in the lightbox
+ * in fullscreen, and c copies its sharing link. The lightbox handles the keys itself while it's open.
+ */
+function setupCarouselShortcuts() {
+  const moves = { previous: '<', next: '>', first: '<<', last: '>>' }
+  document.addEventListener('keydown', e => {
+    if (!glide || isLightboxOpen()) {
+      return
+    }
+    const action = shortcutFor(e)
+    if (moves[action]) {
+      glide.go(moves[action])
+    } else if (action === 'fullscreen') {
+      openCarouselLightbox(true)
+    } else if (action === 'copy-link') {
+      copyStringToClipboard(getSlides()[glide.index].firstChild.dataset.shareUrl)
+      showPopupMessage('Copied image URL to clipboard')
+    } else {
+      return
+    }
+    e.preventDefault()
+  })
+  document.getElementById('gallery-lightbox-button').onclick = () => openCarouselLightbox(false)
+}
+
+/**
+ * Opens the lightbox at the carousel's current slide. The carousel moves along with the lightbox, so the location hash
+ * keeps pointing at the image that's showing, and more of the gallery is loaded as the lightbox gets near the end.
+ * @param {boolean} fullscreen
+ */
+function openCarouselLightbox(fullscreen) {
+  if (!glide) {
+    return
+  }
+  openLightbox({
+    count: () => getSlides().length,
+    get: index => makeLightboxSlide(getSlides()[index].firstChild),
+    onMove: index => glide.go(`=${index}`),
+  }, glide.index, { fullscreen })
+}
+
+/**
+ * Makes a slide for the lightbox from a copy of a card's image, player or placeholder, so anything the card has
+ * already loaded or decrypted doesn't need loading again.
+ * @param {HTMLDivElement} card
+ * @returns {import('./lightbox').LightboxSlide}
+ */
+function makeLightboxSlide(card) {
+  const media = card.querySelector('.card-media')
+  const element = media ? media.cloneNode(true) : document.createElement('div')
+  element.classList.remove('zoomable-media')
+  // the copy fills the screen, so browsers can pick a larger variant from the srcset
+  for (const el of [element, ...element.querySelectorAll('img, source')]) {
+    if (el.sizes) {
+      el.sizes = '100vw'
+    }
+  }
+  const caption = card.querySelector('.gallery-image-caption')
+  return {
+    element,
+    caption: caption ? caption.textContent : '',
+    link: card.dataset.shareUrl,
+  }
+}
+
+/**
+ * Returns a DOM element for a card in the gallery view, depending on the kind of upload.
+ * @param {ImageMetadata} metadata
+ * @returns {HTMLDivElement}
+ */
+function makeCard(metadata) {
+  let card
+  if (metadata.encrypted) {
+    card = makeLockedCard(metadata)
+  } else if (metadata.album) {
+    card = makeAlbumCard(metadata)
+  } else {
+    card = makeImageCard(metadata)
+  }
+  // revisions only hold a new metadata.json, so the badge shows the status of the upload with the images in it
+  card.appendChild(makeStatusBadge(metadata.contentCID || metadata.cid))
+  card.appendChild(makeCardActions(metadata, card))
+  return card
+}
+
+/**
+ * Returns buttons for editing the caption of a card, hiding it or deleting it.
+ * Private images don't get an edit button, since their caption is encrypted.
+ * @param {ImageMetadata} metadata
+ * @param {HTMLDivElement} card
+ * @returns {HTMLDivElement}
+ */
+function makeCardActions(metadata, card) {
+  const actions = document.createElement('div')
+  actions.className = 'card-actions'
+
+  const addButton = (text, onClick) => {
+    const button = document.createElement('button')
+    button.textContent = text
+    button.onclick = async () => {
+      button.disabled = true
+      try {
+        await onClick()
+      } finally {
+        button.disabled = false
+      }
+    }
+    actions.appendChild(button)
+  }
+
+  if (!metadata.encrypted) {
+    addButton(metadata.album ? 'Edit title' : 'Edit caption', () => editCaption(metadata, card))
+  }
+  addButton('Hide', async () => {
+    await hideImage(metadata)
+    removeFromGallery(metadata.cid)
+    showPopupMessage('Image hidden. You can show hidden images again on the settings page.')
+  })
+  addButton('Delete', async () => {
+    if (!confirm('Delete this image? This can\'t be undone.')) {
+      return
+    }
+    const removed = await deleteImage(metadata)
+    removeFromGallery(metadata.cid)
+    showPopupMessage(removed ? 'Image deleted' : 'Web3.Storage couldn\'t delete the image, so it\'s been removed from this gallery instead')
+  })
+  return actions
+}
+
+/**
+ * Swaps a card's caption for a text input. When the form is submitted, a new revision of the image's metadata is
+ * uploaded and the card is replaced with one for the new revision.
+ * @param {ImageMetadata} metadata
+ * @param {HTMLDivElement} card
+ */
+function editCaption(metadata, card) {
+  const label = card.querySelector('.gallery-image-caption')
+  if (!label) {
+    return
+  }
+
+  const form = document.createElement('form')
+  form.className = 'caption-edit-form'
+  const currentCaption = metadata.album ? metadata.album.title : metadata.caption
+  const input = document.createElement('input')
+  input.value = currentCaption
+  input.setAttribute('aria-label', metadata.album ? 'Album title' : 'Caption')
+  const saveButton = document.createElement('button')
+  saveButton.type = 'submit'
+  saveButton.textContent = 'Save'
+  const cancelButton = document.createElement('button')
+  cancelButton.type = 'button'
+  cancelButton.textContent = 'Cancel'
+  form.appendChild(input)
+  form.appendChild(saveButton)
+  form.appendChild(cancelButton)
+
+  cancelButton.onclick = () => form.replaceWith(label)
+  form.onsubmit = async e => {
+    e.preventDefault()
+    const caption = input.value.trim()
+    if (caption === currentCaption) {
+      form.replaceWith(label)
+      return
+    }
+    saveButton.disabled = true
+    try {
+      const revised = await updateCaption(metadata, caption)
+      if (!revised) {
+        navToSettings()
+        return
+      }
+      replaceInGallery(metadata.cid, revised)
+      showPopupMessage('Caption updated')
+    } catch (e) {
+      console.error('error updating caption', metadata.cid, e)
+      showPopupMessage(`Unable to update caption: ${e.message}`)
+      saveButton.disabled = false
+    }
+  }
+
+  label.replaceWith(form)
+  input.focus()
+}
+
+/**
+ * Returns a DOM element for an encrypted image, with a placeholder and an input for the key or passphrase.
+ * Once unlocked, the card's content is replaced with the decrypted image.
+ * If the location hash points at this image and includes a key, the image is unlocked straight away.
+ * @param {ImageMetadata} metadata metadata for an encrypted upload
+ * @returns {HTMLDivElement}
+ */
+function makeLockedCard(metadata) {
+  const usesPassphrase = !!metadata.encrypted.kdf
+
+  const wrapper = document.createElement('div')
+  wrapper.className = 'gallery-image-card gallery-locked-card'
+
+  const placeholder = document.createElement('div')
+  placeholder.className = 'locked-placeholder card-media'
+  const icon = document.createElement('span')
+  icon.className = 'fontawesome-lock'
+  const message = document.createElement('span')
+  message.textContent = 'This image is encrypted'
+  placeholder.appendChild(icon)
+  placeholder.appendChild(message)
+
+  const form = document.createElement('form')
+  form.className = 'unlock-form'
+  const input = document.createElement('input')
+  input.type = 'password'
+  input.placeholder = usesPassphrase ? 'Enter the passphrase' : 'Enter the share key'
+  input.setAttribute('aria-label', usesPassphrase ? 'Passphrase' : 'Share key')
+  const button = document.createElement('button')
+  button.textContent = 'Unlock'
+  form.appendChild(input)
+  form.appendChild(button)
+
+  const unlock = async secret => {
+    button.disabled = true
+    try {
+      const decrypted = await decryptImage(metadata, secret)
+      // share keys can go in the link, but we never put a passphrase in a URL
+      const shareURL = makeViewURL(metadata.cid, { key: usesPassphrase ? undefined : secret })
+      const card = makeImageCard({
+        ...decrypted,
+        gatewayURL: URL.createObjectURL(decrypted.blob),
+        shareURL,
+        variants: [],
+      })
+      wrapper.classList.remove('gallery-locked-card')
+      wrapper.dataset.shareUrl = card.dataset.shareUrl
+      // keep the hide & delete buttons, which makeCard added to the locked card
+      const actions = wrapper.querySelector('.card-actions')
+      wrapper.replaceChildren(...card.childNodes)
+      if (actions) {
+        wrapper.appendChild(actions)
       }
+    } catch (e) {
+      console.error('error unlocking image', metadata.cid, e)
+      showPopupMessage(`Unable to unlock image: ${e.message}`)
+      button.disabled = false
+    }
+  }
+  form.onsubmit = e => {
+    e.preventDefault()
+    if (input.value) {
+      unlock(input.value)
     }
   }
+
+  wrapper.appendChild(placeholder)
+  wrapper.appendChild(form)
+  wrapper.dataset.shareUrl = makeViewURL(metadata.cid)
+
+  const key = getLocationHashParams().get('key')
+  if (key && getLocationHash() === metadata.cid) {
+    unlock(key)
+  }
+  return wrapper
+}
+
+/**
+ * Returns a DOM element for an album card in the gallery view, showing the album's cover image
+ * and a link to open the album in its own carousel.
+ * @param {ImageMetadata} metadata metadata for an album upload
+ * @returns {HTMLDivElement}
+ */
+function makeAlbumCard(metadata) {
+  const wrapper = makeImageCard({ ...metadata, caption: metadata.album.title })
+  wrapper.classList.add('gallery-album-card')
+
+  const openLink = document.createElement('a')
+  openLink.className = 'album-open-link'
+  openLink.href = `./gallery.html#${metadata.cid}`
+  openLink.textContent = `Open album (${metadata.album.images.length} images)`
+  openLink.onclick = e => {
+    // the hash already points at this album while its slide is showing, so we reload to switch to the album view
+    e.preventDefault()
+    setLocationHash(metadata.cid)
+    location.reload()
+  }
+  wrapper.insertBefore(openLink, wrapper.querySelector('.share-link'))
+  return wrapper
 }
 
 /**
@@ -97,23 +747,331 @@ function makeImageCard(metadata) {
   const wrapper = document.createElement('div')
   wrapper.className = 'gallery-image-card'
 
-  const imgEl = document.createElement('img')
-  imgEl.src = metadata.gatewayURL
-  imgEl.alt = metadata.caption
+  const imgEl = makeMediaDisplay(metadata, (error, mismatch) => showUnverifiedPlaceholder(wrapper, error, mismatch))
+  // the lightbox shows a copy of this element (see makeLightboxSlide)
+  imgEl.classList.add('card-media')
+  if (imgEl.tagName === 'IMG' || imgEl.tagName === 'PICTURE') {
+    imgEl.classList.add('zoomable-media')
+    openLightboxOnClick(imgEl)
+  }
 
   const label = document.createElement('span')
   label.className = 'gallery-image-caption'
   label.textContent = metadata.caption
 
-  const shareLink = makeShareLink(metadata.gatewayURL)
-  const copyButton = makeClipboardButton(metadata.gatewayURL)
+  // the IPFS link goes straight to the image file, and the sharing link to the view page, which shows the caption too.
+  // Decrypted images are shown from a local blob URL, so they provide a view page link with their key instead.
+  const shareLink = makeShareLink(metadata.shareURL || metadata.gatewayURL)
+  wrapper.dataset.shareUrl = metadata.shareURL || makeViewURL(metadata.cid)
+  const copyButton = makeClipboardButton(wrapper.dataset.shareUrl)
   wrapper.appendChild(imgEl)
   wrapper.appendChild(label)
+  const details = makeImageDetails(metadata)
+  if (details) {
+    wrapper.appendChild(details)
+  }
+  const chips = makeTagChips(metadata)
+  if (chips) {
+    wrapper.appendChild(chips)
+  }
   wrapper.appendChild(shareLink)
   wrapper.appendChild(copyButton)
   return wrapper
 }
 
+/**
+ * Opens the lightbox when an image in the carousel is clicked, but not when it's dragged to swipe to the next one.
+ * @param {HTMLElement} imgEl
+ */
+function openLightboxOnClick(imgEl) {
+  let start = null
+  imgEl.addEventListener('pointerdown', e => {
+    start = { x: e.clientX, y: e.clientY }
+  })
+  imgEl.addEventListener('click', e => {
+    if (start && Math.hypot(e.clientX - start.x, e.clientY - start.y) < 10) {
+      openCarouselLightbox(false)
+    }
+  })
+}
+
+/**
+ * Replaces a card's image or player with a warning, when verification is turned on and the content couldn't be
+ * checked against its CID, or the gateway sent content that doesn't match it.
+ * @param {HTMLDivElement} card
+ * @param {string} error the reason verification failed
+ * @param {boolean} mismatch true if the content didn't match its CID
+ */
+function showUnverifiedPlaceholder(card, error, mismatch) {
+  const media = card.querySelector('.card-media')
+  if (!media || media.classList.contains('verification-failed')) {
+    return
+  }
+  const placeholder = document.createElement('div')
+  placeholder.className = 'no-preview verification-failed card-media'
+  placeholder.setAttribute('role', 'alert')
+  placeholder.textContent = mismatch
+    ? "⚠ This image isn't shown: the gateway sent data that doesn't match its CID"
+    : "⚠ This image isn't shown: the gateway couldn't send the data to check it against its CID"
+  placeholder.title = error
+  media.replaceWith(placeholder)
+}
+
+/**
+ * Returns a DOM element describing when and with what an image was taken, using the EXIF fields
+ * stored in its metadata.
+ * @param {ImageMetadata|AlbumImage} metadata
+ * @returns {HTMLSpanElement|null} null if the image has no EXIF fields worth showing
+ */
+function makeImageDetails(metadata) {
+  const exif = metadata.exif || {}
+  const parts = []
+  if (exif.dateTaken) {
+    parts.push(`Taken ${new Date(exif.dateTaken).toLocaleDateString()}`)
+  }
+  if (exif.camera) {
+    parts.push(exif.camera)
+  }
+  if (metadata.width && metadata.height) {
+    parts.push(`${metadata.width} × ${metadata.height}`)
+  }
+  if (metadata.duration) {
+    parts.push(formatDuration(metadata.duration))
+  }
+  if (parts.length === 0) {
+    return null
+  }
+  const span = document.createElement('span')
+  span.className = 'gallery-image-details'
+  span.textContent = parts.join(' · ')
+  return span
+}
+
+/**
+ * Returns links for an image's collection and tags, which show the gallery filtered to match.
+ * @param {ImageMetadata} metadata
+ * @returns {HTMLDivElement|null} null if the image has no tags and isn't in a collection
+ */
+function makeTagChips(metadata) {
+  const tags = metadata.tags || []
+  if (tags.length === 0 && !metadata.collection) {
+    return null
+  }
+  const wrapper = document.createElement('div')
+  wrapper.className = 'tag-chips'
+  const addChip = (text, hash, className) => {
+    const a = document.createElement('a')
+    a.className = className
+    a.href = `./gallery.html${hash}`
+    a.textContent = text
+    wrapper.appendChild(a)
+  }
+  if (metadata.collection) {
+    addChip(`📁 ${metadata.collection}`, filterViewHash({ collection: metadata.collection }), 'tag-chip collection-chip')
+  }
+  for (const tag of tags) {
+    addChip(`#${tag}`, filterViewHash({ tag }), 'tag-chip')
+  }
+  return wrapper
+}
+
+/**
+ * Returns a DOM element that shows an upload in the way its media type calls for (see media.js).
+ * @param {ImageMetadata|AlbumImage} metadata
+ * @param {function(string, boolean): void} onVerificationFailed
+ * @returns {HTMLElement}
+ */
+function makeMediaDisplay(metadata, onVerificationFailed) {
+  const mediaType = getMediaType(metadata)
+  if (mediaType === 'video' || mediaType === 'audio') {
+    return makeMediaPlayer(metadata, onVerificationFailed)
+  }
+  if (mediaType === 'svg') {
+    return makeSVGDisplay(metadata, onVerificationFailed)
+  }
+  if (!displayFile(metadata)) {
+    return makeNoPreview(metadata, metadata.gatewayURL)
+  }
+  return makeResponsiveImage(metadata, onVerificationFailed)
+}
+
+/**
+ * Returns a player for a video or audio upload, with its preview as the poster.
+ * @param {ImageMetadata|AlbumImage} metadata
+ * @param {function(string, boolean): void} onVerificationFailed
+ * @returns {HTMLElement}
+ */
+function makeMediaPlayer(metadata, onVerificationFailed) {
+  const { element, player, setPoster } = makePlayer(getMediaType(metadata), altText(metadata))
+  if (metadata.gatewayURL.startsWith('blob:')) {
+    player.src = metadata.gatewayURL
+    return element
+  }
+
+  const preview = metadata.preview
+  if (shouldFetchImages()) {
+    loadVerifiedImage(player, metadata, metadata.path, onVerificationFailed)
+    if (preview) {
+      const poster = new Image()
+      poster.onload = () => setPoster(poster.src)
+      loadVerifiedImage(poster, metadata, preview.path, onVerificationFailed)
+    }
+    return element
+  }
+  useGatewayFailover(player, `${metadata.contentCID}/${metadata.path}`, gateway => {
+    player.src = gatewayURL(gateway, metadata.contentCID, metadata.path)
+  })
+  if (preview) {
+    setPoster(gatewayURL(getGatewayOrder()[0], metadata.contentCID, preview.path))
+  }
+  return element
+}
+
+/**
+ * Returns a sandboxed frame showing an SVG upload. The SVG is always fetched, since its markup goes into the frame.
+ * @param {ImageMetadata|AlbumImage} metadata
+ * @param {function(string, boolean): void} onVerificationFailed
+ * @returns {HTMLIFrameElement}
+ */
+function makeSVGDisplay(metadata, onVerificationFailed) {
+  const frame = makeSVGFrame(altText(metadata))
+  const load = async () => {
+    if (metadata.gatewayURL.startsWith('blob:')) {
+      return (await fetch(metadata.gatewayURL)).text()
+    }
+    const { blob } = await fetchStoredFile(metadata.contentCID, metadata.path, 'image')
+    return blob.text()
+  }
+  load()
+    .then(svg => showSVG(frame, svg))
+    .catch(e => {
+      if (e.verificationError || e.unverifiable) {
+        onVerificationFailed(e.message, e.verificationError)
+      } else {
+        console.error('error loading SVG', metadata.contentCID, metadata.path, e)
+      }
+    })
+  return frame
+}
+
+/**
+ * Returns a DOM element that displays an image, using its resized variants if it has any.
+ * Older uploads without variants fall back to a plain `<img>` pointing at the original file, or its preview for
+ * HEIC and RAW files.
+ * If the image fails to load, we switch to the next gateway in the user's list.
+ * @param {ImageMetadata|AlbumImage} metadata
+ * @param {function(string, boolean): void} onVerificationFailed called if verification is turned on and the image
+ *   isn't shown, with the reason, and true if it didn't match its CID rather than not being checked at all
+ * @returns {HTMLPictureElement|HTMLImageElement}
+ */
+function makeResponsiveImage(metadata, onVerificationFailed) {
+  const imgEl = document.createElement('img')
+  imgEl.alt = altText(metadata)
+
+  // decrypted images are shown from a local blob URL, so there's no gateway involved
+  if (metadata.gatewayURL.startsWith('blob:')) {
+    imgEl.src = metadata.gatewayURL
+    return imgEl
+  }
+
+  const variants = metadata.variants || []
+  // the full size image, which is the preview for files that browsers can't show
+  const original = displayFile(metadata)
+  if (shouldFetchImages()) {
+    // we can't fetch every entry in a srcset without downloading them all, so we pick the one variant that
+    // best fits the card. Cards are at most 800px wide.
+    const targetWidth = 800 * (window.devicePixelRatio || 1)
+    const best = [...variants].sort((a, b) => a.width - b.width).find(v => v.width >= targetWidth)
+    loadVerifiedImage(imgEl, metadata, best ? best.path : original.path, onVerificationFailed)
+    return imgEl
+  }
+
+  const webpVariants = variants.filter(v => v.type === 'image/webp')
+  const jpegVariants = variants.filter(v => v.type === 'image/jpeg')
+
+  // cards are at most 800px wide, and take up most of the screen on smaller devices
+  const sizes = '(max-width: 800px) 90vw, 800px'
+
+  // the original stays in the srcset, so large screens can still get the full resolution image
+  const originalWidth = original.width || Math.max(...variants.map(v => v.width)) + 1
+  const makeSrcset = (gateway, typeVariants) => typeVariants
+    .map(v => `${gatewayURL(gateway, metadata.contentCID, v.path)} ${v.width}w`)
+    .concat(`${gatewayURL(gateway, metadata.contentCID, original.path)} ${originalWidth}w`)
+    .join(', ')
+
+  // browsers that support WebP pick the <source>, and everything else uses the JPEG variants on the <img>
+  const source = document.createElement('source')
+  source.type = 'image/webp'
+  source.sizes = sizes
+  if (jpegVariants.length > 0) {
+    imgEl.sizes = sizes
+  }
+
+  const useGateway = gateway => {
+    imgEl.src = gatewayURL(gateway, metadata.contentCID, original.path)
+    if (webpVariants.length > 0) {
+      source.srcset = makeSrcset(gateway, webpVariants)
+    }
+    if (jpegVariants.length > 0) {
+      imgEl.srcset = makeSrcset(gateway, jpegVariants)
+    }
+  }
+
+  useGatewayFailover(imgEl, `${metadata.contentCID}/${original.path}`, useGateway)
+
+  if (variants.length === 0) {
+    return imgEl
+  }
+  const picture = document.createElement('picture')
+  if (webpVariants.length > 0) {
+    picture.appendChild(source)
+  }
+  picture.appendChild(imgEl)
+  return picture
+}
+
+/**
+ * Points an image (or player) at the first gateway in the user's list, and switches to the next one if it fails to
+ * load.
+ * @param {HTMLImageElement|HTMLMediaElement} imgEl
+ * @param {string} description what's being loaded, for logging
+ * @param {function(Gateway): void} useGateway sets the image's URLs to point at the given gateway
+ */
+function useGatewayFailover(imgEl, description, useGateway) {
+  const gateways = getGatewayOrder()
+  let attempt = 0
+  useGateway(gateways[attempt])
+  imgEl.onerror = () => {
+    recordGatewayResult(gateways[attempt], false)
+    attempt += 1
+    if (attempt < gateways.length) {
+      console.warn(`image ${description} failed to load, trying ${gateways[attempt].url}`)
+      useGateway(gateways[attempt])
+    }
+  }
+}
+
+/**
+ * Loads an image through fetchStoredFile, so it's checked against its CID if verification is turned on, and shows
+ * it from a blob URL. If it can't be checked, or doesn't match its CID, it isn't shown at all.
+ * @param {{src: string}} imgEl an image or player, or anything else with a src to set
+ * @param {ImageMetadata|AlbumImage} metadata
+ * @param {string} path the file to load, i.e. the original file, its preview or one of its variants
+ * @param {function(string, boolean): void} onVerificationFailed
+ */
+async function loadVerifiedImage(imgEl, metadata, path, onVerificationFailed) {
+  try {
+    const { blob } = await fetchStoredFile(metadata.contentCID, path, 'image')
+    imgEl.src = URL.createObjectURL(blob)
+  } catch (e) {
+    if (e.verificationError || e.unverifiable) {
+      onVerificationFailed(e.message, e.verificationError)
+    } else {
+      console.error('error loading image', metadata.contentCID, path, e)
+    }
+  }
+}
+
 function updateImageCount(current, total) {
   const div = document.getElementById('gallery-image-count')
   if (!div) {
@@ -124,6 +1082,236 @@ function updateImageCount(current, total) {
 
 // #endregion gallery-view
 
+////////////////////////////////////
+///////// Toolbar & grid view
+////////////////////////////////////
+
+// #region grid-view
+
+// how long to wait after the user stops typing in the search box before updating the gallery
+const searchDelay = 300
+
+/**
+ * DOM initialization for the search, filter and view controls. The controls only change the location hash,
+ * and the gallery is updated by the hashchange handler.
+ */
+function setupToolbar() {
+  const toolbar = document.getElementById('gallery-toolbar')
+  toolbar.onsubmit = e => e.preventDefault()
+
+  for (const button of toolbar.querySelectorAll('[data-view]')) {
+    button.onclick = () => updateViewState({ view: button.dataset.view })
+  }
+
+  let searchTimer = null
+  document.getElementById('gallery-search').oninput = e => {
+    clearTimeout(searchTimer)
+    searchTimer = setTimeout(() => updateViewState({ query: e.target.value }), searchDelay)
+  }
+  document.getElementById('gallery-type-filter').onchange = e => updateViewState({ type: e.target.value })
+  document.getElementById('gallery-from-filter').onchange = e => updateViewState({ from: e.target.value })
+  document.getElementById('gallery-to-filter').onchange = e => updateViewState({ to: e.target.value })
+  document.getElementById('gallery-sort').onchange = e => updateViewState({ sort: e.target.value })
+}
+
+/**
+ * Changes some fields of the view state in the location hash. The hash keeps pointing at the current image,
+ * so switching views or filtering doesn't lose the user's place.
+ * @param {Partial<ViewState>} changes
+ */
+function updateViewState(changes) {
+  const state = { ...parseViewState(getLocationHashParams()), ...changes }
+  setLocationHash(getCurrentCID(), viewStateToParams(state))
+}
+
+/**
+ * Updates the toolbar controls to match the given view state, e.g. after the user presses the back button.
+ * @param {ViewState} state
+ */
+function updateToolbar(state) {
+  const search = document.getElementById('gallery-search')
+  // don't fight with the user while they're typing
+  if (document.activeElement !== search) {
+    search.value = state.query
+  }
+  document.getElementById('gallery-type-filter').value = state.type
+  document.getElementById('gallery-from-filter').value = state.from
+  document.getElementById('gallery-to-filter').value = state.to
+  document.getElementById('gallery-sort').value = state.sort
+  for (const button of document.querySelectorAll('#gallery-toolbar [data-view]')) {
+    button.setAttribute('aria-pressed', String(button.dataset.view === state.view))
+  }
+
+  // tag and collection filters are set by clicking a chip, so they're shown as chips that can be removed
+  const activeFilters = document.getElementById('gallery-active-filters')
+  activeFilters.replaceChildren()
+  for (const [field, label] of [['collection', 'Collection'], ['tag', 'Tag']]) {
+    if (!state[field]) {
+      continue
+    }
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = 'tag-chip active-filter-chip'
+    button.textContent = `${label}: ${state[field]} ✕`
+    button.setAttribute('aria-label', `Remove ${field} filter`)
+    button.onclick = () => updateViewState({ [field]: '' })
+    activeFilters.appendChild(button)
+  }
+}
+
+/**
+ * @param {number} shown how many images match the search and filters
+ * @param {number} total how many images are in the gallery
+ */
+function updateResultCount(shown, total) {
+  const label = document.getElementById('gallery-result-count')
+  label.textContent = shown === total ? `${total} images` : `${shown} of ${total} images`
+}
+
+/**
+ * Shows a grid of thumbnails for the given images.
+ * @param {ImageMetadata[]} images
+ * @param {string} [focusCID] the image to highlight
+ */
+function renderGrid(images, focusCID) {
+  const grid = document.getElementById('gallery-grid')
+  grid.replaceChildren(...images.map(getGridItem))
+  showElement(grid)
+  highlightGridItem(focusCID)
+}
+
+/**
+ * Highlights the grid item for an image, and scrolls it into view if it wasn't already highlighted.
+ * Re-rendering the grid after loading another page leaves the scroll position alone.
+ * @param {string} [cid]
+ */
+function highlightGridItem(cid) {
+  for (const item of document.querySelectorAll('.gallery-grid-item')) {
+    const selected = item.dataset.cid === cid
+    if (selected && !item.classList.contains('selected')) {
+      item.scrollIntoView({ block: 'nearest' })
+    }
+    item.classList.toggle('selected', selected)
+  }
+}
+
+/**
+ * @param {ImageMetadata} metadata
+ * @returns {HTMLLIElement} the grid item for an image, which is only created the first time it's needed
+ */
+function getGridItem(metadata) {
+  if (!gridItems.has(metadata.cid)) {
+    gridItems.set(metadata.cid, makeGridItem(metadata))
+  }
+  return gridItems.get(metadata.cid)
+}
+
+/**
+ * Returns a grid item for an image, with a thumbnail and caption. Clicking it opens the image in the carousel.
+ * @param {ImageMetadata} metadata
+ * @returns {HTMLLIElement}
+ */
+function makeGridItem(metadata) {
+  const li = document.createElement('li')
+  li.className = 'gallery-grid-item'
+  li.dataset.cid = metadata.cid
+
+  const caption = metadata.album ? metadata.album.title : metadata.caption
+  const button = document.createElement('button')
+  button.className = 'grid-item-button'
+  button.title = caption || metadata.path
+
+  if (metadata.encrypted) {
+    const placeholder = document.createElement('div')
+    placeholder.className = 'grid-locked-placeholder'
+    const icon = document.createElement('span')
+    icon.className = 'fontawesome-lock'
+    placeholder.appendChild(icon)
+    button.appendChild(placeholder)
+  } else {
+    button.appendChild(makeThumbnail(metadata, () => li.classList.add('unverified')))
+  }
+
+  const label = document.createElement('span')
+  label.className = 'grid-item-caption'
+  label.textContent = metadata.encrypted ? 'Private image' : caption || metadata.path
+  button.appendChild(label)
+
+  const badgeText = gridBadgeText(metadata)
+  if (badgeText) {
+    const badge = document.createElement('span')
+    badge.className = 'grid-item-badge'
+    badge.textContent = badgeText
+    button.appendChild(badge)
+  }
+
+  button.onclick = () => {
+    setLocationHash(metadata.cid, viewStateToParams({ ...renderedViewState, view: 'carousel' }))
+  }
+  li.appendChild(button)
+  return li
+}
+
+/**
+ * @param {ImageMetadata} metadata
+ * @returns {string|null} the text of the badge on a grid item, saying what kind of upload it is, or null for images
+ */
+function gridBadgeText(metadata) {
+  if (metadata.album) {
+    return `Album · ${metadata.album.images.length}`
+  }
+  const label = { animation: 'GIF', svg: 'SVG', video: 'Video', audio: 'Audio' }[getMediaType(metadata)]
+  if (!label) {
+    return null
+  }
+  return metadata.duration ? `${label} · ${formatDuration(metadata.duration)}` : label
+}
+
+/**
+ * Returns a small, lazily loaded image for the grid, using the smallest resized variant if there is one.
+ * @param {ImageMetadata} metadata
+ * @param {function(string, boolean): void} onVerificationFailed
+ * @returns {HTMLImageElement|HTMLDivElement} a placeholder if there's no image to show
+ */
+function makeThumbnail(metadata, onVerificationFailed) {
+  const variants = [...(metadata.variants || [])].sort((a, b) => a.width - b.width)
+  const original = displayFile(metadata)
+  if (variants.length === 0 && !original) {
+    return makeGridPlaceholder(getMediaType(metadata) === 'audio' ? '♪' : '▶')
+  }
+
+  const imgEl = document.createElement('img')
+  // the grid item's label already has the caption, so the thumbnail only needs alt text if it was given some
+  imgEl.alt = metadata.alt || ''
+  imgEl.loading = 'lazy'
+  const path = variants.length > 0 ? variants[0].path : original.path
+
+  if (shouldFetchImages()) {
+    loadVerifiedImage(imgEl, metadata, path, (error, mismatch) => {
+      imgEl.replaceWith(makeGridPlaceholder('⚠'))
+      onVerificationFailed(error, mismatch)
+    })
+    return imgEl
+  }
+  useGatewayFailover(imgEl, `${metadata.contentCID}/${path}`, gateway => {
+    imgEl.src = gatewayURL(gateway, metadata.contentCID, path)
+  })
+  return imgEl
+}
+
+/**
+ * @param {string} symbol shown in place of the thumbnail
+ * @returns {HTMLDivElement}
+ */
+function makeGridPlaceholder(symbol) {
+  const placeholder = document.createElement('div')
+  placeholder.className = 'grid-media-placeholder'
+  placeholder.textContent = symbol
+  return placeholder
+}
+
+// #endregion grid-view
+
 ////////////////////////////////
 ///////// Initialization
 ////////////////////////////////
@@ -135,3 +1323,5 @@ if (!getSavedToken()) {
 }
 
 setupGalleryUI()
+setupProfileSwitcher()
+setupOfflineSupport()
@@ -0,0 +1,315 @@
+////////////////////////////////
+////// IPFS gateways
+////////////////////////////////
+
+// Content is loaded over HTTP through IPFS gateways. The user can pick which gateways to use, and in what
+// order, on the settings page. If a gateway is slow or down, we fail over to the next one in the list,
+// or race them all if the user prefers. Gateways that failed recently are moved to the back of the list.
+//
+// The command line tool uses this module too. Node doesn't have local storage, so there it always uses the default
+// gateways, and only remembers gateway health until it exits.
+
+// #region settings
+
+const settingsKey = 'w3storage-gateways'
+const healthKey = 'w3storage-gateway-health'
+
+const storage = typeof localStorage === 'undefined' ? memoryStorage() : localStorage
+
+/**
+ * @typedef {object} Gateway
+ * @property {string} url the gateway's base URL, e.g. 'https://dweb.link'
+ * @property {'subdomain'|'path'} style whether the gateway expects the CID in the subdomain
+ *   (https://<cid>.ipfs.dweb.link) or the path (https://ipfs.io/ipfs/<cid>)
+ *
+ * @typedef {object} GatewaySettings
+ * @property {Gateway[]} gateways gateways in order of preference
+ * @property {'failover'|'race'} mode try the gateways one at a time, or all at once
+ * @property {boolean} verify whether to check content against its CID in the browser, instead of trusting the gateway
+ */
+
+/** @type {Gateway[]} */
+export const defaultGateways = [
+  { url: 'https://dweb.link', style: 'subdomain' },
+  { url: 'https://w3s.link', style: 'subdomain' },
+  { url: 'https://ipfs.io', style: 'path' },
+  { url: 'https://cloudflare-ipfs.com', style: 'path' },
+]
+
+// how long to wait for a gateway before giving up and trying the next one
+const gatewayTimeout = 15000
+
+// how long a gateway stays at the back of the list after failing
+const failureCooldown = 5 * 60 * 1000
+
+/**
+ * @returns {GatewaySettings} the saved gateway settings, or the defaults if nothing has been saved
+ */
+export function getGatewaySettings() {
+  const defaults = { gateways: defaultGateways, mode: 'failover', verify: false }
+  try {
+    const saved = JSON.parse(storage.getItem(settingsKey))
+    if (saved && Array.isArray(saved.gateways) && saved.gateways.length > 0) {
+      return { ...defaults, ...saved }
+    }
+  } catch (e) {
+    console.error('error reading gateway settings:', e)
+  }
+  return defaults
+}
+
+/**
+ * Saves the given gateway settings to local storage
+ * @param {GatewaySettings} settings
+ */
+export function saveGatewaySettings(settings) {
+  storage.setItem(settingsKey, JSON.stringify(settings))
+}
+
+/**
+ * Removes any saved gateway settings, so the defaults are used
+ */
+export function resetGatewaySettings() {
+  storage.removeItem(settingsKey)
+}
+
+/**
+ * Checks that a gateway URL is an http(s) URL, and normalizes it to just the origin.
+ * @param {string} url
+ * @returns {string|null} the normalized URL, or null if it isn't valid
+ */
+export function normalizeGatewayURL(url) {
+  try {
+    const parsed = new URL(url.trim())
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      return null
+    }
+    return parsed.origin
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Keeps settings in memory, for when there's no local storage (e.g. in Node).
+ * @returns {Pick<Storage, 'getItem'|'setItem'|'removeItem'>}
+ */
+function memoryStorage() {
+  const values = new Map()
+  return {
+    getItem: key => values.has(key) ? values.get(key) : null,
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: key => values.delete(key),
+  }
+}
+
+// #endregion settings
+
+// #region urls
+
+/**
+ * Returns a URL for the given CID and path on a specific gateway.
+ * @param {Gateway} gateway
+ * @param {string} cid
+ * @param {string} path
+ * @returns {string}
+ */
+export function gatewayURL(gateway, cid, path) {
+  const encodedPath = encodeURIComponent(path)
+  if (gateway.style === 'path') {
+    return `${gateway.url}/ipfs/${cid}/${encodedPath}`
+  }
+  const { protocol, host } = new URL(gateway.url)
+  return `${protocol}//${cid}.ipfs.${host}/${encodedPath}`
+}
+
+/**
+ * @returns {Gateway[]} the user's gateways, with any that failed recently moved to the end
+ */
+export function getGatewayOrder() {
+  const { gateways } = getGatewaySettings()
+  const healthy = gateways.filter(g => !isDown(g))
+  const down = gateways.filter(g => isDown(g))
+  return [...healthy, ...down]
+}
+
+/**
+ * @returns {Gateway} the gateway to use for links, i.e. the user's first choice unless it's down
+ */
+export function getPreferredGateway() {
+  return getGatewayOrder()[0]
+}
+
+// #endregion urls
+
+// #region health
+
+/**
+ * @typedef {object} GatewayHealth
+ * @property {number} [lastSuccess] timestamp of the last successful request
+ * @property {number} [lastFailure] timestamp of the last failed request
+ * @property {number} [latency] how long the last successful request took, in milliseconds
+ */
+
+/**
+ * @returns {Object<string, GatewayHealth>} health records, keyed by gateway URL
+ */
+export function getGatewayHealth() {
+  try {
+    return JSON.parse(storage.getItem(healthKey)) || {}
+  } catch (e) {
+    return {}
+  }
+}
+
+/**
+ * Records the result of a request to a gateway.
+ * @param {Gateway} gateway
+ * @param {boolean} ok whether the request succeeded
+ * @param {number} [latency] how long the request took, in milliseconds
+ */
+export function recordGatewayResult(gateway, ok, latency) {
+  const health = getGatewayHealth()
+  const record = health[gateway.url] || {}
+  if (ok) {
+    record.lastSuccess = Date.now()
+    record.latency = latency
+  } else {
+    record.lastFailure = Date.now()
+  }
+  health[gateway.url] = record
+  storage.setItem(healthKey, JSON.stringify(health))
+}
+
+/**
+ * A gateway is down if its most recent request failed, within the last few minutes.
+ * @param {Gateway} gateway
+ * @returns {boolean}
+ */
+function isDown(gateway) {
+  const record = getGatewayHealth()[gateway.url]
+  if (!record || !record.lastFailure) {
+    return false
+  }
+  const failedLast = !record.lastSuccess || record.lastFailure > record.lastSuccess
+  return failedLast && Date.now() - record.lastFailure < failureCooldown
+}
+
+// #endregion health
+
+// #region fetch
+
+/**
+ * Fetches a file from IPFS through the user's gateways, failing over to the next gateway (or racing them,
+ * depending on the user's settings) if one is slow or returns an error.
+ * @param {string} cid
+ * @param {string} path
+ * @param {'car'|'raw'} [format] ask the gateway for a CAR file or a raw block instead of the file's contents
+ * @returns {Promise<Response>} the first successful response
+ */
+export function fetchFromGateways(cid, path, format) {
+  const { mode } = getGatewaySettings()
+  const gateways = getGatewayOrder()
+  if (mode === 'race') {
+    return raceGateways(gateways, cid, path, format)
+  }
+  return failoverGateways(gateways, cid, path, format)
+}
+
+/**
+ * Tries each gateway in turn until one succeeds.
+ * @param {Gateway[]} gateways
+ * @param {string} cid
+ * @param {string} path
+ * @param {'car'|'raw'} [format]
+ * @returns {Promise<Response>}
+ */
+async function failoverGateways(gateways, cid, path, format) {
+  let lastError
+  for (const gateway of gateways) {
+    try {
+      return await fetchFromGateway(gateway, cid, path, format, new AbortController())
+    } catch (e) {
+      // even a client error can be the gateway's doing, e.g. a 403 or 410 for content it blocks, or a 400 if it
+      // doesn't support the format we asked for, so we always try the next gateway
+      console.warn(`gateway ${gateway.url} failed, trying the next one:`, e.message)
+      lastError = e
+    }
+  }
+  throw lastError
+}
+
+/**
+ * Requests from every gateway at once, and resolves with the first successful response.
+ * The other requests are cancelled once one succeeds.
+ * @param {Gateway[]} gateways
+ * @param {string} cid
+ * @param {string} path
+ * @param {'car'|'raw'} [format]
+ * @returns {Promise<Response>}
+ */
+function raceGateways(gateways, cid, path, format) {
+  return new Promise((resolve, reject) => {
+    const controllers = gateways.map(() => new AbortController())
+    let remaining = gateways.length
+    let lastError
+    gateways.forEach((gateway, i) => {
+      fetchFromGateway(gateway, cid, path, format, controllers[i])
+        .then(res => {
+          controllers.forEach((c, j) => j !== i && c.abort())
+          resolve(res)
+        })
+        .catch(e => {
+          lastError = e
+          remaining -= 1
+          if (remaining === 0) {
+            reject(lastError)
+          }
+        })
+    })
+  })
+}
+
+/**
+ * Fetches from a single gateway, with a timeout. Records the result in the gateway's health record,
+ * unless the request was cancelled because another gateway won a race.
+ * @param {Gateway} gateway
+ * @param {string} cid
+ * @param {string} path
+ * @param {'car'|'raw'} [format]
+ * @param {AbortController} controller
+ * @returns {Promise<Response>} rejects if the request fails, times out or returns an error status. Every failure
+ *   counts against the gateway's health, since another gateway may well have the content.
+ */
+async function fetchFromGateway(gateway, cid, path, format, controller) {
+  const start = Date.now()
+  let timedOut = false
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, gatewayTimeout)
+  try {
+    let url = gatewayURL(gateway, cid, path)
+    const headers = {}
+    if (format) {
+      // newer gateways look at the Accept header, and older ones at the format query parameter
+      url += `?format=${format}`
+      headers.Accept = `application/vnd.ipld.${format}`
+    }
+    const res = await fetch(url, { headers, signal: controller.signal })
+    if (!res.ok) {
+      throw new Error(`[${res.status}] ${res.statusText}`)
+    }
+    recordGatewayResult(gateway, true, Date.now() - start)
+    return res
+  } catch (e) {
+    if (!controller.signal.aborted || timedOut) {
+      recordGatewayResult(gateway, false)
+    }
+    throw timedOut ? new Error(`timed out after ${gatewayTimeout / 1000}s`) : e
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// #endregion fetch
@@ -1,4 +1,6 @@
-
+import { gatewayURL, getPreferredGateway } from './gateways'
+import { normalizeTags } from './gallery-store'
+import { getActiveProfile, updateProfile } from './profiles'
 
 /**
  * Display a message to the user in the output area.
@@ -67,45 +69,93 @@ export function navToSettings() {
 }
 
 /**
- * Return an IPFS gateway URL for the given CID and path
+ * Return an IPFS gateway URL for the given CID and path, using the user's preferred gateway
+ * (see the gateway settings on the settings page).
  * @param {string} cid 
  * @param {string} path 
  * @returns {string}
  */
 export function makeGatewayURL(cid, path) {
-  return `https://${cid}.ipfs.dweb.link/${encodeURIComponent(path)}`
+  return gatewayURL(getPreferredGateway(), cid, path)
+}
+
+/**
+ * Returns a link to the read-only view page for an image or album, which works without an API token.
+ * @param {string} cid the CID of the upload
+ * @param {object} [options]
+ * @param {string} [options.key] the share key for a private image. It goes in the location hash, so it's never sent
+ *   to a server.
+ * @param {boolean} [options.embed] link to the version of the page for embedding in an `<iframe>`
+ * @returns {string} an absolute URL
+ */
+export function makeViewURL(cid, options = {}) {
+  const params = new URLSearchParams()
+  if (options.key) {
+    params.set('key', options.key)
+  }
+  if (options.embed) {
+    params.set('embed', '1')
+  }
+  const query = params.toString()
+  return new URL(`./view.html#${cid}${query ? `?${query}` : ''}`, location.href).href
+}
+
+/**
+ * Splits a comma-separated list of tags, as typed into a tags input.
+ * @param {string} text
+ * @returns {string[]} the tags, normalized with normalizeTags
+ */
+export function parseTags(text) {
+  return normalizeTags((text || '').split(','))
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string} the size in the largest unit that keeps it at or above 1, e.g. '1.5 MB'
+ */
+export function formatBytes(bytes) {
+  const units = ['bytes', 'KB', 'MB', 'GB', 'TB']
+  let size = bytes
+  let unit = 0
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024
+    unit++
+  }
+  return unit === 0 ? `${size} ${units[0]}` : `${size.toFixed(1)} ${units[unit]}`
 }
 
 /**
- * Make a File object with the given filename, containing the given object (serialized to JSON).
- * @param {string} filename filename for the returned File object
- * @param {object} obj a JSON-serializable object
- * @returns {File}
+ * @param {number} seconds
+ * @returns {string} the length in minutes and seconds, or hours too if it's that long, e.g. '3:05' or '1:02:09'
  */
-export function jsonFile(filename, obj) {
-  return new File([JSON.stringify(obj)], filename)
+export function formatDuration(seconds) {
+  const total = Math.round(seconds)
+  const pad = n => String(n).padStart(2, '0')
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor(total / 60) % 60
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${minutes}:${pad(total % 60)}`
 }
 
 /**
- * @returns {string|null} the saved API token
+ * @returns {string|null} the saved API token for the active profile (see profiles.js)
  */
 export function getSavedToken() {
-  return localStorage.getItem('w3storage-token')
+  return getActiveProfile().token
 }
 
 /**
- * Saves the given token to local storage
+ * Saves the given token as the active profile's token
  * @param {string} token 
  */
 export function saveToken(token) {
-  localStorage.setItem('w3storage-token', token)
+  updateProfile(getActiveProfile().id, { token })
 }
 
 /**
- * Removes any saved token from local storage
+ * Removes the active profile's saved token
  */
 export function deleteSavedToken() {
-  localStorage.removeItem('w3storage-token')
+  updateProfile(getActiveProfile().id, { token: null })
 }
 
 /**
@@ -126,17 +176,30 @@ export function showElement(el) {
 }
 
 /**
- * @returns {string} location.hash, with the leading '#' removed
+ * The location hash can hold a CID followed by some query-string style parameters,
+ * e.g. '#bafy...?key=abc'. Parameters in the hash are never sent to the server.
+ * @returns {string} location.hash, with the leading '#' and any parameters removed
  */
 export function getLocationHash() {
-  return location.hash.substring(1)
+  return location.hash.substring(1).split('?')[0]
+}
+
+/**
+ * @returns {URLSearchParams} the parameters after the '?' in location.hash, if any
+ */
+export function getLocationHashParams() {
+  const hash = location.hash.substring(1)
+  const idx = hash.indexOf('?')
+  return new URLSearchParams(idx === -1 ? '' : hash.substring(idx + 1))
 }
 
 /**
  * @param {string} value value you want to set location.hash to (without the leading '#')
+ * @param {URLSearchParams} [params] parameters to add after the value, e.g. the gallery's search and filters
  */
-export function setLocationHash(value) {
-  location.hash = '#' + value
+export function setLocationHash(value, params) {
+  const query = params ? params.toString() : ''
+  location.hash = '#' + (value || '') + (query ? `?${query}` : '')
 }
 
 /**
@@ -197,6 +260,7 @@ export function copyStringToClipboard (str) {
 
 /**
  * Shows a message to the user in a small popup box that fades away after a few seconds.
+ * The box is a live region, so screen readers read the message out too.
  * @param {string} message message to display
  */
 export function showPopupMessage(message) {
@@ -204,7 +268,21 @@ export function showPopupMessage(message) {
   if (!snackbar) {
     return
   }
-  snackbar.textContent = message
+  // screen readers skip changes to hidden elements, so the box is shown before the message goes in
   snackbar.classList.add('show')
+  snackbar.textContent = message
   setTimeout(() => snackbar.classList.remove('show'), 3000)
 }
+
+/**
+ * Has screen readers read out a message, without showing it on the page. For things sighted users can see happening,
+ * like the carousel moving or an upload finishing, that aren't otherwise announced.
+ * @param {string} message
+ */
+export function announce(message) {
+  const region = document.getElementById('announcer')
+  if (!region) {
+    return
+  }
+  region.textContent = message
+}
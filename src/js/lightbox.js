@@ -0,0 +1,532 @@
+////////////////////////////////
+////// Lightbox
+////////////////////////////////
+
+// The lightbox shows one slide at a time over the whole page, or the whole screen in fullscreen mode. Images can be
+// zoomed with the mouse wheel, a pinch or the keyboard, and panned by dragging once they're zoomed in. A slideshow
+// moves to the next slide on a timer, at an interval the user picks.
+//
+// The lightbox doesn't know where its slides come from: the gallery passes in a copy of each card's image or player
+// (see openCarouselLightbox in gallery.js), and moves its carousel along as the lightbox moves.
+
+import { showElement, hideElement, copyStringToClipboard, showPopupMessage } from './helpers'
+
+// #region shortcuts
+
+// what each key does, in the lightbox and the gallery's carousel
+const shortcuts = {
+  ArrowLeft: 'previous',
+  ArrowRight: 'next',
+  Home: 'first',
+  End: 'last',
+  Escape: 'close',
+  f: 'fullscreen',
+  c: 'copy-link',
+  ' ': 'slideshow',
+  '+': 'zoom-in',
+  '=': 'zoom-in',
+  '-': 'zoom-out',
+  '0': 'reset-zoom',
+}
+
+/**
+ * @param {KeyboardEvent} e
+ * @returns {string|null} the action for the key that was pressed, e.g. 'next' or 'fullscreen', or null if it isn't a
+ *   shortcut. Keys pressed with a modifier are left alone, so ctrl+c still copies, as are keys that the focused
+ *   control needs, like arrow keys in a text input or space on a button.
+ */
+export function shortcutFor(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey) {
+    return null
+  }
+  const target = e.target
+  if (e.key !== 'Escape' && target && target.closest) {
+    if (target.closest('input, textarea, select, [contenteditable], video, audio')) {
+      return null
+    }
+    if (e.key === ' ' && target.closest('button, a')) {
+      return null
+    }
+  }
+  const key = e.key.length === 1 ? e.key.toLowerCase() : e.key
+  return shortcuts[key] || null
+}
+
+// #endregion shortcuts
+
+// #region zoom
+
+/**
+ * How far a slide is zoomed in, and where it's been panned to.
+ * @typedef {object} ZoomView
+ * @property {number} scale 1 for the slide's normal size
+ * @property {number} x how far the middle of the slide is from the middle of the screen, in pixels
+ * @property {number} y
+ */
+
+export const maxZoom = 8
+
+const unzoomed = { scale: 1, x: 0, y: 0 }
+
+/**
+ * @param {ZoomView} view
+ * @param {number} scale the new scale, which is kept between 1 and maxZoom
+ * @param {{x: number, y: number}} point the point to zoom in or out around, relative to the middle of the screen. The
+ *   part of the slide under it stays where it is.
+ * @returns {ZoomView}
+ */
+export function zoomAt(view, scale, point) {
+  const newScale = Math.min(maxZoom, Math.max(1, scale))
+  if (newScale === 1) {
+    return unzoomed
+  }
+  const ratio = newScale / view.scale
+  return {
+    scale: newScale,
+    x: point.x - (point.x - view.x) * ratio,
+    y: point.y - (point.y - view.y) * ratio,
+  }
+}
+
+/**
+ * @param {ZoomView} view
+ * @param {{width: number, height: number}} content the size of the slide at a scale of 1
+ * @param {{width: number, height: number}} viewport the size of the area the slide is shown in
+ * @returns {ZoomView} the view, panned back if it's gone past the edge of the slide
+ */
+export function clampPan(view, content, viewport) {
+  const clamp = (offset, size, space) => {
+    const limit = Math.max(0, (size * view.scale - space) / 2)
+    return Math.min(limit, Math.max(-limit, offset))
+  }
+  return {
+    scale: view.scale,
+    x: clamp(view.x, content.width, viewport.width),
+    y: clamp(view.y, content.height, viewport.height),
+  }
+}
+
+// #endregion zoom
+
+// #region slideshow
+
+// the choices of slideshow interval, in seconds
+export const slideshowIntervals = [3, 5, 10, 30]
+
+const slideshowIntervalKey = 'w3storage-slideshow-interval'
+const defaultSlideshowInterval = 5
+
+/**
+ * @returns {number} how many seconds the slideshow shows each slide for
+ */
+export function getSlideshowInterval() {
+  const saved = Number(localStorage.getItem(slideshowIntervalKey))
+  return slideshowIntervals.includes(saved) ? saved : defaultSlideshowInterval
+}
+
+/**
+ * @param {number} seconds one of slideshowIntervals
+ */
+export function saveSlideshowInterval(seconds) {
+  localStorage.setItem(slideshowIntervalKey, String(seconds))
+}
+
+// #endregion slideshow
+
+// #region lightbox-ui
+
+/**
+ * @typedef {object} LightboxSlides
+ * @property {function(): number} count how many slides there are, which can go up while the lightbox is open
+ * @property {function(number): LightboxSlide} get makes the slide at the given index
+ * @property {function(number): void} [onMove] called with the new index after moving to another slide
+ *
+ * @typedef {object} LightboxSlide
+ * @property {HTMLElement} element the image or player to show. It's moved into the lightbox, so it should be a copy.
+ * @property {string} caption
+ * @property {string} link the link that's copied with the c key
+ */
+
+// how much each notch of the mouse wheel zooms
+const wheelZoomSpeed = 0.002
+// how much the zoom buttons and keys zoom by
+const zoomStep = 1.5
+// double clicking an image zooms in this far
+const doubleClickZoom = 2.5
+// how far a swipe has to go to move to another slide, in pixels
+const swipeDistance = 60
+
+// the open lightbox, or null if it's closed
+let lightbox = null
+
+/**
+ * @returns {boolean} true if the lightbox is open
+ */
+export function isLightboxOpen() {
+  return lightbox !== null
+}
+
+/**
+ * Opens the lightbox at the given slide. Focus moves into the lightbox, and goes back to where it was when the
+ * lightbox is closed.
+ * @param {LightboxSlides} slides
+ * @param {number} startAt
+ * @param {object} [options]
+ * @param {boolean} [options.fullscreen] show the lightbox in fullscreen mode straight away. Browsers only allow this
+ *   in response to a click or key press.
+ */
+export function openLightbox(slides, startAt, options = {}) {
+  const dialog = document.getElementById('lightbox')
+  if (!dialog || lightbox || slides.count() === 0) {
+    return
+  }
+  lightbox = {
+    slides,
+    index: startAt,
+    slide: null,
+    zoomable: false,
+    view: unzoomed,
+    playing: false,
+    timer: null,
+    returnFocus: document.activeElement,
+  }
+
+  const onKeyDown = e => {
+    const action = shortcutFor(e)
+    if (action && runAction(action)) {
+      e.preventDefault()
+    }
+  }
+  document.addEventListener('keydown', onKeyDown)
+  lightbox.removeListeners = () => document.removeEventListener('keydown', onKeyDown)
+
+  const buttonActions = {
+    'lightbox-close-button': 'close',
+    'lightbox-previous-button': 'previous',
+    'lightbox-next-button': 'next',
+    'lightbox-zoom-in-button': 'zoom-in',
+    'lightbox-zoom-out-button': 'zoom-out',
+    'lightbox-slideshow-button': 'slideshow',
+    'lightbox-fullscreen-button': 'fullscreen',
+    'lightbox-copy-button': 'copy-link',
+  }
+  for (const [id, action] of Object.entries(buttonActions)) {
+    document.getElementById(id).onclick = () => runAction(action)
+  }
+
+  const intervalSelect = document.getElementById('lightbox-interval-select')
+  intervalSelect.replaceChildren(...slideshowIntervals.map(seconds => {
+    const option = document.createElement('option')
+    option.value = String(seconds)
+    option.textContent = `${seconds} seconds`
+    return option
+  }))
+  intervalSelect.value = String(getSlideshowInterval())
+  intervalSelect.onchange = () => {
+    saveSlideshowInterval(Number(intervalSelect.value))
+    if (lightbox.playing) {
+      scheduleNextSlide()
+    }
+  }
+
+  // browsers without the fullscreen API (like Safari on iPhones) still get the lightbox, which fills the window
+  const fullscreenButton = document.getElementById('lightbox-fullscreen-button')
+  if (document.fullscreenEnabled) {
+    showElement(fullscreenButton)
+  } else {
+    hideElement(fullscreenButton)
+  }
+  dialog.onfullscreenchange = () => {
+    fullscreenButton.setAttribute('aria-pressed', String(document.fullscreenElement === dialog))
+  }
+
+  setupZoomGestures(document.getElementById('lightbox-stage'))
+  setPageInert(dialog, true)
+  showElement(dialog)
+  showSlide(startAt, false)
+  setPlaying(false)
+  document.getElementById('lightbox-close-button').focus()
+  if (options.fullscreen) {
+    toggleFullscreen()
+  }
+}
+
+/**
+ * Closes the lightbox, if it's open.
+ */
+export function closeLightbox() {
+  if (!lightbox) {
+    return
+  }
+  const dialog = document.getElementById('lightbox')
+  clearTimeout(lightbox.timer)
+  lightbox.removeListeners()
+  if (document.fullscreenElement === dialog) {
+    document.exitFullscreen().catch(e => console.warn('unable to exit fullscreen:', e))
+  }
+  const content = document.getElementById('lightbox-content')
+  pauseMedia(content)
+  content.replaceChildren()
+  hideElement(dialog)
+  setPageInert(dialog, false)
+
+  const { returnFocus } = lightbox
+  lightbox = null
+  if (returnFocus && returnFocus.focus) {
+    returnFocus.focus()
+  }
+}
+
+/**
+ * @param {string} action from shortcutFor, or one of the lightbox's buttons
+ * @returns {boolean} true if the lightbox has something to do for the action
+ */
+function runAction(action) {
+  switch (action) {
+    case 'close':
+      closeLightbox()
+      return true
+    case 'previous':
+      showSlide(lightbox.index - 1)
+      return true
+    case 'next':
+      showSlide(lightbox.index + 1)
+      return true
+    case 'first':
+      showSlide(0)
+      return true
+    case 'last':
+      showSlide(lightbox.slides.count() - 1)
+      return true
+    case 'zoom-in':
+      return zoomTo(lightbox.view.scale * zoomStep)
+    case 'zoom-out':
+      return zoomTo(lightbox.view.scale / zoomStep)
+    case 'reset-zoom':
+      return zoomTo(1)
+    case 'slideshow':
+      setPlaying(!lightbox.playing)
+      return true
+    case 'fullscreen':
+      toggleFullscreen()
+      return true
+    case 'copy-link':
+      copyStringToClipboard(lightbox.slide.link)
+      showPopupMessage('Copied image URL to clipboard')
+      return true
+    default:
+      return false
+  }
+}
+
+/**
+ * Shows the slide at the given index, looping around at either end like the carousel does.
+ * @param {number} index
+ * @param {boolean} [notify] call the onMove callback. It's left out when the lightbox opens, since the page is
+ *   already showing the first slide.
+ */
+function showSlide(index, notify = true) {
+  const count = lightbox.slides.count()
+  lightbox.index = (index + count) % count
+  lightbox.slide = lightbox.slides.get(lightbox.index)
+
+  const content = document.getElementById('lightbox-content')
+  pauseMedia(content)
+  content.replaceChildren(lightbox.slide.element)
+  lightbox.zoomable = isZoomable(lightbox.slide.element)
+  setView(unzoomed)
+
+  document.getElementById('lightbox-count').textContent = `Image ${lightbox.index + 1} of ${count}`
+  document.getElementById('lightbox-caption').textContent = lightbox.slide.caption
+  document.getElementById('lightbox-zoom-in-button').disabled = !lightbox.zoomable
+
+  if (lightbox.playing) {
+    scheduleNextSlide()
+  }
+  if (notify && lightbox.slides.onMove) {
+    lightbox.slides.onMove(lightbox.index)
+  }
+}
+
+/**
+ * Starts or stops the slideshow.
+ * @param {boolean} playing
+ */
+function setPlaying(playing) {
+  lightbox.playing = playing
+  clearTimeout(lightbox.timer)
+  const button = document.getElementById('lightbox-slideshow-button')
+  button.setAttribute('aria-pressed', String(playing))
+  button.textContent = playing ? '❚❚ Pause' : '▶ Slideshow'
+  // reading out every slide would talk over everything else while the slideshow plays
+  document.getElementById('lightbox-info').setAttribute('aria-live', playing ? 'off' : 'polite')
+  if (playing) {
+    scheduleNextSlide()
+  }
+}
+
+/**
+ * Moves to the next slide once the slideshow interval has passed. Moving by hand restarts the wait.
+ */
+function scheduleNextSlide() {
+  clearTimeout(lightbox.timer)
+  lightbox.timer = setTimeout(() => showSlide(lightbox.index + 1), getSlideshowInterval() * 1000)
+}
+
+function toggleFullscreen() {
+  const dialog = document.getElementById('lightbox')
+  if (!document.fullscreenEnabled) {
+    return
+  }
+  const request = document.fullscreenElement ? document.exitFullscreen() : dialog.requestFullscreen()
+  request.catch(e => console.warn('unable to toggle fullscreen:', e))
+}
+
+/**
+ * @param {number} scale
+ * @param {{x: number, y: number}} [point] the point to zoom around, relative to the middle of the lightbox
+ * @returns {boolean} false if the slide can't be zoomed
+ */
+function zoomTo(scale, point = { x: 0, y: 0 }) {
+  if (!lightbox.zoomable) {
+    return false
+  }
+  // the slideshow would move on from whatever the user is looking at
+  if (scale > lightbox.view.scale && lightbox.playing) {
+    setPlaying(false)
+  }
+  setView(zoomAt(lightbox.view, scale, point))
+  return true
+}
+
+/**
+ * @param {ZoomView} view
+ */
+function setView(view) {
+  const stage = document.getElementById('lightbox-stage')
+  const content = document.getElementById('lightbox-content')
+  lightbox.view = clampPan(
+    view,
+    { width: content.offsetWidth, height: content.offsetHeight },
+    { width: stage.clientWidth, height: stage.clientHeight },
+  )
+  const { scale, x, y } = lightbox.view
+  content.style.transform = scale === 1 ? '' : `translate(${x}px, ${y}px) scale(${scale})`
+  stage.classList.toggle('zoomed', scale > 1)
+  document.getElementById('lightbox-zoom-out-button').disabled = scale === 1
+}
+
+/**
+ * Zooms with the mouse wheel, a double click or a pinch, and pans by dragging. Swiping an image that isn't zoomed in
+ * moves to the next or previous slide.
+ * @param {HTMLElement} stage
+ */
+function setupZoomGestures(stage) {
+  const pointers = new Map()
+  let pinch = null
+  let drag = null
+
+  const pointFor = ({ clientX, clientY }) => {
+    const rect = stage.getBoundingClientRect()
+    return { x: clientX - rect.left - rect.width / 2, y: clientY - rect.top - rect.height / 2 }
+  }
+  const distance = (a, b) => Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)
+  const startDrag = pointer => {
+    drag = { clientX: pointer.clientX, clientY: pointer.clientY, view: lightbox.view }
+  }
+
+  stage.onwheel = e => {
+    if (!lightbox.zoomable) {
+      return
+    }
+    e.preventDefault()
+    zoomTo(lightbox.view.scale * Math.exp(-e.deltaY * wheelZoomSpeed), pointFor(e))
+  }
+  stage.ondblclick = e => {
+    zoomTo(lightbox.view.scale > 1 ? 1 : doubleClickZoom, pointFor(e))
+  }
+  stage.onpointerdown = e => {
+    // players and SVGs get their own pointer events, for their controls
+    if (!lightbox.zoomable) {
+      return
+    }
+    stage.setPointerCapture(e.pointerId)
+    pointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY })
+    if (pointers.size === 2) {
+      const [a, b] = pointers.values()
+      pinch = { distance: distance(a, b), scale: lightbox.view.scale }
+      drag = null
+    } else if (pointers.size === 1) {
+      startDrag(e)
+    }
+  }
+  stage.onpointermove = e => {
+    if (!pointers.has(e.pointerId)) {
+      return
+    }
+    pointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY })
+    if (pinch && pointers.size === 2) {
+      const [a, b] = pointers.values()
+      const middle = { clientX: (a.clientX + b.clientX) / 2, clientY: (a.clientY + b.clientY) / 2 }
+      zoomTo(pinch.scale * distance(a, b) / pinch.distance, pointFor(middle))
+    } else if (drag && drag.view.scale > 1) {
+      setView({ ...drag.view, x: drag.view.x + e.clientX - drag.clientX, y: drag.view.y + e.clientY - drag.clientY })
+    }
+  }
+  const release = e => {
+    if (!pointers.delete(e.pointerId)) {
+      return
+    }
+    const swipe = drag && !pinch && drag.view.scale === 1 ? e.clientX - drag.clientX : 0
+    pinch = null
+    drag = null
+    if (pointers.size === 1) {
+      // carry on panning with the finger that's still down
+      startDrag(pointers.values().next().value)
+    } else if (Math.abs(swipe) >= swipeDistance) {
+      showSlide(lightbox.index + (swipe < 0 ? 1 : -1))
+    }
+  }
+  stage.onpointerup = release
+  stage.onpointercancel = release
+}
+
+/**
+ * @param {HTMLElement} element
+ * @returns {boolean} true for images, which can be zoomed. Players and SVG frames can't be.
+ */
+function isZoomable(element) {
+  return element.tagName === 'IMG' || element.tagName === 'PICTURE'
+}
+
+/**
+ * Videos and audio keep playing after they're taken off the page, so they're paused before the lightbox moves on.
+ * @param {HTMLElement} content
+ */
+function pauseMedia(content) {
+  for (const player of content.querySelectorAll('video, audio')) {
+    player.pause()
+  }
+}
+
+/**
+ * Stops everything behind the lightbox from being focused, clicked or read out while it's open, so keyboard and screen
+ * reader users stay in the lightbox.
+ * @param {HTMLElement} dialog
+ * @param {boolean} inert
+ */
+function setPageInert(dialog, inert) {
+  for (const el of document.body.children) {
+    // messages from the snackbar and announcer still need to be read out
+    if (el !== dialog && el.id !== 'snackbar' && el.id !== 'announcer' && el.tagName !== 'SCRIPT') {
+      el.inert = inert
+      if (inert) {
+        el.setAttribute('aria-hidden', 'true')
+      } else {
+        el.removeAttribute('aria-hidden')
+      }
+    }
+  }
+}
+
+// #endregion lightbox-ui
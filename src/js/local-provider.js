@@ -0,0 +1,260 @@
+////////////////////////////////
+////// Local storage provider
+////////////////////////////////
+
+// A storage provider (see providers.js) that never touches the network, for offline development, demos and tests.
+// Uploads are packed into CARs by the same code as for Web3.Storage, so they get the same CIDs they would on IPFS, and
+// their blocks are kept in IndexedDB. Files are read back out of those blocks with ipfs-unixfs-exporter, and requests
+// for CAR files and raw blocks are answered the way a gateway would, so verified retrieval works too.
+//
+// Where there's no IndexedDB (e.g. in Node), everything is kept in memory until the page or process goes away.
+// API tokens aren't checked, so any token will do. Uploads count as pinned as soon as they're stored, but they never
+// make it into Filecoin deals.
+
+import { CID } from 'multiformats'
+import { CarReader } from '@ipld/car/reader'
+import { exporter } from 'ipfs-unixfs-exporter'
+import { collectDAG, writeCAR } from './car-files.js'
+
+// #region db
+
+const dbName = 'image-gallery-local-provider'
+const dbVersion = 1
+const blockStore = 'blocks'
+const uploadStore = 'uploads'
+
+let dbPromise = null
+
+// used instead of IndexedDB when it isn't available
+const memoryStores = { [blockStore]: new Map(), [uploadStore]: new Map() }
+
+/**
+ * Opens the database, creating the object stores on first use.
+ * @returns {Promise<IDBDatabase|null>} null if IndexedDB isn't available
+ */
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null)
+        return
+      }
+      const req = indexedDB.open(dbName, dbVersion)
+      req.onupgradeneeded = () => {
+        const db = req.result
+        db.createObjectStore(blockStore)
+        db.createObjectStore(uploadStore, { keyPath: 'cid' })
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => {
+        console.error('unable to open local storage provider database, keeping uploads in memory:', req.error)
+        resolve(null)
+      }
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Runs a single request against an object store and resolves with its result, or runs the fallback against the
+ * in-memory copy of the store if IndexedDB isn't available.
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest
+ * @param {function(Map): *} fallback
+ * @returns {Promise<*>}
+ */
+async function withStore(storeName, mode, makeRequest, fallback) {
+  const db = await openDB()
+  if (!db) {
+    return fallback(memoryStores[storeName])
+  }
+  return new Promise((resolve, reject) => {
+    const req = makeRequest(db.transaction(storeName, mode).objectStore(storeName))
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+/**
+ * Stores a batch of blocks in a single transaction.
+ * @param {Array<{cid: CID, bytes: Uint8Array}>} blocks
+ * @returns {Promise<void>}
+ */
+async function putBlocks(blocks) {
+  const db = await openDB()
+  if (!db) {
+    blocks.forEach(({ cid, bytes }) => memoryStores[blockStore].set(cid.toString(), bytes))
+    return
+  }
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(blockStore, 'readwrite')
+    const store = tx.objectStore(blockStore)
+    blocks.forEach(({ cid, bytes }) => store.put(bytes, cid.toString()))
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// a blockstore that ipfs-unixfs-exporter can read from
+const blockstore = {
+  get: async blockCID => {
+    const key = blockCID.toString()
+    const bytes = await withStore(blockStore, 'readonly', store => store.get(key), blocks => blocks.get(key))
+    if (!bytes) {
+      throw notFoundError(`block ${key} not found`)
+    }
+    return bytes
+  },
+}
+
+// #endregion db
+
+// #region local-provider
+
+/** @type {import('./providers.js').StorageProvider} */
+export const localProvider = {
+  id: 'local',
+  label: 'Local (offline, stored in this browser)',
+  usesGateways: false,
+  list,
+  putCAR,
+  delete: deleteUpload,
+  validateToken: async () => true,
+  fetchContent,
+  status,
+}
+
+/**
+ * @returns {AsyncIterable<import('./providers.js').Upload>} every upload, newest first
+ */
+async function* list() {
+  const uploads = await withStore(uploadStore, 'readonly', store => store.getAll(), uploads => [...uploads.values()])
+  yield* uploads.sort((a, b) => Date.parse(b.created) - Date.parse(a.created)).map(withStatus)
+}
+
+/**
+ * @param {string} token ignored
+ * @param {string} cid
+ * @returns {Promise<import('./providers.js').UploadStatus|undefined>}
+ */
+async function status(token, cid) {
+  const upload = await withStore(uploadStore, 'readonly', store => store.get(cid), uploads => uploads.get(cid))
+  if (upload) {
+    const { name, ...uploadStatus } = withStatus(upload)
+    return uploadStatus
+  }
+}
+
+/**
+ * @param {{cid: string, name: string, created: string, dagSize?: number}} upload a stored upload record
+ * @returns {import('./providers.js').Upload} the upload, with a pin for this browser and no deals
+ */
+function withStatus(upload) {
+  const pin = { peerName: 'this browser', region: '', status: 'Pinned', updated: upload.created }
+  return { dagSize: 0, ...upload, pins: [pin], deals: [] }
+}
+
+/**
+ * Stores the blocks from a CAR file, and records an upload for its root. Storing the same root again updates the
+ * upload's name, but keeps its creation date, which is what Web3.Storage does.
+ * @param {AsyncIterable<Uint8Array>} car
+ * @param {string} rootCID
+ * @param {import('./car-upload.js').UploadCAROptions} options
+ * @returns {Promise<string>} the root CID
+ */
+async function putCAR(car, rootCID, { name, signal, onStoredChunk, onProgress }) {
+  const parts = []
+  for await (const part of car) {
+    parts.push(part)
+  }
+  const bytes = new Uint8Array(await new Blob(parts).arrayBuffer())
+  const progress = { bytesSent: 0, totalBytes: bytes.length, chunksSent: 0, totalChunks: 1 }
+  if (onProgress) {
+    onProgress({ ...progress })
+  }
+  if (signal && signal.aborted) {
+    throw new DOMException('upload cancelled', 'AbortError')
+  }
+
+  const reader = await CarReader.fromBytes(bytes)
+  const [root] = await reader.getRoots()
+  if (!root || root.toString() !== rootCID) {
+    throw new Error(`root CID mismatch, expected: ${rootCID}, received: ${root}`)
+  }
+  const blocks = []
+  for await (const block of reader.blocks()) {
+    blocks.push(block)
+  }
+  await putBlocks(blocks)
+
+  const existing = await withStore(uploadStore, 'readonly', store => store.get(rootCID), uploads => uploads.get(rootCID))
+  const upload = {
+    cid: rootCID,
+    name,
+    created: existing ? existing.created : new Date().toISOString(),
+    dagSize: blocks.reduce((total, block) => total + block.bytes.length, 0),
+  }
+  await withStore(uploadStore, 'readwrite', store => store.put(upload), uploads => uploads.set(rootCID, upload))
+
+  if (onStoredChunk) {
+    onStoredChunk(bytes.length)
+  }
+  if (onProgress) {
+    onProgress({ bytesSent: bytes.length, totalBytes: bytes.length, chunksSent: 1, totalChunks: 1 })
+  }
+  return rootCID
+}
+
+/**
+ * Removes an upload from the list. Its blocks are kept, since other uploads (e.g. revisions) may link to them.
+ * @param {string} token ignored
+ * @param {string} cid
+ * @returns {Promise<void>}
+ */
+async function deleteUpload(token, cid) {
+  await withStore(uploadStore, 'readwrite', store => store.delete(cid), uploads => uploads.delete(cid))
+}
+
+/**
+ * Reads a file, CAR file or raw block out of the stored blocks, and returns it as if it came from a gateway.
+ * @param {string} cid
+ * @param {string} path
+ * @param {'car'|'raw'} [format]
+ * @returns {Promise<Response>} rejects with a 404 error if the content isn't stored
+ */
+async function fetchContent(cid, path, format) {
+  if (format === 'raw') {
+    const bytes = await blockstore.get(CID.parse(cid))
+    return new Response(bytes, { headers: { 'Content-Type': 'application/vnd.ipld.raw' } })
+  }
+  if (format === 'car') {
+    const parts = await writeCAR([CID.parse(cid)], await collectDAG(cid, path, blockstore))
+    return new Response(new Blob(parts), { headers: { 'Content-Type': 'application/vnd.ipld.car' } })
+  }
+
+  let entry
+  try {
+    entry = await exporter(`${CID.parse(cid)}/${path}`, blockstore)
+  } catch (e) {
+    throw notFoundError(`${cid}/${path} not found`)
+  }
+  if (entry.type !== 'file' && entry.type !== 'raw') {
+    throw notFoundError(`${cid}/${path} is not a file`)
+  }
+  const chunks = []
+  for await (const chunk of entry.content()) {
+    chunks.push(chunk)
+  }
+  return new Response(new Blob(chunks))
+}
+
+/**
+ * @param {string} message
+ * @returns {Error} an error like the one fetchFromGateways rejects with when a gateway returns a 404
+ */
+function notFoundError(message) {
+  return new Error(`[404] ${message}`)
+}
+
+// #endregion local-provider
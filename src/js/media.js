@@ -0,0 +1,506 @@
+////////////////////////////////
+////// Media types
+////////////////////////////////
+
+// The gallery holds more than photos. Each upload's metadata.json has a `mediaType` field, which says how to show it:
+//
+// - 'image': still images, shown with an `<img>`, using resized variants where there are some
+// - 'animation': GIFs, which are always shown from the original file, so they keep moving
+// - 'svg': vector images. SVGs can contain scripts, so they're shown in a sandboxed `<iframe>` that can't run them or
+//   load anything else. Grid thumbnails use an `<img>`, which never runs an SVG's scripts either.
+// - 'video' and 'audio': shown with the browser's player
+//
+// Some uploads also have a `preview`: a JPEG made in the browser when the file was uploaded, which is stored in the
+// upload next to the original and shown in its place. Videos get a frame from near the start, and audio files a
+// picture of their waveform. Most browsers can't show HEIC photos (from iPhones) or camera RAW files, so they're
+// converted: HEIC files by browsers that can decode them, and RAW files by pulling out the full-size JPEG that cameras
+// embed in them. The resized variants are made from the preview, when there is one.
+//
+// Uploads made before mediaType was added are all images. This module is also used by the command line tool, which
+// can't make previews, so it only imports modules that load in node.
+
+import { readExif } from './exif.js'
+
+// #region media-types
+
+/**
+ * @typedef {'image'|'animation'|'svg'|'video'|'audio'} MediaType
+ *
+ * @typedef {object} StoredPreview the `preview` field of metadata.json
+ * @property {string} path the path within the IPFS directory to the preview image
+ * @property {string} type always 'image/jpeg'
+ * @property {number} width
+ * @property {number} height
+ */
+
+// browsers leave the type of these files empty, or give them made-up types, so they're recognized by extension
+const heicExtensions = ['heic', 'heif']
+const rawExtensions = ['dng', 'cr2', 'cr3', 'nef', 'nrw', 'arw', 'srf', 'sr2', 'orf', 'rw2', 'raf', 'pef', 'srw', 'x3f']
+const videoExtensions = ['mp4', 'm4v', 'mov', 'webm', 'mkv', 'ogv']
+const audioExtensions = ['mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'wav', 'flac']
+
+/**
+ * @param {string} name
+ * @returns {string} the file's extension in lower case, without the dot
+ */
+function extensionOf(name) {
+  const match = /\.([^.]+)$/.exec(name)
+  return match ? match[1].toLowerCase() : ''
+}
+
+/**
+ * @param {{name: string, type: string}} file a File, or anything with a name and MIME type
+ * @returns {MediaType}
+ */
+export function mediaTypeOf(file) {
+  const type = file.type || ''
+  const extension = extensionOf(file.name)
+  if (type === 'image/gif' || extension === 'gif') {
+    return 'animation'
+  }
+  if (type === 'image/svg+xml' || extension === 'svg') {
+    return 'svg'
+  }
+  if (type.startsWith('video/') || videoExtensions.includes(extension)) {
+    return 'video'
+  }
+  if (type.startsWith('audio/') || audioExtensions.includes(extension)) {
+    return 'audio'
+  }
+  return 'image'
+}
+
+/**
+ * @param {{name: string, type?: string}} file a File, or anything with a name, such as an upload's metadata
+ * @returns {'heic'|'raw'|null} the format, if it's one that has to be converted before most browsers can show it
+ */
+export function conversionFormat(file) {
+  const type = file.type || ''
+  const extension = extensionOf(file.name || file.path || '')
+  if (type === 'image/heic' || type === 'image/heif' || heicExtensions.includes(extension)) {
+    return 'heic'
+  }
+  if (rawExtensions.includes(extension)) {
+    return 'raw'
+  }
+  return null
+}
+
+/**
+ * @param {File} file
+ * @returns {boolean} true if the gallery can store and show the file
+ */
+export function isSupportedFile(file) {
+  const type = file.type || ''
+  return type.startsWith('image/') || type.startsWith('video/') || type.startsWith('audio/') ||
+    mediaTypeOf(file) !== 'image' || conversionFormat(file) !== null
+}
+
+/**
+ * @param {ImageMetadata|AlbumImage} metadata
+ * @returns {MediaType} the upload's media type. Uploads from before mediaType was added are images.
+ */
+export function getMediaType(metadata) {
+  return metadata.mediaType || 'image'
+}
+
+/**
+ * Returns the still image to show for an upload: its preview if it has one, or the original if it's an image that
+ * browsers can show.
+ * @param {ImageMetadata|AlbumImage} metadata
+ * @returns {ImageMetadata|AlbumImage|StoredPreview|null} null if there's nothing to show, e.g. for a video from the
+ *   command line tool, or a HEIC photo that couldn't be converted
+ */
+export function displayFile(metadata) {
+  if (metadata.preview) {
+    return metadata.preview
+  }
+  const mediaType = getMediaType(metadata)
+  if (mediaType === 'video' || mediaType === 'audio' || conversionFormat(metadata) !== null) {
+    return null
+  }
+  return metadata
+}
+
+/**
+ * @param {ImageMetadata|AlbumImage} metadata
+ * @returns {string} the text to show in place of an upload for people who can't see it: its alt text, or its caption
+ *   for uploads without any
+ */
+export function altText(metadata) {
+  return metadata.alt || metadata.caption || ''
+}
+
+// #endregion media-types
+
+// #region previews
+
+// the quality previews are encoded at, between 0 and 1
+const previewQuality = 0.9
+
+// how long to wait for a video to load before giving up on its poster
+const videoLoadTimeout = 15 * 1000
+
+// the size of the waveform pictures made for audio files
+const waveformWidth = 800
+const waveformHeight = 400
+
+/**
+ * @typedef {object} Preview
+ * @property {File} file a JPEG
+ * @property {number} width
+ * @property {number} height
+ * @property {number|null} duration the length of a video or audio file in seconds, or null for images
+ */
+
+/**
+ * Makes the preview for a file, if it needs one. Files that can't be decoded don't get one, and are stored without.
+ * @param {File} file
+ * @returns {Promise<Preview|null>} null if the file doesn't need a preview, or one couldn't be made
+ */
+export async function makePreview(file) {
+  const mediaType = mediaTypeOf(file)
+  const format = conversionFormat(file)
+  const name = `${file.name.replace(/\.[^.]+$/, '')}-preview.jpg`
+  try {
+    if (mediaType === 'video') {
+      return await videoPoster(file, name)
+    }
+    if (mediaType === 'audio') {
+      return await audioWaveform(file, name)
+    }
+    if (format === 'heic') {
+      return await encodePreview(file, name)
+    }
+    if (format === 'raw') {
+      return await rawPreview(file, name)
+    }
+  } catch (e) {
+    console.warn(`unable to make a preview of ${file.name}:`, e.message)
+  }
+  return null
+}
+
+/**
+ * Returns a JSON-serializable description of a preview, for storing in metadata.json.
+ * @param {Preview|null} preview
+ * @returns {StoredPreview|null}
+ */
+export function describePreview(preview) {
+  return preview && { path: preview.file.name, type: preview.file.type, width: preview.width, height: preview.height }
+}
+
+/**
+ * Draws a frame from near the start of a video, since the very first frame is often black.
+ * @param {File} file
+ * @param {string} name the preview's filename
+ * @returns {Promise<Preview>}
+ */
+async function videoPoster(file, name) {
+  const url = URL.createObjectURL(file)
+  const video = document.createElement('video')
+  video.muted = true
+  video.playsInline = true
+  video.preload = 'auto'
+  try {
+    video.src = url
+    await waitForEvent(video, 'loadeddata')
+    const duration = Number.isFinite(video.duration) ? video.duration : null
+    video.currentTime = Math.min(1, (duration || 0) / 10)
+    await waitForEvent(video, 'seeked')
+    const { file: poster, width, height } = await drawPreview(video, video.videoWidth, video.videoHeight, name)
+    return { file: poster, width, height, duration }
+  } finally {
+    URL.revokeObjectURL(url)
+    video.removeAttribute('src')
+    video.load()
+  }
+}
+
+/**
+ * Draws the waveform of an audio file.
+ * @param {File} file
+ * @param {string} name the preview's filename
+ * @returns {Promise<Preview>}
+ */
+async function audioWaveform(file, name) {
+  const AudioContext = window.AudioContext || window.webkitAudioContext
+  const context = new AudioContext()
+  let buffer
+  try {
+    buffer = await context.decodeAudioData(await file.arrayBuffer())
+  } finally {
+    context.close()
+  }
+
+  const canvas = document.createElement('canvas')
+  canvas.width = waveformWidth
+  canvas.height = waveformHeight
+  const canvasContext = canvas.getContext('2d')
+  canvasContext.fillStyle = '#171691'
+  canvasContext.fillRect(0, 0, waveformWidth, waveformHeight)
+  canvasContext.fillStyle = '#fc6553'
+
+  // each bar is the loudest sample in its slice of the first channel
+  const samples = buffer.getChannelData(0)
+  const barWidth = 4
+  const bars = waveformWidth / barWidth
+  const samplesPerBar = Math.max(1, Math.floor(samples.length / bars))
+  for (let bar = 0; bar < bars; bar++) {
+    let peak = 0
+    for (let i = bar * samplesPerBar; i < (bar + 1) * samplesPerBar && i < samples.length; i++) {
+      peak = Math.max(peak, Math.abs(samples[i]))
+    }
+    const height = Math.max(2, peak * waveformHeight * 0.8)
+    canvasContext.fillRect(bar * barWidth, (waveformHeight - height) / 2, barWidth - 1, height)
+  }
+
+  const blob = await canvasToBlob(canvas)
+  const preview = new File([blob], name, { type: 'image/jpeg' })
+  return { file: preview, width: waveformWidth, height: waveformHeight, duration: buffer.duration }
+}
+
+/**
+ * Pulls the largest embedded JPEG out of a RAW file, and turns it the way the camera was held.
+ * @param {File} file
+ * @param {string} name the preview's filename
+ * @returns {Promise<Preview>}
+ */
+async function rawPreview(file, name) {
+  const bytes = new Uint8Array(await file.arrayBuffer())
+  const jpeg = findEmbeddedJPEG(bytes)
+  if (!jpeg) {
+    throw new Error('no embedded preview found')
+  }
+  // the orientation is in the RAW file's own EXIF data, not the embedded JPEG's
+  const exif = await readExif(file)
+  const rotate = { 3: 180, 6: 90, 8: 270 }[exif && exif.orientation] || 0
+  return encodePreview(new Blob([bytes.subarray(jpeg.start, jpeg.end)], { type: 'image/jpeg' }), name, rotate)
+}
+
+/**
+ * Finds the largest JPEG inside a file, by looking for JPEG start markers and following the segments after each one
+ * to where the JPEG ends. JPEGs inside other JPEGs (like EXIF thumbnails) are skipped along with the outer JPEG.
+ * @param {Uint8Array} bytes
+ * @returns {{start: number, end: number}|null} the byte range of the JPEG, or null if there isn't one
+ */
+export function findEmbeddedJPEG(bytes) {
+  let best = null
+  for (let i = 0; i + 3 < bytes.length; i++) {
+    if (bytes[i] !== 0xFF || bytes[i + 1] !== 0xD8 || bytes[i + 2] !== 0xFF) {
+      continue
+    }
+    const end = findJPEGEnd(bytes, i)
+    if (end === null) {
+      continue
+    }
+    if (!best || end - i > best.end - best.start) {
+      best = { start: i, end }
+    }
+    i = end - 1
+  }
+  return best
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} start the offset of the JPEG's start marker
+ * @returns {number|null} the offset just past the JPEG's end marker, or null if the bytes aren't a valid JPEG
+ */
+function findJPEGEnd(bytes, start) {
+  const isRestart = marker => marker >= 0xD0 && marker <= 0xD7
+  let pos = start + 2
+  while (pos + 2 <= bytes.length) {
+    if (bytes[pos] !== 0xFF) {
+      return null
+    }
+    const marker = bytes[pos + 1]
+    if (marker === 0xD9) {
+      return pos + 2
+    }
+    if (marker === 0xFF) {
+      // padding before a marker
+      pos += 1
+      continue
+    }
+    if (isRestart(marker)) {
+      pos += 2
+      continue
+    }
+    const length = (bytes[pos + 2] << 8) | bytes[pos + 3]
+    if (pos + 4 > bytes.length || length < 2) {
+      return null
+    }
+    pos += 2 + length
+    if (marker === 0xDA) {
+      // the compressed image data runs until the next marker, other than escaped 0xFF bytes and restart markers
+      while (pos + 1 < bytes.length && !(bytes[pos] === 0xFF && bytes[pos + 1] !== 0x00 && !isRestart(bytes[pos + 1]))) {
+        pos++
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Decodes an image the right way up and encodes it as a JPEG, which leaves all of its EXIF data behind.
+ * @param {Blob} blob
+ * @param {string} name the preview's filename
+ * @param {number} [rotate] degrees to turn the image clockwise, after applying its own orientation tag
+ * @returns {Promise<Preview>}
+ */
+async function encodePreview(blob, name, rotate = 0) {
+  const bitmap = await createImageBitmap(blob)
+  try {
+    const { file, width, height } = await drawPreview(bitmap, bitmap.width, bitmap.height, name, rotate)
+    return { file, width, height, duration: null }
+  } finally {
+    bitmap.close()
+  }
+}
+
+/**
+ * @param {CanvasImageSource} source
+ * @param {number} width the source's width
+ * @param {number} height the source's height
+ * @param {string} name the preview's filename
+ * @param {number} [rotate] degrees to turn the image clockwise
+ * @returns {Promise<{file: File, width: number, height: number}>}
+ */
+async function drawPreview(source, width, height, name, rotate = 0) {
+  if (!width || !height) {
+    throw new Error('nothing to draw')
+  }
+  const canvas = document.createElement('canvas')
+  canvas.width = rotate % 180 === 0 ? width : height
+  canvas.height = rotate % 180 === 0 ? height : width
+  const context = canvas.getContext('2d')
+  context.translate(canvas.width / 2, canvas.height / 2)
+  context.rotate(rotate * Math.PI / 180)
+  context.drawImage(source, -width / 2, -height / 2, width, height)
+  const blob = await canvasToBlob(canvas)
+  return { file: new File([blob], name, { type: 'image/jpeg' }), width: canvas.width, height: canvas.height }
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>} the canvas, as a JPEG
+ */
+async function canvasToBlob(canvas) {
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', previewQuality))
+  if (!blob) {
+    throw new Error('unable to encode the preview')
+  }
+  return blob
+}
+
+/**
+ * @param {HTMLMediaElement} element
+ * @param {string} event
+ * @returns {Promise<void>} resolves when the event fires, or rejects if the element fails to load or takes too long
+ */
+function waitForEvent(element, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`timed out waiting for ${event}`)), videoLoadTimeout)
+    element.addEventListener(event, () => {
+      clearTimeout(timer)
+      resolve()
+    }, { once: true })
+    element.addEventListener('error', () => {
+      clearTimeout(timer)
+      reject(new Error("the browser can't play this file"))
+    }, { once: true })
+  })
+}
+
+// #endregion previews
+
+// #region players
+
+/**
+ * @typedef {object} Player
+ * @property {HTMLElement} element the element to add to the page
+ * @property {HTMLMediaElement} player set its src to the file to play
+ * @property {function(string): void} setPoster shows the preview at the given URL
+ */
+
+/**
+ * Returns a player for a video or audio upload. Audio players have nowhere to show a poster, so the poster of an audio
+ * upload goes in an `<img>` above its player.
+ * @param {'video'|'audio'} mediaType
+ * @param {string} label the player's accessible name, from altText
+ * @returns {Player}
+ */
+export function makePlayer(mediaType, label) {
+  const player = document.createElement(mediaType)
+  player.className = 'media-player'
+  player.controls = true
+  // only the length and first frame are loaded until the user presses play
+  player.preload = 'metadata'
+  player.setAttribute('aria-label', label || mediaType)
+  if (mediaType === 'video') {
+    player.playsInline = true
+    return { element: player, player, setPoster: url => { player.poster = url } }
+  }
+
+  const wrapper = document.createElement('div')
+  wrapper.className = 'audio-player'
+  const poster = document.createElement('img')
+  poster.alt = ''
+  poster.className = 'hidden'
+  wrapper.appendChild(poster)
+  wrapper.appendChild(player)
+  const setPoster = url => {
+    poster.src = url
+    poster.classList.remove('hidden')
+  }
+  return { element: wrapper, player, setPoster }
+}
+
+/**
+ * Returns a sandboxed `<iframe>` for showing an SVG. Sandboxing without allow-scripts stops any scripts in the SVG from
+ * running, and the content security policy stops it loading anything from elsewhere.
+ * @param {string} label the frame's title, from altText
+ * @returns {HTMLIFrameElement} pass it to showSVG once the SVG has been fetched
+ */
+export function makeSVGFrame(label) {
+  const frame = document.createElement('iframe')
+  frame.className = 'svg-frame'
+  frame.setAttribute('sandbox', '')
+  frame.referrerPolicy = 'no-referrer'
+  frame.title = label || 'SVG image'
+  return frame
+}
+
+/**
+ * @param {HTMLIFrameElement} frame from makeSVGFrame
+ * @param {string} svg the SVG's markup
+ */
+export function showSVG(frame, svg) {
+  frame.srcdoc = '<!DOCTYPE html>' +
+    '<meta http-equiv="Content-Security-Policy" content="default-src \'none\'; style-src \'unsafe-inline\'; img-src data:">' +
+    '<style>html, body { margin: 0; height: 100% } svg { display: block; width: 100%; height: 100% }</style>' +
+    svg
+}
+
+/**
+ * Returns a placeholder for an upload there's nothing to show for, with a link to download the original.
+ * @param {ImageMetadata|AlbumImage} metadata
+ * @param {string} url the original file's URL
+ * @returns {HTMLDivElement}
+ */
+export function makeNoPreview(metadata, url) {
+  const wrapper = document.createElement('div')
+  wrapper.className = 'no-preview'
+  const message = document.createElement('span')
+  message.textContent = `There's no preview of ${metadata.path}`
+  const link = document.createElement('a')
+  link.href = url
+  link.download = metadata.path
+  link.textContent = 'Download the original'
+  wrapper.appendChild(message)
+  wrapper.appendChild(link)
+  return wrapper
+}
+
+// #endregion players
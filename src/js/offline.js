@@ -0,0 +1,308 @@
+////////////////////////////////
+////// Offline support
+////////////////////////////////
+
+// Registers the service worker (see src/sw.js), which caches the app and the IPFS content it fetches, and keeps a
+// queue of images that were uploaded without a network connection. Queued images are kept in IndexedDB, so they
+// survive the page being closed, and are stored with storeImage the next time any page of the gallery is open
+// and online. The queue is shared by every profile, so each image remembers the profile it was queued in. If that
+// profile is deleted, its images stay in the queue until the user moves them to another profile or discards them on
+// the settings page.
+//
+// Private images and albums aren't queued. A private image would need its passphrase or share key kept in the queue
+// until it's uploaded, and an album can't be split into queued images and uploaded ones, so both fail as usual when
+// the connection drops and can be retried from the upload page.
+
+import { storeImage } from './storage'
+import { getStorageProvider } from './providers'
+import { showPopupMessage } from './helpers'
+import { getActiveProfile, listProfiles } from './profiles'
+import { getGatewaySettings } from './gateways'
+
+// #region service-worker
+
+/**
+ * Registers the service worker, in production builds only, since the dev server's files change all the time.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+    return
+  }
+  navigator.serviceWorker.register('sw.js').catch(e => {
+    console.error('unable to register service worker:', e)
+  })
+  navigator.serviceWorker.ready.then(sendServiceWorkerSettings)
+}
+
+// the cache the service worker keeps IPFS content in. This has to match ipfsCacheName in src/sw.js.
+const ipfsCacheName = 'image-gallery-ipfs'
+
+/**
+ * Tells the service worker whether verification is turned on, since it can't read local storage. Called when each
+ * page loads, and whenever the setting changes.
+ * @returns {Promise<void>}
+ */
+export async function sendServiceWorkerSettings() {
+  if (!('serviceWorker' in navigator)) {
+    return
+  }
+  const registration = await navigator.serviceWorker.getRegistration()
+  if (registration && registration.active) {
+    registration.active.postMessage({ type: 'settings', verify: getGatewaySettings().verify })
+  }
+}
+
+/**
+ * Removes everything the service worker has cached for a CID, from every gateway. Called when content from a gateway
+ * doesn't match its CID, so the next attempt fetches it again instead of failing the same way.
+ * @param {string} cid
+ * @returns {Promise<void>}
+ */
+export async function forgetCachedContent(cid) {
+  if (typeof caches === 'undefined') {
+    return
+  }
+  const cache = await caches.open(ipfsCacheName)
+  const prefix = `/ipfs/${cid}/`
+  for (const request of await cache.keys()) {
+    if (new URL(request.url).pathname.startsWith(prefix)) {
+      await cache.delete(request)
+    }
+  }
+}
+
+// #endregion service-worker
+
+// #region db
+
+const dbName = 'image-gallery-offline-uploads'
+const dbVersion = 1
+const uploadStore = 'uploads'
+
+let dbPromise = null
+
+/**
+ * Opens the queue database, creating the object store on first use.
+ * @returns {Promise<IDBDatabase|null>} null if IndexedDB isn't available
+ */
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null)
+        return
+      }
+      const req = indexedDB.open(dbName, dbVersion)
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(uploadStore, { keyPath: 'id', autoIncrement: true })
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => {
+        console.error('unable to open offline upload queue:', req.error)
+        resolve(null)
+      }
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Runs a single request against the upload store and resolves with its result.
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest
+ * @param {*} fallback value to resolve with if the queue isn't available
+ * @returns {Promise<*>}
+ */
+async function withStore(mode, makeRequest, fallback) {
+  const db = await openDB()
+  if (!db) {
+    return fallback
+  }
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(uploadStore, mode)
+    const req = makeRequest(tx.objectStore(uploadStore))
+    tx.oncomplete = () => resolve(req.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+// #endregion db
+
+// #region upload-queue
+
+/**
+ * @typedef {object} QueuedUpload
+ * @property {number} id
+ * @property {File} file the image, with EXIF data already removed
+ * @property {string} caption
+ * @property {string} alt
+ * @property {string[]} tags
+ * @property {string} collection
+ * @property {object|null} edited the edits made in the editor before the image was queued, if any
+ * @property {string} queued when the image was queued, as an ISO date string
+ * @property {string} [profileId] the profile that was active when the image was queued, whose token and prefix it's
+ *   uploaded with. Images queued before this was recorded use the active profile.
+ */
+
+/**
+ * @param {QueuedUpload} upload
+ * @param {import('./profiles').Profile[]} profiles
+ * @returns {boolean} true if the profile the image was queued in has been deleted
+ */
+function isOrphaned(upload, profiles) {
+  return !!upload.profileId && !profiles.some(profile => profile.id === upload.profileId)
+}
+
+// the uploads in progress, if the queue is being uploaded
+let uploading = null
+
+/**
+ * @returns {boolean} true if uploads can't be stored right now. The local storage provider doesn't need a connection,
+ *   so we're never offline when it's in use.
+ */
+export function isOffline() {
+  return !navigator.onLine && getStorageProvider().usesGateways
+}
+
+/**
+ * Saves an image to be stored once we're back online, in the active profile's gallery.
+ * @param {File} file
+ * @param {string} caption
+ * @param {{alt?: string, tags?: string[], collection?: string, edited?: object|null}} options
+ * @returns {Promise<number>} the ID of the queued upload, which is passed along with the offline-upload event
+ */
+export async function queueOfflineUpload(file, caption, options) {
+  if (!await openDB()) {
+    throw new Error("you're offline, and images can't be saved for later in this browser")
+  }
+  const upload = {
+    file,
+    caption,
+    alt: options.alt || '',
+    tags: options.tags || [],
+    collection: options.collection || '',
+    edited: options.edited || null,
+    queued: new Date().toISOString(),
+    profileId: getActiveProfile().id,
+  }
+  return withStore('readwrite', store => store.add(upload), undefined)
+}
+
+/**
+ * Stores every queued image with storeImage, removing each one from the queue once it's stored. Images that fail
+ * stay in the queue and are tried again next time. Each image goes to the gallery of the profile it was queued in,
+ * whichever profile is active now.
+ *
+ * A window event named 'offline-upload' is dispatched for each image that's stored, with the ID of the queued upload
+ * and the StoreImageResult in its detail.
+ * @returns {Promise<number>} the number of images stored
+ */
+export function uploadOfflineQueue() {
+  if (!uploading) {
+    // the lock stops two open pages from uploading the same images
+    const upload = () => uploadQueued().finally(() => {
+      uploading = null
+    })
+    uploading = navigator.locks ? navigator.locks.request(dbName, upload) : upload()
+  }
+  return uploading
+}
+
+/**
+ * @returns {Promise<number>} the number of images stored
+ */
+async function uploadQueued() {
+  const queued = await withStore('readonly', store => store.getAll(), [])
+  if (queued.length === 0) {
+    return 0
+  }
+
+  const profiles = listProfiles()
+  const orphaned = queued.filter(upload => isOrphaned(upload, profiles))
+  if (orphaned.length > 0) {
+    const images = orphaned.length === 1 ? '1 image' : `${orphaned.length} images`
+    showPopupMessage(`${images} saved while you were offline belong to a deleted profile. You can upload them with another profile on the settings page.`)
+  }
+
+  let stored = 0
+  for (const { id, file, caption, alt, tags, collection, edited, profileId } of queued) {
+    if (isOffline()) {
+      break
+    }
+    const profile = profileId ? profiles.find(profile => profile.id === profileId) : getActiveProfile()
+    // images for a deleted profile wait for the user to choose another profile (see moveQueuedUploads)
+    if (!profile || !profile.token) {
+      continue
+    }
+    try {
+      const result = await storeImage(file, caption, { alt, tags, collection, edited, profile })
+      if (!result) {
+        throw new Error('no API token found for Web3.Storage')
+      }
+      await withStore('readwrite', store => store.delete(id), undefined)
+      stored++
+      window.dispatchEvent(new CustomEvent('offline-upload', { detail: { id, result } }))
+    } catch (e) {
+      console.error('error uploading image saved while offline:', file.name, e)
+    }
+  }
+  if (stored > 0) {
+    showPopupMessage(`Uploaded ${stored} ${stored === 1 ? 'image' : 'images'} saved while you were offline`)
+  }
+  return stored
+}
+
+/**
+ * @returns {Promise<QueuedUpload[]>} queued images whose profile has been deleted. They aren't uploaded until they're
+ *   moved to another profile with moveQueuedUploads.
+ */
+export async function listOrphanedUploads() {
+  const profiles = listProfiles()
+  const queued = await withStore('readonly', store => store.getAll(), [])
+  return queued.filter(upload => isOrphaned(upload, profiles))
+}
+
+/**
+ * Moves queued images to another profile, whose gallery they'll be uploaded to.
+ * @param {QueuedUpload[]} uploads
+ * @param {string} profileId
+ * @returns {Promise<void>}
+ */
+export async function moveQueuedUploads(uploads, profileId) {
+  for (const upload of uploads) {
+    await withStore('readwrite', store => store.put({ ...upload, profileId }), undefined)
+  }
+}
+
+/**
+ * Removes queued images without uploading them.
+ * @param {QueuedUpload[]} uploads
+ * @returns {Promise<void>}
+ */
+export async function discardQueuedUploads(uploads) {
+  for (const { id } of uploads) {
+    await withStore('readwrite', store => store.delete(id), undefined)
+  }
+}
+
+// #endregion upload-queue
+
+// #region setup
+
+/**
+ * Registers the service worker, and uploads any queued images now and whenever the connection comes back.
+ * Every page calls this when it loads.
+ */
+export function setupOfflineSupport() {
+  registerServiceWorker()
+  const upload = () => uploadOfflineQueue().catch(e => {
+    console.error('error reading offline upload queue:', e)
+  })
+  window.addEventListener('online', upload)
+  if (!isOffline()) {
+    upload()
+  }
+}
+
+// #endregion setup
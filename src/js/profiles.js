@@ -0,0 +1,168 @@
+////////////////////////////////
+////// Gallery profiles
+////////////////////////////////
+
+// A profile is a named gallery, with its own API token and upload name prefix (see gallery-store.js). Profiles with
+// different tokens keep a personal and a team account apart, and profiles with the same token but different prefixes
+// keep several independent galleries in one account. One profile is active at a time, and every page works with the
+// active profile's token and prefix. Switching profiles reloads the page.
+//
+// Profiles are kept in local storage, like the single token was before there were profiles. The first time this
+// module runs, a saved token from before then becomes the token of the default profile.
+
+import { namePrefix, normalizePrefix } from './gallery-store'
+import { deleteMetadataCaches } from './cache'
+import { deleteTombstones } from './tombstones'
+
+// #region profiles
+
+/**
+ * @typedef {object} Profile
+ * @property {string} id
+ * @property {string} name shown in the profile switcher
+ * @property {string|null} token a Web3.Storage API token, or null if one hasn't been saved yet
+ * @property {string} prefix the name prefix for the profile's uploads
+ */
+
+const profilesKey = 'w3storage-profiles'
+const activeProfileKey = 'w3storage-active-profile'
+// where the token was saved before there were profiles
+const legacyTokenKey = 'w3storage-token'
+
+export const defaultProfileId = 'default'
+
+/**
+ * @returns {Profile[]} every profile, in the order they were added. There's always at least one.
+ */
+export function listProfiles() {
+  const saved = localStorage.getItem(profilesKey)
+  if (saved) {
+    try {
+      const profiles = JSON.parse(saved)
+      if (Array.isArray(profiles) && profiles.length > 0) {
+        return profiles
+      }
+    } catch (e) {
+      console.error('error reading saved profiles, starting again:', e)
+    }
+  }
+  const profiles = [{ id: defaultProfileId, name: 'Default', token: localStorage.getItem(legacyTokenKey), prefix: namePrefix }]
+  saveProfiles(profiles)
+  localStorage.removeItem(legacyTokenKey)
+  return profiles
+}
+
+/**
+ * @param {Profile[]} profiles
+ */
+function saveProfiles(profiles) {
+  localStorage.setItem(profilesKey, JSON.stringify(profiles))
+}
+
+/**
+ * @returns {Profile} the active profile, or the first one if the active profile has been deleted
+ */
+export function getActiveProfile() {
+  const profiles = listProfiles()
+  const id = localStorage.getItem(activeProfileKey)
+  return profiles.find(profile => profile.id === id) || profiles[0]
+}
+
+/**
+ * @param {string} id
+ */
+export function setActiveProfile(id) {
+  localStorage.setItem(activeProfileKey, id)
+}
+
+/**
+ * Adds a profile. It doesn't become the active profile until setActiveProfile is called.
+ * @param {{name: string, prefix: string, token?: string}} profile
+ * @returns {Profile}
+ * @throws if the name is empty, or the prefix isn't valid (see normalizePrefix)
+ */
+export function addProfile({ name, prefix, token }) {
+  const trimmedName = (name || '').trim()
+  if (!trimmedName) {
+    throw new Error('the profile needs a name')
+  }
+  const profile = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: trimmedName,
+    token: token || null,
+    prefix: normalizePrefix(prefix),
+  }
+  saveProfiles([...listProfiles(), profile])
+  return profile
+}
+
+/**
+ * @param {string} id
+ * @param {Partial<Profile>} changes
+ * @returns {Profile} the updated profile
+ */
+export function updateProfile(id, changes) {
+  const profiles = listProfiles()
+  const profile = profiles.find(profile => profile.id === id)
+  if (!profile) {
+    throw new Error(`no profile with id ${id}`)
+  }
+  Object.assign(profile, changes, { id })
+  if (changes.prefix !== undefined) {
+    profile.prefix = normalizePrefix(changes.prefix)
+  }
+  saveProfiles(profiles)
+  return profile
+}
+
+/**
+ * Deletes a profile, along with its metadata caches and its list of hidden and deleted images. The last profile can't
+ * be deleted, since the app always needs one.
+ * @param {string} id
+ * @returns {Promise<void>} resolves once the caches are deleted. Rejects if there's no profile with the ID, or it's
+ *   the only profile.
+ */
+export async function deleteProfile(id) {
+  const profiles = listProfiles()
+  if (!profiles.some(profile => profile.id === id)) {
+    throw new Error(`no profile with id ${id}`)
+  }
+  if (profiles.length < 2) {
+    throw new Error("the only profile can't be deleted")
+  }
+  saveProfiles(profiles.filter(profile => profile.id !== id))
+  deleteTombstones(id)
+  await deleteMetadataCaches(id)
+}
+
+// #endregion profiles
+
+// #region switcher
+
+/**
+ * Fills in the profile switcher in the page header, if the page has one. It's only shown when there's more than one
+ * profile to choose from.
+ */
+export function setupProfileSwitcher() {
+  const select = document.getElementById('profile-switcher')
+  if (!select) {
+    return
+  }
+  const profiles = listProfiles()
+  const active = getActiveProfile()
+  select.replaceChildren(...profiles.map(profile => {
+    const option = document.createElement('option')
+    option.value = profile.id
+    option.textContent = profile.name
+    option.selected = profile.id === active.id
+    return option
+  }))
+  select.classList.toggle('hidden', profiles.length < 2)
+  select.onchange = () => {
+    setActiveProfile(select.value)
+    // the caches and page state all belong to the previous profile
+    location.reload()
+  }
+}
+
+// #endregion switcher
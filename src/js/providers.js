@@ -0,0 +1,83 @@
+////////////////////////////////
+////// Storage providers
+////////////////////////////////
+
+// Everything the gallery stores or lists goes through a storage provider, so the app can run against something other
+// than Web3.Storage. There are two:
+//
+// - 'web3.storage' stores uploads on Web3.Storage, and loads content through IPFS gateways (see web3-provider.js)
+// - 'local' keeps uploads in the browser, in IndexedDB, for offline development, demos and tests (see local-provider.js)
+//
+// The provider is picked on the settings page, and saved in local storage. If nothing is saved, the VITE_STORAGE_PROVIDER
+// env variable picks the default, e.g. `VITE_STORAGE_PROVIDER=local npm run dev`.
+// Like gallery-store.js, this module is also loaded by Node, where it always uses Web3.Storage.
+
+import { web3StorageProvider } from './web3-provider.js'
+import { localProvider } from './local-provider.js'
+
+// #region provider
+
+/**
+ * @typedef {object} StorageProvider
+ * @property {string} id the id that's saved in the settings, e.g. 'web3.storage'
+ * @property {string} label a name to show on the settings page
+ * @property {boolean} usesGateways true if content can be loaded from IPFS gateway URLs. If false, the gallery fetches
+ *   images with fetchContent and shows them from blob URLs.
+ * @property {function(string): AsyncIterable<Upload>} list lists every upload in the account with the given API token,
+ *   newest first
+ * @property {function(AsyncIterable<Uint8Array>, string, import('./car-upload.js').UploadCAROptions): Promise<string>} putCAR
+ *   stores a packed CAR file containing a single DAG with the given root CID, and resolves with the root CID. Rejects
+ *   with an AbortError if the signal in the options is aborted.
+ * @property {function(string, string): Promise<void>} delete deletes the upload with the given CID, using the given
+ *   API token. Rejects if the upload couldn't be deleted.
+ * @property {function(string): Promise<boolean>} validateToken resolves to false if the API token is invalid
+ * @property {function(string, string, ('car'|'raw')=): Promise<Response>} fetchContent fetches a file from an upload,
+ *   in the same way as fetchFromGateways
+ * @property {function(string, string): Promise<UploadStatus|undefined>} status gets the pinning and deal status of the
+ *   upload with the given CID, using the given API token. Resolves to undefined if there's no such upload.
+ *
+ * @typedef {object} UploadStatus
+ * @property {string} cid the root CID of the upload
+ * @property {string} created when the upload was made, as an ISO 8601 string
+ * @property {number} dagSize the total size of the upload's blocks, in bytes
+ * @property {Array<{peerName: string, region: string, status: ('Pinned'|'Pinning'|'PinQueued'), updated: string}>} pins
+ *   the IPFS nodes pinning the upload
+ * @property {Array<{dealId: number, storageProvider: string, status: ('Queued'|'Published'|'Active')}>} deals the
+ *   Filecoin deals the upload is part of
+ *
+ * @typedef {UploadStatus & {name: string}} Upload the name is the one the upload was stored with
+ */
+
+const providerKey = 'w3storage-provider'
+
+/** @type {StorageProvider[]} */
+export const storageProviders = [web3StorageProvider, localProvider]
+
+/**
+ * @returns {string} the id of the provider to use: the one saved on the settings page, or the VITE_STORAGE_PROVIDER
+ *   env variable, or 'web3.storage'
+ */
+export function getStorageProviderId() {
+  const saved = typeof localStorage === 'undefined' ? null : localStorage.getItem(providerKey)
+  const env = import.meta.env || {}
+  const id = saved || env.VITE_STORAGE_PROVIDER
+  return storageProviders.some(p => p.id === id) ? id : web3StorageProvider.id
+}
+
+/**
+ * @returns {StorageProvider}
+ */
+export function getStorageProvider() {
+  const id = getStorageProviderId()
+  return storageProviders.find(p => p.id === id)
+}
+
+/**
+ * Saves the provider to use on this browser. Pages pick up the change the next time they're loaded.
+ * @param {string} id
+ */
+export function saveStorageProviderId(id) {
+  localStorage.setItem(providerKey, id)
+}
+
+// #endregion provider
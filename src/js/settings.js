@@ -1,7 +1,14 @@
 import '../css/style.css'
 
-import { validateToken } from './storage'
-import { hideElement, showElement, saveToken, getSavedToken, deleteSavedToken, showPopupMessage } from './helpers'
+import { validateToken, getStorageUsage } from './storage'
+import { clearMetadataCache, countCachedMetadata } from './cache'
+import { getTombstones, unhideAll } from './tombstones'
+import { exportGallery, importGallery } from './archive'
+import { getGatewaySettings, saveGatewaySettings, resetGatewaySettings, normalizeGatewayURL, getGatewayHealth } from './gateways'
+import { storageProviders, getStorageProviderId, saveStorageProviderId } from './providers'
+import { listProfiles, getActiveProfile, setActiveProfile, addProfile, updateProfile, deleteProfile } from './profiles'
+import { setupOfflineSupport, sendServiceWorkerSettings, listOrphanedUploads, moveQueuedUploads, discardQueuedUploads, uploadOfflineQueue } from './offline'
+import { hideElement, showElement, saveToken, getSavedToken, deleteSavedToken, showPopupMessage, announce, formatBytes } from './helpers'
 
 ////////////////////////////////////
 ///////// Token input view
@@ -44,7 +51,13 @@ function setupTokenUI() {
         return
       }
       saveToken(token)
+      // the cache belongs to the previous token's account, if there was one
+      clearMetadataCache().then(updateCacheUI)
       updateTokenUI()
+      updateUsageUI()
+      // the input has been swapped for the saved token, so focus moves to the button that's taken its place
+      document.getElementById('token-delete-button').focus()
+      announce('Saved your API token')
     })
   }
 
@@ -56,7 +69,11 @@ function setupTokenUI() {
     tokenDeleteButton.onclick = evt => {
       evt.preventDefault()
       deleteSavedToken()
+      clearMetadataCache().then(updateCacheUI)
       updateTokenUI()
+      updateUsageUI()
+      tokenInput.focus()
+      announce('Deleted your API token')
     }
   }
   const tokenSaveButton = document.getElementById('token-save-button')
@@ -91,6 +108,610 @@ function updateTokenUI() {
 
 // #endregion token-view
 
+////////////////////////////////////
+///////// Cache view
+////////////////////////////////////
+
+// #region cache-view
+
+/**
+ * DOM initialization for the metadata cache UI.
+ */
+function setupCacheUI() {
+  const clearButton = document.getElementById('cache-clear-button')
+  if (!clearButton) {
+    return
+  }
+  clearButton.onclick = evt => {
+    evt.preventDefault()
+    clearMetadataCache().then(() => {
+      showPopupMessage('Cleared gallery cache')
+      updateCacheUI()
+    })
+  }
+  updateCacheUI()
+}
+
+/**
+ * Update the cache UI to show how many images are in the cache.
+ */
+async function updateCacheUI() {
+  const countLabel = document.getElementById('cache-count')
+  if (!countLabel) {
+    return
+  }
+  const count = await countCachedMetadata()
+  countLabel.textContent = count === 1 ? 'There is 1 image in the cache.' : `There are ${count} images in the cache.`
+}
+
+// #endregion cache-view
+
+////////////////////////////////////
+///////// Profile view
+////////////////////////////////////
+
+// #region profile-view
+
+/**
+ * DOM initialization for the profile list, and the forms for changing the active profile's prefix and adding profiles.
+ */
+function setupProfileUI() {
+  if (!document.getElementById('profile-ui')) {
+    return
+  }
+
+  const prefixInput = document.getElementById('profile-prefix-input')
+  prefixInput.value = getActiveProfile().prefix
+  document.getElementById('profile-prefix-form').onsubmit = evt => {
+    evt.preventDefault()
+    const profile = getActiveProfile()
+    try {
+      updateProfile(profile.id, { prefix: prefixInput.value })
+    } catch (e) {
+      showPopupMessage(`Unable to save prefix: ${e.message}`)
+      return
+    }
+    prefixInput.value = getActiveProfile().prefix
+    // the cached metadata is for the uploads with the old prefix
+    clearMetadataCache().then(updateCacheUI)
+    updateProfileUI()
+    showPopupMessage('Saved prefix')
+  }
+
+  const addButton = document.getElementById('profile-add-button')
+  document.getElementById('profile-add-form').onsubmit = async evt => {
+    evt.preventDefault()
+    const nameInput = document.getElementById('profile-name-input')
+    const newPrefixInput = document.getElementById('profile-new-prefix-input')
+    const tokenInput = document.getElementById('profile-token-input')
+    const token = tokenInput.value.trim() || getSavedToken()
+    addButton.disabled = true
+    try {
+      if (tokenInput.value.trim() && !await validateToken(token)) {
+        throw new Error('invalid token')
+      }
+      const profile = addProfile({ name: nameInput.value, prefix: newPrefixInput.value, token })
+      nameInput.value = ''
+      newPrefixInput.value = ''
+      tokenInput.value = ''
+      updateProfileUI()
+      showPopupMessage(`Added profile ${profile.name}`)
+    } catch (e) {
+      showPopupMessage(`Unable to add profile: ${e.message}`)
+    }
+    addButton.disabled = false
+  }
+
+  document.getElementById('orphaned-uploads-move-button').onclick = async () => {
+    const profile = getActiveProfile()
+    await moveQueuedUploads(await listOrphanedUploads(), profile.id)
+    updateOrphanedUploadsUI()
+    const stored = await uploadOfflineQueue()
+    if (stored === 0) {
+      showPopupMessage(`The images will be uploaded with the ${profile.name} profile once you're online`)
+    }
+  }
+  document.getElementById('orphaned-uploads-discard-button').onclick = async () => {
+    const orphaned = await listOrphanedUploads()
+    if (!confirm(`Discard ${orphaned.length === 1 ? 'the image' : `all ${orphaned.length} images`} without uploading? This can't be undone.`)) {
+      return
+    }
+    await discardQueuedUploads(orphaned)
+    updateOrphanedUploadsUI()
+  }
+
+  updateProfileUI()
+  updateOrphanedUploadsUI()
+}
+
+/**
+ * Lists the profiles, with buttons to switch to or delete each one.
+ */
+function updateProfileUI() {
+  const list = document.getElementById('profile-list')
+  if (!list) {
+    return
+  }
+  const profiles = listProfiles()
+  const active = getActiveProfile()
+  list.replaceChildren(...profiles.map(profile => {
+    const li = document.createElement('li')
+    li.className = 'profile-row'
+
+    const name = document.createElement('span')
+    name.className = 'profile-name'
+    name.textContent = profile.name
+    const prefix = document.createElement('code')
+    prefix.className = 'profile-prefix'
+    prefix.textContent = profile.prefix
+    const status = document.createElement('span')
+    status.className = 'profile-status'
+    if (profile.id === active.id) {
+      status.textContent = 'active'
+    } else if (!profile.token) {
+      status.textContent = 'no token'
+    }
+    li.appendChild(name)
+    li.appendChild(prefix)
+    li.appendChild(status)
+
+    if (profile.id !== active.id) {
+      const switchButton = document.createElement('button')
+      switchButton.textContent = 'Switch'
+      switchButton.setAttribute('aria-label', `Switch to the ${profile.name} profile`)
+      switchButton.onclick = () => {
+        setActiveProfile(profile.id)
+        // the token, metadata cache and upload names all change, so we start again from a fresh page
+        location.reload()
+      }
+      li.appendChild(switchButton)
+    }
+    if (profiles.length > 1) {
+      const deleteButton = document.createElement('button')
+      deleteButton.textContent = 'Delete'
+      deleteButton.setAttribute('aria-label', `Delete the ${profile.name} profile`)
+      deleteButton.onclick = async () => {
+        if (!confirm(`Delete the ${profile.name} profile? Its images stay in your account, but its token is forgotten. Any images saved for it while you were offline are kept, and can be uploaded with another profile.`)) {
+          return
+        }
+        await deleteProfile(profile.id)
+        if (profile.id === active.id) {
+          location.reload()
+          return
+        }
+        updateProfileUI()
+        updateOrphanedUploadsUI()
+      }
+      li.appendChild(deleteButton)
+    }
+    return li
+  }))
+}
+
+/**
+ * Shows how many images saved while offline belong to a deleted profile, with buttons to upload them with the active
+ * profile or discard them. Hidden if there aren't any.
+ */
+async function updateOrphanedUploadsUI() {
+  const orphaned = await listOrphanedUploads()
+  const container = document.getElementById('orphaned-uploads')
+  if (orphaned.length === 0) {
+    hideElement(container)
+    return
+  }
+  const images = orphaned.length === 1 ? '1 image' : `${orphaned.length} images`
+  document.getElementById('orphaned-uploads-message').textContent =
+    `${images} saved while you were offline belong to a profile that's been deleted, so ${orphaned.length === 1 ? "it hasn't" : "they haven't"} been uploaded.`
+  showElement(container)
+}
+
+// #endregion profile-view
+
+////////////////////////////////////
+///////// Storage provider view
+////////////////////////////////////
+
+// #region provider-view
+
+/**
+ * DOM initialization for the storage provider picker.
+ */
+function setupProviderUI() {
+  const select = document.getElementById('provider-select')
+  if (!select) {
+    return
+  }
+  for (const provider of storageProviders) {
+    const option = document.createElement('option')
+    option.value = provider.id
+    option.textContent = provider.label
+    select.appendChild(option)
+  }
+  select.value = getStorageProviderId()
+  select.onchange = () => {
+    saveStorageProviderId(select.value)
+    // the metadata cache and token check depend on the provider, so we start again from a fresh page
+    location.reload()
+  }
+}
+
+// #endregion provider-view
+
+////////////////////////////////////
+///////// Storage usage view
+////////////////////////////////////
+
+// #region usage-view
+
+/**
+ * DOM initialization for the storage usage dashboard.
+ */
+function setupUsageUI() {
+  const refreshButton = document.getElementById('usage-refresh-button')
+  if (!refreshButton) {
+    return
+  }
+  refreshButton.onclick = updateUsageUI
+  updateUsageUI()
+}
+
+/**
+ * Lists every upload in the active profile's gallery, and shows how much storage they use and which of them
+ * aren't pinned yet.
+ */
+async function updateUsageUI() {
+  const summary = document.getElementById('usage-summary')
+  const refreshButton = document.getElementById('usage-refresh-button')
+  const unpinnedArea = document.getElementById('unpinned-uploads')
+  if (!summary) {
+    return
+  }
+  if (!getSavedToken()) {
+    summary.textContent = 'Save an API token to see how much storage your gallery uses.'
+    hideElement(unpinnedArea)
+    hideElement(refreshButton)
+    return
+  }
+
+  showElement(refreshButton)
+  refreshButton.disabled = true
+  summary.textContent = 'Adding up your uploads…'
+  let usage
+  try {
+    usage = await getStorageUsage()
+  } catch (e) {
+    console.error('error getting storage usage:', e)
+    summary.textContent = `Unable to get storage usage: ${e.message}`
+    refreshButton.disabled = false
+    return
+  }
+  refreshButton.disabled = false
+
+  const uploads = usage.uploads === 1 ? '1 upload' : `${usage.uploads} uploads`
+  summary.textContent = `${uploads} using ${formatBytes(usage.totalSize)}. ` +
+    `${usage.pinned} pinned, ${usage.inDeals} in active Filecoin deals.`
+
+  const list = document.getElementById('unpinned-list')
+  list.replaceChildren(...usage.unpinned.map(upload => {
+    const li = document.createElement('li')
+    const link = document.createElement('a')
+    link.href = `./gallery.html#${upload.cid}`
+    link.textContent = upload.name.slice(upload.name.indexOf('|') + 1) || upload.cid
+    const state = document.createElement('span')
+    state.className = 'unpinned-state'
+    state.textContent = ` ${upload.pinState}, uploaded ${new Date(upload.created).toLocaleString()}`
+    li.appendChild(link)
+    li.appendChild(state)
+    return li
+  }))
+  if (usage.unpinned.length > 0) {
+    showElement(unpinnedArea)
+  } else {
+    hideElement(unpinnedArea)
+  }
+}
+
+// #endregion usage-view
+
+////////////////////////////////////
+///////// Hidden images view
+////////////////////////////////////
+
+// #region hidden-images-view
+
+/**
+ * DOM initialization for the hidden images UI.
+ */
+function setupHiddenImagesUI() {
+  const unhideButton = document.getElementById('unhide-button')
+  if (!unhideButton) {
+    return
+  }
+  unhideButton.onclick = evt => {
+    evt.preventDefault()
+    const count = unhideAll()
+    showPopupMessage(count === 1 ? 'Showing 1 hidden image' : `Showing ${count} hidden images`)
+    updateHiddenImagesUI()
+  }
+  updateHiddenImagesUI()
+}
+
+/**
+ * Update the hidden images UI to show how many images are hidden.
+ */
+function updateHiddenImagesUI() {
+  const count = getTombstones().filter(t => t.reason === 'hidden').length
+  const countLabel = document.getElementById('hidden-images-count')
+  countLabel.textContent = count === 1 ? 'There is 1 hidden image.' : `There are ${count} hidden images.`
+  document.getElementById('unhide-button').disabled = count === 0
+}
+
+// #endregion hidden-images-view
+
+////////////////////////////////////
+///////// Gateway view
+////////////////////////////////////
+
+// #region gateway-view
+
+/**
+ * DOM initialization for the IPFS gateway UI.
+ */
+function setupGatewayUI() {
+  if (!document.getElementById('gateway-ui')) {
+    return
+  }
+
+  const urlInput = document.getElementById('gateway-url-input')
+  const styleSelect = document.getElementById('gateway-style-select')
+  document.getElementById('gateway-add-button').onclick = evt => {
+    evt.preventDefault()
+    const url = normalizeGatewayURL(urlInput.value)
+    if (!url) {
+      showPopupMessage('Please enter a valid http(s) URL')
+      return
+    }
+    const settings = getGatewaySettings()
+    if (settings.gateways.some(g => g.url === url)) {
+      showPopupMessage('That gateway is already in the list')
+      return
+    }
+    settings.gateways = [...settings.gateways, { url, style: styleSelect.value }]
+    saveGatewaySettings(settings)
+    urlInput.value = ''
+    updateGatewayUI()
+  }
+
+  const raceCheckbox = document.getElementById('gateway-race-checkbox')
+  raceCheckbox.onchange = () => {
+    const settings = getGatewaySettings()
+    settings.mode = raceCheckbox.checked ? 'race' : 'failover'
+    saveGatewaySettings(settings)
+  }
+
+  const verifyCheckbox = document.getElementById('gateway-verify-checkbox')
+  verifyCheckbox.onchange = () => {
+    const settings = getGatewaySettings()
+    settings.verify = verifyCheckbox.checked
+    saveGatewaySettings(settings)
+    sendServiceWorkerSettings()
+    // cached metadata was fetched without being checked, so fetch it again
+    if (settings.verify) {
+      clearMetadataCache().then(updateCacheUI)
+    }
+  }
+
+  document.getElementById('gateway-reset-button').onclick = evt => {
+    evt.preventDefault()
+    resetGatewaySettings()
+    sendServiceWorkerSettings()
+    showPopupMessage('Restored the default gateways')
+    updateGatewayUI()
+  }
+
+  updateGatewayUI()
+}
+
+/**
+ * Update the gateway UI to show the current list of gateways, in order of preference.
+ */
+function updateGatewayUI() {
+  const list = document.getElementById('gateway-list')
+  const settings = getGatewaySettings()
+  const health = getGatewayHealth()
+  document.getElementById('gateway-race-checkbox').checked = settings.mode === 'race'
+  document.getElementById('gateway-verify-checkbox').checked = settings.verify
+
+  // the list is rebuilt after every change, so focus moves to a button in the row that's now at the given position
+  const focusRow = index => {
+    const row = list.children[Math.min(index, list.children.length - 1)]
+    const button = row && row.querySelector('button:not([disabled])')
+    if (button) {
+      button.focus()
+    }
+  }
+
+  const move = (index, offset) => {
+    const gateways = [...settings.gateways]
+    const [gateway] = gateways.splice(index, 1)
+    gateways.splice(index + offset, 0, gateway)
+    saveGatewaySettings({ ...settings, gateways })
+    updateGatewayUI()
+    focusRow(index + offset)
+    announce(`Moved ${gateway.url} to position ${index + offset + 1} of ${gateways.length}`)
+  }
+
+  const remove = index => {
+    if (settings.gateways.length === 1) {
+      showPopupMessage('You need at least one gateway')
+      return
+    }
+    const gateways = settings.gateways.filter((_, i) => i !== index)
+    saveGatewaySettings({ ...settings, gateways })
+    updateGatewayUI()
+    focusRow(index)
+    announce(`Removed ${settings.gateways[index].url}`)
+  }
+
+  list.innerHTML = ''
+  settings.gateways.forEach((gateway, i) => {
+    const row = document.createElement('li')
+    row.className = 'gateway-row'
+
+    const url = document.createElement('span')
+    url.className = 'gateway-url'
+    url.textContent = `${gateway.url} (${gateway.style})`
+    row.appendChild(url)
+
+    const status = describeGatewayHealth(health[gateway.url])
+    const healthLabel = document.createElement('span')
+    healthLabel.className = 'gateway-health' + (status.down ? ' down' : '')
+    healthLabel.textContent = status.text
+    row.appendChild(healthLabel)
+
+    row.appendChild(makeGatewayButton('↑', 'Move up', `Move ${gateway.url} up`, i === 0, () => move(i, -1)))
+    row.appendChild(makeGatewayButton('↓', 'Move down', `Move ${gateway.url} down`, i === settings.gateways.length - 1, () => move(i, 1)))
+    row.appendChild(makeGatewayButton('✕', 'Remove', `Remove ${gateway.url}`, false, () => remove(i)))
+    list.appendChild(row)
+  })
+}
+
+/**
+ * @param {import('./gateways').GatewayHealth} [record]
+ * @returns {{text: string, down: boolean}} a short description of the gateway's recent requests
+ */
+function describeGatewayHealth(record) {
+  if (!record) {
+    return { text: 'not used yet', down: false }
+  }
+  if (record.lastFailure && (!record.lastSuccess || record.lastFailure > record.lastSuccess)) {
+    return { text: `failed ${new Date(record.lastFailure).toLocaleTimeString()}`, down: true }
+  }
+  return { text: `ok, ${record.latency}ms`, down: false }
+}
+
+/**
+ * @param {string} label
+ * @param {string} title tooltip for the button
+ * @param {string} name accessible name for the button, which says which gateway it's for, since screen reader users
+ *   can't see which row it's in
+ * @param {boolean} disabled
+ * @param {function} onClick
+ * @returns {HTMLButtonElement}
+ */
+function makeGatewayButton(label, title, name, disabled, onClick) {
+  const button = document.createElement('button')
+  button.textContent = label
+  button.title = title
+  button.setAttribute('aria-label', name)
+  button.disabled = disabled
+  button.onclick = evt => {
+    evt.preventDefault()
+    onClick()
+  }
+  return button
+}
+
+// #endregion gateway-view
+
+////////////////////////////////////
+///////// Export & import view
+////////////////////////////////////
+
+// #region archive-view
+
+/**
+ * DOM initialization for the gallery export & import UI.
+ */
+function setupArchiveUI() {
+  const exportButton = document.getElementById('export-button')
+  if (!exportButton) {
+    return
+  }
+  const importButton = document.getElementById('import-button')
+  const status = document.getElementById('archive-status')
+  const showProgress = verb => ({ done, total }) => {
+    status.textContent = `${verb} ${done} of ${total} uploads...`
+  }
+
+  exportButton.onclick = async evt => {
+    evt.preventDefault()
+    const token = getSavedToken()
+    if (!token) {
+      showPopupMessage('Save an API token before exporting your gallery')
+      return
+    }
+    exportButton.disabled = true
+    importButton.disabled = true
+    status.textContent = 'Listing uploads...'
+    try {
+      const { blob, exported, failed } = await exportGallery({ token, onProgress: showProgress('Exported') })
+      downloadBlob(blob, `image-gallery-${new Date().toISOString().slice(0, 10)}.car`)
+      status.textContent = failed > 0
+        ? `Exported ${exported} uploads. ${failed} couldn't be fetched and were left out.`
+        : `Exported ${exported} uploads.`
+    } catch (e) {
+      console.error('error exporting gallery', e)
+      status.textContent = `Export failed: ${e.message}`
+    } finally {
+      exportButton.disabled = false
+      importButton.disabled = false
+    }
+  }
+
+  importButton.onclick = async evt => {
+    evt.preventDefault()
+    const file = document.getElementById('import-file-input').files[0]
+    const token = document.getElementById('import-token-input').value.trim() || getSavedToken()
+    if (!file) {
+      showPopupMessage('Choose a gallery export to import')
+      return
+    }
+    if (!token) {
+      showPopupMessage('Enter an API token for the account to import into')
+      return
+    }
+    exportButton.disabled = true
+    importButton.disabled = true
+    status.textContent = 'Reading export...'
+    try {
+      const { imported, skipped, failed } = await importGallery(file, { token, onProgress: showProgress('Imported') })
+      const parts = [`Imported ${imported} uploads.`]
+      if (skipped > 0) {
+        parts.push(`${skipped} were already in the account and were skipped.`)
+      }
+      if (failed > 0) {
+        parts.push(`${failed} couldn't be stored.`)
+      }
+      status.textContent = parts.join(' ')
+    } catch (e) {
+      console.error('error importing gallery', e)
+      status.textContent = `Import failed: ${e.message}`
+    } finally {
+      exportButton.disabled = false
+      importButton.disabled = false
+    }
+  }
+}
+
+/**
+ * Saves a blob to the user's downloads folder.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+  const a = document.createElement('a')
+  a.href = URL.createObjectURL(blob)
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  // give the browser a moment to start the download before we free the blob
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000)
+}
+
+// #endregion archive-view
+
 ////////////////////////////////
 ///////// Initialization
 ////////////////////////////////
@@ -98,5 +719,13 @@ function updateTokenUI() {
 // #region init
 
 setupTokenUI()
+setupProfileUI()
+setupProviderUI()
+setupUsageUI()
+setupCacheUI()
+setupHiddenImagesUI()
+setupGatewayUI()
+setupArchiveUI()
+setupOfflineSupport()
 
 // #endregion init
\ No newline at end of file
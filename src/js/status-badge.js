@@ -0,0 +1,157 @@
+////////////////////////////////
+////// Upload status badges
+////////////////////////////////
+
+// Badges saying whether an upload is pinned on IPFS and stored in Filecoin deals, for the gallery cards and the upload
+// page. New uploads take a while to be pinned, and a day or two to make it into deals, so each badge checks the status
+// again every so often, waiting twice as long each time, until the upload is pinned and in an active deal.
+//
+// A big gallery has a badge on every card, so badges only check while they're on screen (where IntersectionObserver
+// is available), and only a few status requests run at once.
+
+import { getUploadStatus } from './storage'
+import { formatBytes } from './helpers'
+
+// #region status-badge
+
+const firstRefreshDelay = 30 * 1000
+const maxRefreshDelay = 10 * 60 * 1000
+const maxConcurrentRequests = 4
+
+const pinLabels = {
+  pinned: 'Pinned',
+  pinning: 'Pinning…',
+  queued: 'Queued for pinning',
+  unpinned: 'Not pinned',
+}
+
+const dealLabels = {
+  published: 'deal published',
+  queued: 'deal queued',
+}
+
+// called with true or false when a badge scrolls onto or off the screen
+const visibilityListeners = new WeakMap()
+const observer = typeof IntersectionObserver === 'undefined' ? null : new IntersectionObserver(entries => {
+  for (const entry of entries) {
+    const listener = visibilityListeners.get(entry.target)
+    if (listener) {
+      listener(entry.isIntersecting)
+    }
+  }
+})
+
+let activeRequests = 0
+const waitingRequests = []
+
+/**
+ * Returns a badge showing the pinning and deal status of an upload, which keeps itself up to date.
+ * @param {string} cid the root CID of the upload. For revisions, this should be the contentCID, since that's the
+ *   upload with the images in it.
+ * @returns {HTMLSpanElement}
+ */
+export function makeStatusBadge(cid) {
+  const badge = document.createElement('span')
+  badge.className = 'status-badge'
+  badge.dataset.state = 'checking'
+  badge.textContent = 'Checking status…'
+
+  let delay = firstRefreshDelay
+  // without IntersectionObserver, badges are checked whether they're on screen or not
+  let visible = !observer
+  let due = true
+
+  const check = async () => {
+    due = false
+    try {
+      showStatus(badge, await limitConcurrency(() => getUploadStatus(cid)))
+    } catch (e) {
+      console.error('error getting upload status', cid, e)
+      badge.dataset.state = 'error'
+      badge.textContent = 'Status unavailable'
+      badge.title = e.message
+    }
+    if (badge.dataset.state === 'stored') {
+      return
+    }
+    setTimeout(() => {
+      due = true
+      if (visible && badge.isConnected) {
+        check()
+      }
+    }, delay)
+    delay = Math.min(delay * 2, maxRefreshDelay)
+  }
+
+  if (observer) {
+    visibilityListeners.set(badge, isVisible => {
+      visible = isVisible
+      if (visible && due) {
+        check()
+      }
+    })
+    observer.observe(badge)
+  } else {
+    check()
+  }
+  return badge
+}
+
+/**
+ * Runs a status request once fewer than maxConcurrentRequests are running.
+ * @param {function(): Promise<*>} request
+ * @returns {Promise<*>}
+ */
+async function limitConcurrency(request) {
+  if (activeRequests >= maxConcurrentRequests) {
+    await new Promise(resolve => waitingRequests.push(resolve))
+  }
+  activeRequests++
+  try {
+    return await request()
+  } finally {
+    activeRequests--
+    const next = waitingRequests.shift()
+    if (next) {
+      next()
+    }
+  }
+}
+
+/**
+ * Updates a badge's text, state and tooltip for the latest status.
+ * @param {HTMLSpanElement} badge
+ * @param {import('./storage').UploadStatus|undefined} status
+ */
+function showStatus(badge, status) {
+  if (!status) {
+    badge.dataset.state = 'unknown'
+    badge.textContent = 'Status unknown'
+    badge.title = 'The storage provider has no record of this upload'
+    return
+  }
+
+  const parts = [pinLabels[status.pinState]]
+  if (status.activeDeals > 0) {
+    parts.push(`${status.activeDeals} Filecoin ${status.activeDeals === 1 ? 'deal' : 'deals'}`)
+  } else if (dealLabels[status.dealState]) {
+    parts.push(dealLabels[status.dealState])
+  }
+  badge.textContent = parts.join(' · ')
+  if (status.pinState === 'pinned') {
+    badge.dataset.state = status.activeDeals > 0 ? 'stored' : 'pinned'
+  } else {
+    badge.dataset.state = 'pending'
+  }
+
+  const details = [`${formatBytes(status.dagSize || 0)}, uploaded ${new Date(status.created).toLocaleString()}`]
+  for (const pin of status.pins) {
+    details.push(`${pin.status} on ${pin.peerName}${pin.region ? ` (${pin.region})` : ''}`)
+  }
+  for (const deal of status.deals) {
+    details.push(`Deal ${deal.dealId || '(pending)'} with ${deal.storageProvider || 'a storage provider'}: ${deal.status}`)
+  }
+  badge.title = details.join('\n')
+}
+
+// #endregion status-badge
@@ -1,20 +1,62 @@
-import { Web3Storage } from 'web3.storage'
-
-import { showMessage, showLink, jsonFile, getSavedToken, makeGatewayURL } from './helpers'
+import { showMessage, showLink, getSavedToken, makeGatewayURL } from './helpers'
+import { makeImageVariants, describeVariants } from './variants'
+import { readExif, publicExifFields } from './exif'
+import { getCachedMetadata, putCachedMetadata, listCachedMetadata, getSyncState, setSyncState } from './cache'
+import { getGatewaySettings } from './gateways'
+import { getStorageProvider } from './providers'
+import { fetchVerified } from './verify'
+import { imageFingerprint } from './fingerprints'
+import { mediaTypeOf, makePreview, describePreview } from './media'
+import { isTombstoned, addTombstones } from './tombstones'
+import { getActiveProfile } from './profiles'
+import {
+  metadataPath, albumManifestPath, encryptedImagePath, jsonFile, imageMetadataFile, describeGrouping,
+  uploadGalleryFiles, isGalleryUpload, fetchImageMetadata,
+  listGalleryUploads as listAllGalleryUploads,
+} from './gallery-store'
+import { generateShareKey, importShareKey, newKeyDerivation, deriveKey, encryptBytes, decryptBytes, encryptJSON, decryptJSON } from './crypto'
 
 ////////////////////////////////
 ////// Image upload & listing
 ////////////////////////////////
 
-// #region storeImage
+// The naming and metadata.json format of gallery uploads are shared with the command line tool, in gallery-store.js.
+// This module adds the parts that need a browser: generating resized copies, progress messages, the metadata cache,
+// verified fetches, and hiding images. Uploads are named and listed with the active profile's prefix (see profiles.js).
 
-// We use this to identify our uploads in the client.list response.
-const namePrefix = 'ImageGallery'
+// #region storeImage
 
 /**
- * Stores an image file on Web3.Storage, along with a small metadata.json that includes a caption & filename.
+ * Stores an image file on Web3.Storage, along with a small metadata.json that includes a caption, filename,
+ * tags and collection name.
+ * Resized copies of the image are generated in the browser and stored in the same directory, so the gallery
+ * can load an appropriately sized version. They're listed in the `variants` field of metadata.json.
+ * Video, audio and HEIC or RAW files are stored too, along with a preview image, which the resized copies are made
+ * from (see media.js).
+ *
+ * Any EXIF data in the file is uploaded as-is, so callers should use stripExif first if they want location
+ * data removed. The non-identifying EXIF fields (date taken, camera, dimensions etc) are copied into
+ * the `exif` field of metadata.json.
  * @param {File} imageFile a File object containing image data
  * @param {string} caption a string that describes the image
+ * @param {object} [options]
+ * @param {string} [options.alt] alt text for the image, for people who can't see it. The caption is used if it's empty.
+ * @param {function(string): void} [options.onRootCidReady] called with the locally calculated CID before uploading
+ * @param {function(number): void} [options.onStoredChunk] called with the size in bytes of each chunk after it's uploaded
+ * @param {function(import('./car-upload').UploadProgress): void} [options.onProgress] called with the bytes sent so far
+ *   and the total size of the upload, before the first chunk is sent and after each one
+ * @param {AbortSignal} [options.signal] cancels the upload when aborted, in which case the promise rejects with an AbortError
+ * @param {string[]} [options.tags] tags for the image, which are normalized with normalizeTags
+ * @param {string} [options.collection] the name of a collection to put the image in
+ * @param {import('./editor').EditDescription|null} [options.edited] the edits made to the image before uploading
+ * @param {EncryptionOptions} [options.encryption] if set, the image, caption, tags and collection are encrypted
+ *   before uploading
+ * @param {import('./profiles').Profile} [options.profile] the profile whose token and prefix to upload with, instead of
+ *   the active profile's
+ * 
+ * @typedef {object} EncryptionOptions
+ * @property {string} [passphrase] derive the encryption key from this passphrase
+ * @property {string} [shareKey] use this key from generateShareKey. Ignored if passphrase is set.
  * 
  * @typedef StoreImageResult
  * @property {string} cid the Content ID for an directory containing the image and metadata
@@ -22,55 +64,319 @@ const namePrefix = 'ImageGallery'
  * @property {string} metadataURI an ipfs:// URI for the metadata file
  * @property {string} imageGatewayURL an HTTP gateway URL for the image
  * @property {string} metadataGatewayURL an HTTP gateway URL for the metadata file
+ * @property {boolean} [encrypted] true if the image was encrypted, in which case the image URLs point to the ciphertext
+ * @property {string} [shareKey] the key needed to decrypt the image, if it was encrypted with a share key
  * 
  * @returns {Promise<StoreImageResult>} an object containing links to the uploaded content
  */
-export async function storeImage(imageFile, caption) {
-  // The name for our upload includes a prefix we can use to identify our files later
-  const uploadName = [namePrefix, caption].join('|')
+export async function storeImage(imageFile, caption, options = {}) {
+  if (options.encryption) {
+    return storeEncryptedImage(imageFile, caption, options)
+  }
+
+  showMessage(`> 🖼 generating resized copies of ${imageFile.name}`)
+  const { mediaType, duration, preview, width, height, variants } = await makeMediaFiles(imageFile)
+  const exif = publicExifFields(await readExif(imageFile))
+  const { fileCID, phash } = await imageFingerprint(imageFile)
 
   // We store some metadata about the image alongside the image file.
   // The metadata includes the file path, which we can use to generate 
   // a URL to the full image.
-  const metadataFile = jsonFile('metadata.json', {
-    path: imageFile.name,
-    caption
+  const metadataFile = imageMetadataFile(imageFile.name, caption, {
+    alt: options.alt,
+    width,
+    height,
+    exif,
+    fileCID,
+    phash,
+    edited: options.edited,
+    mediaType,
+    duration,
+    preview: describePreview(preview),
+    variants: describeVariants(variants),
+    tags: options.tags,
+    collection: options.collection,
   })
 
-  const token = getSavedToken()
+  const previewFiles = preview ? [preview.file] : []
+  const files = [imageFile, ...previewFiles, ...variants.map(v => v.file), metadataFile]
+  const cid = await putFiles(files, caption, imageFile.name, options)
+  if (!cid) {
+    return
+  }
+
+  const metadataGatewayURL = makeGatewayURL(cid, metadataPath)
+  const imageGatewayURL = makeGatewayURL(cid, imageFile.name)
+  const imageURI = `ipfs://${cid}/${imageFile.name}`
+  const metadataURI = `ipfs://${cid}/${metadataPath}`
+  return { cid, metadataGatewayURL, imageGatewayURL, imageURI, metadataURI }
+}
+
+/**
+ * Encrypts an image and its caption, and stores them on Web3.Storage with a metadata.json that only
+ * contains the encryption settings. Resized variants aren't generated for encrypted images, since they
+ * would need to be encrypted too and the gallery has to download and decrypt the image anyway.
+ * @param {File} imageFile a File object containing image data
+ * @param {string} caption a string that describes the image
+ * @param {object} options the options passed to storeImage, with the encryption field set
+ * @returns {Promise<StoreImageResult>}
+ */
+async function storeEncryptedImage(imageFile, caption, options) {
+  let key, kdf, shareKey
+  if (options.encryption.passphrase) {
+    kdf = newKeyDerivation()
+    key = await deriveKey(options.encryption.passphrase, kdf)
+  } else {
+    shareKey = options.encryption.shareKey || generateShareKey()
+    key = await importShareKey(shareKey)
+  }
+
+  showMessage(`> 🔒 encrypting ${imageFile.name}`)
+  const exif = publicExifFields(await readExif(imageFile))
+  const encryptedImage = await encryptBytes(key, await imageFile.arrayBuffer())
+  const imageFileEncrypted = new File([encryptedImage], encryptedImagePath)
+
+  // Everything that describes the image goes into the encrypted details, which getImageMetadata
+  // leaves alone and decryptImage unpacks.
+  const details = await encryptJSON(key, {
+    filename: imageFile.name,
+    type: imageFile.type,
+    caption,
+    alt: options.alt || null,
+    width: (exif && exif.width) || null,
+    height: (exif && exif.height) || null,
+    exif,
+    mediaType: mediaTypeOf(imageFile),
+    edited: options.edited || null,
+    ...describeGrouping(options),
+  })
+  const metadataFile = jsonFile(metadataPath, {
+    path: encryptedImagePath,
+    caption: '',
+    encrypted: {
+      algorithm: 'AES-GCM',
+      kdf: kdf || null,
+      details,
+    },
+  })
+
+  // The caption is private, so it's left out of the upload name
+  const cid = await putFiles([imageFileEncrypted, metadataFile], 'encrypted image', imageFile.name, options)
+  if (!cid) {
+    return
+  }
+
+  const metadataGatewayURL = makeGatewayURL(cid, metadataPath)
+  const imageGatewayURL = makeGatewayURL(cid, encryptedImagePath)
+  const imageURI = `ipfs://${cid}/${encryptedImagePath}`
+  const metadataURI = `ipfs://${cid}/${metadataPath}`
+  return { cid, metadataGatewayURL, imageGatewayURL, imageURI, metadataURI, encrypted: true, shareKey }
+}
+
+/**
+ * Makes the files the gallery needs to show an upload: a preview, if the file needs one (see media.js), and resized
+ * copies of the preview, or of the file itself if it's an image.
+ * @param {File} file
+ *
+ * @typedef {object} MediaFiles
+ * @property {import('./media').MediaType} mediaType
+ * @property {number|null} duration the length of a video or audio file in seconds, if known
+ * @property {import('./media').Preview|null} preview
+ * @property {number|null} width width of the image or video in pixels, or null if it couldn't be decoded
+ * @property {number|null} height height of the image or video in pixels, or null if it couldn't be decoded
+ * @property {import('./variants').ImageVariant[]} variants
+ *
+ * @returns {Promise<MediaFiles>}
+ */
+async function makeMediaFiles(file) {
+  const mediaType = mediaTypeOf(file)
+  const preview = await makePreview(file)
+  const { width, height, variants } = await makeImageVariants(preview ? preview.file : file)
+  // an audio file's preview is a picture of its waveform, so its size doesn't say anything about the file
+  const hasSize = mediaType !== 'audio'
+  return {
+    mediaType,
+    duration: preview ? preview.duration : null,
+    preview,
+    width: hasSize ? width : null,
+    height: hasSize ? height : null,
+    variants,
+  }
+}
+
+//#endregion storeImage
+
+//#region putFiles
+
+/**
+ * Uploads files to Web3.Storage in a single directory, showing progress messages in the output area.
+ * Failed chunks are retried, and retrying a failed upload skips any chunks that were already stored (see car-upload.js).
+ * @param {File[]} files the files to upload
+ * @param {string} title the caption or album title, which goes in the upload name (see makeUploadName)
+ * @param {string} description describes the upload in progress messages, e.g. the image filename
+ * @param {object} options options passed to storeImage or storeAlbum, which may include callbacks and a profile
+ * @returns {Promise<string|undefined>} the root CID of the upload, or undefined if there's no saved API token
+ */
+async function putFiles(files, title, description, options) {
+  const profile = options.profile || getActiveProfile()
+  const token = profile.token
   if (!token) {
     showMessage('> ❗️ no API token found for Web3.Storage. You can add one in the settings page!')
     showLink(`${location.protocol}//${location.host}/settings.html`)
     return
   }
-  const web3storage = new Web3Storage({ token })
-  showMessage(`> 🤖 calculating content ID for ${imageFile.name}`)
-  const cid = await web3storage.put([imageFile, metadataFile], {
-    // the name is viewable at https://web3.storage/files and is included in the status and list API responses
-    name: uploadName,
+  showMessage(`> 🤖 calculating content ID for ${description}`)
+  return uploadGalleryFiles(files, title, {
+    token,
+    prefix: profile.prefix,
+    signal: options.signal,
 
     // onRootCidReady will be called as soon as we've calculated the Content ID locally, before uploading
     onRootCidReady: (localCid) => {
       showMessage(`> 🔑 locally calculated Content ID: ${localCid} `)
       showMessage('> 📡 sending files to web3.storage ')
+      if (options.onRootCidReady) {
+        options.onRootCidReady(localCid)
+      }
     },
 
     // onStoredChunk is called after each chunk of data is uploaded
-    onStoredChunk: (bytes) => showMessage(`> 🛰 sent ${bytes.toLocaleString()} bytes to web3.storage`)
+    onStoredChunk: (bytes) => {
+      showMessage(`> 🛰 sent ${bytes.toLocaleString()} bytes to web3.storage`)
+      if (options.onStoredChunk) {
+        options.onStoredChunk(bytes)
+      }
+    },
+
+    onProgress: options.onProgress,
   })
+}
 
-  const metadataGatewayURL = makeGatewayURL(cid, 'metadata.json')
-  const imageGatewayURL = makeGatewayURL(cid, imageFile.name)
-  const imageURI = `ipfs://${cid}/${imageFile.name}`
-  const metadataURI = `ipfs://${cid}/metadata.json`
-  return { cid, metadataGatewayURL, imageGatewayURL, imageURI, metadataURI }
+//#endregion putFiles
+
+//#region storeAlbum
+
+/**
+ * Stores several image files on Web3.Storage in a single IPFS directory, along with an album.json manifest
+ * that lists each image's path, caption and position in the album.
+ *
+ * A metadata.json file pointing at the first image is also included, so albums show up in the gallery
+ * listing alongside single images, using the first image as a cover.
+ *
+ * @param {File[]} imageFiles File objects containing image data, in album order
+ * @param {string[]} captions a caption for each image file
+ * @param {string} title a string that describes the album as a whole
+ * @param {object} [options]
+ * @param {function(string): void} [options.onRootCidReady] called with the locally calculated CID before uploading
+ * @param {function(number): void} [options.onStoredChunk] called with the size in bytes of each chunk after it's uploaded
+ * @param {function(import('./car-upload').UploadProgress): void} [options.onProgress] called with the bytes sent so far
+ *   and the total size of the upload
+ * @param {AbortSignal} [options.signal] cancels the upload when aborted
+ * @param {string[]} [options.tags] tags for the album as a whole
+ * @param {string} [options.collection] the name of a collection to put the album in
+ * @param {string[]} [options.alts] alt text for each image file, where it's different from the caption
+ * @param {Array<import('./editor').EditDescription|null>} [options.edits] the edits made to each image before
+ *   uploading, or null for images that weren't edited
+ *
+ * @typedef StoreAlbumResult
+ * @property {string} cid the Content ID for the directory containing the images and manifest
+ * @property {string} manifestURI an ipfs:// URI for the album.json manifest
+ * @property {string} manifestGatewayURL an HTTP gateway URL for the album.json manifest
+ * @property {string} imageGatewayURL an HTTP gateway URL for the album's cover image
+ *
+ * @returns {Promise<StoreAlbumResult>} an object containing links to the uploaded content
+ */
+export async function storeAlbum(imageFiles, captions, title, options = {}) {
+  // Two files with the same name can't share a directory, so we rename any repeats
+  // by prefixing their position in the album.
+  const usedPaths = new Set([metadataPath, albumManifestPath])
+  const files = imageFiles.map((file, i) => {
+    let path = file.name
+    if (usedPaths.has(path)) {
+      path = `${i + 1}-${file.name}`
+    }
+    usedPaths.add(path)
+    return path === file.name ? file : new File([file], path, { type: file.type })
+  })
+
+  // Resized copies are named after the image they came from, so images that only differ by extension
+  // would get the same variant names. In that case we keep the first image's variants, and the others
+  // fall back to their original file in the gallery.
+  showMessage(`> 🖼 generating resized copies of ${files.length} images`)
+  const imageInfo = []
+  const variantsByImage = []
+  const previewFiles = []
+  for (const [i, file] of files.entries()) {
+    const { mediaType, duration, preview, width, height, variants } = await makeMediaFiles(file)
+    const exif = publicExifFields(await readExif(file))
+    const { fileCID, phash } = await imageFingerprint(file)
+    const unique = variants.filter(v => !usedPaths.has(v.file.name))
+    unique.forEach(v => usedPaths.add(v.file.name))
+    // previews are named after their image too, and are left out in the same way
+    const uniquePreview = preview && !usedPaths.has(preview.file.name) ? preview : null
+    if (uniquePreview) {
+      usedPaths.add(uniquePreview.file.name)
+      previewFiles.push(uniquePreview.file)
+    }
+    imageInfo.push({
+      width: width || (exif && exif.width) || null,
+      height: height || (exif && exif.height) || null,
+      exif,
+      alt: (options.alts && options.alts[i]) || null,
+      fileCID,
+      phash,
+      edited: (options.edits && options.edits[i]) || null,
+      mediaType,
+      duration,
+      preview: describePreview(uniquePreview),
+    })
+    variantsByImage.push(unique)
+  }
+  const variantFiles = variantsByImage.flat().map(v => v.file)
+
+  const manifestFile = jsonFile(albumManifestPath, {
+    title,
+    images: files.map((file, i) => ({
+      path: file.name,
+      caption: captions[i] || '',
+      order: i,
+      ...imageInfo[i],
+      variants: describeVariants(variantsByImage[i]),
+    }))
+  })
+  const metadataFile = jsonFile(metadataPath, {
+    path: files[0].name,
+    caption: title,
+    album: albumManifestPath,
+    ...imageInfo[0],
+    variants: describeVariants(variantsByImage[0]),
+    ...describeGrouping(options),
+  })
+
+  const allFiles = [...files, ...previewFiles, ...variantFiles, manifestFile, metadataFile]
+  const cid = await putFiles(allFiles, title, `album "${title}" with ${files.length} images`, options)
+  if (!cid) {
+    return
+  }
+
+  const manifestGatewayURL = makeGatewayURL(cid, albumManifestPath)
+  const manifestURI = `ipfs://${cid}/${albumManifestPath}`
+  const imageGatewayURL = makeGatewayURL(cid, files[0].name)
+  return { cid, manifestGatewayURL, manifestURI, imageGatewayURL }
 }
 
-//#endregion storeImage
+//#endregion storeAlbum
 
 //#region listImageMetadata
+
+// metadata is fetched a page at a time, so the gallery can show the first few images without waiting for the rest.
+// Within a page, up to maxConcurrentFetches requests run at once.
+const defaultPageSize = 24
+const maxConcurrentFetches = 6
+
 /**
  * Get metadata objects for each image stored in the gallery.
+ * Metadata is read from the local cache where possible, and anything fetched from the gateway is cached.
  * 
  * @returns {AsyncIterator<ImageMetadata>} an async iterator that will yield an ImageMetadata object for each stored image.
  */
@@ -81,74 +387,646 @@ export async function* listImageMetadata() {
     return
   }
 
-  const web3storage = new Web3Storage({ token })
-  for await (const upload of web3storage.list()) {
-    if (!upload.name || !upload.name.startsWith(namePrefix)) {
-      continue
+  // uploads are listed newest first, so we see each revision before the older uploads it replaces
+  const superseded = new Set()
+  for await (const uploads of inPages(listGalleryUploads(token), defaultPageSize)) {
+    for (const metadata of await fetchMetadataPage(uploads)) {
+      if (!metadata) {
+        continue
+      }
+      if (metadata.previous) {
+        superseded.add(metadata.previous)
+      }
+      if (!superseded.has(metadata.cid)) {
+        yield metadata
+      }
     }
+  }
+}
 
-    try {
-      const metadata = await getImageMetadata(upload.cid)
-      yield metadata
-    } catch (e) {
-      console.error('error getting image metadata:', e)
-      continue
+/**
+ * Returns the cached metadata for every image we've seen before, without making any network requests.
+ * @returns {Promise<ImageMetadata[]>} cached metadata, newest upload first
+ */
+export async function listCachedImageMetadata() {
+  const cached = (await listCachedMetadata()).filter(isTrustedMetadata)
+  const superseded = new Set(cached.map(metadata => metadata.previous).filter(Boolean))
+  return cached
+    .filter(metadata => !superseded.has(metadata.cid) && !isTombstoned(metadata.cid))
+    .map(withGatewayURLs)
+}
+
+/**
+ * Adds newly listed images to a list of images, leaving out any image that's already in the list. If a new image is
+ * a revision of one in the list (e.g. with a new caption), it replaces the older one. An image in the list without
+ * an upload date (e.g. one the gallery fetched for a link) is replaced by a listed copy that has one.
+ * @param {ImageMetadata[]} images
+ * @param {ImageMetadata[]} newImages
+ * @returns {ImageMetadata[]} a new list, in no particular order
+ */
+export function mergeImageMetadata(images, newImages) {
+  const dated = new Set(newImages.filter(image => image.created).map(image => image.cid))
+  const kept = images.filter(image => image.created || !dated.has(image.cid))
+  const seen = new Set(kept.map(image => image.cid))
+  const combined = [...kept, ...newImages.filter(image => !seen.has(image.cid))]
+  const superseded = new Set(combined.map(image => image.previous).filter(Boolean))
+  return combined.filter(image => !superseded.has(image.cid))
+}
+
+/**
+ * Checks Web3.Storage for uploads that aren't in the cache yet, and yields their metadata a page at a time.
+ * Uploads are listed newest first, so new uploads come first, and once a sync has reached the end of the list
+ * the next one can stop as soon as it reaches the uploads it saw last time.
+ *
+ * The next page isn't fetched until the caller asks for it, so the gallery can load older uploads on demand.
+ * The sync point is only saved once the caller has been through every page.
+ * 
+ * @param {number} [pageSize] how many uploads to fetch metadata for in each page
+ * @returns {AsyncIterator<ImageMetadata[]>} an async iterator that will yield an array of ImageMetadata objects for
+ *   each page of new images. Pages are never empty.
+ */
+export async function* syncImageMetadata(pageSize = defaultPageSize) {
+  const token = getSavedToken()
+  if (!token) {
+    console.error('No API token for Web3.Storage found.')
+    return
+  }
+
+  const { prefix } = getActiveProfile()
+  const { syncedUntil } = await getSyncState()
+  let newest = null
+  async function* uncachedUploads() {
+    for await (const upload of getStorageProvider().list(token)) {
+      if (!newest) {
+        newest = upload.created
+      }
+      if (syncedUntil && Date.parse(upload.created) <= Date.parse(syncedUntil)) {
+        return
+      }
+      if (isGalleryUpload(upload, prefix) && !isTombstoned(upload.cid) && !isTrustedMetadata(await getCachedMetadata(upload.cid))) {
+        yield upload
+      }
+    }
+  }
+
+  let complete = true
+  const superseded = new Set()
+  for await (const uploads of inPages(uncachedUploads(), pageSize)) {
+    const page = []
+    for (const metadata of await fetchMetadataPage(uploads)) {
+      if (!metadata) {
+        // don't move the sync point past an upload we couldn't fetch, so we try it again next time
+        complete = false
+        continue
+      }
+      if (metadata.previous) {
+        superseded.add(metadata.previous)
+      }
+      if (!superseded.has(metadata.cid)) {
+        page.push(metadata)
+      }
+    }
+    if (page.length > 0) {
+      yield page
+    }
+  }
+
+  if (newest && complete) {
+    await setSyncState({ syncedUntil: newest })
+  }
+}
+
+/**
+ * Lists the uploads made by this app with the active profile's prefix, including older revisions of images, but not
+ * anything that's been hidden or deleted.
+ * @param {string} token a Web3.Storage API token
+ * @returns {AsyncIterator<object>} uploads from the web3.storage list response, newest first
+ */
+export async function* listGalleryUploads(token) {
+  for await (const upload of listAllGalleryUploads(token, getActiveProfile().prefix)) {
+    if (!isTombstoned(upload.cid)) {
+      yield upload
+    }
+  }
+}
+
+/**
+ * Groups the values from an async iterator into arrays.
+ * @param {AsyncIterable<*>} iterable
+ * @param {number} pageSize
+ * @returns {AsyncIterator<Array<*>>} arrays of pageSize values, apart from the last one, which may be shorter
+ */
+async function* inPages(iterable, pageSize) {
+  let page = []
+  for await (const value of iterable) {
+    page.push(value)
+    if (page.length >= pageSize) {
+      yield page
+      page = []
     }
   }
+  if (page.length > 0) {
+    yield page
+  }
+}
+
+/**
+ * Gets the metadata for a page of uploads, running up to maxConcurrentFetches requests at once.
+ * @param {object[]} uploads uploads from the web3.storage list response
+ * @returns {Promise<Array<ImageMetadata|null>>} metadata for each upload, in the same order, or null for any upload
+ *   whose metadata couldn't be fetched
+ */
+async function fetchMetadataPage(uploads) {
+  const results = new Array(uploads.length).fill(null)
+  let next = 0
+  const worker = async () => {
+    while (next < uploads.length) {
+      const index = next++
+      try {
+        results[index] = await getCachedImageMetadata(uploads[index])
+      } catch (e) {
+        console.error('error getting image metadata:', e)
+      }
+    }
+  }
+  const workers = []
+  for (let i = 0; i < Math.min(maxConcurrentFetches, uploads.length); i++) {
+    workers.push(worker())
+  }
+  await Promise.all(workers)
+  return results
+}
+
+/**
+ * Returns the metadata for an upload from the cache, or fetches it from the gateway and caches it.
+ * @param {object} upload an upload from the web3.storage list response
+ * @returns {Promise<ImageMetadata>} the metadata, with the upload's creation date in the `created` field
+ */
+async function getCachedImageMetadata(upload) {
+  const cached = await getCachedMetadata(upload.cid)
+  if (isTrustedMetadata(cached)) {
+    return withGatewayURLs(cached)
+  }
+  const metadata = { ...await getImageMetadata(upload.cid), created: upload.created }
+  try {
+    await putCachedMetadata(metadata)
+  } catch (e) {
+    console.error('error caching image metadata:', e)
+  }
+  return metadata
+}
+
+/**
+ * @param {ImageMetadata|undefined} metadata metadata from the cache
+ * @returns {boolean} true if the cached metadata can be used as it is. When verification is turned on, metadata that
+ *   wasn't checked against its CID when it was cached is fetched again.
+ */
+function isTrustedMetadata(metadata) {
+  if (!metadata) {
+    return false
+  }
+  return !getGatewaySettings().verify || !!(metadata.verification && metadata.verification.verified)
 }
 //#endregion listImageMetadata
 
 //#region getImageMetadata
 /**
  * Fetches the metadata JSON from an image upload.
+ * If the upload is an album, the album.json manifest is fetched as well.
  * @param {string} cid the CID for the IPFS directory containing the metadata & image
  * 
  * @typedef {object} ImageMetadata
  * @property {string} cid the root cid of the IPFS directory containing the image & metadata
  * @property {string} path the path within the IPFS directory to the image file
  * @property {string} caption a user-provided caption for the image
+ * @property {string|null} [alt] alt text for the image, if the uploader gave some. Use altText (see media.js) to get
+ *   the text to show, which falls back to the caption.
+ * @property {string} gatewayURL an IPFS gateway url for the image
+ * @property {string} uri an IPFS uri for the image
+ * @property {string} [created] when the image was uploaded, as an ISO 8601 string. Only set on metadata from the list
+ *   and sync functions, since it comes from the web3.storage list response rather than metadata.json.
+ * @property {number|null} [width] width of the original image in pixels, if known
+ * @property {number|null} [height] height of the original image in pixels, if known
+ * @property {PublicExifData} [exif] non-identifying EXIF fields, if the image had any EXIF data
+ * @property {StoredVariant[]} variants resized copies of the image, empty for uploads made before variants were added
+ * @property {string|null} [fileCID] the CID of the image file. Missing for uploads made before duplicate detection was
+ *   added, in which case duplicates.js looks it up.
+ * @property {string|null} [phash] the image's perceptual hash (see fingerprints.js), if it could be calculated
+ * @property {import('./editor').EditDescription|null} [edited] how the image was edited before it was uploaded, if
+ *   it was
+ * @property {import('./media').MediaType} [mediaType] how the gallery shows the upload (see media.js). Missing for
+ *   uploads made before video and audio were supported, which are all images.
+ * @property {number|null} [duration] the length of a video or audio upload in seconds, if known
+ * @property {import('./media').StoredPreview|null} [preview] an image shown in place of the original, for video,
+ *   audio, HEIC and RAW uploads that have one
+ * @property {AlbumManifest} [album] present if the upload is an album, in which case the fields above describe the cover image
+ * @property {EncryptionInfo} [encrypted] present if the upload is encrypted, in which case the image URLs point to
+ *   the ciphertext and the caption is empty until the image is passed to decryptImage
+ * @property {VerificationResult} [verification] present if the metadata was fetched with verification turned on
+ * @property {string} contentCID the CID of the IPFS directory containing the image files. This is the same as cid,
+ *   unless the upload is a revision made by updateCaption
+ * @property {string} [previous] for revisions, the CID of the upload this one replaces
+ * @property {string[]} tags tags for the image, in lower case. Empty for uploads made before tags were added, and for
+ *   private images until they're decrypted
+ * @property {string|null} collection the name of the collection the image is in, if any
+ * 
+ * @typedef {object} VerificationResult
+ * @property {boolean} verified true if the content matched its CID
+ * @property {string} [error] why the content couldn't be verified, if it wasn't
+ * 
+ * @typedef {object} EncryptionInfo
+ * @property {string} algorithm always 'AES-GCM'
+ * @property {import('./crypto').KeyDerivation|null} kdf settings for deriving the key from a passphrase, or null if
+ *   the image was encrypted with a share key
+ * @property {string} details the encrypted caption, filename and other metadata
+ * 
+ * @typedef {object} AlbumManifest
+ * @property {string} title a user-provided title for the album
+ * @property {AlbumImage[]} images the images in the album, sorted by their order field
+ * 
+ * @typedef {object} AlbumImage
+ * @property {string} path the path within the IPFS directory to the image file
+ * @property {string} caption a user-provided caption for the image
+ * @property {string|null} [alt] alt text for the image, if the uploader gave some. Use altText (see media.js) to get
+ *   the text to show, which falls back to the caption.
+ * @property {number} order the image's position within the album
  * @property {string} gatewayURL an IPFS gateway url for the image
  * @property {string} uri an IPFS uri for the image
+ * @property {number|null} [width] width of the original image in pixels, if known
+ * @property {number|null} [height] height of the original image in pixels, if known
+ * @property {PublicExifData} [exif] non-identifying EXIF fields, if the image had any EXIF data
+ * @property {StoredVariant[]} variants resized copies of the image
+ * @property {string|null} [fileCID] the CID of the image file, if it was stored
+ * @property {string|null} [phash] the image's perceptual hash, if it was stored
+ * @property {import('./editor').EditDescription|null} [edited] how the image was edited before it was uploaded, if
+ *   it was
+ * @property {import('./media').MediaType} [mediaType] how the gallery shows the image
+ * @property {number|null} [duration] the length of a video or audio file in seconds, if known
+ * @property {import('./media').StoredPreview|null} [preview] an image shown in place of the original, if it has one
+ * 
+ * @typedef {object} PublicExifData
+ * @property {string|null} camera the camera make and model
+ * @property {string|null} lens the lens make and model
+ * @property {string|null} dateTaken when the photo was taken, as an ISO 8601 string without a timezone
+ * @property {number|null} orientation the EXIF orientation value (1-8)
+ * 
+ * @typedef {object} StoredVariant
+ * @property {string} path the path within the IPFS directory to the resized image file
+ * @property {number} width width of the resized image in pixels
+ * @property {number} height height of the resized image in pixels
+ * @property {string} type the MIME type of the resized image
+ * @property {string} gatewayURL an IPFS gateway url for the resized image
  * 
  * @returns {Promise<ImageMetadata>} a promise that resolves to a metadata object for the image
  */
 export async function getImageMetadata(cid) {
-  const url = makeGatewayURL(cid, 'metadata.json')
-  const res = await fetch(url)
-  if (!res.ok) {
-    throw new Error(`error fetching image metadata: [${res.status}] ${res.statusText}`)
+  return withGatewayURLs(await fetchImageMetadata(cid, fetchJSON))
+}
+
+/**
+ * Fills in the gateway URLs and IPFS URIs for an image, its variants and any album images.
+ * Gateway URLs depend on the user's gateway settings, so this is also applied to cached metadata
+ * whenever it's read, in case the settings have changed.
+ * @param {ImageMetadata} metadata metadata with at least the cid and path fields set
+ * @returns {ImageMetadata}
+ */
+function withGatewayURLs(metadata) {
+  // revisions only contain new metadata, and link to the directory with the image files
+  const cid = metadata.contentCID || metadata.cid
+  const resolve = item => ({
+    ...item,
+    gatewayURL: makeGatewayURL(cid, item.path),
+    uri: `ipfs://${cid}/${item.path}`,
+    // variants may be missing for older uploads
+    variants: (Array.isArray(item.variants) ? item.variants : [])
+      .map(v => ({ ...v, gatewayURL: makeGatewayURL(cid, v.path) })),
+    ...(item.preview && { preview: { ...item.preview, gatewayURL: makeGatewayURL(cid, item.preview.path) } }),
+  })
+  const resolved = { ...resolve(metadata), contentCID: cid }
+  if (metadata.album) {
+    resolved.album = { ...metadata.album, images: metadata.album.images.map(resolve) }
   }
-  const metadata = await res.json()
-  const gatewayURL = makeGatewayURL(cid, metadata.path)
-  const uri = `ipfs://${cid}/${metadata.path}`
-  return { ...metadata, cid, gatewayURL, uri }
+  return resolved
+}
+
+/**
+ * Decrypts an encrypted image, using either the passphrase or the share key it was encrypted with.
+ * @param {ImageMetadata} metadata metadata from getImageMetadata, with the encrypted field set
+ * @param {string} secret the passphrase or share key
+ *
+ * @typedef {object} DecryptedImage
+ * @property {Blob} blob the decrypted image data
+ * @property {string} filename the original filename of the image
+ *
+ * @returns {Promise<ImageMetadata & DecryptedImage>} the metadata, with the caption and other fields filled in from the
+ *   decrypted details. Rejects if the secret is wrong.
+ */
+export async function decryptImage(metadata, secret) {
+  const { kdf, details } = metadata.encrypted
+  let key
+  try {
+    key = kdf ? await deriveKey(secret, kdf) : await importShareKey(secret)
+  } catch (e) {
+    // importShareKey throws if the key isn't valid base64 or is the wrong length
+    throw new Error('invalid key')
+  }
+
+  let decrypted
+  try {
+    decrypted = await decryptJSON(key, details)
+  } catch (e) {
+    throw new Error(kdf ? 'wrong passphrase' : 'wrong key')
+  }
+
+  const encryptedFile = await fetchStoredFile(metadata.contentCID, metadata.path, 'encrypted image')
+  const data = await decryptBytes(key, new Uint8Array(await encryptedFile.blob.arrayBuffer()))
+  const blob = new Blob([data], { type: decrypted.type })
+  return { ...metadata, ...decrypted, blob }
+}
+
+/**
+ * Fetches a file from an IPFS directory. If the user has turned on verification in the gateway settings,
+ * the file is checked against the directory's CID first, and is never fetched without being checked: otherwise a
+ * gateway could get around verification just by refusing to send CAR files and raw blocks.
+ * @param {string} cid the CID for the IPFS directory
+ * @param {string} path the path to the file within the directory
+ * @param {string} description what we're fetching, for error messages
+ *
+ * @typedef {object} StoredFile
+ * @property {Blob} blob the file's contents
+ * @property {VerificationResult} [verification] present if verification is turned on
+ *
+ * @returns {Promise<StoredFile>} if verification is turned on, rejects with an error that has its verificationError
+ *   field set if the gateway sent content that doesn't match the CID, or its unverifiable field set if the content
+ *   couldn't be checked at all
+ */
+export async function fetchStoredFile(cid, path, description) {
+  if (getGatewaySettings().verify) {
+    let data
+    try {
+      data = await fetchVerified(cid, path)
+    } catch (e) {
+      const err = e.verificationError
+        ? new Error(`the ${description} from the gateway doesn't match its CID: ${e.message}`)
+        : new Error(`the ${description} couldn't be checked against its CID: ${e.message}`)
+      err.verificationError = !!e.verificationError
+      err.unverifiable = !e.verificationError
+      throw err
+    }
+    return { blob: new Blob([data]), verification: { verified: true } }
+  }
+
+  let res
+  try {
+    res = await getStorageProvider().fetchContent(cid, path)
+  } catch (e) {
+    throw new Error(`error fetching ${description}: ${e.message}`)
+  }
+  return { blob: await res.blob() }
+}
+
+/**
+ * The gallery normally points images straight at gateway URLs, but it has to fetch them with fetchStoredFile and show
+ * them from blob URLs if they're being verified, or if the storage provider doesn't serve content over gateways.
+ * @returns {boolean} true if images should be loaded with fetchStoredFile
+ */
+export function shouldFetchImages() {
+  return getGatewaySettings().verify || !getStorageProvider().usesGateways
+}
+
+/**
+ * Fetches and parses a JSON file from an IPFS directory.
+ * @param {string} cid the CID for the IPFS directory
+ * @param {string} path the path to the JSON file within the directory
+ * @param {string} description what we're fetching, for error messages
+ * @returns {Promise<{json: object, verification?: VerificationResult}>}
+ */
+async function fetchJSON(cid, path, description) {
+  const { blob, verification } = await fetchStoredFile(cid, path, description)
+  return { json: JSON.parse(await blob.text()), verification }
 }
 //#endregion getImageMetadata
 
-//#region validateToken
+//#region revisions
 /**
- * Checks if the given API token is valid by issuing a request.
- * @param {string} token 
- * @returns {Promise<boolean>} resolves to true if the token is valid, false if invalid.
+ * Changes the caption of an image, or the title of an album. Since uploads can't be changed, this stores a new
+ * `metadata.json` (and `album.json` for albums) as a separate upload, which links to the previous upload's CID
+ * and reuses its image files. The listing functions skip uploads that have been replaced by a newer revision.
+ * @param {ImageMetadata} metadata metadata for the current revision of the image
+ * @param {string} caption the new caption
+ * @returns {Promise<ImageMetadata|undefined>} metadata for the new revision, or undefined if there's no API token
  */
-export async function validateToken(token) {
-  console.log('validating token',token)
-  const web3storage = new Web3Storage({ token })
+export async function updateCaption(metadata, caption) {
+  if (metadata.encrypted) {
+    throw new Error('captions of private images are encrypted, so they can\'t be changed')
+  }
 
+  const stored = {
+    ...toStoredMetadata(metadata),
+    caption,
+    contentCID: metadata.contentCID,
+    previous: metadata.cid,
+  }
+  const files = []
+  let album
+  if (metadata.album) {
+    album = { ...metadata.album, title: caption }
+    stored.album = albumManifestPath
+    files.push(jsonFile(albumManifestPath, { title: caption, images: metadata.album.images.map(toStoredMetadata) }))
+  }
+  files.push(jsonFile(metadataPath, stored))
+
+  const cid = await putFiles(files, caption, 'new caption', {})
+  if (!cid) {
+    return
+  }
+
+  const revised = withGatewayURLs({ ...stored, cid, album, created: new Date().toISOString() })
   try {
-    for await (const _ of web3storage.list({ maxResults: 1})) {
-      // any non-error response means the token is legit
+    await putCachedMetadata(revised)
+  } catch (e) {
+    console.error('error caching image metadata:', e)
+  }
+  return revised
+}
+
+/**
+ * Hides an image from the gallery, along with any older revisions of it. Hidden images can be shown again
+ * from the settings page.
+ * @param {ImageMetadata} metadata
+ * @returns {Promise<void>}
+ */
+export async function hideImage(metadata) {
+  addTombstones(await getRevisionCIDs(metadata), 'hidden')
+}
+
+/**
+ * Deletes an image and any older revisions of it. We ask Web3.Storage to delete each upload, and also
+ * add tombstones for them, so they stay out of the gallery even if the delete API isn't available.
+ * @param {ImageMetadata} metadata
+ * @returns {Promise<boolean>} true if every upload was deleted from Web3.Storage, false if some were only hidden
+ */
+export async function deleteImage(metadata) {
+  const cids = await getRevisionCIDs(metadata)
+  const token = getSavedToken()
+  let removed = true
+  for (const cid of cids) {
+    try {
+      if (!token) {
+        throw new Error('no API token found')
+      }
+      await getStorageProvider().delete(token, cid)
+    } catch (e) {
+      console.warn(`unable to delete ${cid} from storage, hiding it instead:`, e.message)
+      removed = false
+    }
+  }
+  addTombstones(cids, 'deleted')
+  return removed
+}
+
+/**
+ * Follows the `previous` links from an upload back to the original.
+ * @param {ImageMetadata} metadata
+ * @returns {Promise<string[]>} the CIDs of the upload and every older revision of it, newest first
+ */
+async function getRevisionCIDs(metadata) {
+  const cids = [metadata.cid]
+  let previous = metadata.previous
+  while (previous && !cids.includes(previous)) {
+    cids.push(previous)
+    try {
+      const older = (await getCachedMetadata(previous)) || await getImageMetadata(previous)
+      previous = older.previous
+    } catch (e) {
+      console.error(`error getting metadata for revision ${previous}:`, e)
       break
     }
-    return true
-  } catch (e) {
-    // only return false for auth-related errors
-    if (e.message.includes('401') || e.message.includes('403')) {
-      console.log('invalid token', e.message)
-      return false
+  }
+  return cids
+}
+
+/**
+ * Removes the fields we fill in after fetching metadata, leaving the fields that are stored in `metadata.json`.
+ * @param {ImageMetadata|AlbumImage} metadata
+ * @returns {object}
+ */
+function toStoredMetadata(metadata) {
+  const { cid, contentCID, created, gatewayURL, uri, verification, album, ...stored } = metadata
+  stored.variants = (metadata.variants || []).map(({ gatewayURL, ...variant }) => variant)
+  if (metadata.preview) {
+    const { gatewayURL, ...preview } = metadata.preview
+    stored.preview = preview
+  }
+  return stored
+}
+//#endregion revisions
+
+//#region uploadStatus
+
+/**
+ * @typedef {object} UploadStatusSummary
+ * @property {'pinned'|'pinning'|'queued'|'unpinned'} pinState the furthest along of the upload's pins
+ * @property {'active'|'published'|'queued'|'none'} dealState the furthest along of the upload's Filecoin deals
+ * @property {number} activeDeals the number of deals that are active on chain
+ *
+ * @typedef {import('./providers').UploadStatus & UploadStatusSummary} UploadStatus
+ */
+
+/**
+ * Gets the pinning and Filecoin deal status of an upload from the storage provider. New uploads start out queued for
+ * pinning, and take a day or two to make it into deals, so the status is always fetched fresh rather than cached.
+ * @param {string} cid the root CID of an upload. For revisions, pass the contentCID to get the status of the images.
+ * @returns {Promise<UploadStatus|undefined>} undefined if there's no API token, or the provider doesn't know the CID
+ */
+export async function getUploadStatus(cid) {
+  const token = getSavedToken()
+  if (!token) {
+    return
+  }
+  const status = await getStorageProvider().status(token, cid)
+  return status && summarizeUploadStatus(status)
+}
+
+/**
+ * Adds a summary of the pins and deals to an upload's status.
+ * @param {import('./providers').UploadStatus} status
+ * @returns {UploadStatus}
+ */
+export function summarizeUploadStatus(status) {
+  const pins = (status.pins || []).map(pin => pin.status)
+  const deals = (status.deals || []).map(deal => deal.status)
+  let pinState = 'unpinned'
+  if (pins.includes('Pinned')) {
+    pinState = 'pinned'
+  } else if (pins.includes('Pinning')) {
+    pinState = 'pinning'
+  } else if (pins.includes('PinQueued')) {
+    pinState = 'queued'
+  }
+  let dealState = 'none'
+  if (deals.includes('Active')) {
+    dealState = 'active'
+  } else if (deals.includes('Published')) {
+    dealState = 'published'
+  } else if (deals.includes('Queued')) {
+    dealState = 'queued'
+  }
+  return {
+    ...status,
+    pins: status.pins || [],
+    deals: status.deals || [],
+    pinState,
+    dealState,
+    activeDeals: deals.filter(deal => deal === 'Active').length,
+  }
+}
+
+/**
+ * @typedef {object} StorageUsage
+ * @property {number} uploads the number of uploads made with the active profile's prefix, including older revisions
+ *   and hidden images, since they're still stored
+ * @property {number} totalSize the total size of those uploads, in bytes
+ * @property {number} pinned the number of uploads that are pinned
+ * @property {number} inDeals the number of uploads in at least one active Filecoin deal
+ * @property {Array<UploadStatus & {name: string}>} unpinned the uploads that aren't pinned yet, newest first
+ */
+
+/**
+ * Adds up the storage used by the gallery, from the sizes, pins and deals in the storage provider's upload list.
+ * @returns {Promise<StorageUsage|undefined>} undefined if there's no API token
+ */
+export async function getStorageUsage() {
+  const token = getSavedToken()
+  if (!token) {
+    return
+  }
+  const usage = { uploads: 0, totalSize: 0, pinned: 0, inDeals: 0, unpinned: [] }
+  for await (const upload of listAllGalleryUploads(token, getActiveProfile().prefix)) {
+    const status = summarizeUploadStatus(upload)
+    usage.uploads++
+    usage.totalSize += status.dagSize || 0
+    if (status.pinState === 'pinned') {
+      usage.pinned++
+    } else {
+      usage.unpinned.push(status)
+    }
+    if (status.activeDeals > 0) {
+      usage.inDeals++
     }
-    // propagate non-auth errors
-    throw e
   }
+  return usage
+}
+
+//#endregion uploadStatus
+
+//#region validateToken
+/**
+ * Checks if the given API token is valid with the storage provider (see providers.js).
+ * @param {string} token 
+ * @returns {Promise<boolean>} resolves to true if the token is valid, false if invalid.
+ */
+export function validateToken(token) {
+  return getStorageProvider().validateToken(token)
 }
 // #endregion validateToken
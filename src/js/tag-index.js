@@ -0,0 +1,97 @@
+import '../css/style.css'
+
+import { listCachedImageMetadata, syncImageMetadata, mergeImageMetadata } from './storage'
+import { countTags, countCollections, filterViewHash } from './filters'
+import { setupOfflineSupport } from './offline'
+import { setupProfileSwitcher } from './profiles'
+import { showElement, hideElement, getSavedToken, navToSettings } from './helpers'
+
+////////////////////////////////////
+///////// Tag index view
+////////////////////////////////////
+
+// #region tag-index-view
+
+/**
+ * DOM initialization for the tag index, which lists every tag and collection in the gallery with the number of
+ * images in each. The counts from the metadata cache are shown straight away, and updated once we've loaded
+ * metadata for any uploads that aren't cached yet.
+ */
+async function setupTagIndexUI() {
+  if (!document.getElementById('tag-index-ui')) {
+    return
+  }
+
+  let images = await listCachedImageMetadata()
+  if (images.length > 0) {
+    renderTagIndex(images)
+  }
+
+  // the counts need every image, so unlike the gallery we load every page
+  try {
+    for await (const page of syncImageMetadata()) {
+      images = mergeImageMetadata(images, page)
+    }
+  } catch (e) {
+    console.error('error loading gallery metadata:', e)
+  }
+  renderTagIndex(images)
+}
+
+/**
+ * Shows the tags and collections used by the given images.
+ * @param {ImageMetadata[]} images
+ */
+function renderTagIndex(images) {
+  hideElement(document.getElementById('tag-index-spinner'))
+  showElement(document.getElementById('tag-index'))
+  renderGroupList('collection-list', 'no-collections-message', countCollections(images), name => ({ collection: name }))
+  renderGroupList('tag-list', 'no-tags-message', countTags(images), name => ({ tag: name }))
+}
+
+/**
+ * Fills in a list of tags or collections, each linking to the gallery filtered to match.
+ * @param {string} listId
+ * @param {string} emptyMessageId the message to show instead if the list is empty
+ * @param {import('./filters').GroupCount[]} groups
+ * @param {function(string): object} makeFilter returns the gallery filter for a tag or collection name
+ */
+function renderGroupList(listId, emptyMessageId, groups, makeFilter) {
+  const list = document.getElementById(listId)
+  list.replaceChildren(...groups.map(({ name, count }) => {
+    const li = document.createElement('li')
+    const a = document.createElement('a')
+    a.className = 'tag-chip'
+    a.href = `./gallery.html${filterViewHash(makeFilter(name))}`
+    a.textContent = name
+    const countLabel = document.createElement('span')
+    countLabel.className = 'tag-index-count'
+    countLabel.textContent = count === 1 ? '1 image' : `${count} images`
+    li.appendChild(a)
+    li.appendChild(countLabel)
+    return li
+  }))
+
+  const emptyMessage = document.getElementById(emptyMessageId)
+  if (groups.length === 0) {
+    showElement(emptyMessage)
+  } else {
+    hideElement(emptyMessage)
+  }
+}
+
+// #endregion tag-index-view
+
+////////////////////////////////
+///////// Initialization
+////////////////////////////////
+
+
+// redirect to settings page if there's no API token in local storage
+if (!getSavedToken()) {
+  navToSettings()
+}
+
+setupTagIndexUI()
+setupProfileSwitcher()
+setupOfflineSupport()
@@ -0,0 +1,89 @@
+////////////////////////////////
+////// Hidden & deleted images
+////////////////////////////////
+
+// Web3.Storage doesn't always let us remove an upload, and even when it does, the list API may keep returning it
+// for a while. So we keep a local list of "tombstones" for uploads the user has hidden or deleted, and skip them
+// when listing the gallery. The list lives in local storage rather than the metadata cache, so it survives
+// clearing the cache. Like the metadata cache, each storage provider and profile has its own list, since they're
+// separate galleries.
+
+import { getStorageProviderId, storageProviders } from './providers'
+import { getActiveProfile, defaultProfileId } from './profiles'
+
+// #region tombstones
+
+/**
+ * The default profile on Web3.Storage keeps the key the list had before there were profiles (see cacheName in
+ * cache.js, which names the metadata caches the same way).
+ * @param {string} [providerId] defaults to the current storage provider
+ * @param {string} [profileId] defaults to the active profile
+ * @returns {string} the local storage key for the list of tombstones
+ */
+function tombstonesKey(providerId = getStorageProviderId(), profileId = getActiveProfile().id) {
+  return ['w3storage-tombstones', providerId !== 'web3.storage' && providerId, profileId !== defaultProfileId && profileId]
+    .filter(Boolean)
+    .join('-')
+}
+
+/**
+ * @typedef {object} Tombstone
+ * @property {string} cid the root CID of the hidden or deleted upload
+ * @property {'hidden'|'deleted'} reason hidden uploads can be shown again, deleted ones can't
+ * @property {string} date when the upload was hidden or deleted, as an ISO 8601 string
+ */
+
+/**
+ * @returns {Tombstone[]}
+ */
+export function getTombstones() {
+  try {
+    return JSON.parse(localStorage.getItem(tombstonesKey())) || []
+  } catch (e) {
+    console.error('error reading tombstones:', e)
+    return []
+  }
+}
+
+/**
+ * @param {string} cid
+ * @returns {boolean} true if the upload has been hidden or deleted
+ */
+export function isTombstoned(cid) {
+  return getTombstones().some(t => t.cid === cid)
+}
+
+/**
+ * Adds tombstones for the given uploads, replacing any existing ones.
+ * @param {string[]} cids
+ * @param {'hidden'|'deleted'} reason
+ */
+export function addTombstones(cids, reason) {
+  const date = new Date().toISOString()
+  const tombstones = getTombstones().filter(t => !cids.includes(t.cid))
+  tombstones.push(...cids.map(cid => ({ cid, reason, date })))
+  localStorage.setItem(tombstonesKey(), JSON.stringify(tombstones))
+}
+
+/**
+ * Removes the tombstones for every hidden upload, so they show up in the gallery again.
+ * @returns {number} the number of uploads that were hidden
+ */
+export function unhideAll() {
+  const tombstones = getTombstones()
+  const deleted = tombstones.filter(t => t.reason === 'deleted')
+  localStorage.setItem(tombstonesKey(), JSON.stringify(deleted))
+  return tombstones.length - deleted.length
+}
+
+/**
+ * Removes a profile's tombstones, for every storage provider, when the profile is deleted.
+ * @param {string} profileId
+ */
+export function deleteTombstones(profileId) {
+  for (const provider of storageProviders) {
+    localStorage.removeItem(tombstonesKey(provider.id, profileId))
+  }
+}
+
+// #endregion tombstones
@@ -1,11 +1,33 @@
 import '../css/style.css'
 
-import { storeImage } from './storage'
-import { makeClipboardButton, showElement, hideElement, getSavedToken, navToSettings} from './helpers'
+import { storeImage, storeAlbum, listCachedImageMetadata } from './storage'
+import { countCollections } from './filters'
+import { readExif, stripExif, canStripExif } from './exif'
+import { generateShareKey } from './crypto'
+import { makeClipboardButton, makeViewURL, showElement, hideElement, getSavedToken, navToSettings, showPopupMessage, announce, parseTags, formatBytes } from './helpers'
+import { normalizeTags } from './gallery-store'
+import { isOffline, queueOfflineUpload, setupOfflineSupport } from './offline'
+import { makeStatusBadge } from './status-badge'
+import { findDuplicates, forgetGalleryFingerprints } from './duplicates'
+import { setupProfileSwitcher } from './profiles'
+import { openEditor, editableTypes, summarizeEdits } from './editor'
+import { isSupportedFile, mediaTypeOf, conversionFormat } from './media'
 
+// how many uploads we run at the same time
+const maxConcurrentUploads = 3
 
-// keep track of currently selected file
-let selectedFile = null
+// keep track of the files the user has selected, in the order they were added.
+// Each entry looks like { id, file, previewURL, caption, alt, tags, exif, stripLocation, stripSensitive,
+//   edits, editedFile, editDescription, status, bytesSent, totalBytes, result, error, inAlbum, duplicates,
+//   duplicateCheck, row }
+const uploadQueue = []
+let nextEntryId = 0
+
+// encryption settings for the current batch of private uploads, so retries use the same key
+let batchEncryption = undefined
+
+// aborted when the user clicks the cancel button, which stops every upload in the current batch
+let uploadController = new AbortController()
 
 /**
  * DOM initialization for upload UI.
@@ -23,9 +45,59 @@ function setupUploadUI() {
   // handle file selection changes
   fileInput.onchange = fileSelected
 
+  // the file input is hidden behind its label, so the label needs to work from the keyboard like a button does
+  const selectButton = document.querySelector('.select-button')
+  selectButton.onkeydown = e => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault()
+      fileInput.click()
+    }
+  }
+
   // handle upload button clicks
   uploadButton.onclick = uploadClicked
 
+  document.getElementById('upload-cancel-button').onclick = cancelClicked
+  document.getElementById('upload-retry-button').onclick = retryFailedClicked
+
+  // show the album title input when album mode is switched on
+  const albumModeInput = document.getElementById('album-mode-input')
+  albumModeInput.onchange = () => {
+    const titleWrapper = document.getElementById('album-title-wrapper')
+    if (albumModeInput.checked) {
+      showElement(titleWrapper)
+    } else {
+      hideElement(titleWrapper)
+    }
+    // albums can't be encrypted yet, so the two modes are mutually exclusive
+    privateModeInput.disabled = albumModeInput.checked
+    updateUploadButton()
+  }
+
+  // show the encryption key options when private mode is switched on
+  const privateModeInput = document.getElementById('private-mode-input')
+  privateModeInput.onchange = () => {
+    const keyWrapper = document.getElementById('private-key-wrapper')
+    if (privateModeInput.checked) {
+      showElement(keyWrapper)
+    } else {
+      hideElement(keyWrapper)
+    }
+    albumModeInput.disabled = privateModeInput.checked
+  }
+
+  // only show the passphrase input if the user wants to use a passphrase
+  for (const radio of document.querySelectorAll('input[name="key-type"]')) {
+    radio.onchange = () => {
+      const passphraseInput = document.getElementById('passphrase-input')
+      if (document.getElementById('key-type-passphrase').checked) {
+        showElement(passphraseInput)
+      } else {
+        hideElement(passphraseInput)
+      }
+    }
+  }
+
   // apply highlight class when user drags over the drop-area div
   for (const eventName of ['dragenter', 'dragover']) {
     const highlight = e => {
@@ -46,6 +118,28 @@ function setupUploadUI() {
 
   // handle dropped files
   dropArea.addEventListener('drop', fileDropped, false)
+
+  // images saved while offline are uploaded by offline.js, once the connection comes back
+  window.addEventListener('offline-upload', offlineUploadStored)
+
+  populateCollectionOptions()
+}
+
+/**
+ * Suggests the names of existing collections in the collection input, using the gallery's metadata cache.
+ */
+async function populateCollectionOptions() {
+  const datalist = document.getElementById('collection-options')
+  try {
+    const collections = countCollections(await listCachedImageMetadata())
+    datalist.replaceChildren(...collections.map(({ name }) => {
+      const option = document.createElement('option')
+      option.value = name
+      return option
+    }))
+  } catch (e) {
+    console.error('error listing collections:', e)
+  }
 }
 
 /**
@@ -56,70 +150,908 @@ function fileSelected(e) {
     console.log('nothing selected')
     return
   }
-  handleFileSelected(e.target.files[0])
+  handleFilesSelected([...e.target.files])
+
+  // clear the input, so selecting the same file again still fires a change event
+  e.target.value = ''
 }
 
 /**
- * Callback for 'drop' event that fires when user drops a file onto the drop-area div.
+ * Callback for 'drop' event that fires when user drops files onto the drop-area div.
  */
 function fileDropped(evt) {
   evt.preventDefault()
-  
-  // filter out any non-image files
-  const files = [...evt.dataTransfer.files].filter(f => f.type.includes('image'))
+
+  const files = [...evt.dataTransfer.files]
   if (files.length < 1) {
-    console.log('drop handler recieved no image files, ignoring drop event')
+    console.log('drop handler recieved no files, ignoring drop event')
     return
   }
-  handleFileSelected(files[0])
+  handleFilesSelected(files)
 }
 
 /**
  * Respond to file selection, whether through drag-and-drop or manual selection.
- * Side effects: sets preview image to file content and sets upload button state to enabled.
+ * Side effects: adds a row to the upload queue for each file and updates the upload button state.
+ * @param {File[]} files
+ */
+function handleFilesSelected(files) {
+  const unsupported = files.filter(file => !isSupportedFile(file))
+  if (unsupported.length > 0) {
+    showPopupMessage(`Skipped ${unsupported.map(file => file.name).join(', ')}: only images, video and audio can be uploaded`)
+  }
+  for (const file of files.filter(isSupportedFile)) {
+    const entry = {
+      id: nextEntryId++,
+      file,
+      previewURL: URL.createObjectURL(file),
+      caption: '',
+      // alt text for screen readers, which falls back to the caption if it's left empty
+      alt: '',
+      tags: [],
+      exif: null,
+      // location and identifying tags are removed unless the user opts to keep them
+      stripLocation: true,
+      stripSensitive: true,
+      // set when the image has been changed in the editor (see editor.js)
+      edits: null,
+      editedFile: null,
+      editDescription: null,
+      status: 'ready',
+      bytesSent: 0,
+      // until the upload starts, we use the file size as an estimate of the upload size
+      totalBytes: file.size,
+      result: null,
+      error: null,
+      duplicates: null,
+    }
+    entry.row = makeQueueRow(entry)
+    uploadQueue.push(entry)
+    document.getElementById('upload-queue').appendChild(entry.row)
+    showExifDetails(entry)
+    checkForDuplicates(entry)
+  }
+  const added = files.filter(isSupportedFile)
+  if (added.length > 0) {
+    announce(added.length === 1 ? `Added ${added[0].name} to the upload queue` : `Added ${added.length} files to the upload queue`)
+  }
+  updateUploadButton()
+}
+
+/**
+ * Reads the EXIF data from a queued file and shows it in the file's row,
+ * along with checkboxes to strip location data and identifying tags. HEIC and RAW files that we can't read
+ * get a warning instead, since any location data in them will be uploaded.
+ * @param {object} entry an upload queue entry
+ */
+async function showExifDetails(entry) {
+  const details = entry.row.querySelector('.queue-row-details')
+  try {
+    entry.exif = await readExif(entry.file)
+    if (!entry.exif && conversionFormat(entry.file) && !await canStripExif(entry.file)) {
+      const warning = document.createElement('p')
+      warning.className = 'queue-row-warning'
+      warning.textContent = "⚠ Location data can't be removed from this kind of file. If the camera recorded where " +
+        'the photo was taken, that will be public. Convert it to JPEG first to be safe.'
+      details.insertBefore(warning, details.querySelector('.queue-row-status'))
+    }
+  } catch (e) {
+    console.error('error reading EXIF data from', entry.file.name, e)
+    return
+  }
+  if (!entry.exif) {
+    return
+  }
+  details.insertBefore(makeExifDetails(entry), details.querySelector('.queue-row-status'))
+}
+
+/**
+ * Returns a DOM element listing the EXIF fields of a queued file, with privacy options if it has
+ * location data or identifying tags.
+ * @param {object} entry an upload queue entry whose exif field has been set
+ * @returns {HTMLDivElement}
  */
-function handleFileSelected(file) {
+function makeExifDetails(entry) {
+  const { exif } = entry
+  const wrapper = document.createElement('div')
+  wrapper.className = 'queue-row-exif'
+
+  const list = document.createElement('dl')
+  const addField = (name, value) => {
+    if (value == null) {
+      return
+    }
+    const dt = document.createElement('dt')
+    dt.textContent = name
+    const dd = document.createElement('dd')
+    dd.textContent = value
+    list.appendChild(dt)
+    list.appendChild(dd)
+  }
+  addField('Camera', exif.camera)
+  addField('Lens', exif.lens)
+  addField('Taken', exif.dateTaken && new Date(exif.dateTaken).toLocaleString())
+  addField('Size', exif.width && exif.height ? `${exif.width} × ${exif.height}` : null)
+  addField('Orientation', exif.orientation)
+  addField('Location', exif.gps && `${exif.gps.latitude.toFixed(5)}, ${exif.gps.longitude.toFixed(5)}`)
+  wrapper.appendChild(list)
+
+  if (exif.gps || exif.hasXMP) {
+    wrapper.appendChild(makeStripOption(entry, 'stripLocation', 'Remove location data'))
+  }
+  if (exif.sensitiveTags.length > 0) {
+    const label = `Remove identifying tags (${exif.sensitiveTags.join(', ')})`
+    wrapper.appendChild(makeStripOption(entry, 'stripSensitive', label))
+  }
+  return wrapper
+}
+
+/**
+ * Returns a checkbox bound to one of the strip options on a queue entry.
+ * @param {object} entry an upload queue entry
+ * @param {'stripLocation'|'stripSensitive'} field
+ * @param {string} labelText
+ * @returns {HTMLLabelElement}
+ */
+function makeStripOption(entry, field, labelText) {
+  const label = document.createElement('label')
+  label.className = 'queue-strip-option'
+  const checkbox = document.createElement('input')
+  checkbox.type = 'checkbox'
+  checkbox.checked = entry[field]
+  checkbox.onchange = () => {
+    entry[field] = checkbox.checked
+    // the uploaded file changes with the EXIF data that's removed, and so does its CID
+    checkForDuplicates(entry)
+  }
+  label.appendChild(checkbox)
+  label.appendChild(document.createTextNode(labelText))
+  return label
+}
+
+/**
+ * Returns the file that should be uploaded for a queue entry, with EXIF data removed according to the user's choices.
+ * @param {object} entry an upload queue entry
+ * @returns {Promise<File>}
+ */
+function prepareFile(entry) {
+  // edited images are drawn on a canvas, which leaves all of the EXIF data behind
+  if (entry.editedFile) {
+    return Promise.resolve(entry.editedFile)
+  }
+  return stripExif(entry.file, { location: entry.stripLocation, sensitive: entry.stripSensitive })
+}
+
+/**
+ * @param {object} entry an upload queue entry
+ * @returns {number} the size of the image to upload, before any EXIF data is removed
+ */
+function entryFileSize(entry) {
+  return (entry.editedFile || entry.file).size
+}
+
+/**
+ * Opens a queued image in the editor, and uses the edited image in its place if the user applies their edits.
+ * @param {object} entry an upload queue entry
+ */
+async function editEntry(entry) {
+  let result
+  try {
+    result = await openEditor(entry.file, { edits: entry.edits, orientation: entry.exif && entry.exif.orientation })
+  } catch (e) {
+    console.error('error opening the editor for', entry.file.name, e)
+    showPopupMessage(e.message)
+    return
+  } finally {
+    // the editor covers the page, so focus goes back to where it was opened from
+    const editButton = entry.row.querySelector('.queue-edit-button')
+    if (editButton) {
+      editButton.focus()
+    }
+  }
+  if (!result) {
+    return
+  }
+  entry.edits = result.edits
+  entry.editedFile = result.file
+  entry.editDescription = result.description
+  entry.totalBytes = entryFileSize(entry)
+
+  URL.revokeObjectURL(entry.previewURL)
+  entry.previewURL = URL.createObjectURL(entry.editedFile || entry.file)
+  entry.row.querySelector('.queue-preview-image').src = entry.previewURL
+  const note = entry.row.querySelector('.queue-row-edits')
+  if (entry.editDescription) {
+    note.textContent = `Edited: ${summarizeEdits(entry.editDescription)}. ` +
+      `Now ${formatBytes(entry.editedFile.size)}, with no EXIF data.`
+    showElement(note)
+  } else {
+    hideElement(note)
+  }
+  updateQueueRow(entry)
+  checkForDuplicates(entry)
+}
+
+/**
+ * Compares a queued file with the images already in the gallery, and warns in its row if it's been uploaded before.
+ * Nothing is sent until the user clicks the upload button, so they can remove the file first.
+ * @param {object} entry an upload queue entry
+ */
+async function checkForDuplicates(entry) {
+  // the strip options can change while a check is running, in which case only the latest check counts
+  const check = {}
+  entry.duplicateCheck = check
+  let duplicates
+  try {
+    duplicates = await findDuplicates(await prepareFile(entry))
+  } catch (e) {
+    console.error('error checking for duplicates of', entry.file.name, e)
+    return
+  }
+  if (entry.duplicateCheck !== check) {
+    return
+  }
+  entry.duplicates = duplicates
+  showDuplicateWarning(entry)
+}
+
+/**
+ * Shows or hides the duplicate warning in a queue row, with links to the matching images in the gallery.
+ * @param {object} entry an upload queue entry whose duplicates field has been set
+ */
+function showDuplicateWarning(entry) {
+  const warning = entry.row.querySelector('.queue-row-duplicate')
+  const { exact, similar } = entry.duplicates
+  const matches = exact.length > 0 ? exact : similar
+  if (matches.length === 0) {
+    hideElement(warning)
+    return
+  }
+
+  warning.replaceChildren(document.createTextNode(exact.length > 0
+    ? '⚠ This image is already in your gallery: '
+    : '⚠ This looks like an image that\'s already in your gallery: '))
+  // a photo uploaded many times only needs a few links
+  matches.slice(0, 3).forEach((match, i) => {
+    if (i > 0) {
+      warning.appendChild(document.createTextNode(', '))
+    }
+    const link = document.createElement('a')
+    link.href = `./gallery.html#${match.metadata.cid}`
+    link.textContent = match.caption || match.path
+    warning.appendChild(link)
+  })
+  showElement(warning)
+}
+
+/**
+ * Removes an entry from the upload queue, before it has been uploaded.
+ * @param {object} entry
+ */
+function removeQueueEntry(entry) {
+  const idx = uploadQueue.indexOf(entry)
+  if (idx === -1) {
+    return
+  }
+  uploadQueue.splice(idx, 1)
+  entry.row.remove()
+  URL.revokeObjectURL(entry.previewURL)
+  updateUploadButton()
+  announce(`Removed ${entry.file.name}`)
+
+  // the focused button has gone, so focus moves to the next row, or the file selector if the queue is empty
+  const next = uploadQueue[idx] || uploadQueue[idx - 1]
+  if (next) {
+    next.row.querySelector('.queue-remove-button').focus()
+  } else {
+    document.querySelector('.select-button').focus()
+  }
+}
+
+/**
+ * Enables the upload button if there's anything in the queue, and updates its label with the file count.
+ */
+function updateUploadButton() {
   const uploadButton = document.getElementById('upload-button')
-  selectedFile = file
-  if (file == null) {
-    uploadButton.disabled = true
+  const count = uploadQueue.length
+  uploadButton.disabled = count === 0
+  if (isAlbumMode()) {
+    uploadButton.textContent = `Upload album of ${count} images to Web3.Storage`
+  } else if (count > 1) {
+    uploadButton.textContent = `Upload ${count} images to Web3.Storage`
+  } else {
+    uploadButton.textContent = 'Upload to Web3.Storage'
+  }
+}
+
+/**
+ * @returns {boolean} true if the user wants the queued files stored together as one album
+ */
+function isAlbumMode() {
+  return document.getElementById('album-mode-input').checked
+}
+
+/**
+ * Returns a DOM element for a row in the upload queue, with a preview, caption input, status and progress bar.
+ * @param {object} entry an upload queue entry
+ * @returns {HTMLLIElement}
+ */
+function makeQueueRow(entry) {
+  const li = document.createElement('li')
+  li.className = 'upload-queue-row'
+
+  const img = makeQueuePreview(entry)
+
+  const details = document.createElement('div')
+  details.className = 'queue-row-details'
+
+  const filename = document.createElement('span')
+  filename.className = 'queue-row-filename'
+  filename.textContent = entry.file.name
+
+  const duplicateWarning = document.createElement('p')
+  duplicateWarning.className = 'queue-row-duplicate hidden'
+  duplicateWarning.setAttribute('role', 'status')
+
+  const editNote = document.createElement('p')
+  editNote.className = 'queue-row-edits hidden'
+
+  const captionInput = document.createElement('input')
+  captionInput.className = 'queue-caption-input'
+  captionInput.placeholder = 'Enter a caption'
+  captionInput.setAttribute('aria-label', `Caption for ${entry.file.name}`)
+  captionInput.oninput = e => {
+    entry.caption = e.target.value
+  }
+
+  const altInput = document.createElement('textarea')
+  altInput.className = 'queue-alt-input'
+  altInput.rows = 2
+  altInput.placeholder = 'Describe the image for people who can\'t see it (optional, the caption is used if empty)'
+  altInput.setAttribute('aria-label', `Alt text for ${entry.file.name}`)
+  altInput.oninput = e => {
+    entry.alt = e.target.value
+  }
+
+  const tagsInput = document.createElement('input')
+  tagsInput.className = 'queue-tags-input'
+  tagsInput.placeholder = 'Tags, separated by commas'
+  tagsInput.setAttribute('aria-label', `Tags for ${entry.file.name}`)
+  tagsInput.oninput = e => {
+    entry.tags = parseTags(e.target.value)
+  }
+
+  const status = document.createElement('span')
+  status.className = 'queue-row-status'
+
+  const progress = document.createElement('progress')
+  progress.className = 'queue-row-progress hidden'
+  progress.setAttribute('aria-label', `Upload progress for ${entry.file.name}`)
+  progress.max = entry.file.size
+  progress.value = 0
+
+  details.appendChild(filename)
+  details.appendChild(duplicateWarning)
+  details.appendChild(editNote)
+  details.appendChild(captionInput)
+  details.appendChild(altInput)
+  details.appendChild(tagsInput)
+  details.appendChild(status)
+  details.appendChild(progress)
+
+  const removeButton = document.createElement('button')
+  removeButton.className = 'queue-remove-button'
+  removeButton.textContent = 'Remove'
+  removeButton.setAttribute('aria-label', `Remove ${entry.file.name}`)
+  removeButton.onclick = e => {
+    e.preventDefault()
+    removeQueueEntry(entry)
+  }
+
+  const editButton = document.createElement('button')
+  editButton.className = 'queue-edit-button'
+  editButton.textContent = 'Edit'
+  editButton.setAttribute('aria-label', `Edit ${entry.file.name}`)
+  editButton.onclick = e => {
+    e.preventDefault()
+    editEntry(entry)
+  }
+
+  const retryButton = document.createElement('button')
+  retryButton.className = 'queue-retry-button hidden'
+  retryButton.textContent = 'Retry'
+  retryButton.setAttribute('aria-label', `Retry ${entry.file.name}`)
+  retryButton.onclick = e => {
+    e.preventDefault()
+    retryEntry(entry)
+  }
+
+  li.appendChild(img)
+  li.appendChild(details)
+  // the editor can only save the formats a canvas can
+  if (editableTypes.includes(entry.file.type)) {
+    li.appendChild(editButton)
+  }
+  li.appendChild(removeButton)
+  li.appendChild(retryButton)
+  return li
+}
+
+/**
+ * Returns the preview for a queue row: a muted video for videos, a note for audio, and the image itself for everything
+ * else. Browsers that can't show an image (like most with HEIC and RAW files) get a note instead.
+ * @param {object} entry an upload queue entry
+ * @returns {HTMLElement}
+ */
+function makeQueuePreview(entry) {
+  const mediaType = mediaTypeOf(entry.file)
+  const makeNote = text => {
+    const note = document.createElement('div')
+    note.className = 'queue-preview-image queue-preview-note'
+    note.textContent = text
+    return note
+  }
+  if (mediaType === 'audio') {
+    return makeNote('♪ Audio')
+  }
+  if (mediaType === 'video') {
+    const video = document.createElement('video')
+    video.className = 'queue-preview-image'
+    video.src = entry.previewURL
+    video.muted = true
+    video.preload = 'metadata'
+    return video
+  }
+  const img = document.createElement('img')
+  img.className = 'queue-preview-image'
+  img.src = entry.previewURL
+  img.alt = entry.file.name
+  img.onerror = () => img.replaceWith(makeNote("This browser can't show a preview"))
+  return img
+}
+
+/**
+ * Syncs a queue row's status text, progress bar and buttons with the state of its entry.
+ * @param {object} entry an upload queue entry
+ */
+function updateQueueRow(entry) {
+  const row = entry.row
+  const status = row.querySelector('.queue-row-status')
+  const progress = row.querySelector('.queue-row-progress')
+  const captionInput = row.querySelector('.queue-caption-input')
+  const altInput = row.querySelector('.queue-alt-input')
+  const tagsInput = row.querySelector('.queue-tags-input')
+  const removeButton = row.querySelector('.queue-remove-button')
+  const retryButton = row.querySelector('.queue-retry-button')
+  const editButton = row.querySelector('.queue-edit-button')
+
+  row.dataset.status = entry.status
+  const editable = entry.status === 'ready' || entry.status === 'failed' || entry.status === 'cancelled'
+  captionInput.disabled = !editable
+  altInput.disabled = !editable
+  tagsInput.disabled = !editable
+  for (const checkbox of row.querySelectorAll('.queue-strip-option input')) {
+    // the edited image has no EXIF data left to strip
+    checkbox.disabled = !editable || !!entry.editedFile
+  }
+  if (editButton) {
+    editButton.disabled = !editable
+  }
+  progress.max = entry.totalBytes
+  progress.value = Math.min(entry.bytesSent, entry.totalBytes)
+
+  switch (entry.status) {
+    case 'queued':
+      status.textContent = 'Waiting to upload...'
+      break
+    case 'uploading':
+      status.textContent = `Uploading... ${Math.round(100 * progress.value / progress.max)}%`
+      break
+    case 'done':
+      status.textContent = entry.inAlbum
+        ? `Stored in album with CID ${entry.result.cid}`
+        : `Stored with CID ${entry.result.cid}`
+      break
+    case 'failed':
+      status.textContent = `Upload failed: ${entry.error.message}`
+      break
+    case 'cancelled':
+      status.textContent = 'Upload cancelled'
+      break
+    case 'offline':
+      status.textContent = "Saved until you're back online"
+      break
+    default:
+      status.textContent = ''
+  }
+
+  if (entry.status === 'uploading' || entry.status === 'done') {
+    showElement(progress)
+  } else {
+    hideElement(progress)
+  }
+  if (entry.status === 'ready') {
+    showElement(removeButton)
+  } else {
+    hideElement(removeButton)
+  }
+  if (entry.status === 'failed' || entry.status === 'cancelled') {
+    showElement(retryButton)
+  } else {
+    hideElement(retryButton)
+  }
+}
+
+/**
+ * Uploads a single queue entry with storeImage, updating its row as the upload progresses.
+ * Never rejects - errors are recorded on the entry instead.
+ * @param {object} entry an upload queue entry
+ * @returns {Promise<void>}
+ */
+async function uploadEntry(entry) {
+  const { signal } = uploadController
+  if (signal.aborted) {
+    entry.status = 'cancelled'
+    updateQueueRow(entry)
     return
   }
-  updatePreviewImages(file)
-  uploadButton.disabled = false
+  entry.status = 'uploading'
+  entry.bytesSent = 0
+  entry.error = null
+  updateQueueRow(entry)
+  updateOverallProgress()
+
+  let file
+  try {
+    file = await prepareFile(entry)
+    if (canQueueOffline()) {
+      await queueEntryOffline(entry, file)
+      return
+    }
+    const result = await storeImage(file, entry.caption, {
+      alt: entry.alt.trim(),
+      tags: entry.tags,
+      collection: getCollectionName(),
+      edited: entry.editDescription,
+      encryption: batchEncryption,
+      signal,
+      onProgress: ({ bytesSent, totalBytes }) => {
+        entry.bytesSent = bytesSent
+        entry.totalBytes = totalBytes
+        updateQueueRow(entry)
+        updateOverallProgress()
+      },
+    })
+    if (!result) {
+      throw new Error('no API token found for Web3.Storage')
+    }
+    entry.result = result
+    entry.bytesSent = entry.totalBytes
+    entry.status = 'done'
+  } catch (e) {
+    // if the connection dropped during the upload, the image can still be saved to upload later
+    if (file && e.name !== 'AbortError' && canQueueOffline()) {
+      await queueEntryOffline(entry, file).catch(queueError => setEntryError(entry, queueError))
+    } else {
+      setEntryError(entry, e)
+    }
+  }
+  updateQueueRow(entry)
+  updateOverallProgress()
 }
 
 /**
- * Sets the src for any preview image elements to the content of the given image file.
- * @param {File} imageFile 
+ * @returns {boolean} true if we're offline, and the current batch can be saved to upload later.
+ *   Private uploads aren't saved, since their keys would have to be kept until the upload happens.
  */
-function updatePreviewImages(imageFile) {
-  const elements = document.querySelectorAll('img.preview-image')
-  const url = URL.createObjectURL(imageFile)
-  for (const img of elements) {
-    img.src = url
+function canQueueOffline() {
+  return !batchEncryption && isOffline()
+}
+
+/**
+ * Saves a queue entry's image to be uploaded when we're back online (see offline.js), and marks it as waiting.
+ * @param {object} entry an upload queue entry
+ * @param {File} file the image, with EXIF data removed
+ * @returns {Promise<void>}
+ */
+async function queueEntryOffline(entry, file) {
+  entry.offlineId = await queueOfflineUpload(file, entry.caption, {
+    alt: entry.alt.trim(),
+    tags: entry.tags,
+    collection: getCollectionName(),
+    edited: entry.editDescription,
+  })
+  entry.bytesSent = 0
+  entry.status = 'offline'
+  updateQueueRow(entry)
+  updateOverallProgress()
+}
+
+/**
+ * Called by offline.js when an image that was saved while offline has been uploaded.
+ * @param {CustomEvent} evt an 'offline-upload' event
+ */
+function offlineUploadStored(evt) {
+  const { id, result } = evt.detail
+  const entry = uploadQueue.find(entry => entry.status === 'offline' && entry.offlineId === id)
+  if (!entry) {
+    return
+  }
+  entry.result = result
+  entry.bytesSent = entry.totalBytes
+  entry.status = 'done'
+  updateQueueRow(entry)
+  updateOverallProgress()
+  uploadsSettled()
+}
+
+/**
+ * Marks a queue entry as cancelled or failed, depending on the error its upload rejected with.
+ * @param {object} entry an upload queue entry
+ * @param {Error} error
+ */
+function setEntryError(entry, error) {
+  if (error.name === 'AbortError') {
+    entry.status = 'cancelled'
+    return
   }
+  console.error('upload failed for', entry.file.name, error)
+  entry.error = error
+  entry.status = 'failed'
 }
 
 /**
- * Callback for upload button's onclick event. Calls storeImage with user selected file and caption text.
- * @param {Event} evt 
- * @returns 
+ * Uploads every queued entry, running up to maxConcurrentUploads at a time.
+ * @param {object[]} entries upload queue entries to upload
+ * @returns {Promise<void>} resolves when every entry has either finished or failed
+ */
+async function uploadEntries(entries) {
+  for (const entry of entries) {
+    entry.status = 'queued'
+    updateQueueRow(entry)
+  }
+
+  const pending = [...entries]
+  const worker = async () => {
+    while (pending.length > 0) {
+      await uploadEntry(pending.shift())
+    }
+  }
+  const workers = []
+  for (let i = 0; i < Math.min(maxConcurrentUploads, entries.length); i++) {
+    workers.push(worker())
+  }
+  await Promise.all(workers)
+}
+
+/**
+ * Uploads every queued entry together as a single album with storeAlbum.
+ * Progress is shown by filling each row in turn, since the files are sent in album order.
+ * @param {object[]} entries upload queue entries, in album order
+ * @param {string} title the album title
+ * @returns {Promise<void>} resolves when the album has either finished or failed
+ */
+async function uploadAlbum(entries, title) {
+  for (const entry of entries) {
+    entry.status = 'uploading'
+    entry.bytesSent = 0
+    entry.totalBytes = entryFileSize(entry)
+    entry.error = null
+    entry.inAlbum = true
+    updateQueueRow(entry)
+  }
+  updateOverallProgress()
+
+  // the whole album is one upload, so we share its progress out between the rows in proportion to their file sizes
+  const totalFileSize = entries.reduce((total, entry) => total + entryFileSize(entry), 0)
+  const onProgress = ({ bytesSent, totalBytes }) => {
+    let remaining = bytesSent
+    for (const entry of entries) {
+      entry.totalBytes = Math.round(totalBytes * entryFileSize(entry) / totalFileSize)
+      entry.bytesSent = Math.min(remaining, entry.totalBytes)
+      remaining -= entry.bytesSent
+      updateQueueRow(entry)
+    }
+    updateOverallProgress()
+  }
+
+  try {
+    const files = await Promise.all(entries.map(prepareFile))
+    const captions = entries.map(entry => entry.caption)
+    // tags are entered for each image, but stored for the album as a whole
+    const tags = normalizeTags(entries.flatMap(entry => entry.tags))
+    const result = await storeAlbum(files, captions, title, {
+      tags,
+      collection: getCollectionName(),
+      alts: entries.map(entry => entry.alt.trim()),
+      edits: entries.map(entry => entry.editDescription),
+      onProgress,
+      signal: uploadController.signal,
+    })
+    if (!result) {
+      throw new Error('no API token found for Web3.Storage')
+    }
+    for (const entry of entries) {
+      entry.result = result
+      entry.bytesSent = entry.totalBytes
+      entry.status = 'done'
+    }
+  } catch (e) {
+    for (const entry of entries) {
+      setEntryError(entry, e)
+    }
+  }
+  entries.forEach(updateQueueRow)
+  updateOverallProgress()
+}
+
+/**
+ * Updates the progress bar for the whole batch, from the progress of each entry in the queue.
+ */
+function updateOverallProgress() {
+  const progress = document.getElementById('upload-progress')
+  const label = document.getElementById('upload-progress-label')
+  const bytesSent = uploadQueue.reduce((total, entry) => total + entry.bytesSent, 0)
+  const totalBytes = uploadQueue.reduce((total, entry) => total + entry.totalBytes, 0)
+  progress.max = totalBytes
+  progress.value = Math.min(bytesSent, totalBytes)
+  label.textContent = `${formatBytes(bytesSent)} of ${formatBytes(totalBytes)}`
+}
+
+/**
+ * Callback for upload button's onclick event. Uploads every file in the queue with its caption text.
+ * @param {Event} evt
+ * @returns
  */
 function uploadClicked(evt) {
   evt.preventDefault()
-  if (selectedFile == null) {
+  if (uploadQueue.length === 0) {
     console.log('no file selected')
     return
   }
 
+  batchEncryption = getEncryptionOptions()
+  if (batchEncryption && batchEncryption.passphrase === '') {
+    showPopupMessage('Enter a passphrase for your private upload')
+    return
+  }
+
+  const duplicates = uploadQueue.filter(entry => entry.duplicates && entry.duplicates.exact.length > 0).length
+  if (duplicates > 0) {
+    const images = uploadQueue.length === 1 ? 'This image is' : `${duplicates} of these images are`
+    if (!confirm(`${images} already in your gallery. Upload anyway?`)) {
+      return
+    }
+  }
+
   // switch to "upload in progress" view
+  uploadController = new AbortController()
+  showInProgressUI()
+
+  if (isAlbumMode()) {
+    uploadAlbum([...uploadQueue], getAlbumTitle())
+      .then(uploadsSettled)
+  } else {
+    uploadEntries([...uploadQueue])
+      .then(uploadsSettled)
+  }
+}
+
+/**
+ * Returns the encryption options for storeImage, based on the private upload settings.
+ * A new share key is generated each time this is called.
+ * @returns {EncryptionOptions|undefined} undefined if private mode is off
+ */
+function getEncryptionOptions() {
+  if (!document.getElementById('private-mode-input').checked) {
+    return undefined
+  }
+  if (document.getElementById('key-type-passphrase').checked) {
+    return { passphrase: document.getElementById('passphrase-input').value }
+  }
+  return { shareKey: generateShareKey() }
+}
+
+/**
+ * @returns {string} the album title entered by the user
+ */
+function getAlbumTitle() {
+  const titleInput = document.getElementById('album-title-input')
+  return titleInput.value || ''
+}
+
+/**
+ * @returns {string} the collection name entered by the user, or '' if the uploads shouldn't go in a collection
+ */
+function getCollectionName() {
+  return document.getElementById('collection-input').value.trim()
+}
+
+/**
+ * Callback for the cancel button. Stops every upload in the current batch - uploads that have already finished
+ * are kept, and the rest can be retried from the error view.
+ * @param {Event} evt
+ */
+function cancelClicked(evt) {
+  evt.preventDefault()
+  evt.target.disabled = true
+  document.getElementById('upload-in-progress-heading').textContent = 'Cancelling...'
+  uploadController.abort()
+}
+
+/**
+ * Callback for the retry button in the error view. Retries every upload that failed or was cancelled.
+ * @param {Event} evt
+ */
+function retryFailedClicked(evt) {
+  evt.preventDefault()
+  const unfinished = uploadQueue.filter(entry => entry.status === 'failed' || entry.status === 'cancelled')
+  if (unfinished.length === 0) {
+    return
+  }
+  startRetry()
+  const retry = isAlbumMode()
+    ? uploadAlbum([...uploadQueue], getAlbumTitle())
+    : uploadEntries(unfinished)
+  retry.then(uploadsSettled)
+}
+
+/**
+ * Retries a single failed or cancelled upload. If the upload was part of an album, the whole album is retried.
+ * @param {object} entry an upload queue entry with status 'failed' or 'cancelled'
+ */
+function retryEntry(entry) {
+  startRetry()
+  const retry = entry.inAlbum
+    ? uploadAlbum([...uploadQueue], getAlbumTitle())
+    : uploadEntry(entry)
+  retry.then(uploadsSettled)
+}
+
+/**
+ * Switches back to the in-progress view before retrying uploads, with a new controller for the cancel button.
+ */
+function startRetry() {
+  if (uploadController.signal.aborted) {
+    uploadController = new AbortController()
+  }
   showInProgressUI()
+}
+
+/**
+ * Called after a batch of uploads (or a retry) finishes. Shows the success view once everything
+ * in the queue has been stored, or leaves the queue visible so failed uploads can be retried.
+ */
+function uploadsSettled() {
+  if (uploadQueue.some(entry => entry.status === 'uploading' || entry.status === 'queued')) {
+    return
+  }
 
-  const captionInput = document.getElementById('caption-input')
-  const caption = captionInput.value || ''
-  storeImage(selectedFile, caption)
-    .then(showSuccessView)
+  const unfinished = uploadQueue.filter(entry => entry.status === 'failed' || entry.status === 'cancelled')
+  if (unfinished.length > 0) {
+    const cancelled = unfinished.every(entry => entry.status === 'cancelled')
+    let message
+    if (unfinished[0].inAlbum) {
+      message = cancelled ? 'The album upload was cancelled.' : `The album upload failed: ${unfinished[0].error.message}`
+    } else {
+      const verb = cancelled ? 'were cancelled' : 'failed or were cancelled'
+      message = `${unfinished.length} of ${uploadQueue.length} uploads ${verb}. Any chunks that were already sent won't be sent again when you retry.`
+    }
+    showErrorView(message)
+    return
+  }
+  if (uploadQueue.some(entry => entry.status === 'offline')) {
+    showOfflineView()
+    return
+  }
+  // every entry in an album shares the same result, so we only list each CID once
+  const results = []
+  for (const entry of uploadQueue) {
+    if (!results.includes(entry.result)) {
+      results.push(entry.result)
+    }
+  }
+  showSuccessView(results)
 }
 
 /**
@@ -130,6 +1062,7 @@ function showUploadInputs() {
   showElement(inputArea)
   hideInProgressView()
   hideSuccessView()
+  hideErrorView()
 }
 
 /**
@@ -137,29 +1070,118 @@ function showUploadInputs() {
  */
 function showInProgressUI() {
   const inProgress = document.getElementById('upload-in-progress')
+  document.getElementById('upload-in-progress-heading').textContent = 'Uploading to Web3.Storage...'
+  document.getElementById('upload-cancel-button').disabled = false
+  showElement(document.getElementById('upload-spinner'))
   showElement(inProgress)
+  updateOverallProgress()
   hideUploadInputs()
   hideSuccessView()
+  hideErrorView()
+}
+
+/**
+ * Leaves the in-progress view up with a note that the remaining images will be uploaded later.
+ * The success view is shown once they have been.
+ */
+function showOfflineView() {
+  const message = "You're offline. Your images are saved, and will be uploaded when you reconnect, even if you close this page."
+  document.getElementById('upload-in-progress-heading').textContent = message
+  announce(message)
+  document.getElementById('upload-cancel-button').disabled = true
+  hideElement(document.getElementById('upload-spinner'))
+}
+
+/**
+ * Shows the error view with the given message, so the user can retry the uploads that didn't finish.
+ * @param {string} message
+ */
+function showErrorView(message) {
+  hideInProgressView()
+  // the error view is an alert, which is read out when its message changes, so it has to be showing first
+  showElement(document.getElementById('upload-error'))
+  document.getElementById('upload-error-message').textContent = message
 }
 
 /**
- * Shows a "yay! success" view for the given upload result.
- * @param {StoreImageResult} uploadResult an object containing metdata about the uploaded file.
+ * Shows a "yay! success" view for the given upload results.
+ * @param {Array<StoreImageResult|StoreAlbumResult>} uploadResults objects containing metdata about each uploaded file.
  */
-function showSuccessView(uploadResult) {
+function showSuccessView(uploadResults) {
+  // the next files the user selects should be compared with these uploads too
+  forgetGalleryFingerprints()
   hideInProgressView()
+  hideElement(document.getElementById('upload-queue'))
 
+  const resultList = document.getElementById('success-results')
+  for (const result of uploadResults) {
+    resultList.appendChild(makeSuccessRow(result))
+  }
+
+  // link to the first uploaded image, so the gallery opens at the start of this batch
   const galleryLink = document.getElementById('success-gallery-link')
-  galleryLink.href = `./gallery.html#${uploadResult.cid}`
+  galleryLink.href = galleryURL(uploadResults[0])
+
+  const successView = document.getElementById('upload-success')
+  showElement(successView)
+  // the upload form has gone, so focus moves to the heading, which screen readers read out
+  document.getElementById('upload-success-heading').focus()
+}
+
+/**
+ * Returns a DOM element listing the CID, gallery link and gateway link for one upload result.
+ * @param {StoreImageResult|StoreAlbumResult} uploadResult
+ * @returns {HTMLLIElement}
+ */
+function makeSuccessRow(uploadResult) {
+  const li = document.createElement('li')
+  li.className = 'success-result'
+
+  const cid = document.createElement('code')
+  cid.textContent = uploadResult.cid
+
+  const galleryLink = document.createElement('a')
+  galleryLink.href = galleryURL(uploadResult)
+  galleryLink.textContent = 'View in the Gallery'
+
+  li.appendChild(cid)
+  li.appendChild(makeStatusBadge(uploadResult.cid))
+  li.appendChild(galleryLink)
+
+  // the sharing link goes to the view page, which works without an API token. For encrypted images, the view page
+  // decrypts the image with the share key from the link.
+  const copyButton = makeClipboardButton(makeViewURL(uploadResult.cid, { key: uploadResult.shareKey }))
+
+  // the gateway only has the ciphertext for encrypted images, so there's no IPFS link
+  if (uploadResult.encrypted) {
+    li.appendChild(copyButton)
+    if (uploadResult.shareKey) {
+      const key = document.createElement('span')
+      key.className = 'share-key'
+      key.textContent = `Share key: ${uploadResult.shareKey} (keep this safe, it can't be recovered)`
+      li.appendChild(key)
+    }
+    return li
+  }
 
-  const gatewayLink = document.getElementById('success-gateway-link')
+  const gatewayLink = document.createElement('a')
   gatewayLink.href = uploadResult.imageGatewayURL
+  gatewayLink.target = '_external'
+  gatewayLink.textContent = 'View on IPFS'
 
-  const successView = document.getElementById('upload-success')
-  const copyButton = makeClipboardButton(uploadResult.imageGatewayURL)
-  successView.appendChild(copyButton)
+  li.appendChild(gatewayLink)
+  li.appendChild(copyButton)
+  return li
+}
 
-  showElement(successView)
+/**
+ * Returns a link to an upload in the gallery, including the share key for encrypted uploads.
+ * @param {StoreImageResult|StoreAlbumResult} uploadResult
+ * @returns {string}
+ */
+function galleryURL(uploadResult) {
+  const url = `./gallery.html#${uploadResult.cid}`
+  return uploadResult.shareKey ? `${url}?key=${uploadResult.shareKey}` : url
 }
 
 /**
@@ -178,6 +1200,14 @@ function hideInProgressView() {
   hideElement(inProgress)
 }
 
+/**
+ * Hides the upload error view.
+ */
+function hideErrorView() {
+  const errorView = document.getElementById('upload-error')
+  hideElement(errorView)
+}
+
 /**
  * Hides the upload success view.
  */
@@ -193,3 +1223,5 @@ if (!getSavedToken()) {
   navToSettings()
 }
 setupUploadUI()
+setupProfileSwitcher()
+setupOfflineSupport()
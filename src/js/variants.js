@@ -0,0 +1,111 @@
+////////////////////////////////
+////// Responsive image variants
+////////////////////////////////
+
+// #region makeImageVariants
+
+// The widths (in pixels) we generate resized copies at. Widths larger than the original are skipped.
+const variantWidths = [320, 800, 1600]
+
+// The formats we encode each resized copy in, along with the file extension to use.
+const variantFormats = [
+  { type: 'image/webp', extension: 'webp' },
+  { type: 'image/jpeg', extension: 'jpg' },
+]
+
+// Encoder quality passed to canvas.toBlob, between 0 and 1.
+const variantQuality = 0.8
+
+// We only resize formats that survive a trip through a canvas. GIFs would lose their animation,
+// and SVGs are already resolution independent.
+const resizableTypes = ['image/jpeg', 'image/png', 'image/webp']
+
+/**
+ * Generates resized copies of an image file in several widths and formats, for use in an `<img srcset>`.
+ * If the browser can't decode the image, or can't encode one of the output formats, those variants are skipped.
+ * @param {File} imageFile a File object containing image data
+ *
+ * @typedef {object} ImageVariant
+ * @property {File} file a File object containing the resized image
+ * @property {number} width width of the resized image in pixels
+ * @property {number} height height of the resized image in pixels
+ * @property {string} type the MIME type of the resized image
+ *
+ * @typedef {object} ImageVariantsResult
+ * @property {number|null} width width of the original image in pixels, or null if it couldn't be decoded
+ * @property {number|null} height height of the original image in pixels, or null if it couldn't be decoded
+ * @property {ImageVariant[]} variants the resized copies, empty if the image can't be resized
+ *
+ * @returns {Promise<ImageVariantsResult>}
+ */
+export async function makeImageVariants(imageFile) {
+  const noVariants = { width: null, height: null, variants: [] }
+  if (!resizableTypes.includes(imageFile.type)) {
+    return noVariants
+  }
+
+  let bitmap
+  try {
+    bitmap = await createImageBitmap(imageFile)
+  } catch (e) {
+    console.error(`unable to decode ${imageFile.name}, skipping resized variants:`, e)
+    return noVariants
+  }
+
+  // closing the bitmap resets its dimensions, so we grab them first
+  const { width: originalWidth, height: originalHeight } = bitmap
+  const stem = imageFile.name.replace(/\.[^.]+$/, '')
+  const variants = []
+  try {
+    for (const width of variantWidths) {
+      if (width >= originalWidth) {
+        break
+      }
+      const height = Math.round(originalHeight * width / originalWidth)
+      const canvas = document.createElement('canvas')
+      canvas.width = width
+      canvas.height = height
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height)
+
+      for (const { type, extension } of variantFormats) {
+        const blob = await canvasToBlob(canvas, type, variantQuality)
+        // browsers that can't encode a format fall back to PNG, which we don't want
+        if (!blob || blob.type !== type) {
+          continue
+        }
+        const file = new File([blob], `${stem}-${width}w.${extension}`, { type })
+        variants.push({ file, width, height, type })
+      }
+    }
+  } finally {
+    bitmap.close()
+  }
+  return { width: originalWidth, height: originalHeight, variants }
+}
+
+/**
+ * Returns a JSON-serializable description of each variant, for storing in metadata.json.
+ * @param {ImageVariant[]} variants
+ * @returns {object[]} objects with the path, width, height and type of each variant
+ */
+export function describeVariants(variants) {
+  return variants.map(({ file, width, height, type }) => ({
+    path: file.name,
+    width,
+    height,
+    type,
+  }))
+}
+
+/**
+ * Promise wrapper around canvas.toBlob.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} type
+ * @param {number} quality
+ * @returns {Promise<Blob|null>}
+ */
+function canvasToBlob(canvas, type, quality) {
+  return new Promise(resolve => canvas.toBlob(resolve, type, quality))
+}
+
+// #endregion makeImageVariants
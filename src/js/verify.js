@@ -0,0 +1,162 @@
+////////////////////////////////
+////// Verified retrieval
+////////////////////////////////
+
+// A gateway could send us anything, so when verification is turned on we don't ask it for the file itself.
+// Instead we ask for a CAR file containing the IPFS blocks along the path from the root CID to the file,
+// and hash every block in the browser to check that it matches the CID that links to it.
+// If the gateway can't send a CAR file, we fall back to fetching raw blocks one at a time.
+// Either way, the file is put back together from blocks we've checked, starting from the root CID we trust.
+// Anything that doesn't match is removed from the service worker's cache, so it isn't served again.
+
+import { CID, bytes } from 'multiformats'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { identity } from 'multiformats/hashes/identity'
+import { CarReader } from '@ipld/car/reader'
+import { exporter } from 'ipfs-unixfs-exporter'
+import { getStorageProvider } from './providers'
+import { forgetCachedContent } from './offline'
+
+// #region fetchVerified
+
+/**
+ * Fetches a file from IPFS and checks it against the root CID.
+ * @param {string} cid the root CID of the upload
+ * @param {string} path path to the file within the upload's directory
+ * @returns {Promise<Uint8Array>} the file's contents. Rejects if the content can't be verified; in that case the error's
+ *   verificationError field is set if the gateway sent content that doesn't match the CID.
+ */
+export async function fetchVerified(cid, path) {
+  const blockstore = await fetchVerifiedBlockstore(cid, path)
+  const entry = await exporter(`${CID.parse(cid)}/${path}`, blockstore)
+  if (entry.type !== 'file' && entry.type !== 'raw') {
+    throw new Error(`${path} is not a file`)
+  }
+  const chunks = []
+  for await (const chunk of entry.content()) {
+    chunks.push(chunk)
+  }
+  return concatChunks(chunks)
+}
+
+/**
+ * Returns a blockstore for the blocks on the path from a root CID to a file, or for a whole upload if the path is empty.
+ * It starts with the blocks from a CAR file, if a gateway can send one, and fetches any other block it's asked for
+ * as a raw block. Every block is checked against its CID before it's returned.
+ * @param {string} cid the root CID of the upload
+ * @param {string} path path to a file within the upload's directory, or '' for everything in the upload
+ * @returns {Promise<{get: function(CID): Promise<Uint8Array>}>} a blockstore that ipfs-unixfs-exporter can read from
+ */
+export async function fetchVerifiedBlockstore(cid, path) {
+  const blocks = new Map()
+  try {
+    await fetchCAR(cid, path, blocks)
+  } catch (e) {
+    if (e.verificationError) {
+      throw e
+    }
+    console.warn(`unable to fetch a CAR file for ${cid}/${path}, fetching raw blocks instead:`, e.message)
+  }
+
+  return {
+    get: async blockCID => {
+      const key = blockCID.toString()
+      if (!blocks.has(key)) {
+        blocks.set(key, await fetchRawBlock(blockCID))
+      }
+      return blocks.get(key)
+    },
+  }
+}
+
+/**
+ * Fetches a CAR file for the given path and adds its blocks to the map, after checking each one.
+ * @param {string} cid
+ * @param {string} path
+ * @param {Map<string, Uint8Array>} blocks block data, keyed by CID string
+ * @returns {Promise<void>}
+ */
+async function fetchCAR(cid, path, blocks) {
+  const res = await getStorageProvider().fetchContent(cid, path, 'car')
+  const contentType = res.headers.get('Content-Type') || ''
+  if (!contentType.includes('application/vnd.ipld.car')) {
+    // older gateways ignore the format and just send the file
+    throw new Error(`gateway sent ${contentType || 'unknown content type'} instead of a CAR file`)
+  }
+  const reader = await CarReader.fromBytes(new Uint8Array(await res.arrayBuffer()))
+  await forgetIfMismatched(cid, async () => {
+    for await (const { cid: blockCID, bytes: data } of reader.blocks()) {
+      await checkBlock(blockCID, data)
+      blocks.set(blockCID.toString(), data)
+    }
+  })
+}
+
+/**
+ * Fetches a single raw block and checks it against its CID.
+ * @param {CID} blockCID
+ * @returns {Promise<Uint8Array>}
+ */
+export async function fetchRawBlock(blockCID) {
+  const res = await getStorageProvider().fetchContent(blockCID.toString(), '', 'raw')
+  const data = new Uint8Array(await res.arrayBuffer())
+  await forgetIfMismatched(blockCID.toString(), () => checkBlock(blockCID, data))
+  return data
+}
+
+/**
+ * Runs the checks on content fetched for a CID. If the content doesn't match, it's removed from the service worker's
+ * cache before the error is passed on.
+ * @param {string} cid the CID the content was requested with
+ * @param {function(): Promise<void>} check
+ * @returns {Promise<void>}
+ */
+async function forgetIfMismatched(cid, check) {
+  try {
+    await check()
+  } catch (e) {
+    if (e.verificationError) {
+      await forgetCachedContent(cid).catch(err => console.error('error removing content from the cache:', err))
+    }
+    throw e
+  }
+}
+
+/**
+ * Checks that a block's data hashes to the digest in its CID.
+ * @param {CID} blockCID
+ * @param {Uint8Array} data
+ * @returns {Promise<void>} rejects with an error that has its verificationError field set if the block doesn't match
+ */
+export async function checkBlock(blockCID, data) {
+  const hashers = { [sha256.code]: sha256, [identity.code]: identity }
+  const hasher = hashers[blockCID.multihash.code]
+  if (!hasher) {
+    throw new Error(`unsupported hash function 0x${blockCID.multihash.code.toString(16)} in ${blockCID}`)
+  }
+  const digest = await hasher.digest(data)
+  if (!bytes.equals(digest.bytes, blockCID.multihash.bytes)) {
+    const err = new Error(`block ${blockCID} doesn't match its CID`)
+    err.verificationError = true
+    throw err
+  }
+}
+
+/**
+ * @param {Uint8Array[]} chunks
+ * @returns {Uint8Array}
+ */
+function concatChunks(chunks) {
+  if (chunks.length === 1) {
+    return chunks[0]
+  }
+  const out = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0))
+  let offset = 0
+  for (const chunk of chunks) {
+    out.set(chunk, offset)
+    offset += chunk.length
+  }
+  return out
+}
+
+// #endregion fetchVerified
@@ -0,0 +1,343 @@
+import '../css/style.css'
+
+import QRCode from 'qrcode'
+import { getImageMetadata, decryptImage, fetchStoredFile, shouldFetchImages } from './storage'
+import { setupOfflineSupport } from './offline'
+import { getMediaType, displayFile, altText, makePlayer, makeSVGFrame, showSVG, makeNoPreview } from './media'
+import { showElement, hideElement, getLocationHash, getLocationHashParams, makeViewURL, copyStringToClipboard, showPopupMessage } from './helpers'
+
+////////////////////////////////
+///////// View page
+////////////////////////////////
+
+// A read-only page for a single image or album, which anyone with the link can open, without an API token.
+// Everything is loaded straight from the CID in the location hash, e.g. view.html#bafy...
+// Private images are unlocked with the share key from the hash (view.html#bafy...?key=...) or a passphrase.
+// Adding embed=1 to the hash parameters leaves out the header and share panel, for showing the page in an <iframe>.
+
+// #region view
+
+/**
+ * Loads the upload from the location hash and shows it, along with the share panel.
+ */
+async function setupViewUI() {
+  if (!document.getElementById('view-ui')) {
+    return
+  }
+  const cid = getLocationHash()
+  const params = getLocationHashParams()
+  const embed = params.has('embed')
+  if (embed) {
+    document.body.classList.add('embed')
+  }
+  // the page shows a single upload, so following a link to another one starts again
+  window.onhashchange = () => location.reload()
+  if (!cid) {
+    showViewError("This link doesn't say which image to show.")
+    return
+  }
+
+  let metadata
+  try {
+    metadata = await getImageMetadata(cid)
+  } catch (e) {
+    console.error('error loading image metadata', cid, e)
+    showViewError(`Unable to load the image: ${e.message}`)
+    return
+  }
+  hideElement(document.getElementById('view-spinner'))
+
+  const content = document.getElementById('view-content')
+  const key = params.get('key')
+  if (metadata.encrypted) {
+    content.appendChild(makeLockedView(metadata, key))
+    describePage({ title: 'Private image', description: 'An encrypted image, which can only be viewed with its key.' })
+  } else if (metadata.album) {
+    content.appendChild(makeAlbumView(metadata))
+    const cover = metadata.album.images[0] && displayFile(metadata.album.images[0])
+    describePage({
+      title: metadata.album.title || 'Untitled album',
+      description: `An album of ${metadata.album.images.length} images`,
+      image: cover && cover.gatewayURL,
+      imageAlt: metadata.album.images[0] && altText(metadata.album.images[0]),
+    })
+  } else {
+    content.appendChild(makeFigure(metadata))
+    const shown = displayFile(metadata)
+    describePage({ title: metadata.caption || metadata.path, image: shown && shown.gatewayURL, imageAlt: altText(metadata) })
+  }
+
+  if (!embed) {
+    // share keys stay in the link, but a passphrase never goes in one
+    setupSharePanel(cid, metadata.encrypted && metadata.encrypted.kdf ? undefined : key)
+  }
+}
+
+/**
+ * @param {string} message
+ */
+function showViewError(message) {
+  hideElement(document.getElementById('view-spinner'))
+  const error = document.getElementById('view-error')
+  error.textContent = message
+  showElement(error)
+}
+
+/**
+ * Returns an image, video or audio file with its caption.
+ * @param {ImageMetadata|AlbumImage} metadata metadata with the gatewayURL filled in, which may be a blob URL
+ * @returns {HTMLElement}
+ */
+function makeFigure(metadata) {
+  const figure = document.createElement('figure')
+  figure.className = 'view-figure'
+  figure.appendChild(makeMedia(metadata))
+
+  if (metadata.caption) {
+    const caption = document.createElement('figcaption')
+    caption.textContent = metadata.caption
+    figure.appendChild(caption)
+  }
+  return figure
+}
+
+/**
+ * Returns an element that shows an upload in the way its media type calls for (see media.js).
+ * @param {ImageMetadata|AlbumImage} metadata
+ * @returns {HTMLElement}
+ */
+function makeMedia(metadata) {
+  const mediaType = getMediaType(metadata)
+  if (mediaType === 'video' || mediaType === 'audio') {
+    const { element, player, setPoster } = makePlayer(mediaType, altText(metadata))
+    loadFile(url => { player.src = url }, metadata, metadata)
+    if (metadata.preview) {
+      loadFile(setPoster, metadata, metadata.preview)
+    }
+    return element
+  }
+  if (mediaType === 'svg') {
+    const frame = makeSVGFrame(altText(metadata))
+    loadFile(url => {
+      fetch(url)
+        .then(res => res.text())
+        .then(svg => showSVG(frame, svg))
+        .catch(e => console.error('error loading SVG', metadata.contentCID, metadata.path, e))
+    }, metadata, metadata)
+    return frame
+  }
+
+  const shown = displayFile(metadata)
+  if (!shown) {
+    return makeNoPreview(metadata, metadata.gatewayURL)
+  }
+  const img = document.createElement('img')
+  img.alt = altText(metadata)
+  loadFile(url => { img.src = url }, metadata, shown)
+  return img
+}
+
+/**
+ * Gets a URL for a file in an upload. If the storage provider doesn't use gateways, or the user has turned on
+ * verification, the file is fetched through the storage provider instead, and given a blob URL. Files that can't be
+ * checked, or don't match their CID, aren't shown.
+ * @param {function(string): void} useURL called with the URL
+ * @param {ImageMetadata|AlbumImage} metadata
+ * @param {{path: string, gatewayURL: string}} file the upload itself, or its preview
+ */
+async function loadFile(useURL, metadata, file) {
+  if (file.gatewayURL.startsWith('blob:') || !shouldFetchImages()) {
+    useURL(file.gatewayURL)
+    return
+  }
+  try {
+    const { blob } = await fetchStoredFile(metadata.contentCID, file.path, 'image')
+    useURL(URL.createObjectURL(blob))
+  } catch (e) {
+    console.error('error loading file', metadata.contentCID, file.path, e)
+    if (e.verificationError || e.unverifiable) {
+      showViewError(`Unable to show the image: ${e.message}`)
+    }
+  }
+}
+
+/**
+ * Returns the album title, followed by each of its images in order.
+ * @param {ImageMetadata} metadata metadata for an album upload
+ * @returns {HTMLDivElement}
+ */
+function makeAlbumView(metadata) {
+  const div = document.createElement('div')
+  div.className = 'view-album'
+
+  const title = document.createElement('h2')
+  title.textContent = metadata.album.title
+  div.appendChild(title)
+  for (const image of metadata.album.images) {
+    div.appendChild(makeFigure({ ...image, contentCID: metadata.contentCID }))
+  }
+  return div
+}
+
+/**
+ * Returns a form for unlocking a private image, which is replaced by the image once it's unlocked.
+ * If there's a share key in the link, the image is unlocked straight away.
+ * @param {ImageMetadata} metadata metadata for an encrypted upload
+ * @param {string|null} key the share key from the location hash
+ * @returns {HTMLDivElement}
+ */
+function makeLockedView(metadata, key) {
+  const usesPassphrase = !!metadata.encrypted.kdf
+
+  const wrapper = document.createElement('div')
+  wrapper.className = 'view-locked'
+
+  const message = document.createElement('p')
+  message.textContent = 'This image is encrypted.'
+
+  const form = document.createElement('form')
+  form.className = 'unlock-form'
+  const input = document.createElement('input')
+  input.type = 'password'
+  input.placeholder = usesPassphrase ? 'Enter the passphrase' : 'Enter the share key'
+  const button = document.createElement('button')
+  button.textContent = 'Unlock'
+  form.appendChild(input)
+  form.appendChild(button)
+
+  const unlock = async secret => {
+    button.disabled = true
+    try {
+      const decrypted = await decryptImage(metadata, secret)
+      wrapper.replaceWith(makeFigure({ ...decrypted, gatewayURL: URL.createObjectURL(decrypted.blob) }))
+    } catch (e) {
+      console.error('error unlocking image', metadata.cid, e)
+      showPopupMessage(`Unable to unlock image: ${e.message}`)
+      button.disabled = false
+    }
+  }
+  form.onsubmit = e => {
+    e.preventDefault()
+    if (input.value) {
+      unlock(input.value)
+    }
+  }
+
+  wrapper.appendChild(message)
+  wrapper.appendChild(form)
+  if (key) {
+    unlock(key)
+  }
+  return wrapper
+}
+
+// #endregion view
+
+// #region open-graph
+
+/**
+ * Fills in the page title and Open Graph tags, which link previews use to describe the page.
+ * Link previews that don't run javascript see the defaults in view.html instead.
+ * @param {object} description
+ * @param {string} description.title
+ * @param {string} [description.description]
+ * @param {string} [description.image] a gateway URL for the image to show in previews
+ * @param {string} [description.imageAlt] alt text for the image
+ */
+function describePage({ title, description, image, imageAlt }) {
+  document.title = `${title} | Web3.Storage Image Gallery`
+  setMetaProperty('og:title', title)
+  if (description) {
+    setMetaProperty('og:description', description)
+  }
+  // blob URLs only exist in this browser, so they're no use to anyone else
+  if (image && !image.startsWith('blob:')) {
+    setMetaProperty('og:image', image)
+    if (imageAlt) {
+      setMetaProperty('og:image:alt', imageAlt)
+    }
+  }
+  setMetaProperty('og:url', location.href)
+}
+
+/**
+ * @param {string} property e.g. 'og:title'
+ * @param {string} content
+ */
+function setMetaProperty(property, content) {
+  let meta = document.querySelector(`meta[property="${property}"]`)
+  if (!meta) {
+    meta = document.createElement('meta')
+    meta.setAttribute('property', property)
+    document.head.appendChild(meta)
+  }
+  meta.setAttribute('content', content)
+}
+
+// #endregion open-graph
+
+// #region share-panel
+
+/**
+ * Shows the link to this page, with a copy button and a QR code, and the embed code generator.
+ * @param {string} cid
+ * @param {string} [key] the share key for a private image, if it should be part of the link
+ */
+function setupSharePanel(cid, key) {
+  const shareURL = makeViewURL(cid, { key })
+
+  const linkInput = document.getElementById('share-link-input')
+  linkInput.value = shareURL
+  document.getElementById('share-link-copy-button').onclick = e => {
+    e.preventDefault()
+    copyStringToClipboard(shareURL)
+    showPopupMessage('Copied link to clipboard')
+  }
+
+  QRCode.toCanvas(document.getElementById('share-qr-code'), shareURL, { width: 200, margin: 1 })
+    .catch(e => console.error('error drawing QR code:', e))
+
+  const widthInput = document.getElementById('embed-width-input')
+  const heightInput = document.getElementById('embed-height-input')
+  const codeArea = document.getElementById('embed-code')
+  const updateEmbedCode = () => {
+    codeArea.value = makeEmbedCode(makeViewURL(cid, { key, embed: true }), widthInput.value, heightInput.value)
+  }
+  widthInput.oninput = updateEmbedCode
+  heightInput.oninput = updateEmbedCode
+  updateEmbedCode()
+  document.getElementById('embed-copy-button').onclick = e => {
+    e.preventDefault()
+    copyStringToClipboard(codeArea.value)
+    showPopupMessage('Copied embed code to clipboard')
+  }
+
+  showElement(document.getElementById('share-panel'))
+}
+
+/**
+ * @param {string} url the embed version of the view page
+ * @param {string} width in pixels
+ * @param {string} height in pixels
+ * @returns {string} an `<iframe>` tag that shows the page
+ */
+function makeEmbedCode(url, width, height) {
+  const size = value => Math.max(100, parseInt(value, 10) || 0)
+  const escape = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')
+  return `<iframe src="${escape(url)}" width="${size(width)}" height="${size(height)}" ` +
+    `title="${escape(document.title)}" style="border: 0" loading="lazy" allowfullscreen></iframe>`
+}
+
+// #endregion share-panel
+
+////////////////////////////////
+///////// Initialization
+////////////////////////////////
+
+// #region init
+
+// unlike the other pages, this one doesn't need an API token, so there's no redirect to the settings page
+setupViewUI()
+setupOfflineSupport()
+
+// #endregion init
@@ -0,0 +1,82 @@
+////////////////////////////////
+////// Web3.Storage provider
+////////////////////////////////
+
+// The default storage provider (see providers.js). Uploads are sent to Web3.Storage in chunks (see car-upload.js),
+// listed and deleted with the Web3.Storage client, and loaded through the user's IPFS gateways (see gateways.js).
+
+import { Web3Storage } from 'web3.storage'
+import { storeCAR } from './car-upload.js'
+import { fetchFromGateways } from './gateways.js'
+
+// #region web3-provider
+
+/** @type {import('./providers.js').StorageProvider} */
+export const web3StorageProvider = {
+  id: 'web3.storage',
+  label: 'Web3.Storage',
+  usesGateways: true,
+  list,
+  putCAR: storeCAR,
+  delete: deleteUpload,
+  validateToken,
+  fetchContent: fetchFromGateways,
+  status,
+}
+
+/**
+ * @param {string} token a Web3.Storage API token
+ * @returns {AsyncIterable<import('./providers.js').Upload>} uploads from the web3.storage list response, newest first
+ */
+function list(token) {
+  const web3storage = new Web3Storage({ token })
+  return web3storage.list()
+}
+
+/**
+ * @param {string} token a Web3.Storage API token
+ * @param {string} cid the root CID of the upload to delete
+ * @returns {Promise<void>} rejects if the delete API isn't available, or the upload couldn't be deleted
+ */
+async function deleteUpload(token, cid) {
+  const web3storage = new Web3Storage({ token })
+  await web3storage.delete(cid)
+}
+
+/**
+ * @param {string} token a Web3.Storage API token
+ * @param {string} cid the root CID of an upload
+ * @returns {Promise<import('./providers.js').UploadStatus|undefined>} the upload's pins and deals, from the status API
+ */
+function status(token, cid) {
+  const web3storage = new Web3Storage({ token })
+  return web3storage.status(cid)
+}
+
+/**
+ * Checks if the given API token is valid by issuing a request.
+ * @param {string} token
+ * @returns {Promise<boolean>} resolves to true if the token is valid, false if invalid.
+ */
+async function validateToken(token) {
+  console.log('validating token',token)
+  const web3storage = new Web3Storage({ token })
+
+  try {
+    for await (const _ of web3storage.list({ maxResults: 1})) {
+      // any non-error response means the token is legit
+      break
+    }
+    return true
+  } catch (e) {
+    // only return false for auth-related errors
+    if (e.message.includes('401') || e.message.includes('403')) {
+      console.log('invalid token', e.message)
+      return false
+    }
+    // propagate non-auth errors
+    throw e
+  }
+}
+
+// #endregion web3-provider
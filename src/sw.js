@@ -0,0 +1,225 @@
+////////////////////////////////
+////// Service worker
+////////////////////////////////
+
+// Lets the gallery work without a network connection, and saves downloading the same images on every visit.
+//
+// Every file in the build is cached when the service worker is installed, so the pages load offline. Content from
+// IPFS gateways (images, metadata.json and friends) is cached the first time it's fetched, keyed by gateway, CID and
+// path rather than by URL. The gateway is part of the key so that a bad response from one gateway is never served in
+// place of another's, and failing over to the next gateway really does fetch the content again.
+//
+// When verification is turned on, the pages check CAR files and raw blocks against their CIDs, and remove them from
+// the cache if they don't match (see forgetCachedContent in src/js/offline.js). Plain files can't be checked, so
+// they're neither cached nor served from the cache while it's on. The pages send us the setting when they load, and
+// we keep it in its own cache, since a service worker's variables don't last between events.
+//
+// This file isn't bundled. The build (see the pwa plugin in vite.config.js) copies it to the root of the site, and
+// defines two constants at the top: `appCacheName`, which changes whenever the build does, and `precacheFiles`, which
+// lists every file in the build. Uploads made while offline are queued by the pages, not here (see src/js/offline.js).
+
+/* global appCacheName, precacheFiles */
+
+const appCachePrefix = 'image-gallery-app-'
+const ipfsCacheName = 'image-gallery-ipfs'
+const settingsCacheName = 'image-gallery-settings'
+// the settings are cached under this URL. It's never fetched, it just needs to be a valid URL.
+const settingsKey = 'https://settings.invalid/'
+
+// the gateway settings the pages last sent us, or null if they haven't been read from the cache yet
+let settings = null
+
+// #region lifecycle
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(appCacheName).then(cache => cache.addAll(precacheFiles)))
+})
+
+self.addEventListener('activate', event => {
+  // the IPFS cache is kept between builds, since its contents never go out of date
+  const removeOldBuilds = caches.keys().then(names => Promise.all(
+    names
+      .filter(name => name.startsWith(appCachePrefix) && name !== appCacheName)
+      .map(name => caches.delete(name))
+  ))
+  event.waitUntil(removeOldBuilds.then(() => self.clients.claim()))
+})
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'settings') {
+    event.waitUntil(saveSettings({ verify: !!event.data.verify }))
+  }
+})
+
+self.addEventListener('fetch', event => {
+  const { request } = event
+  // range requests only ask for part of a file, so we leave them to the browser
+  if (request.method !== 'GET' || request.headers.has('Range')) {
+    return
+  }
+
+  const appPath = appFilePath(request.url)
+  if (appPath !== null) {
+    event.respondWith(appResponse(request, appPath))
+    return
+  }
+  const content = ipfsContent(request)
+  if (content) {
+    event.respondWith(ipfsResponse(request, content))
+  }
+})
+
+// #endregion lifecycle
+
+// #region settings
+
+/**
+ * @typedef {object} WorkerSettings
+ * @property {boolean} verify whether the pages check content against its CID (see src/js/gateways.js)
+ */
+
+/**
+ * @param {WorkerSettings} newSettings
+ * @returns {Promise<void>}
+ */
+async function saveSettings(newSettings) {
+  settings = newSettings
+  const cache = await caches.open(settingsCacheName)
+  await cache.put(settingsKey, new Response(JSON.stringify(newSettings)))
+}
+
+/**
+ * @returns {Promise<WorkerSettings>} the settings the pages last sent us, or the defaults if they haven't sent any
+ */
+async function getSettings() {
+  if (!settings) {
+    const cache = await caches.open(settingsCacheName)
+    const cached = await cache.match(settingsKey)
+    settings = cached ? await cached.json() : { verify: false }
+  }
+  return settings
+}
+
+// #endregion settings
+
+// #region app
+
+/**
+ * @param {string} url
+ * @returns {string|null} the path of the build file the URL points to, relative to the service worker, or null if
+ *   the URL isn't for one of our files
+ */
+function appFilePath(url) {
+  const { origin, pathname } = new URL(url)
+  const scope = new URL(self.registration.scope)
+  if (origin !== scope.origin || !pathname.startsWith(scope.pathname)) {
+    return null
+  }
+  const path = pathname.slice(scope.pathname.length) || 'index.html'
+  return precacheFiles.includes(path) ? path : null
+}
+
+/**
+ * Responds with a file from the build, from the cache if we have it.
+ * @param {Request} request
+ * @param {string} path
+ * @returns {Promise<Response>}
+ */
+async function appResponse(request, path) {
+  const cache = await caches.open(appCacheName)
+  const cached = await cache.match(path)
+  return cached || fetch(request)
+}
+
+// #endregion app
+
+// #region ipfs
+
+/**
+ * @typedef {object} IPFSContent
+ * @property {string} key a URL that identifies the content in the cache
+ * @property {string|null} format 'car' or 'raw' for requests made to verify content, or null for the file itself
+ */
+
+/**
+ * Works out which IPFS content a request is for, from either a subdomain style URL (https://<cid>.ipfs.dweb.link/<path>)
+ * or a path style one (https://ipfs.io/ipfs/<cid>/<path>).
+ * @param {Request} request
+ * @returns {IPFSContent|null} null if the request isn't for IPFS content
+ */
+function ipfsContent(request) {
+  const url = new URL(request.url)
+  let cid
+  let path
+  let gateway
+  const subdomain = url.hostname.match(/^([a-z0-9]+)\.ipfs\./)
+  const pathStyle = url.pathname.match(/^\/ipfs\/([^/]+)\/?(.*)$/)
+  if (subdomain) {
+    cid = subdomain[1]
+    path = url.pathname.slice(1)
+    gateway = url.host.slice(subdomain[0].length)
+  } else if (pathStyle) {
+    cid = pathStyle[1]
+    path = pathStyle[2]
+    gateway = url.host
+  } else {
+    return null
+  }
+
+  // CAR files and raw blocks (used for verified retrieval) are cached separately from the file itself
+  const accept = (request.headers.get('Accept') || '').match(/application\/vnd\.ipld\.(car|raw)/)
+  const format = url.searchParams.get('format') || (accept && accept[1]) || null
+  const params = new URLSearchParams({ gateway })
+  if (format) {
+    params.set('format', format)
+  }
+  // the key is never fetched, it just needs to be a valid URL. offline.js finds a CID's entries by the path.
+  return { key: `https://ipfs.invalid/ipfs/${cid}/${path}?${params}`, format }
+}
+
+/**
+ * Responds with IPFS content from the cache, or fetches and caches it if we haven't seen it before.
+ * Plain files aren't cached while verification is on, since the pages can't check them.
+ * @param {Request} request
+ * @param {IPFSContent} content from ipfsContent
+ * @returns {Promise<Response>}
+ */
+async function ipfsResponse(request, { key, format }) {
+  if (!format && (await getSettings()).verify) {
+    return fetchReadable(request)
+  }
+  const cache = await caches.open(ipfsCacheName)
+  const cached = await cache.match(key)
+  if (cached) {
+    return cached
+  }
+
+  const response = await fetchReadable(request)
+  // error pages and opaque responses (whose status we can't see) aren't cached, and neither are files from gateways
+  // that send the file itself when they're asked for a CAR file or a raw block
+  const contentType = response.headers.get('Content-Type') || ''
+  if (response.ok && (!format || contentType.includes(`application/vnd.ipld.${format}`))) {
+    await cache.put(key, response.clone())
+  }
+  return response
+}
+
+/**
+ * Images are requested without CORS, which gives an opaque response that we can't tell apart from an error page.
+ * Gateways allow CORS requests, so we ask for the image that way instead, and fall back to the original request if
+ * the gateway turns us down.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function fetchReadable(request) {
+  if (request.mode !== 'no-cors') {
+    return fetch(request)
+  }
+  try {
+    return await fetch(request.url, { mode: 'cors', credentials: 'omit', signal: request.signal })
+  } catch (e) {
+    return fetch(request)
+  }
+}
+
+// #endregion ipfs
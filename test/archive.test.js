@@ -0,0 +1,135 @@
+// @vitest-environment jsdom
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { CID } from 'multiformats'
+import * as raw from 'multiformats/codecs/raw'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { CarReader } from '@ipld/car/reader'
+import { CarIndexer } from '@ipld/car/indexer'
+import { storeImage } from '../src/js/storage'
+import { exportGallery, importGallery } from '../src/js/archive'
+import { writeCAR } from '../src/js/car-files'
+import { localProvider } from '../src/js/local-provider'
+import { addProfile, setActiveProfile, defaultProfileId } from '../src/js/profiles'
+import { saveToken } from '../src/js/helpers'
+import { makeFile } from './utils'
+
+// The local storage provider keeps uploads in memory here, and lists every upload whatever the token, so the tests
+// delete the exported uploads before importing them again. Their blocks are kept, but that doesn't matter to imports.
+
+/**
+ * @returns {Promise<Array<{cid: string, name: string}>>} the local provider's uploads, oldest first
+ */
+async function listUploads() {
+  const uploads = []
+  for await (const { cid, name } of localProvider.list()) {
+    uploads.unshift({ cid, name })
+  }
+  return uploads
+}
+
+async function deleteAllUploads() {
+  for (const { cid } of await listUploads()) {
+    await localProvider.delete('test-token', cid)
+  }
+}
+
+/**
+ * Uploads two images and exports them, then deletes them, so the export can be imported.
+ * @returns {Promise<{blob: Blob, cids: string[]}>} the export, and the images' CIDs, oldest first
+ */
+async function exportTwoImages() {
+  const { cid: first } = await storeImage(makeFile('first.png', 'image/png', 1000), 'First')
+  // the local provider's creation dates are only precise to the millisecond
+  await new Promise(resolve => setTimeout(resolve, 5))
+  const { cid: second } = await storeImage(makeFile('second.png', 'image/png', 1001), 'Second')
+  const { blob, exported, failed } = await exportGallery({ token: 'test-token' })
+  expect([exported, failed]).toEqual([2, 0])
+  await deleteAllUploads()
+  return { blob, cids: [first, second] }
+}
+
+beforeEach(async () => {
+  localStorage.setItem('w3storage-provider', 'local')
+  saveToken('test-token')
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+  await deleteAllUploads()
+})
+
+describe('gallery export & import', () => {
+  it('round trips the uploads, keeping their CIDs and switching their prefix', async () => {
+    const { blob, cids } = await exportTwoImages()
+    expect(blob.type).toBe('application/vnd.ipld.car')
+    const roots = await (await CarReader.fromBytes(new Uint8Array(await blob.arrayBuffer()))).getRoots()
+    expect(roots.slice(1).map(String)).toEqual(cids)
+
+    const team = addProfile({ name: 'Team', prefix: 'TeamGallery', token: 'test-token' })
+    setActiveProfile(team.id)
+    const progress = []
+    const result = await importGallery(blob, { token: 'test-token', onProgress: p => progress.push(p) })
+    expect(result).toEqual({ imported: 2, skipped: 0, failed: 0 })
+    expect(progress).toEqual([{ done: 1, total: 2 }, { done: 2, total: 2 }])
+    expect(await listUploads()).toEqual([
+      { cid: cids[0], name: 'TeamGallery|First' },
+      { cid: cids[1], name: 'TeamGallery|Second' },
+    ])
+
+    // the uploads are in the account now, so they're skipped next time
+    expect(await importGallery(blob, { token: 'test-token' })).toEqual({ imported: 0, skipped: 2, failed: 0 })
+    setActiveProfile(defaultProfileId)
+  })
+
+  it('imports the oldest uploads first, whatever order the index lists them in', async () => {
+    const { blob, cids } = await exportTwoImages()
+    const reader = await CarReader.fromBytes(new Uint8Array(await blob.arrayBuffer()))
+    const [indexCID, ...uploadCIDs] = await reader.getRoots()
+    const index = JSON.parse(new TextDecoder().decode((await reader.get(indexCID)).bytes))
+    expect(index.uploads.map(upload => upload.cid)).toEqual(cids)
+
+    // the same index, listed newest first, under a new CID
+    index.uploads.reverse()
+    const bytes = new TextEncoder().encode(JSON.stringify(index))
+    const reorderedCID = CID.create(1, raw.code, await sha256.digest(bytes))
+    const blocks = [{ cid: reorderedCID, bytes }]
+    for await (const block of reader.blocks()) {
+      if (!block.cid.equals(indexCID)) {
+        blocks.push(block)
+      }
+    }
+    const reordered = new Blob(await writeCAR([reorderedCID, ...uploadCIDs], blocks))
+
+    const putCAR = vi.spyOn(localProvider, 'putCAR')
+    expect(await importGallery(reordered, { token: 'test-token' })).toEqual({ imported: 2, skipped: 0, failed: 0 })
+    expect(putCAR.mock.calls.map(([, cid]) => cid)).toEqual(cids)
+  })
+
+  it('checks each block, and leaves out just the uploads with a corrupt block', async () => {
+    const { blob, cids } = await exportTwoImages()
+    const bytes = new Uint8Array(await blob.arrayBuffer())
+    for await (const { cid, blockOffset } of await CarIndexer.fromBytes(bytes)) {
+      if (cid.toString() === cids[1]) {
+        bytes[blockOffset] ^= 0xff
+      }
+    }
+
+    expect(await importGallery(new Blob([bytes]), { token: 'test-token' })).toEqual({ imported: 1, skipped: 0, failed: 1 })
+    expect((await listUploads()).map(upload => upload.cid)).toEqual([cids[0]])
+  })
+
+  it("rejects files that aren't gallery exports", async () => {
+    await expect(importGallery(new Blob(['not a CAR file']), { token: 'test-token' })).rejects.toThrow("isn't an image gallery export")
+
+    const { blob } = await exportTwoImages()
+    const reader = await CarReader.fromBytes(new Uint8Array(await blob.arrayBuffer()))
+    const [, root] = await reader.getRoots()
+    const blocks = []
+    for await (const block of reader.blocks()) {
+      blocks.push(block)
+    }
+    // an ordinary CAR, whose first root is an upload rather than an index
+    const car = new Blob(await writeCAR([root], blocks))
+    await expect(importGallery(car, { token: 'test-token' })).rejects.toThrow("isn't an image gallery export")
+  })
+})
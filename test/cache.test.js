@@ -0,0 +1,41 @@
+// @vitest-environment jsdom
+
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach } from 'vitest'
+import { putCachedMetadata, getCachedMetadata, clearMetadataCache } from '../src/js/cache'
+import { listCachedImageMetadata } from '../src/js/storage'
+import { saveGatewaySettings } from '../src/js/gateways'
+
+const gateways = [{ url: 'https://ipfs.io', style: 'path' }]
+
+/**
+ * @param {string} cid
+ * @param {object} [fields]
+ * @returns {ImageMetadata}
+ */
+function metadata(cid, fields = {}) {
+  return { cid, path: 'cat.png', caption: cid, created: '2022-01-01T00:00:00Z', ...fields }
+}
+
+beforeEach(async () => {
+  await clearMetadataCache()
+})
+
+describe('metadata cache', () => {
+  it("doesn't keep metadata that couldn't be verified", async () => {
+    await putCachedMetadata(metadata('bafyunchecked', { verification: { verified: false, error: 'no CAR' } }))
+    await putCachedMetadata(metadata('bafychecked', { verification: { verified: true } }))
+    expect(await getCachedMetadata('bafyunchecked')).toBeUndefined()
+    expect(await getCachedMetadata('bafychecked')).toBeTruthy()
+  })
+
+  it('only lists metadata that was verified while verification is on', async () => {
+    await putCachedMetadata(metadata('bafyold'))
+    await putCachedMetadata(metadata('bafychecked', { verification: { verified: true } }))
+
+    saveGatewaySettings({ gateways, mode: 'failover', verify: false })
+    expect((await listCachedImageMetadata()).map(image => image.cid).sort()).toEqual(['bafychecked', 'bafyold'])
+    saveGatewaySettings({ gateways, mode: 'failover', verify: true })
+    expect((await listCachedImageMetadata()).map(image => image.cid)).toEqual(['bafychecked'])
+  })
+})
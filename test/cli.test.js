@@ -0,0 +1,52 @@
+// Smoke tests for the command line tool (scripts/gallery.mjs), run under Node the way users run it. They don't get as
+// far as the network, but they load every module it shares with the web app, which the web app's bundler would
+// otherwise hide problems with, e.g. an import without the .js extension Node needs.
+
+import { describe, it, expect } from 'vitest'
+import { execFile } from 'child_process'
+import path from 'path'
+
+// import.meta.url points inside the Vite root here, so the script is found from the directory the tests are run in,
+// which is the repository's root for `npm test`
+const script = path.resolve('scripts/gallery.mjs')
+
+/**
+ * @param {string[]} args
+ * @param {object} [env] env variables to add
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function gallery(args, env = {}) {
+  const { WEB3STORAGE_TOKEN, ...inherited } = process.env
+  return new Promise(resolve => {
+    execFile(process.execPath, [script, ...args], { env: { ...inherited, ...env }, timeout: 30000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr })
+    })
+  })
+}
+
+describe('gallery command', () => {
+  it('prints its usage with --help', async () => {
+    const { code, stdout } = await gallery(['--help'])
+    expect(code).toBe(0)
+    expect(stdout).toMatch(/^usage:/)
+    expect(stdout).toContain('gallery list [--json] [--prefix <name>]')
+  })
+
+  it('prints its usage and fails for unknown commands and options', async () => {
+    for (const args of [[], ['rename'], ['list', '--verbose']]) {
+      const { code, stderr } = await gallery(args)
+      expect(code).toBe(1)
+      expect(stderr).toContain('usage:')
+    }
+  })
+
+  it('needs a token to list the gallery, and checks the prefix before asking for anything', async () => {
+    let result = await gallery(['list'])
+    expect(result.code).toBe(1)
+    expect(result.stderr).toContain('WEB3STORAGE_TOKEN')
+
+    result = await gallery(['list', '--prefix', 'Team|Gallery'], { WEB3STORAGE_TOKEN: 'test-token' })
+    expect(result.code).toBe(1)
+    expect(result.stderr).toContain('invalid --prefix')
+  })
+})
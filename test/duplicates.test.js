@@ -0,0 +1,53 @@
+// @vitest-environment jsdom
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { storeImage } from '../src/js/storage'
+import { saveToken } from '../src/js/helpers'
+import { uploadGalleryFiles, jsonFile, metadataPath } from '../src/js/gallery-store'
+import { findDuplicates, forgetGalleryFingerprints } from '../src/js/duplicates'
+import { hammingDistance, isSimilarHash } from '../src/js/fingerprints'
+import { makeFile } from './utils'
+
+// the local storage provider keeps uploads in memory here, so each test uses files of a different size to keep them
+// apart from the uploads made by the others
+beforeEach(() => {
+  localStorage.setItem('w3storage-provider', 'local')
+  saveToken('test-token')
+  forgetGalleryFingerprints()
+  // jsdom can't decode images, so there are no perceptual hashes or resized variants
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+})
+
+describe('findDuplicates', () => {
+  it('finds an image that has already been uploaded, by its file CID', async () => {
+    const { cid } = await storeImage(makeFile('cat.png', 'image/png', 2000), 'A cat')
+    forgetGalleryFingerprints()
+
+    const { exact, similar } = await findDuplicates(makeFile('same-cat.png', 'image/png', 2000))
+    expect(exact.map(match => [match.metadata.cid, match.caption])).toEqual([[cid, 'A cat']])
+    expect(similar).toEqual([])
+    expect((await findDuplicates(makeFile('dog.png', 'image/png', 2001))).exact).toEqual([])
+  })
+
+  it('looks up the file CID of images uploaded without one in their metadata', async () => {
+    const file = makeFile('old.png', 'image/png', 3000)
+    const cid = await uploadGalleryFiles([file, jsonFile(metadataPath, { path: 'old.png', caption: 'Old' })], 'Old', {
+      token: 'test-token',
+    })
+
+    const { exact } = await findDuplicates(makeFile('copy.png', 'image/png', 3000))
+    expect(exact.map(match => match.metadata.cid)).toEqual([cid])
+  })
+})
+
+describe('perceptual hashes', () => {
+  it('count as similar when only a few bits differ', () => {
+    expect(hammingDistance('ff00ff00ff00ff00', 'ff00ff00ff00ff00')).toBe(0)
+    expect(hammingDistance('ff00ff00ff00ff00', 'fe00ff00ff00ff01')).toBe(2)
+    expect(isSimilarHash('ff00ff00ff00ff00', 'fe00ff00ff00ff01')).toBe(true)
+    expect(isSimilarHash('ff00ff00ff00ff00', '00ff00ff00ff00ff')).toBe(false)
+    expect(isSimilarHash(null, null)).toBe(false)
+  })
+})
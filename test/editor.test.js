@@ -0,0 +1,90 @@
+// @vitest-environment jsdom
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { storeImage, getImageMetadata } from '../src/js/storage'
+import { saveToken } from '../src/js/helpers'
+import {
+  defaultEdits, hasEdits, aspectCrop, moveCrop, outputSize, outputType, editedFileName, describeEdits, summarizeEdits,
+} from '../src/js/editor'
+import { makeFile } from './utils'
+
+// jsdom has no canvas, so these tests cover the editor's sums and the metadata it produces, not the drawing
+beforeEach(() => {
+  localStorage.setItem('w3storage-provider', 'local')
+  saveToken('test-token')
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+describe('aspectCrop', () => {
+  it('returns the largest centred crop with the aspect ratio', () => {
+    expect(aspectCrop(400, 300, '1:1')).toEqual({ x: 0.125, y: 0, width: 0.75, height: 1 })
+    expect(aspectCrop(400, 300, '16:9')).toEqual({ x: 0, y: 0.125, width: 1, height: 0.75 })
+    expect(aspectCrop(400, 300, 'original')).toBe(null)
+  })
+
+  it('scales the crop, keeping it inside the image', () => {
+    expect(aspectCrop(400, 300, '1:1', 0.5)).toEqual({ x: 0.3125, y: 0.25, width: 0.375, height: 0.5 })
+    expect(aspectCrop(400, 300, '1:1', 0.5, { x: 1, y: 0 })).toEqual({ x: 0.625, y: 0, width: 0.375, height: 0.5 })
+  })
+
+  it('moves crops back inside the image', () => {
+    const crop = { x: 0, y: 0, width: 0.5, height: 0.5 }
+    expect(moveCrop(crop, -0.2, 0.8)).toEqual({ x: 0, y: 0.5, width: 0.5, height: 0.5 })
+  })
+})
+
+describe('outputSize', () => {
+  it('crops, then shrinks to fit the maximum dimension without enlarging', () => {
+    expect(outputSize(4000, 3000, null, null)).toEqual({ width: 4000, height: 3000 })
+    expect(outputSize(4000, 3000, { x: 0, y: 0, width: 0.5, height: 1 }, null)).toEqual({ width: 2000, height: 3000 })
+    expect(outputSize(4000, 3000, null, 1000)).toEqual({ width: 1000, height: 750 })
+    expect(outputSize(400, 300, null, 1000)).toEqual({ width: 400, height: 300 })
+  })
+})
+
+describe('output format', () => {
+  it('keeps the original format when the canvas can save it', () => {
+    expect(outputType('image/jpeg', 'original')).toBe('image/jpeg')
+    expect(outputType('image/gif', 'original')).toBe('image/png')
+    expect(outputType('image/png', 'image/webp')).toBe('image/webp')
+  })
+
+  it('changes the file extension to match', () => {
+    expect(editedFileName('cat.png', 'image/webp')).toBe('cat.webp')
+    expect(editedFileName('cat.JPEG', 'image/jpeg')).toBe('cat.JPEG')
+    expect(editedFileName('cat', 'image/png')).toBe('cat.png')
+  })
+})
+
+describe('edit metadata', () => {
+  const file = makeFile('cat.jpg', 'image/jpeg', 1000)
+  const edits = { ...defaultEdits(), rotate: 90, aspect: '1:1', crop: aspectCrop(300, 400, '1:1'), format: 'image/webp' }
+
+  it('describes the edits in pixels of the original image', () => {
+    expect(hasEdits(defaultEdits())).toBe(false)
+    expect(hasEdits(edits)).toBe(true)
+    const description = describeEdits(file, edits, { width: 400, height: 300, orientation: 6 })
+    expect(description).toEqual({
+      originalName: 'cat.jpg',
+      originalType: 'image/jpeg',
+      originalWidth: 400,
+      originalHeight: 300,
+      orientation: 6,
+      rotate: 90,
+      flipHorizontal: false,
+      flipVertical: false,
+      crop: { aspect: '1:1', x: 0, y: 50, width: 300, height: 300 },
+      maxDimension: null,
+      type: 'image/webp',
+      quality: 0.85,
+    })
+    expect(summarizeEdits(description)).toBe('cropped to 1:1, rotated 90°, saved as WEBP')
+  })
+
+  it('are stored in metadata.json', async () => {
+    const description = describeEdits(file, edits, { width: 400, height: 300 })
+    const { cid } = await storeImage(makeFile('cat.webp', 'image/webp', 1200), 'An edited cat', { edited: description })
+    expect((await getImageMetadata(cid)).edited).toEqual(description)
+  })
+})
@@ -0,0 +1,184 @@
+import { describe, it, expect } from 'vitest'
+import { readExif, stripExif, canStripExif } from '../src/js/exif'
+
+// where the test photos were taken: 51°30'N, 0°7'30"W
+const gpsIFD = [[1, 'N'], [2, [51, 30, 0]], [3, 'W'], [4, [0, 7, 30]]]
+const location = { latitude: 51.5, longitude: -0.125, altitude: null }
+
+/**
+ * Makes a little-endian TIFF block.
+ * @param {Array<[number, string|number[]|Array]>} entries the first IFD's tags and values. Strings are ASCII, arrays
+ *   of numbers are rationals, and arrays of entries are IFDs that the tag points to.
+ * @returns {Uint8Array}
+ */
+function makeTiff(entries) {
+  const bytes = new Uint8Array(1024)
+  const view = new DataView(bytes.buffer)
+  bytes.set([0x49, 0x49, 42, 0, 8, 0, 0, 0])
+  let free = 8
+  const writeIFD = ifd => {
+    const offset = free
+    free += 2 + ifd.length * 12 + 4
+    view.setUint16(offset, ifd.length, true)
+    ifd.forEach(([tag, value], i) => {
+      const pos = offset + 2 + i * 12
+      view.setUint16(pos, tag, true)
+      if (typeof value === 'string') {
+        const data = new TextEncoder().encode(`${value}\0`)
+        view.setUint16(pos + 2, 2, true)
+        view.setUint32(pos + 4, data.length, true)
+        if (data.length <= 4) {
+          bytes.set(data, pos + 8)
+        } else {
+          view.setUint32(pos + 8, free, true)
+          bytes.set(data, free)
+          free += data.length
+        }
+      } else if (typeof value[0] === 'number') {
+        view.setUint16(pos + 2, 5, true)
+        view.setUint32(pos + 4, value.length, true)
+        view.setUint32(pos + 8, free, true)
+        for (const n of value) {
+          view.setUint32(free, n, true)
+          view.setUint32(free + 4, 1, true)
+          free += 8
+        }
+      } else {
+        view.setUint16(pos + 2, 4, true)
+        view.setUint32(pos + 4, 1, true)
+        view.setUint32(pos + 8, writeIFD(value), true)
+      }
+    })
+    return offset
+  }
+  writeIFD(entries)
+  return bytes.slice(0, free)
+}
+
+/**
+ * @param {...(Uint8Array|string|number[])} parts bytes, ASCII strings or lists of bytes
+ * @returns {Uint8Array}
+ */
+function concat(...parts) {
+  const arrays = parts.map(part => typeof part === 'string' ? new TextEncoder().encode(part) : Uint8Array.from(part))
+  const out = new Uint8Array(arrays.reduce((total, a) => total + a.length, 0))
+  let offset = 0
+  for (const a of arrays) {
+    out.set(a, offset)
+    offset += a.length
+  }
+  return out
+}
+
+const uint16 = n => [n >> 8, n & 0xFF]
+const uint32 = n => [n >>> 24, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF]
+
+/**
+ * @param {string} type
+ * @param {...(Uint8Array|string|number[])} parts the box's contents
+ * @returns {Uint8Array} an ISO base media box
+ */
+function box(type, ...parts) {
+  const data = concat(...parts)
+  return concat(uint32(data.length + 8), type, data)
+}
+
+const tiffWithGPS = makeTiff([[0x010F, 'Canon'], [0x8825, gpsIFD]])
+const xmp = '<x:xmpmeta><exif:GPSLatitude>51,30N</exif:GPSLatitude></x:xmpmeta>'
+
+/**
+ * Makes a HEIC file with an EXIF item and an XMP item in its mdat box.
+ * @param {number} [extents] how many pieces the EXIF item is split into
+ * @returns {Uint8Array}
+ */
+function makeHEIC(extents = 1) {
+  const exif = concat(uint32(6), 'Exif\0\0', tiffWithGPS)
+  const ftyp = box('ftyp', 'heic', uint32(0), 'mif1heic')
+  const infe = (id, type, ...rest) => box('infe', [2, 0, 0, 0], uint16(id), uint16(0), type, '\0', ...rest)
+  const iinf = box('iinf', [0, 0, 0, 0], uint16(3),
+    infe(1, 'hvc1'), infe(2, 'Exif'), infe(3, 'mime', 'application/rdf+xml\0'))
+  const ispe = (width, height) => box('ispe', [0, 0, 0, 0], uint32(width), uint32(height))
+  const iprp = box('iprp', box('ipco', ispe(512, 512), ispe(4032, 3024)))
+  const iloc = mdatStart => {
+    const location = (id, offset, length) => length === exif.length && extents > 1
+      ? concat(uint16(id), uint16(0), uint16(2), uint32(offset), uint32(4), uint32(offset + 4), uint32(length - 4))
+      : concat(uint16(id), uint16(0), uint16(1), uint32(offset), uint32(length))
+    return box('iloc', [0, 0, 0, 0], [0x44, 0], uint16(3),
+      location(1, mdatStart, 4), location(2, mdatStart + 4, exif.length), location(3, mdatStart + 4 + exif.length, xmp.length))
+  }
+  const meta = mdatStart => box('meta', [0, 0, 0, 0], iinf, iloc(mdatStart), iprp)
+  const mdatStart = ftyp.length + meta(0).length + 8
+  return concat(ftyp, meta(mdatStart), box('mdat', 'HEVC', exif, xmp))
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {string} name
+ * @param {string} [type]
+ * @returns {File}
+ */
+function file(bytes, name, type = '') {
+  return new File([bytes], name, { type })
+}
+
+describe('HEIC files', () => {
+  it('have their EXIF item read', async () => {
+    const exif = await readExif(file(makeHEIC(), 'IMG_0001.HEIC', 'image/heic'))
+    expect(exif.camera).toBe('Canon')
+    expect(exif.gps).toEqual(location)
+    expect(exif.hasXMP).toBe(true)
+    expect([exif.width, exif.height]).toEqual([4032, 3024])
+  })
+
+  it('have their location removed without moving anything', async () => {
+    const original = makeHEIC()
+    const stripped = await stripExif(file(original, 'IMG_0001.HEIC', 'image/heic'), { location: true })
+    const bytes = new Uint8Array(await stripped.arrayBuffer())
+    expect(bytes.length).toBe(original.length)
+    expect(new TextDecoder().decode(bytes)).not.toContain('GPSLatitude')
+
+    const exif = await readExif(stripped)
+    expect(exif.camera).toBe('Canon')
+    expect(exif.gps).toBe(null)
+  })
+
+  it("can't be stripped when the EXIF item is split up", async () => {
+    const heic = file(makeHEIC(2), 'IMG_0001.HEIC', 'image/heic')
+    expect(await readExif(heic)).toBe(null)
+    expect(await canStripExif(heic)).toBe(false)
+    expect(await canStripExif(file(makeHEIC(), 'IMG_0001.HEIC', 'image/heic'))).toBe(true)
+  })
+})
+
+describe('RAW files', () => {
+  it('have the location removed from CR3 files', async () => {
+    const canonUUID = [0x85, 0xc0, 0xb6, 0x87, 0x82, 0x0f, 0x11, 0xe0, 0x81, 0x11, 0xf4, 0xce, 0x46, 0x2b, 0x6a, 0x48]
+    const cr3 = concat(
+      box('ftyp', 'crx ', uint32(1), 'crx isom'),
+      box('moov', box('uuid', canonUUID, box('CMT1', makeTiff([[0x010F, 'Canon']])), box('CMT4', makeTiff(gpsIFD)))),
+    )
+    expect((await readExif(file(cr3, 'IMG_0001.CR3'))).gps).toEqual(location)
+    const stripped = await stripExif(file(cr3, 'IMG_0001.CR3'), { location: true })
+    const exif = await readExif(stripped)
+    expect(exif.camera).toBe('Canon')
+    expect(exif.gps).toBe(null)
+  })
+
+  it('have the location removed from the JPEG preview in RAF files', async () => {
+    const app1 = concat('Exif\0\0', tiffWithGPS)
+    const jpeg = concat([0xFF, 0xD8, 0xFF, 0xE1], uint16(app1.length + 2), app1, [0xFF, 0xD9])
+    const header = new Uint8Array(100)
+    header.set(new TextEncoder().encode('FUJIFILMCCD-RAW '))
+    header.set(concat(uint32(100), uint32(jpeg.length)), 84)
+    const raf = concat(header, jpeg, 'raw data')
+
+    expect((await readExif(file(raf, 'DSCF0001.RAF'))).gps).toEqual(location)
+    const stripped = await stripExif(file(raf, 'DSCF0001.RAF'), { location: true })
+    expect(stripped.size).toBe(raf.length)
+    expect((await readExif(stripped)).gps).toBe(null)
+  })
+
+  it("can't be stripped in formats we don't read", async () => {
+    expect(await canStripExif(file(concat('FOVb', new Uint8Array(100)), 'photo.x3f'))).toBe(false)
+  })
+})
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest'
+import {
+  defaultViewState, parseViewState, viewStateToParams, isSameViewState, filterViewHash, getImageType, applyViewState,
+  countTags, countCollections,
+} from '../src/js/filters'
+
+/**
+ * @param {string} cid
+ * @param {object} [fields]
+ * @returns {ImageMetadata}
+ */
+function image(cid, fields = {}) {
+  return { cid, path: `${cid}.png`, caption: '', created: '2022-01-01T12:00:00Z', tags: [], collection: null, ...fields }
+}
+
+const images = [
+  image('beach', { caption: 'Sandcastle', path: 'IMG_1.JPG', created: '2022-07-01T12:00:00Z', tags: ['beach', 'summer'], collection: 'Holiday' }),
+  image('snow', { caption: 'snowman', created: '2022-01-15T12:00:00Z', tags: ['winter'] }),
+  image('sea', { caption: 'Waves', path: 'sea.jpeg', created: '2022-07-02T12:00:00Z', tags: ['beach'], collection: 'Holiday' }),
+  image('album', {
+    path: undefined,
+    created: '2021-12-31T12:00:00Z',
+    album: { title: 'Road trip', images: [{ caption: 'Lighthouse', path: 'light.png' }] },
+  }),
+]
+
+/**
+ * @param {Partial<ViewState>} fields
+ * @returns {string[]} the CIDs of the images the view shows, in order
+ */
+function show(fields) {
+  return applyViewState(images, { ...defaultViewState, ...fields }).map(metadata => metadata.cid)
+}
+
+describe('applyViewState', () => {
+  it('shows every image, newest first, by default', () => {
+    expect(show({})).toEqual(['sea', 'beach', 'snow', 'album'])
+  })
+
+  it('filters by tag and collection', () => {
+    expect(show({ tag: 'beach' })).toEqual(['sea', 'beach'])
+    expect(show({ tag: 'summer' })).toEqual(['beach'])
+    expect(show({ tag: 'autumn' })).toEqual([])
+    expect(show({ collection: 'Holiday' })).toEqual(['sea', 'beach'])
+    expect(show({ collection: 'Holiday', tag: 'summer' })).toEqual(['beach'])
+  })
+
+  it('searches captions, filenames, tags, collections and albums, ignoring case', () => {
+    expect(show({ query: 'SNOWMAN' })).toEqual(['snow'])
+    expect(show({ query: ' castle ' })).toEqual(['beach'])
+    expect(show({ query: 'img_1' })).toEqual(['beach'])
+    expect(show({ query: 'winter' })).toEqual(['snow'])
+    expect(show({ query: 'holiday' })).toEqual(['sea', 'beach'])
+    expect(show({ query: 'lighthouse' })).toEqual(['album'])
+    expect(show({ query: 'road trip' })).toEqual(['album'])
+    expect(show({ query: 'nothing like it' })).toEqual([])
+  })
+
+  it('filters by type and date range', () => {
+    expect(show({ type: 'jpeg' })).toEqual(['sea', 'beach'])
+    expect(show({ type: 'album' })).toEqual(['album'])
+    expect(show({ from: '2022-07-02' })).toEqual(['sea'])
+    expect(show({ to: '2022-01-15' })).toEqual(['snow', 'album'])
+    expect(show({ from: '2022-01-01', to: '2022-07-01' })).toEqual(['beach', 'snow'])
+  })
+
+  it('sorts by date or name, either way round', () => {
+    expect(show({ sort: 'newest' })).toEqual(['sea', 'beach', 'snow', 'album'])
+    expect(show({ sort: 'oldest' })).toEqual(['album', 'snow', 'beach', 'sea'])
+    expect(show({ sort: 'name' })).toEqual(['album', 'beach', 'snow', 'sea'])
+    expect(show({ sort: 'name-desc' })).toEqual(['sea', 'snow', 'beach', 'album'])
+  })
+
+  it("doesn't change the list it's given", () => {
+    const cids = images.map(metadata => metadata.cid)
+    show({ sort: 'name' })
+    expect(images.map(metadata => metadata.cid)).toEqual(cids)
+  })
+})
+
+describe('getImageType', () => {
+  it('uses the file extension, apart from private images and albums', () => {
+    expect(getImageType({ path: 'a.JPG' })).toBe('jpeg')
+    expect(getImageType({ path: 'a.jpeg' })).toBe('jpeg')
+    expect(getImageType({ path: 'a.webp' })).toBe('webp')
+    expect(getImageType({ path: 'a.png', encrypted: true })).toBe('private')
+    expect(getImageType({ album: { title: '', images: [] } })).toBe('album')
+    expect(getImageType({})).toBe('other')
+  })
+})
+
+describe('view state in the location hash', () => {
+  it('parses the parameters, falling back to the defaults for missing or unknown values', () => {
+    expect(parseViewState(new URLSearchParams('view=grid&q=beach&tag=summer&collection=Holiday&sort=oldest'))).toEqual({
+      ...defaultViewState,
+      view: 'grid',
+      query: 'beach',
+      tag: 'summer',
+      collection: 'Holiday',
+      sort: 'oldest',
+    })
+    expect(parseViewState(new URLSearchParams('view=list&sort=random&key=abc'))).toEqual(defaultViewState)
+    expect(parseViewState(new URLSearchParams(''))).toEqual(defaultViewState)
+  })
+
+  it('writes only the fields that differ from the defaults', () => {
+    expect(viewStateToParams(defaultViewState).toString()).toBe('')
+    const state = { ...defaultViewState, view: 'grid', query: 'sea shells', from: '2022-01-01', sort: 'name-desc' }
+    const params = viewStateToParams(state)
+    expect(params.toString()).toBe('view=grid&q=sea+shells&from=2022-01-01&sort=name-desc')
+    expect(parseViewState(params)).toEqual(state)
+  })
+
+  it('compares states field by field', () => {
+    expect(isSameViewState(defaultViewState, { ...defaultViewState })).toBe(true)
+    expect(isSameViewState(defaultViewState, { ...defaultViewState, tag: 'beach' })).toBe(false)
+  })
+
+  it('makes grid links for tag chips and the tag index', () => {
+    expect(filterViewHash({ tag: 'summer holiday' })).toBe('#?view=grid&tag=summer+holiday')
+    expect(filterViewHash({ collection: 'Holiday' })).toBe('#?view=grid&collection=Holiday')
+  })
+})
+
+describe('tag index counts', () => {
+  it('counts tags and collections, most used first, then by name', () => {
+    expect(countTags(images)).toEqual([
+      { name: 'beach', count: 2 },
+      { name: 'summer', count: 1 },
+      { name: 'winter', count: 1 },
+    ])
+    expect(countCollections(images)).toEqual([{ name: 'Holiday', count: 2 }])
+  })
+})
@@ -0,0 +1,90 @@
+// @vitest-environment jsdom
+
+// Walks through the app the way a user would: saving a token on the settings page, uploading an image, finding it
+// in the gallery and opening its share page. Each page's script sets itself up when it's imported, against the page's HTML from ./src. The local
+// storage provider stands in for Web3.Storage, so the upload really happens and the gallery reads it back, without
+// any network requests.
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { waitFor, makeFile } from './utils'
+import { getSavedToken, deleteSavedToken } from '../src/js/helpers'
+import settingsPage from '../src/settings.html?raw'
+import uploadPage from '../src/index.html?raw'
+import galleryPage from '../src/gallery.html?raw'
+import viewPage from '../src/view.html?raw'
+
+/**
+ * Replaces the document body with the body of one of the app's pages, without its scripts.
+ * @param {string} html the page's HTML
+ */
+function loadPage(html) {
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/)[1]
+  document.body.innerHTML = body.replace(/<script[\s\S]*?<\/script>/g, '')
+}
+
+function isShown(id) {
+  const el = document.getElementById(id)
+  return !!el && !el.classList.contains('hidden')
+}
+
+beforeEach(() => {
+  localStorage.setItem('w3storage-provider', 'local')
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+  // jsdom can't decode images, so the upload logs an error and skips the resized variants
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+})
+
+describe('settings, upload and gallery', () => {
+  // The pages share one module registry, so the local provider keeps its uploads from one page to the next.
+  // The timeout is generous because the first upload has to load the CAR and IPFS modules.
+  it('saves a token, uploads an image, shows it in the gallery and shares it', async () => {
+    loadPage(settingsPage)
+    await import('../src/js/settings.js')
+    const tokenInput = document.getElementById('token-input')
+    tokenInput.value = 'test-token'
+    tokenInput.dispatchEvent(new Event('change'))
+    await waitFor(() => getSavedToken() === 'test-token')
+
+    loadPage(uploadPage)
+    await import('../src/js/upload.js')
+    const drop = new Event('drop')
+    drop.dataTransfer = { files: [makeFile('cat.png'), makeFile('notes.txt', 'text/plain')] }
+    document.getElementById('drop-area').dispatchEvent(drop)
+
+    // only image files are added to the queue
+    const rows = document.querySelectorAll('.upload-queue-row')
+    expect(rows).toHaveLength(1)
+    expect(rows[0].querySelector('.queue-row-filename').textContent).toBe('cat.png')
+    const captionInput = rows[0].querySelector('.queue-caption-input')
+    captionInput.value = 'A cat'
+    captionInput.dispatchEvent(new Event('input'))
+
+    document.getElementById('upload-button').click()
+    await waitFor(() => isShown('upload-success'))
+    const cid = document.querySelector('#success-results .success-result code').textContent
+    expect(cid).toMatch(/^bafy/)
+    // the local provider counts uploads as pinned straight away
+    await waitFor(() => document.querySelector('.success-result .status-badge').textContent === 'Pinned')
+
+    loadPage(galleryPage)
+    await import('../src/js/gallery.js')
+    await waitFor(() => document.querySelector('.gallery-image-caption'))
+    const caption = document.querySelector('.gallery-image-caption')
+    expect(caption.textContent).toBe('A cat')
+    expect(caption.closest('.gallery-image-card').querySelector('.share-link').href).toContain(cid)
+    // the local provider doesn't use gateways, so the image is loaded into a blob URL
+    await waitFor(() => document.querySelector('.gallery-image-card img[src^="blob:"]'))
+
+    // anyone with the link can open the view page, without a token
+    deleteSavedToken()
+    history.replaceState(null, '', `#${cid}`)
+    loadPage(viewPage)
+    await import('../src/js/view.js')
+    await waitFor(() => document.querySelector('.view-figure figcaption'))
+    expect(document.querySelector('.view-figure figcaption').textContent).toBe('A cat')
+    expect(document.querySelector('meta[property="og:title"]').getAttribute('content')).toBe('A cat')
+    expect(document.getElementById('share-link-input').value).toMatch(new RegExp(`/view\\.html#${cid}$`))
+    expect(document.getElementById('embed-code').value).toContain(`view.html#${cid}?embed=1`)
+  }, 20000)
+})
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest'
+import { makeUploadName, isGalleryUpload, normalizePrefix, imageMetadataFile, normalizeTags } from '../src/js/gallery-store'
+
+describe('upload names', () => {
+  it('are prefixed, so the gallery can find its uploads', () => {
+    expect(makeUploadName('a day at the beach')).toBe('ImageGallery|a day at the beach')
+    expect(isGalleryUpload({ name: makeUploadName('') })).toBe(true)
+    expect(isGalleryUpload({ name: 'photos.car' })).toBe(false)
+    expect(isGalleryUpload({ name: '' })).toBe(false)
+    expect(isGalleryUpload({})).toBe(false)
+  })
+
+  it('can use another prefix, which has to be followed by the separator', () => {
+    expect(makeUploadName('team photo', 'TeamGallery')).toBe('TeamGallery|team photo')
+    expect(isGalleryUpload({ name: 'TeamGallery|team photo' }, 'TeamGallery')).toBe(true)
+    expect(isGalleryUpload({ name: 'TeamGallery|team photo' })).toBe(false)
+    expect(isGalleryUpload({ name: 'ImageGalleryTeam|team photo' })).toBe(false)
+  })
+})
+
+describe('normalizePrefix', () => {
+  it('trims the prefix, and rejects empty ones and ones with the separator', () => {
+    expect(normalizePrefix(' TeamGallery ')).toBe('TeamGallery')
+    expect(() => normalizePrefix('  ')).toThrow('empty')
+    expect(() => normalizePrefix('Team|Gallery')).toThrow('"|"')
+  })
+})
+
+describe('normalizeTags', () => {
+  it('lower cases tags, strips "#" and whitespace, and drops repeats and non-strings', () => {
+    expect(normalizeTags(['Beach', ' #beach', 'Summer   Holiday', '', 42, '##'])).toEqual(['beach', 'summer holiday'])
+    expect(normalizeTags(undefined)).toEqual([])
+  })
+})
+
+describe('imageMetadataFile', () => {
+  it('fills in the size from the EXIF data, and the tags and collection', async () => {
+    const file = imageMetadataFile('cat.jpg', 'A cat', {
+      exif: { width: 640, height: 480 },
+      tags: ['Cats'],
+      collection: '  ',
+    })
+    expect(file.name).toBe('metadata.json')
+    expect(JSON.parse(await file.text())).toEqual({
+      path: 'cat.jpg',
+      caption: 'A cat',
+      alt: null,
+      width: 640,
+      height: 480,
+      exif: { width: 640, height: 480 },
+      variants: [],
+      fileCID: null,
+      phash: null,
+      edited: null,
+      mediaType: 'image',
+      duration: null,
+      preview: null,
+      tags: ['cats'],
+      collection: null,
+    })
+  })
+})
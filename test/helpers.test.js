@@ -0,0 +1,165 @@
+// @vitest-environment jsdom
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import {
+  makeGatewayURL, makeViewURL, parseTags, getSavedToken, saveToken, deleteSavedToken, showMessage, showLink,
+  getLocationHash, getLocationHashParams, setLocationHash, hideElement, showElement, formatBytes,
+  formatDuration,
+} from '../src/js/helpers'
+import { saveGatewaySettings, resetGatewaySettings, fetchFromGateways, getGatewayHealth } from '../src/js/gateways'
+
+const cid = 'bafybeiejnzwez2e4uvqkkyzcmdmjhrdfa3je53xu6gxkgt4dmq2paez56q'
+
+describe('makeGatewayURL', () => {
+  beforeEach(() => {
+    resetGatewaySettings()
+  })
+
+  it('uses the first default gateway, with the CID in the subdomain', () => {
+    expect(makeGatewayURL(cid, 'cat.jpg')).toBe(`https://${cid}.ipfs.dweb.link/cat.jpg`)
+  })
+
+  it('encodes characters in the path that would change its meaning', () => {
+    expect(makeGatewayURL(cid, 'my cat #1?.jpg')).toBe(`https://${cid}.ipfs.dweb.link/my%20cat%20%231%3F.jpg`)
+    expect(makeGatewayURL(cid, 'café.png')).toBe(`https://${cid}.ipfs.dweb.link/caf%C3%A9.png`)
+  })
+
+  it('puts the CID in the path for path style gateways', () => {
+    saveGatewaySettings({ gateways: [{ url: 'https://ipfs.io', style: 'path' }], mode: 'failover', verify: false })
+    expect(makeGatewayURL(cid, 'a b.png')).toBe(`https://ipfs.io/ipfs/${cid}/a%20b.png`)
+  })
+
+  it('keeps the port of a subdomain style gateway', () => {
+    saveGatewaySettings({ gateways: [{ url: 'http://localhost:8080', style: 'subdomain' }], mode: 'failover', verify: false })
+    expect(makeGatewayURL(cid, 'a.png')).toBe(`http://${cid}.ipfs.localhost:8080/a.png`)
+  })
+})
+
+describe('fetchFromGateways', () => {
+  const gateways = [{ url: 'https://blocked.example', style: 'path' }, { url: 'https://ipfs.io', style: 'path' }]
+
+  beforeEach(() => {
+    saveGatewaySettings({ gateways, mode: 'failover', verify: false })
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  it('fails over on client errors, and counts them against the gateway', async () => {
+    for (const status of [400, 403, 404, 410]) {
+      localStorage.clear()
+      saveGatewaySettings({ gateways, mode: 'failover', verify: false })
+      const fetch = vi.spyOn(globalThis, 'fetch').mockImplementation(async url => url.startsWith('https://blocked')
+        ? new Response('no', { status, statusText: 'Nope' })
+        : new Response('content'))
+      const res = await fetchFromGateways(cid, 'cat.png', 'car')
+      expect(await res.text()).toBe('content')
+      expect(fetch).toHaveBeenCalledTimes(2)
+      const health = getGatewayHealth()
+      expect(health['https://blocked.example'].lastFailure).toBeTruthy()
+      expect(health['https://ipfs.io'].lastSuccess).toBeTruthy()
+    }
+  })
+
+  it('rejects with the last error if every gateway fails', async () => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('', { status: 404, statusText: 'Not Found' }))
+    await expect(fetchFromGateways(cid, 'missing.png')).rejects.toThrow('[404] Not Found')
+  })
+})
+
+describe('makeViewURL', () => {
+  it('links to the view page, with the share key and embed flag in the hash', () => {
+    expect(makeViewURL(cid)).toBe(`http://localhost:3000/view.html#${cid}`)
+    expect(makeViewURL(cid, { key: 'a+b/c=', embed: true }))
+      .toBe(`http://localhost:3000/view.html#${cid}?key=a%2Bb%2Fc%3D&embed=1`)
+  })
+})
+
+describe('parseTags', () => {
+  it('splits on commas and normalizes each tag', () => {
+    expect(parseTags(' Beach, #Summer Holiday ,,beach ')).toEqual(['beach', 'summer holiday'])
+  })
+
+  it('returns no tags for empty input', () => {
+    expect(parseTags('')).toEqual([])
+    expect(parseTags(undefined)).toEqual([])
+    expect(parseTags(' , #, ')).toEqual([])
+  })
+})
+
+describe('formatBytes', () => {
+  it('uses the largest unit that keeps the size at or above 1', () => {
+    expect(formatBytes(0)).toBe('0 bytes')
+    expect(formatBytes(1023)).toBe('1023 bytes')
+    expect(formatBytes(1536)).toBe('1.5 KB')
+    expect(formatBytes(5 * 1024 * 1024 * 1024)).toBe('5.0 GB')
+  })
+})
+
+describe('formatDuration', () => {
+  it('shows minutes and seconds, and hours for long files', () => {
+    expect(formatDuration(5)).toBe('0:05')
+    expect(formatDuration(185.4)).toBe('3:05')
+    expect(formatDuration(3729)).toBe('1:02:09')
+  })
+})
+
+describe('saved token', () => {
+  it('saves, reads and deletes the token', () => {
+    expect(getSavedToken()).toBeNull()
+    saveToken('abc')
+    expect(getSavedToken()).toBe('abc')
+    deleteSavedToken()
+    expect(getSavedToken()).toBeNull()
+  })
+})
+
+describe('output area', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="output"></div>'
+  })
+
+  it('appends messages and links', () => {
+    showMessage('> hello')
+    showLink('https://example.com/')
+    const output = document.getElementById('output')
+    expect(output.children).toHaveLength(2)
+    expect(output.children[0].innerText).toBe('> hello')
+    expect(output.children[1].href).toBe('https://example.com/')
+  })
+
+  it('does nothing when the page has no output area', () => {
+    document.body.innerHTML = ''
+    expect(() => showMessage('> hello')).not.toThrow()
+  })
+})
+
+describe('location hash', () => {
+  it('separates the CID from the parameters', () => {
+    location.hash = `#${cid}?key=abc&view=grid`
+    expect(getLocationHash()).toBe(cid)
+    expect(getLocationHashParams().get('key')).toBe('abc')
+    expect(getLocationHashParams().get('view')).toBe('grid')
+  })
+
+  it('has no parameters when there is no "?"', () => {
+    location.hash = `#${cid}`
+    expect(getLocationHash()).toBe(cid)
+    expect([...getLocationHashParams()]).toEqual([])
+  })
+
+  it('only adds a "?" when there are parameters', () => {
+    setLocationHash(cid, new URLSearchParams())
+    expect(location.hash).toBe(`#${cid}`)
+    setLocationHash('', new URLSearchParams({ view: 'grid' }))
+    expect(location.hash).toBe('#?view=grid')
+  })
+})
+
+describe('hideElement and showElement', () => {
+  it('toggle the hidden class', () => {
+    const el = document.createElement('div')
+    hideElement(el)
+    expect(el.classList.contains('hidden')).toBe(true)
+    showElement(el)
+    expect(el.classList.contains('hidden')).toBe(false)
+  })
+})
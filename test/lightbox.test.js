@@ -0,0 +1,148 @@
+// @vitest-environment jsdom
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  shortcutFor, zoomAt, clampPan, maxZoom, openLightbox, closeLightbox, isLightboxOpen, saveSlideshowInterval,
+} from '../src/js/lightbox'
+import galleryHTML from '../src/gallery.html?raw'
+
+// the lightbox's markup is in gallery.html, so the tests use the real page, without its script
+beforeEach(() => {
+  const page = new DOMParser().parseFromString(galleryHTML, 'text/html')
+  const elements = [...page.body.children].filter(el => el.tagName !== 'SCRIPT')
+  document.body.replaceChildren(...elements.map(el => document.importNode(el, true)))
+})
+
+afterEach(() => {
+  closeLightbox()
+  vi.useRealTimers()
+})
+
+/**
+ * @param {number} count
+ * @param {function(number): void} [onMove]
+ * @returns {import('../src/js/lightbox').LightboxSlides}
+ */
+function makeSlides(count, onMove) {
+  return {
+    count: () => count,
+    get: index => {
+      const img = document.createElement('img')
+      img.alt = `Image ${index}`
+      return { element: img, caption: `Caption ${index}`, link: `https://example.com/view.html#${index}` }
+    },
+    onMove,
+  }
+}
+
+function press(key, options = {}) {
+  const target = document.activeElement || document.body
+  target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }))
+}
+
+const shownImage = () => document.querySelector('#lightbox-content img').alt
+const countText = () => document.getElementById('lightbox-count').textContent
+
+describe('shortcutFor', () => {
+  it('maps keys to actions, leaving keys with modifiers alone', () => {
+    const key = (key, options) => shortcutFor(new KeyboardEvent('keydown', { key, ...options }))
+    expect(key('ArrowRight')).toBe('next')
+    expect(key('F')).toBe('fullscreen')
+    expect(key('c')).toBe('copy-link')
+    expect(key('c', { ctrlKey: true })).toBe(null)
+    expect(key('x')).toBe(null)
+  })
+
+  it('leaves keys alone when the focused control needs them', () => {
+    const input = document.getElementById('gallery-search')
+    const button = document.getElementById('gallery-lightbox-button')
+    const on = (target, key) => {
+      let action
+      target.addEventListener('keydown', e => { action = shortcutFor(e) }, { once: true })
+      target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }))
+      return action
+    }
+    expect(on(input, 'ArrowLeft')).toBe(null)
+    expect(on(input, 'Escape')).toBe('close')
+    expect(on(button, ' ')).toBe(null)
+    expect(on(button, 'ArrowLeft')).toBe('previous')
+  })
+})
+
+describe('zoom', () => {
+  it('keeps the point it zooms around in the same place', () => {
+    const view = zoomAt({ scale: 1, x: 0, y: 0 }, 2, { x: 100, y: -50 })
+    expect(view).toEqual({ scale: 2, x: -100, y: 50 })
+    // the point that was under (100, -50) is still there: (100 - -100) / 2 = 100 from the middle of the slide
+    expect(zoomAt(view, 4, { x: 100, y: -50 })).toEqual({ scale: 4, x: -300, y: 150 })
+    expect(zoomAt(view, 100, { x: 0, y: 0 }).scale).toBe(maxZoom)
+    expect(zoomAt(view, 0.5, { x: 100, y: -50 })).toEqual({ scale: 1, x: 0, y: 0 })
+  })
+
+  it('stops panning at the edges of the slide', () => {
+    const content = { width: 400, height: 300 }
+    const viewport = { width: 600, height: 400 }
+    // at twice the size, the slide is 800 × 600, so it can move 100px either way across and 100px up and down
+    expect(clampPan({ scale: 2, x: 500, y: -50 }, content, viewport)).toEqual({ scale: 2, x: 100, y: -50 })
+    expect(clampPan({ scale: 1, x: 20, y: 0 }, content, viewport).x).toBe(0)
+  })
+})
+
+describe('openLightbox', () => {
+  it('moves with the arrow keys, and gives focus back when it closes', () => {
+    const opener = document.getElementById('gallery-lightbox-button')
+    opener.focus()
+    const onMove = vi.fn()
+    openLightbox(makeSlides(3, onMove), 1)
+
+    expect(isLightboxOpen()).toBe(true)
+    expect(document.getElementById('lightbox').classList.contains('hidden')).toBe(false)
+    expect(document.getElementById('app').getAttribute('aria-hidden')).toBe('true')
+    expect(document.activeElement.id).toBe('lightbox-close-button')
+    expect(shownImage()).toBe('Image 1')
+    expect(countText()).toBe('Image 2 of 3')
+    expect(document.getElementById('lightbox-caption').textContent).toBe('Caption 1')
+
+    press('ArrowRight')
+    expect(shownImage()).toBe('Image 2')
+    press('ArrowRight')
+    expect(shownImage()).toBe('Image 0')
+    press('ArrowLeft')
+    expect(shownImage()).toBe('Image 2')
+    expect(onMove.mock.calls.map(([index]) => index)).toEqual([2, 0, 2])
+
+    document.execCommand = vi.fn(() => true)
+    press('c')
+    expect(document.execCommand).toHaveBeenCalledWith('copy')
+    expect(document.getElementById('snackbar').textContent).toBe('Copied image URL to clipboard')
+
+    press('Escape')
+    expect(isLightboxOpen()).toBe(false)
+    expect(document.getElementById('lightbox').classList.contains('hidden')).toBe(true)
+    expect(document.getElementById('app').hasAttribute('aria-hidden')).toBe(false)
+    expect(document.activeElement).toBe(opener)
+  })
+
+  it('plays a slideshow at the saved interval', () => {
+    vi.useFakeTimers()
+    saveSlideshowInterval(3)
+    openLightbox(makeSlides(3), 0)
+    expect(document.getElementById('lightbox-interval-select').value).toBe('3')
+
+    const button = document.getElementById('lightbox-slideshow-button')
+    button.click()
+    expect(button.getAttribute('aria-pressed')).toBe('true')
+    // slides aren't read out while the slideshow plays
+    expect(document.getElementById('lightbox-info').getAttribute('aria-live')).toBe('off')
+
+    vi.advanceTimersByTime(2999)
+    expect(countText()).toBe('Image 1 of 3')
+    vi.advanceTimersByTime(1)
+    expect(countText()).toBe('Image 2 of 3')
+
+    button.click()
+    vi.advanceTimersByTime(10000)
+    expect(countText()).toBe('Image 2 of 3')
+    expect(document.getElementById('lightbox-info').getAttribute('aria-live')).toBe('polite')
+  })
+})
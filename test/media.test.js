@@ -0,0 +1,75 @@
+// @vitest-environment jsdom
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { storeImage, getImageMetadata } from '../src/js/storage'
+import { saveToken } from '../src/js/helpers'
+import { mediaTypeOf, conversionFormat, isSupportedFile, displayFile, altText, findEmbeddedJPEG } from '../src/js/media'
+import { makeFile } from './utils'
+
+beforeEach(() => {
+  localStorage.setItem('w3storage-provider', 'local')
+  saveToken('test-token')
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+describe('media types', () => {
+  it('are worked out from the MIME type, or the extension when there is none', () => {
+    expect(mediaTypeOf({ name: 'cat.jpg', type: 'image/jpeg' })).toBe('image')
+    expect(mediaTypeOf({ name: 'cat.gif', type: 'image/gif' })).toBe('animation')
+    expect(mediaTypeOf({ name: 'logo.svg', type: '' })).toBe('svg')
+    expect(mediaTypeOf({ name: 'clip.mov', type: '' })).toBe('video')
+    expect(mediaTypeOf({ name: 'song.mp3', type: 'audio/mpeg' })).toBe('audio')
+    expect(conversionFormat({ name: 'IMG_0001.HEIC', type: '' })).toBe('heic')
+    expect(conversionFormat({ name: 'DSC_0001.NEF', type: 'image/x-nikon-nef' })).toBe('raw')
+    expect(conversionFormat({ name: 'cat.jpg', type: 'image/jpeg' })).toBe(null)
+    expect(isSupportedFile(makeFile('IMG_0001.heic', ''))).toBe(true)
+    expect(isSupportedFile(makeFile('notes.txt', 'text/plain'))).toBe(false)
+  })
+
+  it('decide which file is shown', () => {
+    const preview = { path: 'clip-preview.jpg', type: 'image/jpeg', width: 640, height: 360 }
+    expect(displayFile({ path: 'clip.mp4', mediaType: 'video', preview })).toBe(preview)
+    expect(displayFile({ path: 'clip.mp4', mediaType: 'video', preview: null })).toBe(null)
+    expect(displayFile({ path: 'IMG_0001.heic', mediaType: 'image', preview: null })).toBe(null)
+    const image = { path: 'cat.jpg' }
+    expect(displayFile(image)).toBe(image)
+  })
+
+  it('are stored in metadata.json', async () => {
+    // jsdom can't decode audio, so the file is stored without a preview
+    const { cid } = await storeImage(makeFile('song.mp3', 'audio/mpeg', 1500), 'A song')
+    const metadata = await getImageMetadata(cid)
+    expect(metadata.mediaType).toBe('audio')
+    expect(metadata.preview).toBe(null)
+    expect(metadata.width).toBe(null)
+  })
+})
+
+describe('alt text', () => {
+  it('is stored in metadata.json, and falls back to the caption', async () => {
+    const { cid } = await storeImage(makeFile('cat.png'), 'Mittens', { alt: 'A grey cat asleep on a windowsill' })
+    const metadata = await getImageMetadata(cid)
+    expect(metadata.alt).toBe('A grey cat asleep on a windowsill')
+    expect(altText(metadata)).toBe('A grey cat asleep on a windowsill')
+    expect(altText({ caption: 'Mittens', alt: null })).toBe('Mittens')
+    expect(altText({ caption: '' })).toBe('')
+  })
+})
+
+describe('findEmbeddedJPEG', () => {
+  const segment = (marker, body) => [0xFF, marker, (body.length + 2) >> 8, (body.length + 2) & 0xFF, ...body]
+  const jpeg = (...parts) => [0xFF, 0xD8, ...parts.flat(), 0xFF, 0xD9]
+
+  it('finds the largest JPEG, skipping thumbnails inside it', () => {
+    const thumbnail = jpeg(segment(0xDB, [1, 2, 3]), segment(0xDA, [0]), [5, 6])
+    // the compressed data has an escaped 0xFF and a restart marker, which don't end the JPEG
+    const full = jpeg(segment(0xE1, thumbnail), segment(0xDB, [1, 2, 3, 4]), segment(0xDA, [0]), [7, 0xFF, 0x00, 8, 0xFF, 0xD0, 9])
+    const header = [0x49, 0x49, 0x2A, 0x00, 8, 0, 0, 0]
+    const bytes = new Uint8Array([...header, ...thumbnail, 1, 2, ...full, 3])
+
+    const start = header.length + thumbnail.length + 2
+    expect(findEmbeddedJPEG(bytes)).toEqual({ start, end: start + full.length })
+    expect(findEmbeddedJPEG(new Uint8Array(header))).toBe(null)
+  })
+})
@@ -0,0 +1,96 @@
+// @vitest-environment jsdom
+
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { storeImage } from '../src/js/storage'
+import {
+  queueOfflineUpload, uploadOfflineQueue, listOrphanedUploads, moveQueuedUploads, discardQueuedUploads,
+} from '../src/js/offline'
+import { addProfile, setActiveProfile, getActiveProfile, deleteProfile, defaultProfileId } from '../src/js/profiles'
+import { saveToken } from '../src/js/helpers'
+import { makeFile } from './utils'
+
+// module paths are resolved from the Vite root, which is ./src
+vi.mock('/js/storage.js', () => ({
+  storeImage: vi.fn(),
+}))
+
+// the queue is kept in IndexedDB, which outlives each test, so every test starts by uploading whatever's left.
+// fake-indexeddb copies Node's File objects without their names, so the tests tell images apart by their captions.
+beforeEach(async () => {
+  saveToken('default-token')
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+  storeImage.mockImplementation(async () => ({ cid: 'bafystored' }))
+  await uploadOfflineQueue()
+  storeImage.mockReset()
+})
+
+describe('offline upload queue', () => {
+  it('uploads each image with the profile it was queued in', async () => {
+    const team = addProfile({ name: 'Team', prefix: 'TeamGallery', token: 'team-token' })
+    setActiveProfile(team.id)
+    await queueOfflineUpload(makeFile('team.png'), 'For the team', { tags: ['work'] })
+    setActiveProfile(defaultProfileId)
+    await queueOfflineUpload(makeFile('mine.png'), 'Just mine', {})
+
+    const uploaded = []
+    window.addEventListener('offline-upload', e => uploaded.push(e.detail.result.cid))
+    storeImage.mockImplementation(async (file, caption) => ({ cid: `bafy ${caption}` }))
+    expect(await uploadOfflineQueue()).toBe(2)
+
+    expect(storeImage).toHaveBeenCalledTimes(2)
+    const [teamCall, myCall] = storeImage.mock.calls
+    expect(teamCall[0].size).toBe(1024)
+    expect(teamCall[1]).toBe('For the team')
+    expect(teamCall[2]).toMatchObject({ tags: ['work'], profile: { id: team.id, token: 'team-token' } })
+    expect(myCall[2].profile.id).toBe(defaultProfileId)
+    expect(getActiveProfile().id).toBe(defaultProfileId)
+    expect(uploaded).toEqual(['bafy For the team', 'bafy Just mine'])
+
+    // stored images leave the queue
+    expect(await uploadOfflineQueue()).toBe(0)
+    expect(storeImage).toHaveBeenCalledTimes(2)
+  })
+
+  it('keeps images that fail, or whose profile has no token, for next time', async () => {
+    const tokenless = addProfile({ name: 'Later', prefix: 'Later', token: '' })
+    setActiveProfile(tokenless.id)
+    await queueOfflineUpload(makeFile('later.png'), 'later', {})
+    setActiveProfile(defaultProfileId)
+    await queueOfflineUpload(makeFile('flaky.png'), 'flaky', {})
+
+    storeImage.mockRejectedValue(new Error('network error'))
+    expect(await uploadOfflineQueue()).toBe(0)
+    expect(storeImage.mock.calls.map(([, caption]) => caption)).toEqual(['flaky'])
+
+    storeImage.mockReset()
+    storeImage.mockResolvedValue({ cid: 'bafyflaky' })
+    expect(await uploadOfflineQueue()).toBe(1)
+
+    setActiveProfile(tokenless.id)
+    saveToken('later-token')
+    expect(await uploadOfflineQueue()).toBe(1)
+    expect(storeImage.mock.calls.map(([, caption, { profile }]) => [caption, profile.token]))
+      .toEqual([['flaky', 'default-token'], ['later', 'later-token']])
+  })
+
+  it("keeps images for a deleted profile until they're moved to another profile or discarded", async () => {
+    const team = addProfile({ name: 'Team', prefix: 'TeamGallery', token: 'team-token' })
+    setActiveProfile(team.id)
+    await queueOfflineUpload(makeFile('one.png'), 'one', {})
+    await queueOfflineUpload(makeFile('two.png'), 'two', {})
+    await deleteProfile(team.id)
+
+    storeImage.mockResolvedValue({ cid: 'bafystored' })
+    expect(await uploadOfflineQueue()).toBe(0)
+    expect(storeImage).not.toHaveBeenCalled()
+    const orphaned = await listOrphanedUploads()
+    expect(orphaned.map(upload => upload.caption)).toEqual(['one', 'two'])
+
+    await discardQueuedUploads(orphaned.slice(1))
+    await moveQueuedUploads(await listOrphanedUploads(), defaultProfileId)
+    expect(await listOrphanedUploads()).toEqual([])
+    expect(await uploadOfflineQueue()).toBe(1)
+    expect(storeImage.mock.calls.map(([, caption, { profile }]) => [caption, profile.id])).toEqual([['one', defaultProfileId]])
+  })
+})
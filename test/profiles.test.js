@@ -0,0 +1,99 @@
+// @vitest-environment jsdom
+
+import { describe, it, expect, vi } from 'vitest'
+import {
+  defaultProfileId, listProfiles, getActiveProfile, setActiveProfile, addProfile, updateProfile, deleteProfile,
+  setupProfileSwitcher,
+} from '../src/js/profiles'
+import { addTombstones, isTombstoned } from '../src/js/tombstones'
+
+describe('profiles', () => {
+  it('start with a default profile, which takes over a token saved before there were profiles', () => {
+    localStorage.setItem('w3storage-token', 'old-token')
+    expect(listProfiles()).toEqual([{ id: defaultProfileId, name: 'Default', token: 'old-token', prefix: 'ImageGallery' }])
+    expect(localStorage.getItem('w3storage-token')).toBeNull()
+    expect(getActiveProfile().token).toBe('old-token')
+  })
+
+  it('can be added, switched between, updated and deleted', async () => {
+    const team = addProfile({ name: ' Team ', prefix: 'TeamGallery', token: 'team-token' })
+    expect(team).toMatchObject({ name: 'Team', prefix: 'TeamGallery', token: 'team-token' })
+    expect(getActiveProfile().id).toBe(defaultProfileId)
+
+    setActiveProfile(team.id)
+    expect(getActiveProfile().token).toBe('team-token')
+    updateProfile(team.id, { prefix: ' Photos ' })
+    expect(getActiveProfile().prefix).toBe('Photos')
+    expect(() => updateProfile(team.id, { prefix: 'a|b' })).toThrow()
+
+    // deleting the active profile makes the first one active again
+    await deleteProfile(team.id)
+    expect(getActiveProfile().id).toBe(defaultProfileId)
+    await expect(deleteProfile(defaultProfileId)).rejects.toThrow('only profile')
+    addProfile({ name: 'Other', prefix: 'Other' })
+    await expect(deleteProfile('nonexistent')).rejects.toThrow('no profile')
+    expect(listProfiles()).toHaveLength(2)
+  })
+
+  it('each have their own hidden and deleted images', async () => {
+    const team = addProfile({ name: 'Team', prefix: 'TeamGallery' })
+    addTombstones(['bafymine'], 'hidden')
+    setActiveProfile(team.id)
+    expect(isTombstoned('bafymine')).toBe(false)
+    addTombstones(['bafyteam'], 'deleted')
+    expect(isTombstoned('bafyteam')).toBe(true)
+
+    setActiveProfile(defaultProfileId)
+    expect(isTombstoned('bafymine')).toBe(true)
+    expect(isTombstoned('bafyteam')).toBe(false)
+    // the default profile keeps the list from before there were profiles
+    expect(JSON.parse(localStorage.getItem('w3storage-tombstones'))).toMatchObject([{ cid: 'bafymine' }])
+
+    await deleteProfile(team.id)
+    expect(Object.keys(localStorage).filter(key => key.startsWith('w3storage-tombstones'))).toEqual(['w3storage-tombstones'])
+  })
+
+  it('take their metadata caches with them when deleted', async () => {
+    const deleted = []
+    globalThis.indexedDB = {
+      deleteDatabase: vi.fn(name => {
+        const req = {}
+        setTimeout(() => {
+          deleted.push(name)
+          req.onsuccess()
+        })
+        return req
+      }),
+    }
+    try {
+      const team = addProfile({ name: 'Team', prefix: 'TeamGallery', token: 'team-token' })
+      await deleteProfile(team.id)
+      // one for each storage provider
+      expect(deleted).toEqual([`image-gallery-${team.id}`, `image-gallery-local-${team.id}`])
+    } finally {
+      delete globalThis.indexedDB
+    }
+  })
+
+  it('need a name and a valid prefix', () => {
+    expect(() => addProfile({ name: ' ', prefix: 'Gallery' })).toThrow('name')
+    expect(() => addProfile({ name: 'Team', prefix: '' })).toThrow('empty')
+    expect(listProfiles()).toHaveLength(1)
+  })
+})
+
+describe('setupProfileSwitcher', () => {
+  it('is only shown when there is more than one profile', () => {
+    document.body.innerHTML = '<select id="profile-switcher" class="hidden"></select>'
+    const select = document.getElementById('profile-switcher')
+    setupProfileSwitcher()
+    expect(select.classList.contains('hidden')).toBe(true)
+
+    const team = addProfile({ name: 'Team', prefix: 'TeamGallery' })
+    setActiveProfile(team.id)
+    setupProfileSwitcher()
+    expect(select.classList.contains('hidden')).toBe(false)
+    expect([...select.options].map(option => option.textContent)).toEqual(['Default', 'Team'])
+    expect(select.value).toBe(team.id)
+  })
+})
@@ -0,0 +1,32 @@
+// Runs before every test file. The DOM tests use jsdom, which doesn't implement everything the app needs, so we fill
+// in the gaps with Node's implementations. Nothing here talks to the network: the tests either stub fetch and the
+// Web3.Storage client, or use the local storage provider (see src/js/local-provider.js).
+
+import { Blob, File } from 'node:buffer'
+import { beforeEach, afterEach, vi } from 'vitest'
+
+if (typeof window !== 'undefined') {
+  // jsdom's Blob and File can't be read with arrayBuffer() or stream(), which uploads and EXIF parsing rely on
+  globalThis.Blob = Blob
+  globalThis.File = File
+  // Node's CustomEvent takes the place of jsdom's, but jsdom's event targets only dispatch their own events
+  globalThis.CustomEvent = document.createEvent('CustomEvent').constructor
+
+  let nextObjectURL = 0
+  URL.createObjectURL = () => `blob:test/${nextObjectURL++}`
+  URL.revokeObjectURL = () => {}
+}
+
+beforeEach(() => {
+  // tests that expect requests stub fetch themselves, so anything else is a bug in the test
+  vi.spyOn(globalThis, 'fetch').mockImplementation(async url => {
+    throw new Error(`unexpected network request to ${url}`)
+  })
+  if (typeof localStorage !== 'undefined') {
+    localStorage.clear()
+  }
+})
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
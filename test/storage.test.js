@@ -0,0 +1,378 @@
+// @vitest-environment jsdom
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { CarReader } from '@ipld/car/reader'
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { client } from 'web3.storage'
+import {
+  validateToken, listImageMetadata, syncImageMetadata, getImageMetadata, deleteImage, hideImage, storeImage,
+  mergeImageMetadata, getUploadStatus, summarizeUploadStatus, getStorageUsage, fetchStoredFile,
+} from '../src/js/storage'
+import { saveToken } from '../src/js/helpers'
+import { saveGatewaySettings } from '../src/js/gateways'
+import { addProfile, setActiveProfile } from '../src/js/profiles'
+import { isTombstoned } from '../src/js/tombstones'
+import { jsonResponse, makeFile } from './utils'
+
+// the Web3.Storage client is replaced with a stub, whose list method yields whatever's in client.uploads
+vi.mock('web3.storage', () => {
+  const client = {
+    uploads: [],
+    list: async function* () {
+      if (client.listError) {
+        throw client.listError
+      }
+      yield* client.uploads
+    },
+    delete: vi.fn(async () => {}),
+    status: async cid => client.uploads.find(upload => upload.cid === cid),
+  }
+  return { Web3Storage: vi.fn(() => client), client }
+})
+
+/**
+ * Stubs fetch, so requests to a gateway for <cid>/<path> are answered from the given files.
+ * @param {Object<string, Object<string, object>>} files JSON files, keyed by CID and then path
+ * @returns {import('vitest').SpyInstance}
+ */
+function stubGateway(files) {
+  return vi.spyOn(globalThis, 'fetch').mockImplementation(async url => {
+    const match = String(url).match(/^https:\/\/(\w+)\.ipfs\.[^/]+\/([^?]*)/)
+    const file = match && files[match[1]] && files[match[1]][decodeURIComponent(match[2])]
+    return file ? jsonResponse(file) : new Response('not found', { status: 404 })
+  })
+}
+
+function upload(cid, name, created = '2022-01-01T00:00:00.000Z') {
+  return { cid, name, created }
+}
+
+beforeEach(() => {
+  client.uploads = []
+  client.listError = null
+  client.delete.mockClear()
+  saveToken('test-token')
+})
+
+describe('validateToken', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  it('accepts a token that can list uploads', async () => {
+    await expect(validateToken('good')).resolves.toBe(true)
+  })
+
+  it('rejects a token the API says is unauthorized or forbidden', async () => {
+    client.listError = new Error('[401] Unauthorized')
+    await expect(validateToken('bad')).resolves.toBe(false)
+    client.listError = new Error('[403] Forbidden')
+    await expect(validateToken('bad')).resolves.toBe(false)
+  })
+
+  it('passes on other errors, rather than calling the token invalid', async () => {
+    client.listError = new Error('[500] Internal Server Error')
+    await expect(validateToken('maybe')).rejects.toThrow('500')
+  })
+})
+
+describe('listImageMetadata', () => {
+  it('only fetches metadata for uploads with the gallery name prefix', async () => {
+    client.uploads = [
+      upload('bafyone', 'ImageGallery|one'),
+      upload('bafyother', 'my-website'),
+      upload('bafyunnamed', ''),
+      upload('bafytwo', 'ImageGallery|'),
+      upload('bafylower', 'imagegallery|wrong case'),
+    ]
+    const fetch = stubGateway({
+      bafyone: { 'metadata.json': { path: 'one.png', caption: 'one' } },
+      bafytwo: { 'metadata.json': { path: 'two.png', caption: '' } },
+    })
+
+    const images = []
+    for await (const metadata of listImageMetadata()) {
+      images.push(metadata)
+    }
+    expect(images.map(image => image.cid)).toEqual(['bafyone', 'bafytwo'])
+    const requested = fetch.mock.calls.map(([url]) => String(url))
+    expect(requested.every(url => /bafyone|bafytwo/.test(url))).toBe(true)
+  })
+
+  it('skips hidden uploads and revisions that have been replaced', async () => {
+    client.uploads = [
+      upload('bafyrevision', 'ImageGallery|new caption', '2022-01-03T00:00:00.000Z'),
+      upload('bafyhidden', 'ImageGallery|hidden', '2022-01-02T00:00:00.000Z'),
+      upload('bafyoriginal', 'ImageGallery|old caption', '2022-01-01T00:00:00.000Z'),
+    ]
+    stubGateway({
+      bafyrevision: { 'metadata.json': { path: 'a.png', caption: 'new caption', contentCID: 'bafyoriginal', previous: 'bafyoriginal' } },
+      bafyhidden: { 'metadata.json': { path: 'b.png', caption: 'hidden' } },
+      bafyoriginal: { 'metadata.json': { path: 'a.png', caption: 'old caption' } },
+    })
+    await hideImage({ cid: 'bafyhidden' })
+
+    const images = []
+    for await (const metadata of listImageMetadata()) {
+      images.push(metadata)
+    }
+    expect(images).toHaveLength(1)
+    expect(images[0].caption).toBe('new caption')
+    expect(images[0].created).toBe('2022-01-03T00:00:00.000Z')
+    // revisions point at the directory with the image files
+    expect(images[0].gatewayURL).toBe('https://bafyoriginal.ipfs.dweb.link/a.png')
+  })
+
+  it("uses the active profile's prefix", async () => {
+    client.uploads = [
+      upload('bafyone', 'ImageGallery|one'),
+      upload('bafyteam', 'TeamGallery|team'),
+    ]
+    stubGateway({
+      bafyone: { 'metadata.json': { path: 'one.png', caption: 'one' } },
+      bafyteam: { 'metadata.json': { path: 'team.png', caption: 'team' } },
+    })
+    setActiveProfile(addProfile({ name: 'Team', prefix: 'TeamGallery', token: 'team-token' }).id)
+
+    const images = []
+    for await (const metadata of listImageMetadata()) {
+      images.push(metadata)
+    }
+    expect(images.map(image => image.cid)).toEqual(['bafyteam'])
+  })
+
+  it('yields nothing without a saved token', async () => {
+    localStorage.clear()
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    client.uploads = [upload('bafyone', 'ImageGallery|one')]
+    const images = []
+    for await (const metadata of listImageMetadata()) {
+      images.push(metadata)
+    }
+    expect(images).toEqual([])
+  })
+})
+
+describe('syncImageMetadata', () => {
+  it('yields pages of the requested size, leaving out uploads whose metadata is missing', async () => {
+    const files = {}
+    for (let i = 0; i < 5; i++) {
+      client.uploads.push(upload(`bafy${i}`, `ImageGallery|${i}`))
+      files[`bafy${i}`] = { 'metadata.json': { path: `${i}.png`, caption: `${i}` } }
+    }
+    client.uploads.push(upload('bafybroken', 'ImageGallery|broken'))
+    stubGateway(files)
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+    const pages = []
+    for await (const page of syncImageMetadata(2)) {
+      pages.push(page.map(metadata => metadata.caption))
+    }
+    expect(pages).toEqual([['0', '1'], ['2', '3'], ['4']])
+  })
+})
+
+describe('getImageMetadata', () => {
+  it('normalizes tags and sorts album images by their order', async () => {
+    stubGateway({
+      bafyalbum: {
+        'metadata.json': { path: 'b.png', caption: 'Trip', album: 'album.json', tags: ['Beach', '#beach', ' Sun '] },
+        'album.json': {
+          title: 'Trip',
+          images: [
+            { path: 'a.png', caption: 'second', order: 1 },
+            { path: 'b.png', caption: 'first', order: 0 },
+          ],
+        },
+      },
+    })
+    const metadata = await getImageMetadata('bafyalbum')
+    expect(metadata.tags).toEqual(['beach', 'sun'])
+    expect(metadata.collection).toBeNull()
+    expect(metadata.album.title).toBe('Trip')
+    expect(metadata.album.images.map(image => image.caption)).toEqual(['first', 'second'])
+    expect(metadata.album.images[0].gatewayURL).toBe('https://bafyalbum.ipfs.dweb.link/b.png')
+    expect(metadata.variants).toEqual([])
+  })
+
+  it('rejects when the metadata is missing', async () => {
+    stubGateway({})
+    await expect(getImageMetadata('bafymissing')).rejects.toThrow('error fetching image metadata')
+  })
+})
+
+describe('deleteImage', () => {
+  it('deletes every revision and adds tombstones for them', async () => {
+    stubGateway({ bafyold: { 'metadata.json': { path: 'a.png', caption: 'old' } } })
+    const removed = await deleteImage({ cid: 'bafynew', previous: 'bafyold' })
+    expect(removed).toBe(true)
+    expect(client.delete.mock.calls.map(([cid]) => cid)).toEqual(['bafynew', 'bafyold'])
+    expect(isTombstoned('bafynew')).toBe(true)
+    expect(isTombstoned('bafyold')).toBe(true)
+  })
+
+  it('still hides the image if the delete API fails', async () => {
+    client.delete.mockRejectedValueOnce(new Error('not allowed'))
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    expect(await deleteImage({ cid: 'bafyone' })).toBe(false)
+    expect(isTombstoned('bafyone')).toBe(true)
+  })
+})
+
+describe('storeImage', () => {
+  it('uploads the image and its metadata.json as a CAR, named with the gallery prefix', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const requests = []
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+      const reader = await CarReader.fromBytes(new Uint8Array(await init.body.arrayBuffer()))
+      const [root] = await reader.getRoots()
+      requests.push({ url, headers: init.headers })
+      return jsonResponse({ cid: root.toString() })
+    })
+
+    const result = await storeImage(makeFile('cat.png'), 'A cat', { tags: ['Cats'], collection: ' Pets ' })
+    expect(requests).toHaveLength(1)
+    expect(requests[0].url).toBe('https://api.web3.storage/car')
+    expect(requests[0].headers['X-Name']).toBe('ImageGallery|A cat')
+    expect(requests[0].headers.Authorization).toBe('Bearer test-token')
+    expect(result.imageURI).toBe(`ipfs://${result.cid}/cat.png`)
+    expect(result.imageGatewayURL).toBe(`https://${result.cid}.ipfs.dweb.link/cat.png`)
+  })
+
+  it("uploads with another profile's token and prefix when one is given", async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const requests = []
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+      const reader = await CarReader.fromBytes(new Uint8Array(await init.body.arrayBuffer()))
+      const [root] = await reader.getRoots()
+      requests.push({ url, headers: init.headers })
+      return jsonResponse({ cid: root.toString() })
+    })
+
+    const profile = addProfile({ name: 'Team', prefix: 'TeamGallery', token: 'team-token' })
+    await storeImage(makeFile('cat.png'), 'A cat', { profile })
+    expect(requests[0].headers['X-Name']).toBe('TeamGallery|A cat')
+    expect(requests[0].headers.Authorization).toBe('Bearer team-token')
+  })
+
+  it("doesn't retry auth failures, even when the error page isn't JSON", async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const fetch = vi.spyOn(globalThis, 'fetch').mockImplementation(async () =>
+      new Response('<html>Forbidden</html>', { status: 403, statusText: 'Forbidden', headers: { 'Content-Type': 'text/html' } }))
+    await expect(storeImage(makeFile('cat.png'), 'A cat')).rejects.toThrow('[403] Forbidden')
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('returns nothing without a saved token', async () => {
+    localStorage.clear()
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const fetch = vi.spyOn(globalThis, 'fetch')
+    expect(await storeImage(makeFile('cat.png'), 'A cat')).toBeUndefined()
+    expect(fetch).not.toHaveBeenCalled()
+  })
+})
+
+describe('mergeImageMetadata', () => {
+  it('adds new images and drops any that a new revision replaces', () => {
+    const merged = mergeImageMetadata(
+      [{ cid: 'a' }, { cid: 'b' }],
+      [{ cid: 'b' }, { cid: 'c', previous: 'a' }],
+    )
+    expect(merged.map(image => image.cid).sort()).toEqual(['b', 'c'])
+  })
+
+  it('replaces an image without an upload date with the listed copy', () => {
+    const merged = mergeImageMetadata(
+      [{ cid: 'a', created: '2022-01-02T00:00:00Z' }, { cid: 'b' }],
+      [{ cid: 'a' }, { cid: 'b', created: '2022-01-01T00:00:00Z' }],
+    )
+    expect(merged).toEqual([{ cid: 'a', created: '2022-01-02T00:00:00Z' }, { cid: 'b', created: '2022-01-01T00:00:00Z' }])
+  })
+})
+
+describe('upload status', () => {
+  const pin = status => ({ peerName: 'peer', region: 'US-East', status })
+  const deal = status => ({ dealId: 1, storageProvider: 'f01', status })
+
+  it('summarizes the furthest along of the pins and deals', () => {
+    expect(summarizeUploadStatus({ pins: [pin('PinQueued'), pin('Pinning')], deals: [] }))
+      .toMatchObject({ pinState: 'pinning', dealState: 'none', activeDeals: 0 })
+    expect(summarizeUploadStatus({ pins: [pin('Pinned')], deals: [deal('Queued'), deal('Active'), deal('Active')] }))
+      .toMatchObject({ pinState: 'pinned', dealState: 'active', activeDeals: 2 })
+    expect(summarizeUploadStatus({})).toMatchObject({ pins: [], deals: [], pinState: 'unpinned', dealState: 'none' })
+  })
+
+  it('gets the status from the storage provider', async () => {
+    client.uploads = [{ ...upload('bafyone', 'ImageGallery|one'), dagSize: 10, pins: [pin('Pinned')], deals: [] }]
+    expect(await getUploadStatus('bafyone')).toMatchObject({ cid: 'bafyone', dagSize: 10, pinState: 'pinned' })
+    expect(await getUploadStatus('bafymissing')).toBeUndefined()
+    localStorage.clear()
+    expect(await getUploadStatus('bafyone')).toBeUndefined()
+  })
+
+  it('adds up the size of every gallery upload, and lists the unpinned ones', async () => {
+    client.uploads = [
+      { ...upload('bafynew', 'ImageGallery|new'), dagSize: 100, pins: [pin('PinQueued')], deals: [] },
+      { ...upload('bafyold', 'ImageGallery|old'), dagSize: 200, pins: [pin('Pinned')], deals: [deal('Active')] },
+      { ...upload('bafyother', 'my-website'), dagSize: 5000, pins: [], deals: [] },
+    ]
+    await hideImage({ cid: 'bafyold' })
+    const usage = await getStorageUsage()
+    // hidden images still take up space
+    expect(usage).toMatchObject({ uploads: 2, totalSize: 300, pinned: 1, inDeals: 1 })
+    expect(usage.unpinned.map(status => status.cid)).toEqual(['bafynew'])
+  })
+})
+
+describe('fetchStoredFile', () => {
+  const data = new TextEncoder().encode('the real file')
+  let cid
+
+  beforeEach(async () => {
+    cid = CID.create(1, 0x55, await sha256.digest(data)).toString()
+    saveGatewaySettings({ gateways: [{ url: 'https://gateway.test', style: 'path' }], mode: 'failover', verify: true })
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  /**
+   * Stubs fetch with a gateway that can't send CAR files, and answers other requests with the given function.
+   * @param {function(string): Response} respond
+   */
+  function stubBlockGateway(respond) {
+    return vi.spyOn(globalThis, 'fetch').mockImplementation(async url => {
+      if (String(url).includes('format=car')) {
+        return new Response('not a CAR', { headers: { 'Content-Type': 'text/plain' } })
+      }
+      return respond(String(url))
+    })
+  }
+
+  it('returns verified content', async () => {
+    stubBlockGateway(() => new Response(data))
+    const { blob, verification } = await fetchStoredFile(cid, '', 'image')
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(data)
+    expect(verification).toEqual({ verified: true })
+  })
+
+  it("never falls back to unverified content that doesn't match the CID", async () => {
+    const fetch = stubBlockGateway(() => new Response('tampered'))
+    await expect(fetchStoredFile(cid, '', 'image')).rejects.toMatchObject({ verificationError: true })
+    expect(fetch.mock.calls.every(([url]) => String(url).includes('format='))).toBe(true)
+  })
+
+  it("never falls back to unverified content when the gateway won't send any blocks", async () => {
+    const fetch = stubBlockGateway(url => url.includes('format=raw') ? new Response('', { status: 400 }) : new Response(data))
+    await expect(fetchStoredFile(cid, '', 'image')).rejects.toMatchObject({ unverifiable: true, verificationError: false })
+    expect(fetch.mock.calls.every(([url]) => String(url).includes('format='))).toBe(true)
+  })
+
+  it('fetches content without checking it when verification is off', async () => {
+    saveGatewaySettings({ gateways: [{ url: 'https://gateway.test', style: 'path' }], mode: 'failover', verify: false })
+    stubBlockGateway(() => new Response('anything'))
+    const { blob, verification } = await fetchStoredFile(cid, '', 'image')
+    expect(await blob.text()).toBe('anything')
+    expect(verification).toBeUndefined()
+  })
+})
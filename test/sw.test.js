@@ -0,0 +1,157 @@
+// @vitest-environment jsdom
+
+// The service worker isn't a module, so it's run here the way the build runs it: with appCacheName and precacheFiles
+// defined in front of it, and with a stand-in for `self` that collects its event listeners. CacheStorage is replaced
+// with a small in-memory version, which the pages' side (src/js/offline.js) uses too.
+
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import source from '../src/sw.js?raw'
+import { forgetCachedContent } from '../src/js/offline'
+
+/**
+ * @returns {CacheStorage} an in-memory CacheStorage, keyed by URL
+ */
+function makeCacheStorage() {
+  const caches = new Map()
+  const urlOf = key => typeof key === 'string' ? key : key.url
+  const makeCache = () => {
+    const entries = new Map()
+    return {
+      match: async key => entries.has(urlOf(key)) ? entries.get(urlOf(key)).clone() : undefined,
+      put: async (key, response) => {
+        entries.set(urlOf(key), response)
+      },
+      keys: async () => [...entries.keys()].map(url => new Request(url)),
+      delete: async key => entries.delete(urlOf(key)),
+      addAll: async () => {},
+    }
+  }
+  return {
+    open: async name => {
+      if (!caches.has(name)) {
+        caches.set(name, makeCache())
+      }
+      return caches.get(name)
+    },
+    keys: async () => [...caches.keys()],
+    delete: async name => caches.delete(name),
+  }
+}
+
+let listeners
+
+/**
+ * Starts a new copy of the service worker, sharing the caches with any earlier copy, as a browser would after
+ * stopping an idle worker.
+ */
+function startWorker() {
+  listeners = {}
+  const self = {
+    registration: { scope: 'https://gallery.test/' },
+    clients: { claim: async () => {} },
+    addEventListener: (type, listener) => {
+      listeners[type] = listener
+    },
+  }
+  new Function('self', 'appCacheName', 'precacheFiles', source)(self, 'image-gallery-app-test', ['index.html'])
+}
+
+/**
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response|undefined>} the service worker's response, or undefined if it left the request alone
+ */
+async function request(url, init) {
+  let response
+  listeners.fetch({ request: new Request(url, init), respondWith: r => { response = r } })
+  return response
+}
+
+/**
+ * @param {boolean} verify
+ */
+async function sendSettings(verify) {
+  let done
+  listeners.message({ data: { type: 'settings', verify }, waitUntil: p => { done = p } })
+  await done
+}
+
+/**
+ * Makes fetch answer with the gateway's name and the requested path, and the given content type.
+ * @param {string} [contentType]
+ */
+function stubGateways(contentType = 'image/png') {
+  return vi.spyOn(globalThis, 'fetch').mockImplementation(async req => {
+    const url = new URL(req.url || req)
+    return new Response(`${url.host}${url.pathname}`, { headers: { 'Content-Type': contentType } })
+  })
+}
+
+beforeEach(() => {
+  globalThis.caches = makeCacheStorage()
+  startWorker()
+})
+
+describe('service worker', () => {
+  const cid = 'bafyimage'
+
+  it('caches IPFS content separately for each gateway', async () => {
+    const fetch = stubGateways()
+    expect(await (await request(`https://ipfs.io/ipfs/${cid}/cat.png`)).text()).toBe(`ipfs.io/ipfs/${cid}/cat.png`)
+    expect(await (await request(`https://${cid}.ipfs.dweb.link/cat.png`)).text()).toBe(`${cid}.ipfs.dweb.link/cat.png`)
+    expect(fetch).toHaveBeenCalledTimes(2)
+
+    // both are served from the cache from now on
+    expect(await (await request(`https://ipfs.io/ipfs/${cid}/cat.png`)).text()).toBe(`ipfs.io/ipfs/${cid}/cat.png`)
+    expect(await (await request(`https://${cid}.ipfs.dweb.link/cat.png`)).text()).toBe(`${cid}.ipfs.dweb.link/cat.png`)
+    expect(fetch).toHaveBeenCalledTimes(2)
+    expect(await request('https://example.com/cat.png')).toBeUndefined()
+  })
+
+  it("doesn't cache error pages", async () => {
+    const fetch = vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('gone', { status: 410 }))
+    expect((await request(`https://ipfs.io/ipfs/${cid}/cat.png`)).status).toBe(410)
+    expect((await request(`https://ipfs.io/ipfs/${cid}/cat.png`)).status).toBe(410)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it("doesn't cache or serve plain files while verification is on, even after it restarts", async () => {
+    const fetch = stubGateways()
+    await request(`https://ipfs.io/ipfs/${cid}/cat.png`)
+    await sendSettings(true)
+    startWorker()
+    await request(`https://ipfs.io/ipfs/${cid}/cat.png`)
+    await request(`https://ipfs.io/ipfs/${cid}/cat.png`)
+    expect(fetch).toHaveBeenCalledTimes(3)
+
+    await sendSettings(false)
+    await request(`https://ipfs.io/ipfs/${cid}/cat.png`)
+    expect(fetch).toHaveBeenCalledTimes(3)
+  })
+
+  it('caches CAR files while verification is on, unless the gateway sent something else', async () => {
+    await sendSettings(true)
+    let fetch = stubGateways('application/vnd.ipld.car; version=1')
+    await request(`https://ipfs.io/ipfs/${cid}/cat.png?format=car`)
+    await request(`https://ipfs.io/ipfs/${cid}/cat.png`, { headers: { Accept: 'application/vnd.ipld.car' } })
+    expect(fetch).toHaveBeenCalledTimes(1)
+
+    fetch = stubGateways('image/png')
+    await request(`https://dweb.link/ipfs/${cid}/cat.png?format=car`)
+    await request(`https://dweb.link/ipfs/${cid}/cat.png?format=car`)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it('forgets content that failed verification, from every gateway', async () => {
+    const fetch = stubGateways('application/vnd.ipld.raw')
+    await request(`https://ipfs.io/ipfs/${cid}?format=raw`)
+    await request(`https://dweb.link/ipfs/${cid}?format=raw`)
+    await request('https://ipfs.io/ipfs/bafyother?format=raw')
+
+    await forgetCachedContent(cid)
+    await request(`https://ipfs.io/ipfs/${cid}?format=raw`)
+    await request(`https://dweb.link/ipfs/${cid}?format=raw`)
+    await request('https://ipfs.io/ipfs/bafyother?format=raw')
+    expect(fetch).toHaveBeenCalledTimes(5)
+  })
+})
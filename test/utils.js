@@ -0,0 +1,38 @@
+// Helpers shared by the tests.
+
+/**
+ * Waits until a condition is true, checking every few milliseconds.
+ * @param {function(): *} condition
+ * @param {number} [timeout] how long to wait before failing, in milliseconds
+ * @returns {Promise<void>} rejects if the condition is still false after the timeout
+ */
+export async function waitFor(condition, timeout = 5000) {
+  const start = Date.now()
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error(`timed out waiting for ${condition}`)
+    }
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+}
+
+/**
+ * @param {string} filename
+ * @param {string} [type]
+ * @param {number} [size] how many bytes of made-up data to put in the file
+ * @returns {File}
+ */
+export function makeFile(filename, type = 'image/png', size = 1024) {
+  const bytes = new Uint8Array(size).map((_, i) => i % 251)
+  return new File([bytes], filename, { type })
+}
+
+/**
+ * Makes a Response containing some JSON, as a gateway would send it.
+ * @param {object} obj
+ * @param {number} [status]
+ * @returns {Response}
+ */
+export function jsonResponse(obj, status = 200) {
+  return new Response(JSON.stringify(obj), { status, headers: { 'Content-Type': 'application/json' } })
+}
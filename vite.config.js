@@ -1,15 +1,79 @@
 const { resolve } = require('path')
+const { readFileSync } = require('fs')
+const { createHash } = require('crypto')
+
+/**
+ * Adds what the gallery needs to be installed as an app and work offline to the build: the service worker from
+ * src/sw.js, with the list of files to cache, and a web app manifest, linked from every page.
+ */
+function pwa() {
+  return {
+    name: 'image-gallery-pwa',
+    apply: 'build',
+    // runs after the HTML pages have been added to the bundle, so they're included in the list of files to cache
+    enforce: 'post',
+
+    transformIndexHtml() {
+      return [
+        { tag: 'link', attrs: { rel: 'manifest', href: 'manifest.webmanifest' }, injectTo: 'head' },
+        { tag: 'meta', attrs: { name: 'theme-color', content: '#fc6553' }, injectTo: 'head' },
+      ]
+    },
+
+    generateBundle(options, bundle) {
+      const files = Object.keys(bundle).filter(name => !name.endsWith('.map')).sort()
+      // Vite adds a content hash to the favicon's name
+      const icon = files.find(name => /^assets\/favicon\.\w+\.svg$/.test(name))
+      const manifest = {
+        name: 'Web3.Storage Image Gallery',
+        short_name: 'Image Gallery',
+        start_url: 'index.html',
+        scope: './',
+        display: 'standalone',
+        background_color: '#fff2ec',
+        theme_color: '#fc6553',
+        icons: icon ? [{ src: icon, sizes: 'any', type: 'image/svg+xml', purpose: 'any' }] : [],
+      }
+      this.emitFile({ type: 'asset', fileName: 'manifest.webmanifest', source: JSON.stringify(manifest, null, 2) })
+      files.push('manifest.webmanifest')
+
+      // the cache name changes whenever any file does, so the service worker is updated and the old cache removed
+      const worker = readFileSync(resolve(__dirname, 'src', 'sw.js'), 'utf-8')
+      const hash = createHash('sha256').update(worker)
+      for (const name of files.filter(name => bundle[name])) {
+        const file = bundle[name]
+        hash.update(name).update(file.type === 'chunk' ? file.code : file.source)
+      }
+      const version = hash.digest('hex').slice(0, 16)
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `const appCacheName = 'image-gallery-app-${version}'\n` +
+          `const precacheFiles = ${JSON.stringify(files)}\n\n${worker}`,
+      })
+    },
+  }
+}
 
 module.exports = {
   root: './src',
   base: '',
+  plugins: [pwa()],
   build: {
     rollupOptions: {
       input: {
         main: resolve(__dirname, 'src', 'index.html'),
         gallery: resolve(__dirname, 'src', 'gallery.html'),
         settings: resolve(__dirname, 'src', 'settings.html'),
+        tags: resolve(__dirname, 'src', 'tags.html'),
+        view: resolve(__dirname, 'src', 'view.html'),
       }
     }
+  },
+  // used by `npm test` (see the tests in ./test)
+  test: {
+    dir: __dirname,
+    include: ['test/**/*.test.js'],
+    setupFiles: [resolve(__dirname, 'test', 'setup.js')],
   }
 }